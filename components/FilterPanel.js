@@ -0,0 +1,198 @@
+import React, { useState } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  ScrollView,
+  Switch,
+  TouchableOpacity
+} from 'react-native';
+import Slider from '@react-native-community/slider';
+import { EMPTY_FILTERS, countActiveFilters } from '../lib/filters';
+import { PRICE_LEVELS, formatCuisine, formatPriceLevel } from '../lib/restaurantDetails';
+
+const RATING_STEPS = [3, 4, 4.5];
+
+// Collapsible state/city/cuisine pickers, price and rating chips, open now,
+// phone and website toggles and the minimum match slider
+export default function FilterPanel({ filters, options, onChange }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const activeCount = countActiveFilters(filters);
+  const cities = filters.state ? options.citiesByState[filters.state] || [] : [];
+
+  const update = (changes) => onChange({ ...filters, ...changes });
+
+  const renderChip = (label, isActive, onPress) => (
+    <TouchableOpacity
+      key={label}
+      style={[styles.chip, isActive && styles.chipActive]}
+      onPress={onPress}
+    >
+      <Text style={[styles.chipText, isActive && styles.chipTextActive]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.headerRow}>
+        <TouchableOpacity onPress={() => setIsOpen(!isOpen)}>
+          <Text style={styles.toggleText}>
+            ⚙️ Filters{activeCount > 0 ? ` (${activeCount})` : ''} {isOpen ? '▲' : '▼'}
+          </Text>
+        </TouchableOpacity>
+        {activeCount > 0 && (
+          <TouchableOpacity onPress={() => onChange(EMPTY_FILTERS)}>
+            <Text style={styles.resetText}>Reset</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {isOpen && (
+        <View style={styles.panel}>
+          <Text style={styles.label}>State</Text>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+            {renderChip('Any', !filters.state, () => update({ state: null, city: null }))}
+            {options.states.map(state =>
+              renderChip(state, filters.state === state, () => update({ state, city: null }))
+            )}
+          </ScrollView>
+
+          <Text style={styles.label}>City</Text>
+          {filters.state ? (
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+              {renderChip('Any', !filters.city, () => update({ city: null }))}
+              {cities.map(city =>
+                renderChip(city, filters.city === city, () => update({ city }))
+              )}
+            </ScrollView>
+          ) : (
+            <Text style={styles.hint}>Pick a state to choose a city</Text>
+          )}
+
+          {(options.cuisines || []).length > 0 && (
+            <>
+              <Text style={styles.label}>Cuisine</Text>
+              <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+                {renderChip('Any', !filters.cuisine, () => update({ cuisine: null }))}
+                {options.cuisines.map(cuisine =>
+                  renderChip(formatCuisine(cuisine), filters.cuisine === cuisine, () => update({ cuisine }))
+                )}
+              </ScrollView>
+            </>
+          )}
+
+          <Text style={styles.label}>Price up to</Text>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+            {renderChip('Any', !filters.maxPrice, () => update({ maxPrice: null }))}
+            {PRICE_LEVELS.map(level =>
+              renderChip(formatPriceLevel(level), filters.maxPrice === level, () => update({ maxPrice: level }))
+            )}
+          </ScrollView>
+
+          <Text style={styles.label}>Rating</Text>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+            {renderChip('Any', !filters.minRating, () => update({ minRating: 0 }))}
+            {RATING_STEPS.map(rating =>
+              renderChip(`★ ${rating}+`, filters.minRating === rating, () => update({ minRating: rating }))
+            )}
+          </ScrollView>
+
+          <View style={styles.switchRow}>
+            <Text style={styles.switchLabel}>🕒 Open now</Text>
+            <Switch value={filters.openNow} onValueChange={openNow => update({ openNow })} />
+          </View>
+
+          <View style={styles.switchRow}>
+            <Text style={styles.switchLabel}>📞 Has phone number</Text>
+            <Switch value={filters.hasPhone} onValueChange={hasPhone => update({ hasPhone })} />
+          </View>
+          <View style={styles.switchRow}>
+            <Text style={styles.switchLabel}>🌐 Has website</Text>
+            <Switch value={filters.hasWebsite} onValueChange={hasWebsite => update({ hasWebsite })} />
+          </View>
+
+          <Text style={styles.label}>Minimum match: {filters.minSimilarity}%</Text>
+          <Slider
+            minimumValue={0}
+            maximumValue={100}
+            step={5}
+            value={filters.minSimilarity}
+            onSlidingComplete={minSimilarity => update({ minSimilarity })}
+            minimumTrackTintColor="#007bff"
+          />
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 12,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  toggleText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#495057',
+  },
+  resetText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#007bff',
+  },
+  panel: {
+    marginTop: 12,
+  },
+  label: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#6c757d',
+    marginBottom: 6,
+    marginTop: 4,
+  },
+  chipRow: {
+    flexGrow: 0,
+    marginBottom: 8,
+  },
+  chip: {
+    backgroundColor: '#f8f9fa',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e9ecef',
+    marginRight: 8,
+  },
+  chipActive: {
+    backgroundColor: '#007bff',
+    borderColor: '#007bff',
+  },
+  chipText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#495057',
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#adb5bd',
+    marginBottom: 8,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  switchLabel: {
+    fontSize: 14,
+    color: '#495057',
+  },
+});
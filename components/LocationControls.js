@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator
+} from 'react-native';
+import { RADIUS_OPTIONS_KM, SORT_MODES, SORT_MODE_LABELS } from '../lib/location';
+
+// "Near me" toggle, manual city fallback, radius and sort pickers
+export default function LocationControls({
+  origin,
+  isLocating,
+  radiusKm,
+  sortMode,
+  onUseDeviceLocation,
+  onUseCity,
+  onClearLocation,
+  onRadiusChange,
+  onSortModeChange
+}) {
+  const [cityInput, setCityInput] = useState('');
+
+  const submitCity = () => {
+    if (cityInput.trim()) {
+      onUseCity(cityInput);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.row}>
+        {origin ? (
+          <TouchableOpacity style={[styles.chip, styles.chipActive]} onPress={onClearLocation}>
+            <Text style={[styles.chipText, styles.chipTextActive]}>📍 {origin.label} ✕</Text>
+          </TouchableOpacity>
+        ) : (
+          <>
+            <TouchableOpacity
+              style={styles.chip}
+              onPress={onUseDeviceLocation}
+              disabled={isLocating}
+            >
+              {isLocating ? (
+                <ActivityIndicator size="small" color="#007bff" />
+              ) : (
+                <Text style={styles.chipText}>📍 Near me</Text>
+              )}
+            </TouchableOpacity>
+            <TextInput
+              style={styles.cityInput}
+              placeholder="or enter a city"
+              placeholderTextColor="#999"
+              value={cityInput}
+              onChangeText={setCityInput}
+              onSubmitEditing={submitCity}
+              returnKeyType="done"
+              editable={!isLocating}
+            />
+          </>
+        )}
+      </View>
+
+      {origin && (
+        <>
+          <View style={styles.row}>
+            {RADIUS_OPTIONS_KM.map(km => (
+              <TouchableOpacity
+                key={km}
+                style={[styles.chip, radiusKm === km && styles.chipActive]}
+                onPress={() => onRadiusChange(km)}
+              >
+                <Text style={[styles.chipText, radiusKm === km && styles.chipTextActive]}>
+                  {km} km
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <View style={styles.row}>
+            {SORT_MODES.map(mode => (
+              <TouchableOpacity
+                key={mode}
+                style={[styles.chip, sortMode === mode && styles.chipActive]}
+                onPress={() => onSortModeChange(mode)}
+              >
+                <Text style={[styles.chipText, sortMode === mode && styles.chipTextActive]}>
+                  {SORT_MODE_LABELS[mode]}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 12,
+  },
+  row: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  chip: {
+    backgroundColor: '#f8f9fa',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e9ecef',
+    marginRight: 8,
+    marginBottom: 4,
+  },
+  chipActive: {
+    backgroundColor: '#007bff',
+    borderColor: '#007bff',
+  },
+  chipText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#495057',
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+  cityInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#e9ecef',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    fontSize: 12,
+    backgroundColor: '#f8f9fa',
+    marginBottom: 4,
+  },
+});
@@ -0,0 +1,53 @@
+import React from 'react';
+import { StyleSheet, Text, View, TouchableOpacity } from 'react-native';
+
+// How the query was understood; tapping a chip drops that constraint
+export default function QueryChips({ chips, onRemove }) {
+  if (chips.length === 0) {
+    return null;
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>Understood as:</Text>
+      {chips.map(chip => (
+        <TouchableOpacity
+          key={chip.key}
+          style={styles.chip}
+          onPress={() => onRemove(chip.key)}
+        >
+          <Text style={styles.chipText}>{chip.label} ✕</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    marginTop: -8,
+    marginBottom: 12,
+  },
+  label: {
+    fontSize: 12,
+    color: '#6c757d',
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  chip: {
+    backgroundColor: '#e7f1ff',
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 14,
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  chipText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#0056b3',
+  },
+});
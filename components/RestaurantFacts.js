@@ -0,0 +1,67 @@
+import React from 'react';
+import { StyleSheet, Text, View } from 'react-native';
+import {
+  isOpenAt,
+  formatCuisine,
+  formatPriceLevel,
+  formatRating,
+  formatReviewSummary
+} from '../lib/restaurantDetails';
+
+// Cuisines, price, rating and review average on one line, plus an open/closed badge worked
+// out on the restaurant's clock. Renders nothing when none of it is known.
+export default function RestaurantFacts({ restaurant, style }) {
+  const isOpen = isOpenAt(restaurant);
+  const facts = [
+    (restaurant.cuisines || []).map(formatCuisine).join(', '),
+    formatPriceLevel(restaurant.price_level),
+    formatRating(restaurant.rating, restaurant.rating_count),
+    formatReviewSummary(restaurant.review_rating, restaurant.review_count)
+  ].filter(Boolean);
+
+  if (facts.length === 0 && isOpen === null) {
+    return null;
+  }
+
+  return (
+    <View style={[styles.container, style]}>
+      <Text style={styles.facts} numberOfLines={1}>{facts.join('  ·  ')}</Text>
+      {isOpen !== null && (
+        <Text style={[styles.status, isOpen ? styles.open : styles.closed]}>
+          {isOpen ? 'Open now' : 'Closed'}
+        </Text>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  facts: {
+    flex: 1,
+    fontSize: 14,
+    color: '#495057',
+    fontWeight: '500',
+  },
+  status: {
+    fontSize: 12,
+    fontWeight: '600',
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+    marginLeft: 8,
+    overflow: 'hidden',
+  },
+  open: {
+    color: '#155724',
+    backgroundColor: '#d4edda',
+  },
+  closed: {
+    color: '#721c24',
+    backgroundColor: '#f8d7da',
+  },
+});
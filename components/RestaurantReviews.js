@@ -0,0 +1,277 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import {
+  MAX_REVIEW_LENGTH,
+  fetchReviews,
+  fetchMyReview,
+  saveReview,
+  deleteReview
+} from '../lib/reviews';
+
+const STARS = [1, 2, 3, 4, 5];
+
+const Stars = ({ rating, onChange, size = 16 }) => (
+  <View style={styles.stars}>
+    {STARS.map(star => (
+      <Text
+        key={star}
+        style={[styles.star, { fontSize: size }, star <= rating && styles.starFilled]}
+        onPress={onChange && (() => onChange(star))}
+        suppressHighlighting
+      >
+        ★
+      </Text>
+    ))}
+  </View>
+);
+
+// Reviews section of the detail screen: the signed-in user's own review as an
+// editable form, then everyone else's. `onChanged` runs after the user saves
+// or deletes, so the screen can reload the restaurant's average.
+export default function RestaurantReviews({ restaurantId, session, onSignIn, onChanged }) {
+  const userId = session?.user.id;
+  const [reviews, setReviews] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [myReview, setMyReview] = useState(null);
+  const [draft, setDraft] = useState({ rating: 0, body: '' });
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    loadReviews();
+  }, [restaurantId, userId]);
+
+  const loadReviews = async () => {
+    setIsLoading(true);
+
+    try {
+      const [all, mine] = await Promise.all([
+        fetchReviews(restaurantId),
+        userId ? fetchMyReview(restaurantId, userId) : null
+      ]);
+      setReviews(all.filter(review => review.user_id !== userId));
+      setMyReview(mine);
+      setDraft({ rating: mine?.rating || 0, body: mine?.body || '' });
+    } catch (error) {
+      console.log('⚠️ Could not load reviews:', error.message);
+      setReviews([]);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const saved = await saveReview(restaurantId, draft);
+      setMyReview(saved);
+      setDraft({ rating: saved.rating, body: saved.body || '' });
+      onChanged?.();
+    } catch (error) {
+      Alert.alert('Could Not Save Review', error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = () => {
+    Alert.alert('Delete your review?', 'Your rating and text will be removed.', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await deleteReview(restaurantId, userId);
+            setMyReview(null);
+            setDraft({ rating: 0, body: '' });
+            onChanged?.();
+          } catch (error) {
+            Alert.alert('Could Not Delete Review', error.message);
+          }
+        }
+      }
+    ]);
+  };
+
+  const isUnchanged = myReview && draft.rating === myReview.rating && draft.body.trim() === (myReview.body || '');
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.sectionTitle}>Reviews</Text>
+
+      {session ? (
+        <View style={styles.form}>
+          <Text style={styles.formTitle}>{myReview ? 'Your review' : 'Rate this place'}</Text>
+          <Stars rating={draft.rating} size={28} onChange={rating => setDraft(current => ({ ...current, rating }))} />
+          <TextInput
+            style={styles.input}
+            placeholder="What was it like? (optional)"
+            value={draft.body}
+            onChangeText={body => setDraft(current => ({ ...current, body }))}
+            maxLength={MAX_REVIEW_LENGTH}
+            multiline
+          />
+          <View style={styles.formActions}>
+            {myReview && (
+              <TouchableOpacity style={styles.deleteButton} onPress={handleDelete}>
+                <Text style={styles.deleteButtonText}>Delete</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity
+              style={[styles.saveButton, (!draft.rating || isSaving || isUnchanged) && styles.saveButtonDisabled]}
+              onPress={handleSave}
+              disabled={!draft.rating || isSaving || isUnchanged}
+            >
+              <Text style={styles.saveButtonText}>{myReview ? 'Update' : 'Post'}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      ) : (
+        <TouchableOpacity style={styles.signInPrompt} onPress={onSignIn}>
+          <Text style={styles.signInText}>👤 Sign in to leave a review</Text>
+        </TouchableOpacity>
+      )}
+
+      {isLoading ? (
+        <ActivityIndicator style={styles.loading} color="#007bff" />
+      ) : reviews.length === 0 ? (
+        <Text style={styles.emptyText}>{myReview ? 'No other reviews yet' : 'No reviews yet'}</Text>
+      ) : (
+        reviews.map(review => (
+          <View key={review.id} style={styles.review}>
+            <View style={styles.reviewHeader}>
+              <Stars rating={review.rating} />
+              <Text style={styles.reviewDate}>{new Date(review.updated_at).toLocaleDateString()}</Text>
+            </View>
+            {review.body && <Text style={styles.reviewBody}>{review.body}</Text>}
+          </View>
+        ))
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 24,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#212529',
+    marginBottom: 12,
+  },
+  stars: {
+    flexDirection: 'row',
+  },
+  star: {
+    color: '#dee2e6',
+    marginRight: 2,
+  },
+  starFilled: {
+    color: '#f5a623',
+  },
+  form: {
+    backgroundColor: '#fff',
+    padding: 16,
+    borderRadius: 8,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: '#e9ecef',
+  },
+  formTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#495057',
+    marginBottom: 8,
+  },
+  input: {
+    minHeight: 72,
+    borderWidth: 1,
+    borderColor: '#dee2e6',
+    borderRadius: 8,
+    padding: 10,
+    marginTop: 12,
+    fontSize: 15,
+    textAlignVertical: 'top',
+  },
+  formActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 12,
+  },
+  saveButton: {
+    backgroundColor: '#007bff',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 8,
+  },
+  saveButtonDisabled: {
+    backgroundColor: '#adb5bd',
+  },
+  saveButtonText: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  deleteButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    marginRight: 8,
+  },
+  deleteButtonText: {
+    color: '#dc3545',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  signInPrompt: {
+    backgroundColor: '#fff',
+    padding: 16,
+    borderRadius: 8,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: '#e9ecef',
+    alignItems: 'center',
+  },
+  signInText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#007bff',
+  },
+  loading: {
+    marginVertical: 12,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#adb5bd',
+  },
+  review: {
+    backgroundColor: '#fff',
+    padding: 16,
+    marginBottom: 8,
+    borderRadius: 8,
+  },
+  reviewHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  reviewDate: {
+    fontSize: 12,
+    color: '#adb5bd',
+  },
+  reviewBody: {
+    fontSize: 15,
+    color: '#495057',
+    lineHeight: 20,
+    marginTop: 8,
+  },
+});
@@ -0,0 +1,149 @@
+import React, { useEffect, useRef } from 'react';
+import { StyleSheet, Text, View } from 'react-native';
+import { Marker, Callout } from 'react-native-maps';
+import MapView from 'react-native-map-clustering';
+
+// Padding around the pins when the map fits itself to new results
+const FIT_PADDING = { top: 60, right: 60, bottom: 60, left: 60 };
+
+const hasCoordinates = (restaurant) => restaurant.latitude && restaurant.longitude;
+
+const toCoordinate = (restaurant) => ({
+  latitude: parseFloat(restaurant.latitude),
+  longitude: parseFloat(restaurant.longitude)
+});
+
+// Search results as clustered pins. Calls onRegionSearch with the new region
+// after the user pans, and onSelectRestaurant when a callout is tapped.
+// fitToResults is off for results that came from a pan, so the map stays put.
+export default function ResultsMap({ results, fitToResults = true, onRegionSearch, onSelectRestaurant }) {
+  const mapRef = useRef(null);
+  // Only user drags should trigger a new search, not our own fitToCoordinates
+  const userMovedRef = useRef(false);
+  const pinned = results.filter(hasCoordinates);
+
+  useEffect(() => {
+    if (fitToResults && mapRef.current && pinned.length > 0) {
+      mapRef.current.fitToCoordinates(pinned.map(toCoordinate), {
+        edgePadding: FIT_PADDING,
+        animated: true
+      });
+    }
+  }, [results]);
+
+  const handleRegionChangeComplete = (region) => {
+    if (!userMovedRef.current) {
+      return;
+    }
+    userMovedRef.current = false;
+    onRegionSearch(region);
+  };
+
+  return (
+    <View style={styles.container}>
+      <MapView
+        mapRef={(map) => { mapRef.current = map; }}
+        style={styles.map}
+        initialRegion={pinned.length > 0 ? {
+          ...toCoordinate(pinned[0]),
+          latitudeDelta: 0.2,
+          longitudeDelta: 0.2
+        } : undefined}
+        clusterColor="#007bff"
+        onPanDrag={() => { userMovedRef.current = true; }}
+        onRegionChangeComplete={handleRegionChangeComplete}
+      >
+        {pinned.map(restaurant => (
+          <Marker
+            key={restaurant.id}
+            coordinate={toCoordinate(restaurant)}
+            pinColor="#007bff"
+            onCalloutPress={() => onSelectRestaurant(restaurant.id)}
+          >
+            <Callout>
+              <View style={styles.callout}>
+                <View style={styles.calloutHeader}>
+                  <Text style={styles.calloutTitle} numberOfLines={1}>
+                    {restaurant.name || 'Restaurant Name Not Available'}
+                  </Text>
+                  {restaurant.similarity != null && (
+                    <Text style={styles.similarityBadge}>{restaurant.similarity}% match</Text>
+                  )}
+                </View>
+                {restaurant.address && (
+                  <Text style={styles.calloutAddress} numberOfLines={2}>{restaurant.address}</Text>
+                )}
+                <Text style={styles.calloutHint}>Tap to see in list</Text>
+              </View>
+            </Callout>
+          </Marker>
+        ))}
+      </MapView>
+
+      {pinned.length < results.length && (
+        <Text style={styles.notice}>
+          {results.length - pinned.length} result{results.length - pinned.length !== 1 ? 's' : ''} without coordinates not shown
+        </Text>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    borderRadius: 8,
+    overflow: 'hidden',
+    marginBottom: 16,
+  },
+  map: {
+    flex: 1,
+  },
+  callout: {
+    width: 220,
+    padding: 4,
+  },
+  calloutHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  calloutTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#212529',
+    flex: 1,
+  },
+  similarityBadge: {
+    backgroundColor: '#28a745',
+    color: '#fff',
+    fontSize: 11,
+    fontWeight: '600',
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 10,
+    marginLeft: 6,
+    overflow: 'hidden',
+  },
+  calloutAddress: {
+    fontSize: 13,
+    color: '#6c757d',
+    marginBottom: 4,
+  },
+  calloutHint: {
+    fontSize: 11,
+    color: '#007bff',
+  },
+  notice: {
+    position: 'absolute',
+    bottom: 8,
+    alignSelf: 'center',
+    backgroundColor: 'rgba(255, 255, 255, 0.9)',
+    fontSize: 12,
+    color: '#6c757d',
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    overflow: 'hidden',
+  },
+});
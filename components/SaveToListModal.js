@@ -0,0 +1,240 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  Modal,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import { fetchLists, createList, addToList, removeFromList } from '../lib/lists';
+
+// Bottom sheet for adding a restaurant to (or removing it from) the user's lists
+export default function SaveToListModal({ restaurant, onClose }) {
+  const [lists, setLists] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [newListName, setNewListName] = useState('');
+  const [isCreating, setIsCreating] = useState(false);
+
+  useEffect(() => {
+    if (!restaurant) {
+      return;
+    }
+
+    setIsLoading(true);
+    fetchLists()
+      .then(setLists)
+      .catch(error => {
+        console.log('⚠️ Could not load lists:', error.message);
+        Alert.alert('Lists Unavailable', error.message);
+      })
+      .finally(() => setIsLoading(false));
+  }, [restaurant]);
+
+  const updateList = (listId, restaurantIds) => {
+    setLists(current => current.map(list => (
+      list.id === listId ? { ...list, restaurantIds } : list
+    )));
+  };
+
+  // Optimistic toggle; rolls back if the write fails
+  const toggleList = async (list) => {
+    const isSaved = list.restaurantIds.includes(restaurant.id);
+    updateList(
+      list.id,
+      isSaved
+        ? list.restaurantIds.filter(id => id !== restaurant.id)
+        : [...list.restaurantIds, restaurant.id]
+    );
+
+    try {
+      if (isSaved) {
+        await removeFromList(list.id, restaurant.id);
+      } else {
+        await addToList(list.id, restaurant.id);
+      }
+    } catch (error) {
+      updateList(list.id, list.restaurantIds);
+      Alert.alert('Could Not Update List', error.message);
+    }
+  };
+
+  // New lists start with this restaurant already in them
+  const handleCreateList = async () => {
+    if (!newListName.trim()) {
+      return;
+    }
+
+    setIsCreating(true);
+    try {
+      const list = await createList(newListName);
+      await addToList(list.id, restaurant.id);
+      setLists(current => [...current, { ...list, restaurantIds: [restaurant.id] }]);
+      setNewListName('');
+    } catch (error) {
+      Alert.alert('Could Not Create List', error.message);
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  return (
+    <Modal
+      visible={Boolean(restaurant)}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <TouchableOpacity style={styles.backdrop} activeOpacity={1} onPress={onClose} />
+      <View style={styles.sheet}>
+        <Text style={styles.title}>Save to list</Text>
+        {restaurant && <Text style={styles.subtitle}>{restaurant.name}</Text>}
+
+        {isLoading ? (
+          <ActivityIndicator style={styles.loading} color="#007bff" />
+        ) : (
+          <ScrollView style={styles.lists}>
+            {lists.length === 0 && (
+              <Text style={styles.emptyText}>No lists yet. Create your first one below.</Text>
+            )}
+            {lists.map(list => {
+              const isSaved = restaurant && list.restaurantIds.includes(restaurant.id);
+              return (
+                <TouchableOpacity
+                  key={list.id}
+                  style={styles.listRow}
+                  onPress={() => toggleList(list)}
+                >
+                  <Text style={styles.listName}>{list.name}</Text>
+                  <Text style={[styles.check, isSaved && styles.checkActive]}>
+                    {isSaved ? '✓' : '+'}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+        )}
+
+        <View style={styles.newListRow}>
+          <TextInput
+            style={styles.newListInput}
+            placeholder="New list name"
+            value={newListName}
+            onChangeText={setNewListName}
+            onSubmitEditing={handleCreateList}
+            returnKeyType="done"
+            maxLength={80}
+          />
+          <TouchableOpacity
+            style={[styles.createButton, (!newListName.trim() || isCreating) && styles.createButtonDisabled]}
+            onPress={handleCreateList}
+            disabled={!newListName.trim() || isCreating}
+          >
+            <Text style={styles.createButtonText}>Create</Text>
+          </TouchableOpacity>
+        </View>
+
+        <TouchableOpacity style={styles.doneButton} onPress={onClose}>
+          <Text style={styles.doneButtonText}>Done</Text>
+        </TouchableOpacity>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.3)',
+  },
+  sheet: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 20,
+    paddingBottom: 32,
+    maxHeight: '70%',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#212529',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#6c757d',
+    marginTop: 2,
+    marginBottom: 12,
+  },
+  loading: {
+    marginVertical: 24,
+  },
+  lists: {
+    marginBottom: 12,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#6c757d',
+    paddingVertical: 12,
+  },
+  listRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e9ecef',
+  },
+  listName: {
+    fontSize: 16,
+    color: '#212529',
+  },
+  check: {
+    fontSize: 18,
+    color: '#adb5bd',
+  },
+  checkActive: {
+    color: '#28a745',
+    fontWeight: 'bold',
+  },
+  newListRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  newListInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ced4da',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 14,
+    marginRight: 8,
+  },
+  createButton: {
+    backgroundColor: '#007bff',
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    borderRadius: 8,
+  },
+  createButtonDisabled: {
+    backgroundColor: '#adb5bd',
+  },
+  createButtonText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  doneButton: {
+    marginTop: 16,
+    alignItems: 'center',
+    paddingVertical: 10,
+  },
+  doneButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#007bff',
+  },
+});
@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import { StyleSheet, Text, View, TouchableOpacity } from 'react-native';
+
+const OUTCOME_ICONS = {
+  ok: '✅',
+  empty: '∅',
+  error: '❌',
+  timeout: '⏱️'
+};
+
+// Collapsible list of the strategies the last search tried, and why each one
+// was passed over
+export default function SearchDebugPanel({ trail }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (trail.length === 0) {
+    return null;
+  }
+
+  const fallbacks = trail.filter(attempt => attempt.outcome !== 'ok').length;
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity onPress={() => setIsOpen(!isOpen)}>
+        <Text style={styles.toggleText}>
+          🐞 Search trail: {trail.length} tried
+          {fallbacks > 0 ? `, ${fallbacks} fell through` : ''} {isOpen ? '▲' : '▼'}
+        </Text>
+      </TouchableOpacity>
+
+      {isOpen && trail.map((attempt, index) => (
+        <View key={`${attempt.strategy}-${index}`} style={styles.attempt}>
+          <Text style={styles.attemptTitle}>
+            {OUTCOME_ICONS[attempt.outcome]} {index + 1}. {attempt.searchType}
+            <Text style={styles.attemptMeta}>
+              {'  '}{attempt.strategy} · {attempt.ms} ms
+              {attempt.outcome === 'ok' ? ` · ${attempt.rows} rows` : ''}
+            </Text>
+          </Text>
+          {attempt.reason && (
+            <Text style={styles.reason} numberOfLines={3}>{attempt.reason}</Text>
+          )}
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#e9ecef',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    marginBottom: 12,
+  },
+  toggleText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#495057',
+  },
+  attempt: {
+    marginTop: 8,
+  },
+  attemptTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#212529',
+  },
+  attemptMeta: {
+    fontSize: 12,
+    fontWeight: 'normal',
+    color: '#6c757d',
+  },
+  reason: {
+    fontSize: 12,
+    color: '#dc3545',
+    marginTop: 2,
+    marginLeft: 20,
+  },
+});
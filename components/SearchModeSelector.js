@@ -0,0 +1,76 @@
+import React from 'react';
+import { StyleSheet, Text, View, ScrollView, TouchableOpacity } from 'react-native';
+import { SEARCH_MODES, getSearchMode } from '../lib/search';
+
+// One chip per search mode, with a line saying what the selected one does.
+// The last chip switches the AI rerank stage on and off for every mode.
+export default function SearchModeSelector({ mode, onChange, rerank, onRerankChange, disabled }) {
+  return (
+    <View style={styles.container}>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+        {SEARCH_MODES.map(({ key, label }) => {
+          const isActive = key === mode;
+          return (
+            <TouchableOpacity
+              key={key}
+              style={[styles.chip, isActive && styles.chipActive]}
+              onPress={() => onChange(key)}
+              disabled={disabled}
+            >
+              <Text style={[styles.chipText, isActive && styles.chipTextActive]}>{label}</Text>
+            </TouchableOpacity>
+          );
+        })}
+        <View style={styles.divider} />
+        <TouchableOpacity
+          style={[styles.chip, rerank && styles.chipActive]}
+          onPress={() => onRerankChange(!rerank)}
+          disabled={disabled}
+        >
+          <Text style={[styles.chipText, rerank && styles.chipTextActive]}>✨ AI rerank</Text>
+        </TouchableOpacity>
+      </ScrollView>
+      <Text style={styles.description}>
+        {getSearchMode(mode).description}
+        {rerank ? ' The top results are then reordered by AI, with a reason for each.' : ''}
+      </Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 12,
+  },
+  chip: {
+    backgroundColor: '#f8f9fa',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e9ecef',
+    marginRight: 8,
+  },
+  chipActive: {
+    backgroundColor: '#007bff',
+    borderColor: '#007bff',
+  },
+  chipText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#495057',
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+  divider: {
+    width: 1,
+    backgroundColor: '#dee2e6',
+    marginRight: 8,
+  },
+  description: {
+    fontSize: 12,
+    color: '#6c757d',
+    marginTop: 6,
+  },
+});
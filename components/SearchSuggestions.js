@@ -0,0 +1,87 @@
+import React from 'react';
+import { StyleSheet, Text, View, TouchableOpacity } from 'react-native';
+
+const KIND_ICONS = {
+  recent: '🕘',
+  popular: '🔥',
+  restaurant: '🍽️',
+  city: '🏙️'
+};
+
+// Dropdown under the search box: recent searches while it's empty, typeahead once the user types
+export default function SearchSuggestions({ query, recentQueries, suggestions, onSelect, onClearHistory }) {
+  const showRecent = !query.trim();
+  const items = showRecent
+    ? recentQueries.slice(0, 5).map(entry => ({ suggestion: entry.query, kind: 'recent' }))
+    : suggestions;
+
+  if (items.length === 0) {
+    return null;
+  }
+
+  return (
+    <View style={styles.container}>
+      {showRecent && (
+        <View style={styles.header}>
+          <Text style={styles.headerText}>Recent searches</Text>
+          <TouchableOpacity onPress={onClearHistory}>
+            <Text style={styles.clearText}>Clear</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+      {items.map(item => (
+        <TouchableOpacity
+          key={`${item.kind}-${item.suggestion}`}
+          style={styles.item}
+          onPress={() => onSelect(item.suggestion)}
+        >
+          <Text style={styles.icon}>{KIND_ICONS[item.kind]}</Text>
+          <Text style={styles.itemText} numberOfLines={1}>{item.suggestion}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#e9ecef',
+    borderRadius: 8,
+    marginTop: -8,
+    marginBottom: 12,
+    paddingVertical: 4,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  headerText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#6c757d',
+  },
+  clearText: {
+    fontSize: 12,
+    color: '#007bff',
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+  },
+  icon: {
+    fontSize: 14,
+    marginRight: 10,
+    width: 20,
+  },
+  itemText: {
+    fontSize: 15,
+    color: '#212529',
+    flex: 1,
+  },
+});
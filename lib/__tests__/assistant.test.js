@@ -0,0 +1,135 @@
+import { fetch } from 'expo/fetch';
+import {
+  retrieveContextIds,
+  splitCitations,
+  createEventDecoder,
+  streamAssistantAnswer
+} from '../assistant';
+
+jest.mock('expo/fetch', () => ({ fetch: jest.fn() }));
+jest.mock('../supabase', () => ({
+  supabase: {
+    auth: { getSession: async () => ({ data: { session: { access_token: 'user-token' } } }) }
+  }
+}));
+
+// A fetch response whose body arrives in the given chunks
+const streamedResponse = (chunks, { status = 200 } = {}) => {
+  const encoder = new TextEncoder();
+  let index = 0;
+  return {
+    ok: status < 400,
+    status,
+    json: async () => JSON.parse(chunks.join('')),
+    body: {
+      getReader: () => ({
+        read: async () => (
+          index < chunks.length
+            ? { value: encoder.encode(chunks[index++]), done: false }
+            : { value: undefined, done: true }
+        )
+      })
+    }
+  };
+};
+
+describe('retrieveContextIds', () => {
+  it('puts the results on screen first, then new matches for the question', async () => {
+    const search = jest.fn(async () => ({ data: [{ id: 3 }, { id: 9 }, { id: 1 }] }));
+
+    const ids = await retrieveContextIds({ question: 'late night tacos', restaurantIds: [1, 2, 3], filters: { state: 'TX' }, search });
+
+    expect(ids).toEqual([1, 2, 3, 9]);
+    expect(search).toHaveBeenCalledWith({ mode: 'auto', query: 'late night tacos', filters: { state: 'TX' } });
+  });
+
+  it('answers from the screen when the search fails', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const search = async () => {
+      throw new Error('offline');
+    };
+
+    expect(await retrieveContextIds({ question: 'x', restaurantIds: [5], search })).toEqual([5]);
+  });
+});
+
+describe('splitCitations', () => {
+  it('separates text from [#id] markers', () => {
+    expect(splitCitations('Try Joe\'s [#12] or Taco Palace [#7].')).toEqual([
+      { text: 'Try Joe\'s ' },
+      { citation: 12 },
+      { text: ' or Taco Palace ' },
+      { citation: 7 },
+      { text: '.' }
+    ]);
+  });
+
+  it('leaves a marker that is still streaming in as text', () => {
+    expect(splitCitations('Try Joe\'s [#1')).toEqual([{ text: 'Try Joe\'s [#1' }]);
+  });
+});
+
+describe('createEventDecoder', () => {
+  it('emits one event per line, across chunk boundaries', () => {
+    const events = [];
+    const decoder = createEventDecoder(event => events.push(event));
+
+    decoder.push('{"type":"delta","text":"Hel');
+    decoder.push('lo"}\n{"type":"delta","text":" there"}\n{"type":"do');
+    decoder.push('ne","cited":[],"unknown":[]}');
+    decoder.end();
+
+    expect(events).toEqual([
+      { type: 'delta', text: 'Hello' },
+      { type: 'delta', text: ' there' },
+      { type: 'done', cited: [], unknown: [] }
+    ]);
+  });
+});
+
+describe('streamAssistantAnswer', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+  });
+
+  it('sends the conversation and ids with the user token and streams the events', async () => {
+    fetch.mockResolvedValue(streamedResponse([
+      '{"type":"sources","restaurants":[{"id":1,"name":"Joe\'s Pizza"}]}\n{"type":"delta","text":"Try "}\n',
+      '{"type":"delta","text":"Joe\'s [#1]"}\n{"type":"done","cited":[1],"unknown":[]}\n'
+    ]));
+    const events = [];
+
+    await streamAssistantAnswer({
+      messages: [{ id: 'a', role: 'user', content: 'Pizza?', status: 'done' }],
+      restaurantIds: [1],
+      onEvent: event => events.push(event)
+    });
+
+    const [url, request] = fetch.mock.calls[0];
+    expect(url).toMatch(/\/functions\/v1\/assistant$/);
+    expect(request.headers.Authorization).toBe('Bearer user-token');
+    expect(JSON.parse(request.body)).toEqual({
+      messages: [{ role: 'user', content: 'Pizza?' }],
+      restaurant_ids: [1]
+    });
+    expect(events.map(event => event.type)).toEqual(['sources', 'delta', 'delta', 'done']);
+  });
+
+  it('rejects on an error event after the partial answer', async () => {
+    fetch.mockResolvedValue(streamedResponse([
+      '{"type":"delta","text":"Try"}\n{"type":"error","message":"The assistant could not answer."}\n'
+    ]));
+    const onEvent = jest.fn();
+
+    await expect(streamAssistantAnswer({ messages: [], restaurantIds: [], onEvent }))
+      .rejects.toThrow('could not answer');
+    expect(onEvent).toHaveBeenCalledWith({ type: 'delta', text: 'Try' });
+  });
+
+  it('explains rate limiting', async () => {
+    fetch.mockResolvedValue(streamedResponse(['{"error":"Too many requests"}'], { status: 429 }));
+
+    await expect(streamAssistantAnswer({ messages: [], restaurantIds: [], onEvent: jest.fn() }))
+      .rejects.toThrow('Too many questions');
+  });
+});
@@ -0,0 +1,71 @@
+import { supabase } from '../supabase';
+import { completeSignIn, signInWithProvider, isAuthCallback } from '../auth';
+import * as WebBrowser from 'expo-web-browser';
+
+jest.mock('../supabase', () => ({
+  supabase: {
+    auth: {
+      exchangeCodeForSession: jest.fn(),
+      signInWithOAuth: jest.fn()
+    }
+  }
+}));
+jest.mock('expo-linking', () => ({
+  createURL: (path) => `testingsupabase://${path}`,
+  parse: (url) => ({ queryParams: Object.fromEntries(new URL(url).searchParams) })
+}));
+jest.mock('expo-web-browser', () => ({ openAuthSessionAsync: jest.fn() }));
+
+const session = { access_token: 'token', user: { id: 'user-1' } };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  supabase.auth.exchangeCodeForSession.mockResolvedValue({ data: { session }, error: null });
+});
+
+describe('completeSignIn', () => {
+  it('trades the code for a session', async () => {
+    await expect(completeSignIn('testingsupabase://auth/callback?code=abc')).resolves.toBe(session);
+    expect(supabase.auth.exchangeCodeForSession).toHaveBeenCalledWith('abc');
+  });
+
+  it('exchanges a code once however many times its URL arrives', async () => {
+    const url = 'testingsupabase://auth/callback?code=twice';
+
+    const [first, second] = await Promise.all([completeSignIn(url), completeSignIn(url)]);
+    const third = await completeSignIn(url);
+
+    expect([first, second, third]).toEqual([session, session, session]);
+    expect(supabase.auth.exchangeCodeForSession).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports the provider\'s error and ignores URLs without a code', async () => {
+    await expect(completeSignIn('testingsupabase://auth/callback?error_description=Access+denied'))
+      .rejects.toThrow('Access denied');
+    await expect(completeSignIn('testingsupabase://auth/callback')).resolves.toBeNull();
+    expect(supabase.auth.exchangeCodeForSession).not.toHaveBeenCalled();
+  });
+});
+
+describe('signInWithProvider', () => {
+  it('shares its exchange with the URL listener when the redirect reaches both', async () => {
+    const redirect = 'testingsupabase://auth/callback?code=oauth';
+    supabase.auth.signInWithOAuth.mockResolvedValue({ data: { url: 'https://provider.example/authorize' }, error: null });
+    WebBrowser.openAuthSessionAsync.mockResolvedValue({ type: 'success', url: redirect });
+
+    await expect(signInWithProvider('github')).resolves.toBe(session);
+    // What App.js does with the same redirect
+    expect(isAuthCallback(redirect)).toBe(true);
+    await expect(completeSignIn(redirect)).resolves.toBe(session);
+
+    expect(supabase.auth.exchangeCodeForSession).toHaveBeenCalledTimes(1);
+  });
+
+  it('returns null when the browser is closed', async () => {
+    supabase.auth.signInWithOAuth.mockResolvedValue({ data: { url: 'https://provider.example/authorize' }, error: null });
+    WebBrowser.openAuthSessionAsync.mockResolvedValue({ type: 'cancel' });
+
+    await expect(signInWithProvider('google')).resolves.toBeNull();
+    expect(supabase.auth.exchangeCodeForSession).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,60 @@
+import { parseHybridWeights, DEFAULT_HYBRID_WEIGHTS, hybridSearchRestaurants } from '../hybridSearch';
+
+jest.mock('../supabase', () => ({ supabase: null }));
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('parseHybridWeights', () => {
+  it('reads numbers from setting strings', () => {
+    expect(parseHybridWeights({ fullText: '2', semantic: '0.5', rrfK: '60' })).toEqual({
+      fullText: 2,
+      semantic: 0.5,
+      rrfK: 60
+    });
+  });
+
+  it('uses the defaults for missing settings', () => {
+    expect(parseHybridWeights({})).toEqual(DEFAULT_HYBRID_WEIGHTS);
+    expect(parseHybridWeights({ fullText: '', semantic: undefined, rrfK: null })).toEqual(DEFAULT_HYBRID_WEIGHTS);
+  });
+
+  it.each([
+    ['text', { fullText: 'heavy' }],
+    ['a negative weight', { semantic: '-1' }],
+    ['an infinite weight', { fullText: 'Infinity' }],
+    ['a zero k', { rrfK: '0' }],
+    ['a fractional k', { rrfK: '12.5' }]
+  ])('replaces %s with its default', (_, settings) => {
+    expect(parseHybridWeights(settings)).toEqual(DEFAULT_HYBRID_WEIGHTS);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Ignoring hybrid'));
+  });
+
+  it('keeps one weight at 0 but not both', () => {
+    expect(parseHybridWeights({ fullText: '0', semantic: '3' })).toEqual({ fullText: 0, semantic: 3, rrfK: 50 });
+    expect(parseHybridWeights({ fullText: '0', semantic: '0', rrfK: '10' })).toEqual({ fullText: 1, semantic: 1, rrfK: 10 });
+  });
+});
+
+describe('hybridSearchRestaurants', () => {
+  it('sends the weights and turns relevance into a percentage', async () => {
+    const client = { rpc: jest.fn(async () => ({ data: [{ id: 1, relevance: 0.876 }], error: null })) };
+
+    const rows = await hybridSearchRestaurants('pizza', [0.1], {
+      weights: { fullText: 2, semantic: 1, rrfK: 60 },
+      client
+    });
+
+    expect(rows).toEqual([{ id: 1, relevance: 0.876, similarity: 88 }]);
+    expect(client.rpc).toHaveBeenCalledWith('hybrid_search_restaurants', expect.objectContaining({
+      full_text_weight: 2,
+      semantic_weight: 1,
+      rrf_k: 60
+    }));
+  });
+});
@@ -0,0 +1,153 @@
+import { parseQuery, constraintFilters } from '../queryParser';
+
+const options = {
+  citiesByState: {
+    TX: ['Austin', 'Houston', 'San Antonio'],
+    OR: ['Portland'],
+    ME: ['Portland']
+  }
+};
+
+const chipKeys = (parsed) => parsed.chips.map(chip => chip.key);
+
+describe('parseQuery', () => {
+  it('splits the example query into a remainder to embed and filters', () => {
+    const parsed = parseQuery('romantic dinner in Austin TX with a website', options);
+
+    expect(parsed.semanticQuery).toBe('romantic dinner');
+    expect(parsed.constraints).toEqual({ city: 'Austin', state: 'TX', hasWebsite: true });
+    expect(parsed.chips).toEqual([
+      { key: 'location', label: '🏙️ Austin, TX' },
+      { key: 'hasWebsite', label: '🌐 Has website' }
+    ]);
+  });
+
+  describe('city and state', () => {
+    it('matches a known city with or without its state', () => {
+      expect(parseQuery('bbq in San Antonio, Texas', options).constraints).toEqual({ city: 'San Antonio', state: 'TX' });
+      expect(parseQuery('houston crawfish', options)).toEqual(expect.objectContaining({
+        semanticQuery: 'crawfish',
+        constraints: { city: 'Houston', state: 'TX' }
+      }));
+    });
+
+    it('picks the state that was named for cities in more than one', () => {
+      expect(parseQuery('coffee in Portland, ME', options).constraints).toEqual({ city: 'Portland', state: 'ME' });
+      expect(parseQuery('coffee in Portland OR', options).constraints).toEqual({ city: 'Portland', state: 'OR' });
+    });
+
+    it('falls back to the state alone for cities it doesn\'t know', () => {
+      const parsed = parseQuery('tacos in El Paso Texas', options);
+
+      expect(parsed.constraints).toEqual({ state: 'TX' });
+      expect(parsed.chips).toEqual([{ key: 'location', label: '🏙️ Texas' }]);
+      expect(parsed.semanticQuery).toBe('tacos in El Paso');
+    });
+
+    it('only reads a full state name after "in"', () => {
+      expect(parseQuery('texas roadhouse')).toEqual({ semanticQuery: 'texas roadhouse', constraints: {}, chips: [] });
+      expect(parseQuery('maine lobster rolls').constraints).toEqual({});
+      expect(parseQuery('in the mood for texas bbq').constraints).toEqual({});
+      expect(parseQuery('maine lobster in maine')).toEqual(expect.objectContaining({
+        semanticQuery: 'maine lobster',
+        constraints: { state: 'ME' }
+      }));
+    });
+
+    it('prefers the longer state name ("West Virginia" over "Virginia")', () => {
+      expect(parseQuery('diner in West Virginia').constraints).toEqual({ state: 'WV' });
+    });
+
+    it('only reads upper-case abbreviations as states', () => {
+      expect(parseQuery('pizza in OR').constraints).toEqual({ state: 'OR' });
+      expect(parseQuery('pizza or pasta')).toEqual({ semanticQuery: 'pizza or pasta', constraints: {}, chips: [] });
+      expect(parseQuery('eat in or out').constraints).toEqual({});
+      expect(parseQuery('tacos in ZZ').constraints).toEqual({});
+    });
+  });
+
+  describe('distance', () => {
+    it('reads "near me" and a radius in miles or kilometres', () => {
+      const parsed = parseQuery('quiet coffee near me within 5 miles');
+
+      expect(parsed.semanticQuery).toBe('quiet coffee');
+      expect(parsed.constraints.nearMe).toBe(true);
+      expect(parsed.constraints.radiusKm).toBeCloseTo(8.047, 3);
+      expect(parsed.chips).toEqual([
+        { key: 'nearMe', label: '📍 Near me' },
+        { key: 'radiusKm', label: '📏 Within 5 mi' }
+      ]);
+      expect(parseQuery('ramen within 2.5 km').constraints).toEqual({ radiusKm: 2.5 });
+      expect(parseQuery('brunch nearby').constraints).toEqual({ nearMe: true });
+    });
+  });
+
+  describe('attributes', () => {
+    it('reads phone, open now, price and rating', () => {
+      const parsed = parseQuery('cheap top rated noodles that\'s open now with a phone number');
+
+      expect(parsed.semanticQuery).toBe('noodles');
+      expect(parsed.constraints).toEqual({ hasPhone: true, openNow: true, maxPrice: 1, minRating: 4 });
+      expect(parsed.chips).toEqual([
+        { key: 'hasPhone', label: '📞 Has phone' },
+        { key: 'openNow', label: '🕒 Open now' },
+        { key: 'maxPrice', label: '💲 Cheap' },
+        { key: 'minRating', label: '★ 4+' }
+      ]);
+    });
+
+    it('leaves cuisine words in the query without a chip', () => {
+      expect(parseQuery('vegan thai in Austin', options)).toEqual({
+        semanticQuery: 'vegan thai',
+        constraints: { city: 'Austin', state: 'TX' },
+        chips: [{ key: 'location', label: '🏙️ Austin, TX' }]
+      });
+    });
+  });
+
+  describe('leftover text', () => {
+    it('drops commas and connector words left dangling', () => {
+      expect(parseQuery('tacos, cheap, near me').semanticQuery).toBe('tacos');
+      expect(parseQuery('dinner and with a website').semanticQuery).toBe('dinner');
+      expect(parseQuery('  spicy    curry  that is open right now ').semanticQuery).toBe('spicy curry');
+    });
+
+    it('leaves an empty remainder when the query was only constraints', () => {
+      expect(parseQuery('in Austin TX near me', options).semanticQuery).toBe('');
+      expect(parseQuery('open now, with a website').semanticQuery).toBe('');
+    });
+
+    it('keeps ignored constraints in the text, so a removed chip stays removed', () => {
+      const parsed = parseQuery('pizza in Austin TX with a website', options, ['location']);
+
+      expect(parsed.semanticQuery).toBe('pizza in Austin TX');
+      expect(parsed.constraints).toEqual({ hasWebsite: true });
+      expect(chipKeys(parsed)).toEqual(['hasWebsite']);
+    });
+  });
+});
+
+describe('constraintFilters', () => {
+  it('maps constraints onto search filters and leaves location to the caller', () => {
+    expect(constraintFilters({
+      nearMe: true,
+      radiusKm: 5,
+      city: 'Austin',
+      state: 'TX',
+      hasPhone: true,
+      hasWebsite: true,
+      openNow: true,
+      maxPrice: 1,
+      minRating: 4
+    })).toEqual({
+      city: 'Austin',
+      state: 'TX',
+      hasPhone: true,
+      hasWebsite: true,
+      openNow: true,
+      maxPrice: 1,
+      minRating: 4
+    });
+    expect(constraintFilters({})).toEqual({});
+  });
+});
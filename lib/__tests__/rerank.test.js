@@ -0,0 +1,90 @@
+import { applyRanking, canRerank, rerankResults } from '../rerank';
+
+jest.mock('../supabase', () => ({ supabase: null }));
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
+jest.mock('../embeddings', () => ({
+  normalizeQuery: (query) => query.trim().toLowerCase().replace(/\s+/g, ' ')
+}));
+
+const restaurants = [
+  { id: 1, name: 'Taqueria X', similarity: 42 },
+  { id: 2, name: 'Curry House', similarity: 40 },
+  { id: 3, name: 'Pizza Napoli', similarity: 38 },
+  { id: 4, name: 'Diner', similarity: 30 }
+];
+
+describe('applyRanking', () => {
+  it('moves ranked restaurants to the top with their reasons and keeps the rest in place', () => {
+    const ranked = applyRanking(restaurants, [
+      { id: 2, reason: 'Curries are often spicy' },
+      { id: 1, reason: null },
+      { id: 99, reason: 'Not in the results' }
+    ]);
+
+    expect(ranked.map(row => row.id)).toEqual([2, 1, 3, 4]);
+    expect(ranked[0]).toEqual({ id: 2, name: 'Curry House', similarity: 40, rerank_reason: 'Curries are often spicy' });
+    expect(ranked[1]).not.toHaveProperty('rerank_reason');
+  });
+});
+
+describe('canRerank', () => {
+  it('only reranks meaning-based results with something to reorder', () => {
+    expect(canRerank('hybrid', restaurants)).toBe(true);
+    expect(canRerank('ilike', restaurants)).toBe(false);
+    expect(canRerank('vector', restaurants.slice(0, 1))).toBe(false);
+  });
+});
+
+describe('rerankResults', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  it('sends the query and top-K ids and applies the ranking', async () => {
+    const invoke = jest.fn(async () => [{ id: 3, reason: 'Closest to the query' }, { id: 1, reason: 'Maybe' }]);
+
+    const { data, attempt } = await rerankResults('spicy food', restaurants, { topK: 3, invoke });
+
+    expect(invoke).toHaveBeenCalledWith({ query: 'spicy food', restaurant_ids: [1, 2, 3] }, expect.any(Object));
+    expect(data.map(row => row.id)).toEqual([3, 1, 2, 4]);
+    expect(attempt).toEqual(expect.objectContaining({ strategy: 'rerank', outcome: 'ok', rows: 3 }));
+  });
+
+  it('reuses a ranking for the same query and result set in any order', async () => {
+    const invoke = jest.fn(async () => [{ id: 2, reason: 'Good' }]);
+
+    await rerankResults('  Noodles ', restaurants, { topK: 2, invoke });
+    const { data, attempt } = await rerankResults('noodles', [restaurants[1], restaurants[0]], { topK: 2, invoke });
+
+    expect(invoke).toHaveBeenCalledTimes(1);
+    expect(data[0].rerank_reason).toBe('Good');
+    expect(attempt.reason).toBe('cached');
+  });
+
+  it('keeps the vector order and aborts the request on timeout', async () => {
+    let signal;
+    const invoke = jest.fn((body, abortSignal) => {
+      signal = abortSignal;
+      return new Promise(() => {});
+    });
+
+    const { data, attempt } = await rerankResults('slow query', restaurants, { timeoutMs: 10, invoke });
+
+    expect(data).toBe(restaurants);
+    expect(attempt).toEqual(expect.objectContaining({ outcome: 'timeout', reason: 'No ranking within 10 ms' }));
+    expect(signal.aborted).toBe(true);
+  });
+
+  it('keeps the vector order when the function fails', async () => {
+    const invoke = async () => {
+      throw new Error('Rerank failed');
+    };
+
+    const { data, attempt } = await rerankResults('broken query', restaurants, { invoke });
+
+    expect(data).toBe(restaurants);
+    expect(attempt).toEqual(expect.objectContaining({ outcome: 'error', reason: 'Rerank failed' }));
+  });
+});
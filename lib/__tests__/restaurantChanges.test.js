@@ -0,0 +1,112 @@
+import { supabase } from '../supabase';
+import {
+  subscribeToRestaurantChanges,
+  applyRestaurantUpdate,
+  removeRestaurant
+} from '../restaurantChanges';
+import { matchesFilters, EMPTY_FILTERS } from '../filters';
+
+jest.mock('../supabase', () => ({ supabase: { channel: jest.fn(), removeChannel: jest.fn() } }));
+jest.mock('../restaurants', () => ({
+  RESTAURANT_COLUMNS: 'id, name, phone_number, city, state, cuisines, price_level, rating, updated_at'
+}));
+
+// A channel that hands the test its postgres_changes listener
+const fakeChannel = () => {
+  const channel = {
+    on: jest.fn((type, filter, listener) => {
+      channel.listener = listener;
+      return channel;
+    }),
+    subscribe: jest.fn(() => channel)
+  };
+  supabase.channel.mockReturnValue(channel);
+  return channel;
+};
+
+describe('subscribeToRestaurantChanges', () => {
+  it('passes on each change with only the columns screens show', () => {
+    const channel = fakeChannel();
+    const handlers = { onInsert: jest.fn(), onUpdate: jest.fn(), onDelete: jest.fn() };
+
+    const unsubscribe = subscribeToRestaurantChanges(handlers);
+    expect(channel.on).toHaveBeenCalledWith(
+      'postgres_changes',
+      { event: '*', schema: 'public', table: 'restaurants' },
+      expect.any(Function)
+    );
+
+    const row = { id: 3, name: 'Taco Palace', phone_number: '512-555-0101', embedding: '[0.1,0.2]', fts: "'taco':1" };
+    channel.listener({ eventType: 'INSERT', new: row, old: {} });
+    channel.listener({ eventType: 'UPDATE', new: row, old: { id: 3 } });
+    channel.listener({ eventType: 'DELETE', new: {}, old: { id: 3 } });
+
+    const shown = { id: 3, name: 'Taco Palace', phone_number: '512-555-0101' };
+    expect(handlers.onInsert).toHaveBeenCalledWith(shown);
+    expect(handlers.onUpdate).toHaveBeenCalledWith(shown);
+    expect(handlers.onDelete).toHaveBeenCalledWith(3);
+
+    unsubscribe();
+    expect(supabase.removeChannel).toHaveBeenCalledWith(channel);
+  });
+});
+
+describe('applying changes to results', () => {
+  const results = [
+    { id: 1, name: 'Taco Palace', phone_number: null, similarity: 91, distance_km: 1.2 },
+    { id: 2, name: 'Green Bowl', phone_number: '512-555-0102', similarity: 84 }
+  ];
+
+  it('updates an edited row in place and keeps its search fields', () => {
+    const updated = applyRestaurantUpdate(results, { id: 1, name: 'Taco Palace', phone_number: '512-555-0101' });
+
+    expect(updated[0]).toEqual({ id: 1, name: 'Taco Palace', phone_number: '512-555-0101', similarity: 91, distance_km: 1.2 });
+    expect(updated[1]).toBe(results[1]);
+  });
+
+  it('leaves the results untouched for rows that are not in them', () => {
+    expect(applyRestaurantUpdate(results, { id: 9, name: 'Elsewhere' })).toBe(results);
+    expect(removeRestaurant(results, 9)).toBe(results);
+  });
+
+  it('drops a deleted row', () => {
+    expect(removeRestaurant(results, 1)).toEqual([results[1]]);
+  });
+});
+
+describe('matchesFilters', () => {
+  const restaurant = {
+    id: 5,
+    city: 'Austin',
+    state: 'TX',
+    phone_number: '512-555-0105',
+    url: null,
+    cuisines: ['thai'],
+    price_level: 2,
+    rating: 4.4
+  };
+
+  it('passes rows that meet every active filter', () => {
+    expect(matchesFilters(restaurant, EMPTY_FILTERS)).toBe(true);
+    expect(matchesFilters(restaurant, {
+      ...EMPTY_FILTERS,
+      state: 'tx',
+      city: 'Austin',
+      hasPhone: true,
+      cuisine: 'Thai',
+      maxPrice: 2,
+      minRating: 4
+    })).toBe(true);
+  });
+
+  it.each([
+    ['is in another city', { city: 'Dallas' }],
+    ['has no website', { hasWebsite: true }],
+    ['serves another cuisine', { cuisine: 'vegan' }],
+    ['is too expensive', { maxPrice: 1 }],
+    ['is rated too low', { minRating: 4.5 }],
+    ['has unknown hours', { openNow: true }]
+  ])('rejects a row that %s', (_, filters) => {
+    expect(matchesFilters(restaurant, { ...EMPTY_FILTERS, ...filters })).toBe(false);
+  });
+});
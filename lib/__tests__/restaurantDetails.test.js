@@ -0,0 +1,115 @@
+import {
+  isOpenAt,
+  formatOpeningHours,
+  formatPriceLevel,
+  formatCuisine,
+  formatRating,
+  formatReviewSummary
+} from '../restaurantDetails';
+import { buildEmbeddingText } from '../embeddingText';
+
+// Open for lunch on weekdays, late on Friday into Saturday, closed Sunday
+const nightOwl = {
+  timezone: 'America/Chicago',
+  opening_hours: {
+    mon: ['11:00-14:30', '17:00-22:00'],
+    tue: ['11:00-14:30', '17:00-22:00'],
+    fri: ['17:00-02:00'],
+    sat: ['10:00-24:00']
+  }
+};
+
+describe('isOpenAt', () => {
+  it.each([
+    // 2025-12-01 is a Monday; Chicago is UTC-6 in December
+    ['Monday lunch', '2025-12-01T18:00:00Z', true],
+    ['Monday between services', '2025-12-01T21:00:00Z', false],
+    ['right at closing time', '2025-12-02T04:00:00Z', false],
+    ['Saturday 1am after Friday night', '2025-12-06T07:00:00Z', true],
+    ['Saturday 3am', '2025-12-06T09:00:00Z', false],
+    ['Saturday just before midnight', '2025-12-07T05:59:00Z', true],
+    ['Sunday', '2025-12-07T18:00:00Z', false]
+  ])('reads the hours on the restaurant\'s clock: %s', (_, instant, expected) => {
+    expect(isOpenAt(nightOwl, new Date(instant))).toBe(expected);
+  });
+
+  it('gives the same answer wherever the user is', () => {
+    // 12:30 in Chicago is 13:30 in New York and 10:30 in Los Angeles
+    const instant = new Date('2025-12-01T18:30:00Z');
+
+    expect(isOpenAt(nightOwl, instant)).toBe(true);
+    expect(isOpenAt({ ...nightOwl, timezone: 'America/Los_Angeles' }, instant)).toBe(false);
+  });
+
+  it('is unknown without hours or a usable timezone', () => {
+    expect(isOpenAt({ ...nightOwl, opening_hours: null })).toBeNull();
+    expect(isOpenAt({ ...nightOwl, timezone: null })).toBeNull();
+    expect(isOpenAt({ ...nightOwl, timezone: 'Mars/Olympus' })).toBeNull();
+  });
+});
+
+describe('formatting', () => {
+  it('lists the week from Monday with closed days', () => {
+    expect(formatOpeningHours(nightOwl.opening_hours).slice(0, 3)).toEqual([
+      { day: 'Mon', hours: '11:00–14:30, 17:00–22:00' },
+      { day: 'Tue', hours: '11:00–14:30, 17:00–22:00' },
+      { day: 'Wed', hours: 'Closed' }
+    ]);
+    expect(formatOpeningHours(null)).toEqual([]);
+  });
+
+  it('formats price, cuisine tags and rating', () => {
+    expect(formatPriceLevel(3)).toBe('$$$');
+    expect(formatPriceLevel(null)).toBeNull();
+    expect(formatCuisine('tex-mex')).toBe('Tex-Mex');
+    expect(formatCuisine('middle eastern')).toBe('Middle Eastern');
+    expect(formatRating(4.25, 120)).toBe('★ 4.3 (120)');
+    expect(formatRating(null, 0)).toBeNull();
+  });
+
+  it('summarizes user reviews only once there are some', () => {
+    expect(formatReviewSummary(4.5, 3)).toBe('💬 4.5 · 3 reviews');
+    expect(formatReviewSummary(5, 1)).toBe('💬 5.0 · 1 review');
+    expect(formatReviewSummary(null, 0)).toBeNull();
+  });
+});
+
+describe('buildEmbeddingText', () => {
+  it('describes cuisine, price and hours so queries like "cheap vegan brunch" can match', () => {
+    const text = buildEmbeddingText({
+      name: 'Green Bowl Vegan Kitchen',
+      city: 'Austin',
+      state: 'TX',
+      address: '4501 Duval St',
+      cuisines: ['vegan', 'brunch'],
+      price_level: 1,
+      opening_hours: { sun: ['09:00-15:00'] },
+      rating: 4.7
+    });
+
+    expect(text).toBe(
+      'Green Bowl Vegan Kitchen restaurant in Austin, TX. Cuisine: vegan, brunch. Price: $ of $$$$. ' +
+      'Hours: Mon Closed; Tue Closed; Wed Closed; Thu Closed; Fri Closed; Sat Closed; Sun 09:00–15:00. ' +
+      'Address: 4501 Duval St'
+    );
+  });
+
+  it('folds in review text unless asked not to', () => {
+    const restaurant = {
+      name: 'Patio Cafe',
+      city: 'Austin',
+      state: 'TX',
+      review_snippets: ['Great patio,\n shady at noon', 'Slow service']
+    };
+
+    expect(buildEmbeddingText(restaurant)).toBe(
+      'Patio Cafe restaurant in Austin, TX. Reviews: "Great patio, shady at noon"; "Slow service"'
+    );
+    expect(buildEmbeddingText(restaurant, { includeReviews: false })).toBe('Patio Cafe restaurant in Austin, TX');
+  });
+
+  it('leaves out what isn\'t known', () => {
+    expect(buildEmbeddingText({ name: 'Taco Palace', city: 'Austin', state: 'TX', cuisines: [] }))
+      .toBe('Taco Palace restaurant in Austin, TX');
+  });
+});
@@ -0,0 +1,251 @@
+import {
+  parseCsv,
+  parseJson,
+  mapColumns,
+  normalizePhone,
+  normalizeUrl,
+  normalizeState,
+  normalizeCoordinates,
+  normalizeCuisines,
+  normalizePriceLevel,
+  normalizeRating,
+  normalizeOpeningHours,
+  normalizeTimeZone,
+  normalizePhotoUrls,
+  normalizeRecord,
+  toInsertRow,
+  isSameRestaurant,
+  changedFields,
+  planImport
+} from '../restaurantImport';
+
+describe('parseCsv', () => {
+  it('reads quoted fields, escaped quotes, CRLF and the line each record starts on', () => {
+    const csv = '﻿name,address\r\n"Joe\'s ""Famous"" Pizza","1 Main St, Suite 2"\r\n\r\n"Two\nLines",2 Oak Ave\r\n';
+
+    expect(parseCsv(csv)).toEqual([
+      { line: 2, name: 'Joe\'s "Famous" Pizza', address: '1 Main St, Suite 2' },
+      { line: 4, name: 'Two\nLines', address: '2 Oak Ave' }
+    ]);
+  });
+
+  it('fills missing trailing fields with empty strings', () => {
+    expect(parseCsv('name,city,state\nTaco Palace,Austin')).toEqual([
+      { line: 2, name: 'Taco Palace', city: 'Austin', state: '' }
+    ]);
+  });
+
+  it('rejects an unterminated quote', () => {
+    expect(() => parseCsv('name\n"Open')).toThrow('Unterminated quoted field starting on line 2');
+  });
+});
+
+describe('parseJson', () => {
+  it('accepts an array or { restaurants }, numbering items from 1', () => {
+    expect(parseJson('[{"name":"A"}]')).toEqual([{ name: 'A', line: 1 }]);
+    expect(parseJson('{"restaurants":[{"name":"A"},{"name":"B"}]}')[1]).toEqual({ name: 'B', line: 2 });
+  });
+
+  it('rejects other shapes', () => {
+    expect(() => parseJson('{"name":"A"}')).toThrow('Expected a JSON array');
+  });
+});
+
+describe('mapColumns', () => {
+  it('maps common aliases and reports unknown columns', () => {
+    expect(mapColumns({ line: 2, 'Restaurant Name': 'A', Phone: '1', lon: '2', Website: 'x', Cuisine: 'thai', Notes: 'y' })).toEqual({
+      mapped: { name: 'A', phone_number: '1', longitude: '2', url: 'x', cuisines: 'thai' },
+      unknown: ['Notes']
+    });
+  });
+});
+
+describe('field normalization', () => {
+  it.each([
+    ['(512) 555-0101', '512-555-0101'],
+    ['+1 512.555.0101', '512-555-0101'],
+    ['5125550101', '512-555-0101'],
+    ['', null]
+  ])('formats phone %p', (input, expected) => {
+    expect(normalizePhone(input)).toEqual({ value: expected });
+  });
+
+  it('rejects phone numbers that are not 10 digits', () => {
+    expect(normalizePhone('555-0101').error).toMatch('not a 10-digit US number');
+  });
+
+  it('adds a missing scheme and rejects non-web URLs', () => {
+    expect(normalizeUrl('joes.example.com')).toEqual({ value: 'https://joes.example.com' });
+    expect(normalizeUrl('http://joes.example.com/menu')).toEqual({ value: 'http://joes.example.com/menu' });
+    expect(normalizeUrl('mailto:joe@example.com').error).toMatch('not a website address');
+    expect(normalizeUrl('localhost').error).toMatch('not a website address');
+    expect(normalizeUrl('http://exa mple.com').error).toMatch('not a valid URL');
+  });
+
+  it('turns state names into codes', () => {
+    expect(normalizeState(' texas ')).toEqual({ value: 'TX' });
+    expect(normalizeState('or')).toEqual({ value: 'OR' });
+    expect(normalizeState('New  York')).toEqual({ value: 'NY' });
+    expect(normalizeState('Ontario').error).toMatch('not a US state');
+  });
+
+  it('checks coordinate ranges and pairs', () => {
+    expect(normalizeCoordinates('30.25', '-97.76')).toEqual({ value: { latitude: 30.25, longitude: -97.76 } });
+    expect(normalizeCoordinates('', '')).toEqual({ value: { latitude: null, longitude: null } });
+    expect(normalizeCoordinates('30.25', '').error).toMatch('given together');
+    expect(normalizeCoordinates('120', '10').error).toMatch('latitude "120"');
+    expect(normalizeCoordinates('10', 'east').error).toMatch('longitude "east"');
+    expect(normalizeCoordinates(0, 0).error).toMatch('0, 0');
+  });
+
+  it('lowercases cuisine tags from a list or a cell and drops repeats', () => {
+    expect(normalizeCuisines('Thai; Noodles | thai')).toEqual({ value: ['thai', 'noodles'] });
+    expect(normalizeCuisines(['Tex-Mex', ' BBQ '])).toEqual({ value: ['tex-mex', 'bbq'] });
+    expect(normalizeCuisines(' ; ')).toEqual({ value: null });
+  });
+
+  it('reads price levels as numbers or dollar signs', () => {
+    expect(normalizePriceLevel('$$')).toEqual({ value: 2 });
+    expect(normalizePriceLevel(4)).toEqual({ value: 4 });
+    expect(normalizePriceLevel('$$$$$').error).toMatch('not 1-4');
+    expect(normalizeRating('4.56')).toEqual({ value: 4.6 });
+    expect(normalizeRating('6').error).toMatch('between 0 and 5');
+  });
+
+  it('normalizes opening hours from JSON text, day names and loose ranges', () => {
+    expect(normalizeOpeningHours('{"Monday": "9:00 - 17:00, 18:00-22:00", "sat": ["17:00-02:00"], "sun": "closed"}')).toEqual({
+      value: { mon: ['09:00-17:00', '18:00-22:00'], sat: ['17:00-02:00'], sun: [] }
+    });
+    expect(normalizeOpeningHours('11-22').error).toMatch('is not JSON');
+    expect(normalizeOpeningHours('["11:00-22:00"]').error).toMatch('must be an object');
+    expect(normalizeOpeningHours({ funday: ['11:00-22:00'] }).error).toMatch('"funday" is not a weekday');
+    expect(normalizeOpeningHours({ mon: ['11:00-25:00'] }).error).toMatch('"11:00-25:00" on mon');
+  });
+
+  it('accepts IANA time zones and web photo URLs', () => {
+    expect(normalizeTimeZone('America/Chicago')).toEqual({ value: 'America/Chicago' });
+    expect(normalizeTimeZone('Mars/Olympus').error).toMatch('not a known time zone');
+    expect(normalizePhotoUrls('img.example.com/a.jpg; https://img.example.com/b.jpg')).toEqual({
+      value: ['https://img.example.com/a.jpg', 'https://img.example.com/b.jpg']
+    });
+    expect(normalizePhotoUrls('ftp://img.example.com/a.jpg').error).toMatch('photo "ftp://');
+  });
+});
+
+describe('normalizeRecord', () => {
+  it('returns a cleaned restaurant', () => {
+    const { restaurant, errors } = normalizeRecord({
+      line: 2,
+      name: '  Joe\'s   Pizza ',
+      address: '1100 S Lamar Blvd',
+      phone: '512 555 0101',
+      lat: 30.2544,
+      lng: -97.7646,
+      city: 'Austin',
+      state: 'Texas',
+      website: ''
+    });
+
+    expect(errors).toEqual([]);
+    expect(restaurant).toEqual({
+      name: 'Joe\'s Pizza',
+      address: '1100 S Lamar Blvd',
+      phone_number: '512-555-0101',
+      latitude: 30.2544,
+      longitude: -97.7646,
+      city: 'Austin',
+      state: 'TX',
+      url: null,
+      cuisines: null,
+      price_level: null,
+      rating: null,
+      rating_count: null,
+      opening_hours: null,
+      timezone: null,
+      photo_urls: null
+    });
+    expect(toInsertRow(restaurant)).toEqual(expect.objectContaining({ cuisines: [], rating_count: 0, photo_urls: [] }));
+  });
+
+  it('needs a timezone for opening hours', () => {
+    const { errors } = normalizeRecord({ name: 'Night Owl', hours: '{"fri": ["17:00-02:00"]}' });
+
+    expect(errors).toEqual(['hours need a timezone']);
+  });
+
+  it('collects every problem with a bad row', () => {
+    const { restaurant, errors } = normalizeRecord({ name: '', phone: '12', state: 'ZZ' });
+
+    expect(restaurant).toBeNull();
+    expect(errors).toEqual([
+      'name is missing',
+      'phone "12" is not a 10-digit US number',
+      'state "ZZ" is not a US state'
+    ]);
+  });
+});
+
+describe('duplicates', () => {
+  const joes = { name: 'Joe\'s Pizza', address: '1100 S Lamar Blvd', latitude: 30.2544, longitude: -97.7646 };
+
+  it('matches the same name at the same address, ignoring case, punctuation and street abbreviations', () => {
+    expect(isSameRestaurant(joes, { name: 'JOES PIZZA', address: '1100 South Lamar Boulevard' })).toBe(true);
+  });
+
+  it('matches the same name within 50 m', () => {
+    expect(isSameRestaurant(joes, { name: 'Joe\'s Pizza', address: null, latitude: 30.2547, longitude: -97.7646 })).toBe(true);
+    expect(isSameRestaurant(joes, { name: 'Joe\'s Pizza', address: null, latitude: 30.2600, longitude: -97.7646 })).toBe(false);
+  });
+
+  it('keeps different restaurants at one address apart', () => {
+    expect(isSameRestaurant(joes, { ...joes, name: 'Taco Palace' })).toBe(false);
+  });
+
+  it('only reports changed, non-blank fields and ignores respellings', () => {
+    const stored = { id: 1, ...joes, latitude: '30.2544', phone_number: '512-555-0101', city: 'Austin', state: 'TX', url: null };
+
+    expect(changedFields(stored, {
+      ...joes,
+      name: 'JOES PIZZA',
+      address: '1100 South Lamar Boulevard',
+      phone_number: '512-555-0199',
+      city: 'Austin',
+      state: null,
+      url: 'https://joes.example.com'
+    })).toEqual({ phone_number: '512-555-0199', url: 'https://joes.example.com' });
+  });
+
+  it('compares cuisines and hours by content', () => {
+    const stored = { id: 1, ...joes, cuisines: ['pizza', 'italian'], opening_hours: { tue: ['11:00-22:00'], mon: [] }, rating: '4.5' };
+
+    expect(changedFields(stored, {
+      ...joes,
+      cuisines: ['italian', 'pizza'],
+      opening_hours: { mon: [], tue: ['11:00-22:00'] },
+      rating: 4.5
+    })).toEqual({});
+    expect(changedFields(stored, { ...joes, opening_hours: { tue: ['12:00-22:00'] } })).toEqual({
+      opening_hours: { tue: ['12:00-22:00'] }
+    });
+  });
+
+  it('plans inserts, updates, unchanged rows and duplicates within the file', () => {
+    const existing = [
+      { id: 1, ...joes, phone_number: null, city: 'Austin', state: 'TX', url: null },
+      { id: 2, name: 'Taco Palace', address: '2 Oak Ave', city: 'Austin', state: 'TX' }
+    ];
+    const records = [
+      { line: 2, restaurant: { ...joes, phone_number: '512-555-0101' } },
+      { line: 3, restaurant: { name: 'Taco Palace', address: '2 Oak Avenue', city: 'Austin', state: 'TX' } },
+      { line: 4, restaurant: { name: 'Pizza Napoli', address: '3 Pine Rd', city: 'Portland', state: 'OR' } },
+      { line: 5, restaurant: { name: 'pizza napoli', address: '3 Pine Road' } }
+    ];
+
+    expect(planImport(records, existing)).toEqual({
+      inserts: [records[2]],
+      updates: [{ id: 1, line: 2, changes: { phone_number: '512-555-0101' } }],
+      unchanged: [{ id: 2, line: 3 }],
+      duplicates: [{ line: 5, duplicateOf: 4 }]
+    });
+  });
+});
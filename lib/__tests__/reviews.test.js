@@ -0,0 +1,124 @@
+import { supabase } from '../supabase';
+import {
+  validateReview,
+  fetchReviews,
+  fetchMyReview,
+  saveReview,
+  deleteReview,
+  MAX_REVIEW_LENGTH
+} from '../reviews';
+
+jest.mock('../supabase', () => ({ supabase: { from: jest.fn() } }));
+
+// A query builder that records every call and resolves to `result`
+const recordingQuery = (result = { data: null, error: null }) => {
+  const calls = [];
+  const query = new Proxy({}, {
+    get: (_, method) => {
+      if (method === 'then') {
+        return (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+      }
+      return (...args) => {
+        calls.push([method, ...args]);
+        return query;
+      };
+    }
+  });
+  supabase.from.mockReturnValue(query);
+  return calls;
+};
+
+beforeEach(() => {
+  supabase.from.mockReset();
+});
+
+describe('validateReview', () => {
+  it('trims the text and stores an empty one as null', () => {
+    expect(validateReview({ rating: 4, body: '  Great patio  ' })).toEqual({ rating: 4, body: 'Great patio' });
+    expect(validateReview({ rating: 5, body: '   ' })).toEqual({ rating: 5, body: null });
+    expect(validateReview({ rating: 3 })).toEqual({ rating: 3, body: null });
+  });
+
+  it.each([0, 6, 3.5, undefined])('rejects a rating of %p', (rating) => {
+    expect(() => validateReview({ rating, body: 'ok' })).toThrow('Pick a rating from 1 to 5 stars.');
+  });
+
+  it('rejects text over the limit', () => {
+    expect(() => validateReview({ rating: 4, body: 'x'.repeat(MAX_REVIEW_LENGTH + 1) }))
+      .toThrow(`Reviews can be up to ${MAX_REVIEW_LENGTH} characters`);
+  });
+});
+
+describe('fetchReviews', () => {
+  it('reads one restaurant\'s reviews, newest first', async () => {
+    const reviews = [{ id: 2, rating: 4 }, { id: 1, rating: 5 }];
+    const calls = recordingQuery({ data: reviews, error: null });
+
+    await expect(fetchReviews(7, 10)).resolves.toBe(reviews);
+    expect(supabase.from).toHaveBeenCalledWith('reviews');
+    expect(calls).toEqual([
+      ['select', expect.stringContaining('rating, body')],
+      ['eq', 'restaurant_id', 7],
+      ['order', 'updated_at', { ascending: false }],
+      ['limit', 10]
+    ]);
+  });
+
+  it('throws the error Supabase returns', async () => {
+    recordingQuery({ data: null, error: { message: 'permission denied', code: '42501' } });
+
+    await expect(fetchReviews(7)).rejects.toEqual(expect.objectContaining({ code: '42501' }));
+  });
+});
+
+describe('fetchMyReview', () => {
+  it('looks up the user\'s own review and resolves to null without one', async () => {
+    const calls = recordingQuery({ data: null, error: null });
+
+    await expect(fetchMyReview(7, 'user-1')).resolves.toBeNull();
+    expect(calls).toEqual([
+      ['select', expect.any(String)],
+      ['eq', 'restaurant_id', 7],
+      ['eq', 'user_id', 'user-1'],
+      ['maybeSingle']
+    ]);
+  });
+});
+
+describe('saveReview', () => {
+  it('upserts on the restaurant and user so a second review replaces the first', async () => {
+    const saved = { id: 1, restaurant_id: 7, rating: 5, body: 'Lovely' };
+    const calls = recordingQuery({ data: saved, error: null });
+
+    await expect(saveReview(7, { rating: 5, body: 'Lovely ' })).resolves.toBe(saved);
+    expect(calls).toEqual([
+      ['upsert', { restaurant_id: 7, rating: 5, body: 'Lovely' }, { onConflict: 'restaurant_id,user_id' }],
+      ['select', expect.any(String)],
+      ['single']
+    ]);
+  });
+
+  it('does not write an invalid review', async () => {
+    await expect(saveReview(7, { rating: 0 })).rejects.toThrow('Pick a rating');
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+
+  it('throws when the write is refused', async () => {
+    recordingQuery({ data: null, error: { message: 'new row violates row-level security policy', code: '42501' } });
+
+    await expect(saveReview(7, { rating: 4 })).rejects.toEqual(expect.objectContaining({ code: '42501' }));
+  });
+});
+
+describe('deleteReview', () => {
+  it('deletes only the user\'s own review of that restaurant', async () => {
+    const calls = recordingQuery();
+
+    await deleteReview(7, 'user-1');
+    expect(calls).toEqual([
+      ['delete'],
+      ['eq', 'restaurant_id', 7],
+      ['eq', 'user_id', 'user-1']
+    ]);
+  });
+});
@@ -0,0 +1,108 @@
+import { createClient } from '@supabase/supabase-js';
+
+// lib/reviews.js talks to whichever client the test signs in as
+const mockSupabase = { current: null };
+jest.mock('../supabase', () => ({
+  get supabase() {
+    return mockSupabase.current;
+  }
+}));
+
+const { saveReview, deleteReview } = require('../reviews');
+
+// The reviews table, its policies and the trigger that keeps restaurant
+// averages, against the local stack seeded by `npm run db:seed -- --reset`.
+// Signs up two throwaway users (the local stack confirms email sign-ups
+// straight away). Skipped unless the script's env lines are set:
+//   SUPABASE_LOCAL_URL=... SUPABASE_LOCAL_ANON_KEY=... npm test
+const { SUPABASE_LOCAL_URL: url, SUPABASE_LOCAL_ANON_KEY: anonKey } = process.env;
+const describeLocal = url && anonKey ? describe : describe.skip;
+
+describeLocal('reviews against the local stack', () => {
+  const reviewers = [];
+  let restaurantId;
+
+  const signUp = async () => {
+    const client = createClient(url, anonKey, { auth: { persistSession: false, autoRefreshToken: false } });
+    const { data, error } = await client.auth.signUp({
+      email: `reviewer-${Date.now()}-${reviewers.length}@example.com`,
+      password: 'local-stack-only'
+    });
+    expect(error).toBeNull();
+    const reviewer = { client, userId: data.user.id };
+    reviewers.push(reviewer);
+    return reviewer;
+  };
+
+  const as = (reviewer) => {
+    mockSupabase.current = reviewer.client;
+  };
+
+  const reviewColumns = async () => {
+    const { data, error } = await reviewers[0].client
+      .from('restaurants')
+      .select('review_rating, review_count, review_snippets, embedding_dirty')
+      .eq('id', restaurantId)
+      .single();
+    expect(error).toBeNull();
+    return data;
+  };
+
+  beforeAll(async () => {
+    await signUp();
+    await signUp();
+    const { data } = await reviewers[0].client
+      .from('restaurants')
+      .select('id')
+      .eq('name', 'Sakura Sushi Bar')
+      .single();
+    restaurantId = data.id;
+  });
+
+  afterAll(async () => {
+    for (const reviewer of reviewers) {
+      await reviewer.client.from('reviews').delete().eq('user_id', reviewer.userId);
+    }
+  });
+
+  it('keeps the restaurant\'s average, count and newest texts up to date', async () => {
+    const [first, second] = reviewers;
+
+    as(first);
+    await saveReview(restaurantId, { rating: 5, body: 'Great patio' });
+    as(second);
+    await saveReview(restaurantId, { rating: 2, body: 'Slow service' });
+
+    expect(await reviewColumns()).toEqual({
+      review_rating: 3.5,
+      review_count: 2,
+      review_snippets: ['Slow service', 'Great patio'],
+      embedding_dirty: true
+    });
+
+    // A second review from the same user replaces the first
+    await saveReview(restaurantId, { rating: 4 });
+    expect(await reviewColumns()).toEqual(expect.objectContaining({
+      review_rating: 4.5,
+      review_count: 2,
+      review_snippets: ['Great patio']
+    }));
+
+    await deleteReview(restaurantId, second.userId);
+    expect(await reviewColumns()).toEqual(expect.objectContaining({ review_rating: 5, review_count: 1 }));
+  });
+
+  it('lets nobody change or delete someone else\'s review', async () => {
+    const [first, second] = reviewers;
+    as(first);
+    await saveReview(restaurantId, { rating: 3 });
+
+    await second.client.from('reviews').delete().eq('restaurant_id', restaurantId).eq('user_id', first.userId);
+    const { error } = await second.client
+      .from('reviews')
+      .insert({ restaurant_id: restaurantId, user_id: first.userId, rating: 1 });
+
+    expect(error).toEqual(expect.objectContaining({ code: '42501' }));
+    expect(await reviewColumns()).toEqual(expect.objectContaining({ review_rating: 3, review_count: 1 }));
+  });
+});
@@ -0,0 +1,132 @@
+import { fetch } from 'expo/fetch';
+import { supabase } from './supabase';
+
+// Client for the assistant Edge Function (supabase/functions/assistant).
+// Answers are grounded in restaurant rows the function loads by id, stream in
+// as they are generated, and cite restaurants inline as [#id].
+
+// The function keeps the last 12 messages; sending more only costs bandwidth
+const MAX_HISTORY_MESSAGES = 12;
+// Results on screen the assistant is told about, then search matches for the question
+const MAX_SCREEN_RESTAURANTS = 20;
+const MAX_RETRIEVED_RESTAURANTS = 10;
+
+export const CITATION_PATTERN = /\[#(\d+)\]/g;
+
+// Ids for the assistant to work from: the results the user is looking at
+// ("which of these...") followed by the best matches for the question itself.
+// `search` is the search engine's search(); if it fails the screen's results
+// are still enough to answer from.
+export const retrieveContextIds = async ({ question, restaurantIds = [], filters = {}, search }) => {
+  let retrieved = [];
+
+  try {
+    const result = await search({ mode: 'auto', query: question, filters });
+    retrieved = result.data.slice(0, MAX_RETRIEVED_RESTAURANTS).map(restaurant => restaurant.id);
+  } catch (error) {
+    console.log('⚠️ Assistant retrieval failed, using the results on screen:', error.message);
+  }
+
+  return [...new Set([...restaurantIds.slice(0, MAX_SCREEN_RESTAURANTS), ...retrieved])];
+};
+
+// Splits an answer into text and citation parts for rendering:
+// "Try Joe's [#12]." -> [{ text: "Try Joe's " }, { citation: 12 }, { text: '.' }]
+export const splitCitations = (text) => {
+  const parts = [];
+  let last = 0;
+
+  for (const match of text.matchAll(CITATION_PATTERN)) {
+    if (match.index > last) {
+      parts.push({ text: text.slice(last, match.index) });
+    }
+    parts.push({ citation: Number(match[1]) });
+    last = match.index + match[0].length;
+  }
+
+  if (last < text.length) {
+    parts.push({ text: text.slice(last) });
+  }
+  return parts;
+};
+
+// The function sends one JSON event per line; chunks can end mid-line
+export const createEventDecoder = (onEvent) => {
+  let buffer = '';
+
+  const emit = (line) => {
+    if (line.trim()) {
+      onEvent(JSON.parse(line));
+    }
+  };
+
+  return {
+    push: (chunk) => {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(emit);
+    },
+    end: () => {
+      emit(buffer);
+      buffer = '';
+    }
+  };
+};
+
+const functionUrl = () => `${process.env.EXPO_PUBLIC_SUPABASE_URL}/functions/v1/assistant`;
+
+// Streams an answer to the last user message. `onEvent` receives the
+// function's events in order (sources, delta..., done); an `error` event or a
+// failed request rejects instead. Pass an AbortSignal to stop early.
+export const streamAssistantAnswer = async ({ messages, restaurantIds, onEvent, signal }) => {
+  const { data: { session } } = await supabase.auth.getSession();
+  const anonKey = process.env.EXPO_PUBLIC_SUPABASE_ANON_KEY;
+
+  const response = await fetch(functionUrl(), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      apikey: anonKey,
+      Authorization: `Bearer ${session?.access_token || anonKey}`
+    },
+    body: JSON.stringify({
+      messages: messages.slice(-MAX_HISTORY_MESSAGES).map(({ role, content }) => ({ role, content })),
+      restaurant_ids: restaurantIds
+    }),
+    signal
+  });
+
+  if (!response.ok) {
+    if (response.status === 429) {
+      throw new Error('Too many questions in a short time. Please wait a moment and try again.');
+    }
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || `The assistant is unavailable (${response.status})`);
+  }
+
+  let failure = null;
+  const decoder = createEventDecoder(event => {
+    if (event.type === 'error') {
+      failure = new Error(event.message);
+    } else {
+      onEvent(event);
+    }
+  });
+
+  const reader = response.body.getReader();
+  const textDecoder = new TextDecoder();
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) {
+      break;
+    }
+    decoder.push(textDecoder.decode(value, { stream: true }));
+  }
+  decoder.end();
+
+  if (failure) {
+    throw failure;
+  }
+};
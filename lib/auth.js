@@ -0,0 +1,114 @@
+import { useEffect, useState } from 'react';
+import * as Linking from 'expo-linking';
+import * as WebBrowser from 'expo-web-browser';
+import { supabase } from './supabase';
+
+// Magic links and OAuth providers send the user back here, e.g. testingsupabase://auth/callback
+export const AUTH_REDIRECT_URL = Linking.createURL('auth/callback');
+
+// Providers offered on the sign-in screen; each must be enabled under Authentication > Providers
+export const OAUTH_PROVIDERS = [
+  { id: 'google', label: 'Continue with Google' },
+  { id: 'apple', label: 'Continue with Apple' },
+  { id: 'github', label: 'Continue with GitHub' }
+];
+
+export const isAuthCallback = (url) => Boolean(url) && url.includes('auth/callback');
+
+// Emails a one-time sign-in link that opens the app
+export const signInWithEmail = async (email) => {
+  const { error } = await supabase.auth.signInWithOtp({
+    email: email.trim(),
+    options: { emailRedirectTo: AUTH_REDIRECT_URL }
+  });
+
+  if (error) {
+    throw error;
+  }
+};
+
+// A code can only be traded once, and an OAuth redirect can reach both
+// signInWithProvider and the app's URL listener. Every caller with the same
+// code shares the first exchange instead of starting a second one.
+const exchanges = new Map();
+
+const exchangeCode = (code) => {
+  if (!exchanges.has(code)) {
+    exchanges.set(code, (async () => {
+      const { data, error } = await supabase.auth.exchangeCodeForSession(code);
+
+      if (error) {
+        throw error;
+      }
+
+      return data.session;
+    })());
+  }
+
+  return exchanges.get(code);
+};
+
+// Trades the ?code= on a redirect URL for a session
+export const completeSignIn = async (url) => {
+  const { queryParams } = Linking.parse(url);
+
+  if (queryParams?.error_description) {
+    throw new Error(queryParams.error_description);
+  }
+
+  if (!queryParams?.code) {
+    return null;
+  }
+
+  return exchangeCode(queryParams.code);
+};
+
+// Opens the provider's consent page in an in-app browser and finishes sign-in when it redirects back.
+// Returns null when the user closes the browser.
+export const signInWithProvider = async (provider) => {
+  const { data, error } = await supabase.auth.signInWithOAuth({
+    provider,
+    options: {
+      redirectTo: AUTH_REDIRECT_URL,
+      skipBrowserRedirect: true
+    }
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  const result = await WebBrowser.openAuthSessionAsync(data.url, AUTH_REDIRECT_URL);
+
+  if (result.type !== 'success') {
+    return null;
+  }
+
+  return completeSignIn(result.url);
+};
+
+export const signOut = async () => {
+  const { error } = await supabase.auth.signOut();
+
+  if (error) {
+    throw error;
+  }
+};
+
+// Current session, kept up to date with sign-ins, sign-outs and token refreshes.
+// `undefined` while the stored session is still loading, `null` when signed out.
+export const useSession = () => {
+  const [session, setSession] = useState(undefined);
+
+  useEffect(() => {
+    supabase.auth.getSession().then(({ data }) => setSession(data.session));
+
+    const { data: { subscription } } = supabase.auth.onAuthStateChange((_event, newSession) => {
+      setSession(newSession);
+    });
+
+    return () => subscription.unsubscribe();
+  }, []);
+
+  return session;
+};
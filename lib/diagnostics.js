@@ -0,0 +1,99 @@
+import { supabase } from './supabase';
+import { EMBEDDING_MODEL } from './vectors';
+
+// The database objects each search feature relies on, checked against what
+// the search_diagnostics RPC reports
+
+export const EXPECTED_OBJECTS = {
+  extensions: [
+    { name: 'vector', usedBy: 'Vector and hybrid search' },
+    { name: 'pg_trgm', usedBy: 'Typeahead suggestions' },
+    { name: 'earthdistance', usedBy: 'Near me and radius search' }
+  ],
+  functions: [
+    { name: 'match_restaurants', usedBy: 'Vector search' },
+    { name: 'hybrid_search_restaurants', usedBy: 'Hybrid search' },
+    { name: 'search_restaurants_semantic', usedBy: 'Vector search fallback' },
+    { name: 'search_restaurants_text', usedBy: 'Full-text search' },
+    { name: 'nearby_restaurants', usedBy: 'Near me without search words' },
+    { name: 'restaurant_matches_filters', usedBy: 'Filters in every RPC' },
+    { name: 'restaurant_open_at', usedBy: 'Open now filter' },
+    { name: 'restaurant_cuisines', usedBy: 'Cuisine filter picker' },
+    { name: 'refresh_restaurant_reviews', usedBy: 'Review averages and review text' },
+    { name: 'similar_restaurants', usedBy: 'Similar restaurants on the detail screen' },
+    { name: 'search_suggestions', usedBy: 'Typeahead suggestions' },
+    { name: 'check_embedding_rate_limit', usedBy: 'The embed Edge Function' }
+  ],
+  columns: [
+    { name: 'embedding', usedBy: 'Vector and hybrid search' },
+    { name: 'embedding_text', usedBy: 'On-device vector ranking' },
+    { name: 'embedding_updated_at', usedBy: 'Embedding backfill' },
+    { name: 'embedding_dirty', usedBy: 'Re-embedding edited restaurants' },
+    { name: 'embedding_model', usedBy: 'Matching vectors to the query model' },
+    { name: 'fts', usedBy: 'Full-text and hybrid search' },
+    { name: 'cuisines', usedBy: 'Cuisine filter and embedding text' },
+    { name: 'price_level', usedBy: 'Price filter' },
+    { name: 'rating', usedBy: 'Rating filter' },
+    { name: 'opening_hours', usedBy: 'Open now and embedding text' },
+    { name: 'timezone', usedBy: 'Open now' },
+    { name: 'photo_urls', usedBy: 'Result photos' },
+    { name: 'review_rating', usedBy: 'Review averages on result cards' },
+    { name: 'review_snippets', usedBy: 'Review text in the embedding text' },
+    { name: 'updated_at', usedBy: 'Offline sync' }
+  ],
+  indexes: [
+    { name: 'restaurants_embedding_idx', usedBy: 'Fast vector search' },
+    { name: 'restaurants_fts_idx', usedBy: 'Fast full-text search' },
+    { name: 'restaurants_cuisines_idx', usedBy: 'Fast cuisine filter' },
+    { name: 'restaurants_location_idx', usedBy: 'Fast radius search' },
+    { name: 'restaurants_name_trgm_idx', usedBy: 'Fast suggestions' }
+  ]
+};
+
+// Errors meaning a function, table or column hasn't been created yet
+const MISSING_OBJECT_CODES = ['PGRST202', '42883', '42P01', '42703'];
+
+export const isMissingObjectError = (error) => MISSING_OBJECT_CODES.includes(error?.code);
+
+// A search fell back because the database is missing something it needed
+export const needsSetup = (trail) => trail.some(attempt => isMissingObjectError(attempt));
+
+// Resolves to { sections, others, restaurants }. Each section lists the
+// expected objects with `present`; `others` holds the remaining public
+// functions and restaurants indexes, e.g. ones added by hand. `restaurants`
+// counts rows, embeddings, dirty rows and vectors search ignores because
+// another model made them (`other_model`).
+export const fetchDiagnostics = async () => {
+  const { data, error } = await supabase.rpc('search_diagnostics');
+
+  if (error) {
+    if (isMissingObjectError(error)) {
+      throw new Error('The search_diagnostics function is missing. Run `supabase db push` to apply the migrations.');
+    }
+    throw error;
+  }
+
+  const expectedNames = (kind) => new Set(EXPECTED_OBJECTS[kind].map(item => item.name));
+
+  const sections = Object.entries(EXPECTED_OBJECTS).map(([kind, expected]) => {
+    const found = new Set(data[kind].map(item => item.name));
+    return {
+      kind,
+      items: expected.map(item => ({ ...item, present: found.has(item.name) }))
+    };
+  });
+
+  return {
+    sections,
+    others: {
+      functions: data.functions.filter(item => !expectedNames('functions').has(item.name)),
+      indexes: data.indexes.filter(item => !expectedNames('indexes').has(item.name))
+    },
+    restaurants: {
+      ...data.restaurants,
+      other_model: Object.entries(data.restaurants.models || {})
+        .filter(([model]) => model !== EMBEDDING_MODEL)
+        .reduce((sum, [, rows]) => sum + rows, 0)
+    }
+  };
+};
@@ -0,0 +1,30 @@
+import { formatOpeningHours, formatPriceLevel } from './restaurantDetails.js';
+
+// Build the text that gets embedded for a restaurant.
+// Shared by the backfill script so every vector is made from the same fields.
+// restaurant_embedding_source in SQL lists the same fields, so editing any of
+// them marks the row for re-embedding. `includeReviews: false` leaves out the
+// newest review texts (review_snippets).
+export const buildEmbeddingText = (restaurant, { includeReviews = true } = {}) => {
+  const location = [restaurant.city, restaurant.state].filter(Boolean).join(', ');
+  const headline = [restaurant.name, 'restaurant', location && `in ${location}`]
+    .filter(Boolean)
+    .join(' ');
+  const cuisines = restaurant.cuisines || [];
+  const reviews = includeReviews ? restaurant.review_snippets || [] : [];
+  const hours = formatOpeningHours(restaurant.opening_hours)
+    .map(({ day, hours: ranges }) => `${day} ${ranges}`)
+    .join('; ');
+
+  return [
+    headline,
+    cuisines.length > 0 && `Cuisine: ${cuisines.join(', ')}`,
+    restaurant.price_level && `Price: ${formatPriceLevel(restaurant.price_level)} of $$$$`,
+    hours && `Hours: ${hours}`,
+    restaurant.address && `Address: ${restaurant.address}`,
+    restaurant.url && `Website: ${restaurant.url}`,
+    reviews.length > 0 && `Reviews: ${reviews.map(review => `"${review.replace(/\s+/g, ' ').trim()}"`).join('; ')}`
+  ]
+    .filter(Boolean)
+    .join('. ');
+};
@@ -0,0 +1,90 @@
+import { supabase } from './supabase';
+import { readCachedEmbedding, writeCachedEmbedding } from './offlineIndex';
+import { EMBEDDING_MODEL } from './vectors';
+
+export { EMBEDDING_MODEL };
+
+// Query embeddings kept in memory for this session; older ones stay on disk
+const MEMORY_CACHE_SIZE = 100;
+
+// "  Pizza   Austin " and "pizza austin" embed once. The embed function uses the same rule.
+export const normalizeQuery = (query) => query.trim().toLowerCase().replace(/\s+/g, ' ');
+
+const cacheKey = (query) => `${EMBEDDING_MODEL}:${normalizeQuery(query)}`;
+
+// A Map iterates in insertion order, so re-inserting on every hit makes the first key the least recently used
+const memoryCache = new Map();
+// Requests still waiting on the network, so concurrent callers share one
+const inFlight = new Map();
+
+const remember = (key, embedding) => {
+  memoryCache.delete(key);
+  memoryCache.set(key, embedding);
+
+  if (memoryCache.size > MEMORY_CACHE_SIZE) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+};
+
+// Memory first, then disk; never touches the network
+export const getCachedEmbedding = async (query) => {
+  const key = cacheKey(query);
+
+  if (memoryCache.has(key)) {
+    const embedding = memoryCache.get(key);
+    remember(key, embedding);
+    return embedding;
+  }
+
+  const stored = await readCachedEmbedding(key).catch(error => {
+    console.log('⚠️ Could not read embedding cache:', error.message);
+    return null;
+  });
+
+  if (stored) {
+    remember(key, stored);
+  }
+  return stored;
+};
+
+// The embed Edge Function keeps the OpenAI key off the device and has its own shared cache
+const requestEmbedding = async (query) => {
+  const { data, error } = await supabase.functions.invoke('embed', {
+    body: { input: normalizeQuery(query) }
+  });
+
+  if (error) {
+    if (error.context?.status === 429) {
+      throw new Error('Too many searches in a short time. Please wait a moment and try again.');
+    }
+    throw error;
+  }
+
+  return data.embedding;
+};
+
+// Embed a search query, reusing any earlier embedding of the same normalized
+// text. Concurrent calls for the same query share a single request.
+export const embedQuery = (query) => {
+  const key = cacheKey(query);
+
+  if (!inFlight.has(key)) {
+    const request = (async () => {
+      const cached = await getCachedEmbedding(query);
+      if (cached) {
+        return cached;
+      }
+
+      const embedding = await requestEmbedding(query);
+      remember(key, embedding);
+      writeCachedEmbedding(key, embedding).catch(error => {
+        console.log('⚠️ Could not save embedding cache:', error.message);
+      });
+      return embedding;
+    })().finally(() => inFlight.delete(key));
+
+    inFlight.set(key, request);
+  }
+
+  return inFlight.get(key);
+};
@@ -0,0 +1,134 @@
+import { supabase } from './supabase';
+import { isOpenAt } from './restaurantDetails';
+
+export const EMPTY_FILTERS = {
+  state: null,
+  city: null,
+  hasPhone: false,
+  hasWebsite: false,
+  // One lowercase cuisine tag, e.g. 'vegan'
+  cuisine: null,
+  // 1-4, as in $ to $$$$
+  maxPrice: null,
+  // 0-5 stars
+  minRating: 0,
+  openNow: false,
+  // 0-100, same scale as the similarity badge
+  minSimilarity: 0
+};
+
+export const countActiveFilters = (filters) => (
+  [
+    filters.state,
+    filters.city,
+    filters.hasPhone,
+    filters.hasWebsite,
+    filters.cuisine,
+    filters.maxPrice,
+    filters.minRating > 0,
+    filters.openNow,
+    filters.minSimilarity > 0
+  ].filter(Boolean).length
+);
+
+// Filter object for the search RPCs (restaurant_matches_filters in SQL)
+export const toRpcFilters = (filters) => ({
+  ...(filters.state && { state: filters.state }),
+  ...(filters.city && { city: filters.city }),
+  ...(filters.hasPhone && { has_phone: true }),
+  ...(filters.hasWebsite && { has_website: true }),
+  ...(filters.cuisine && { cuisine: filters.cuisine }),
+  ...(filters.maxPrice && { max_price: filters.maxPrice }),
+  ...(filters.minRating > 0 && { min_rating: filters.minRating }),
+  ...(filters.openNow && { open_now: true })
+});
+
+// Same filters on a PostgREST builder, for plain table queries where
+// restaurant_matches_filters can't run.
+// "Open now" can't be expressed here; applyOpenNow checks it on the rows.
+export const applyFilters = (query, filters) => {
+  let filtered = query;
+
+  if (filters.state) {
+    filtered = filtered.ilike('state', filters.state);
+  }
+  if (filters.city) {
+    filtered = filtered.ilike('city', filters.city);
+  }
+  if (filters.hasPhone) {
+    filtered = filtered.not('phone_number', 'is', null).neq('phone_number', '');
+  }
+  if (filters.hasWebsite) {
+    filtered = filtered.not('url', 'is', null).neq('url', '');
+  }
+  if (filters.cuisine) {
+    filtered = filtered.contains('cuisines', [filters.cuisine.toLowerCase()]);
+  }
+  if (filters.maxPrice) {
+    filtered = filtered.lte('price_level', filters.maxPrice);
+  }
+  if (filters.minRating > 0) {
+    filtered = filtered.gte('rating', filters.minRating);
+  }
+
+  return filtered;
+};
+
+const sameText = (a, b) => (a || '').toLowerCase() === b.toLowerCase();
+
+// The same filters checked on one row already in hand, e.g. one that just
+// arrived over Realtime. Location, bounds and match score are left to the
+// screen, which applies them to every page anyway.
+export const matchesFilters = (restaurant, filters, now = new Date()) => (
+  (!filters.state || sameText(restaurant.state, filters.state)) &&
+  (!filters.city || sameText(restaurant.city, filters.city)) &&
+  (!filters.hasPhone || Boolean(restaurant.phone_number)) &&
+  (!filters.hasWebsite || Boolean(restaurant.url)) &&
+  (!filters.cuisine || (restaurant.cuisines || []).includes(filters.cuisine.toLowerCase())) &&
+  (!filters.maxPrice || (restaurant.price_level != null && restaurant.price_level <= filters.maxPrice)) &&
+  (!(filters.minRating > 0) || (restaurant.rating != null && Number(restaurant.rating) >= filters.minRating)) &&
+  (!filters.openNow || isOpenAt(restaurant, now) === true)
+);
+
+// Rows without a score (plain text matches) are kept: there is nothing to compare
+export const applyMinSimilarity = (restaurants, minSimilarity) => (
+  minSimilarity > 0
+    ? restaurants.filter(restaurant => restaurant.similarity == null || restaurant.similarity >= minSimilarity)
+    : restaurants
+);
+
+// Keeps restaurants open at `now` on their own clock. Unknown hours don't
+// count as open, same as the open_now filter in SQL.
+export const applyOpenNow = (restaurants, openNow, now = new Date()) => (
+  openNow ? restaurants.filter(restaurant => isOpenAt(restaurant, now) === true) : restaurants
+);
+
+// States and their cities, and the cuisine tags, for the filter pickers
+export const fetchFilterOptions = async () => {
+  const [locations, cuisines] = await Promise.all([
+    supabase.rpc('restaurant_locations'),
+    supabase.rpc('restaurant_cuisines')
+  ]);
+  const { data, error } = locations;
+
+  if (error) {
+    throw error;
+  }
+  if (cuisines.error) {
+    throw cuisines.error;
+  }
+
+  const citiesByState = {};
+  (data || []).forEach(({ state, city }) => {
+    if (!citiesByState[state]) {
+      citiesByState[state] = [];
+    }
+    citiesByState[state].push(city);
+  });
+
+  return {
+    states: Object.keys(citiesByState).sort(),
+    citiesByState,
+    cuisines: (cuisines.data || []).map(({ cuisine }) => cuisine)
+  };
+};
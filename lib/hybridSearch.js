@@ -0,0 +1,87 @@
+import { supabase } from './supabase';
+import { EMBEDDING_MODEL } from './vectors';
+
+export const DEFAULT_HYBRID_WEIGHTS = { fullText: 1, semantic: 1, rrfK: 50 };
+
+const isWeight = (value) => Number.isFinite(value) && value >= 0;
+// rrf_k is an int in SQL
+const isRrfK = (value) => Number.isInteger(value) && value > 0;
+
+// Weights from settings such as the .env strings. Each one that is missing,
+// not a number or out of range falls back to its default, and so do both
+// weights if they add up to 0, which would leave nothing to rank by.
+export const parseHybridWeights = ({ fullText, semantic, rrfK } = {}) => {
+  const read = (value, isValid, fallback, name) => {
+    if (value == null || value === '') {
+      return fallback;
+    }
+    const number = Number(value);
+    if (!isValid(number)) {
+      console.log(`⚠️ Ignoring hybrid ${name} "${value}", using ${fallback}`);
+      return fallback;
+    }
+    return number;
+  };
+
+  const weights = {
+    fullText: read(fullText, isWeight, DEFAULT_HYBRID_WEIGHTS.fullText, 'full-text weight'),
+    semantic: read(semantic, isWeight, DEFAULT_HYBRID_WEIGHTS.semantic, 'semantic weight'),
+    rrfK: read(rrfK, isRrfK, DEFAULT_HYBRID_WEIGHTS.rrfK, 'RRF k')
+  };
+
+  if (weights.fullText + weights.semantic === 0) {
+    console.log('⚠️ Hybrid weights add up to 0, using the defaults');
+    return { ...weights, fullText: DEFAULT_HYBRID_WEIGHTS.fullText, semantic: DEFAULT_HYBRID_WEIGHTS.semantic };
+  }
+
+  return weights;
+};
+
+// Weights for reciprocal rank fusion. Raise one side to let that signal
+// dominate, e.g. a higher full-text weight favours exact-name hits.
+// Override per build with the EXPO_PUBLIC_HYBRID_* variables in .env.
+export const HYBRID_WEIGHTS = parseHybridWeights({
+  fullText: process.env.EXPO_PUBLIC_HYBRID_FULL_TEXT_WEIGHT,
+  semantic: process.env.EXPO_PUBLIC_HYBRID_SEMANTIC_WEIGHT,
+  rrfK: process.env.EXPO_PUBLIC_HYBRID_RRF_K
+});
+
+const DEFAULT_MATCH_COUNT = 20;
+
+// Run the hybrid_search_restaurants RPC (full-text + vector, fused with RRF).
+// `similarity` on each row is the combined relevance as a 0-100 percentage.
+// The vector side skips restaurant vectors not made by `model`.
+// Pass `client` to query through a different Supabase client.
+export const hybridSearchRestaurants = async (
+  queryText,
+  queryEmbedding,
+  {
+    weights = HYBRID_WEIGHTS,
+    matchCount = DEFAULT_MATCH_COUNT,
+    matchOffset = 0,
+    filters = {},
+    model = EMBEDDING_MODEL,
+    client = supabase
+  } = {}
+) => {
+  const { data, error } = await client.rpc('hybrid_search_restaurants', {
+    query_text: queryText,
+    query_embedding: queryEmbedding,
+    match_count: matchCount,
+    full_text_weight: weights.fullText,
+    semantic_weight: weights.semantic,
+    rrf_k: weights.rrfK,
+    filters,
+    match_offset: matchOffset,
+    model_name: model
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return (data || []).map(restaurant => ({
+    ...restaurant,
+    similarity: Math.round(restaurant.relevance * 100)
+  }));
+};
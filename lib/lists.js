@@ -0,0 +1,133 @@
+import { supabase } from './supabase';
+
+// Saved restaurants for the signed-in user. Row-level security scopes every
+// query to auth.uid(), so none of these filter by user themselves.
+
+// Restaurant fields shown in My Lists
+const SAVED_RESTAURANT_COLUMNS = 'id, name, address, city, state';
+
+// Ignore "already exists" when saving twice (e.g. a double tap)
+const UNIQUE_VIOLATION = '23505';
+
+export const fetchFavoriteIds = async () => {
+  const { data, error } = await supabase.from('favorites').select('restaurant_id');
+
+  if (error) {
+    throw error;
+  }
+
+  return data.map(row => row.restaurant_id);
+};
+
+export const fetchFavorites = async () => {
+  const { data, error } = await supabase
+    .from('favorites')
+    .select(`created_at, restaurant:restaurants (${SAVED_RESTAURANT_COLUMNS})`)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw error;
+  }
+
+  return data.map(row => row.restaurant).filter(Boolean);
+};
+
+export const addFavorite = async (restaurantId) => {
+  const { error } = await supabase.from('favorites').insert({ restaurant_id: restaurantId });
+
+  if (error && error.code !== UNIQUE_VIOLATION) {
+    throw error;
+  }
+};
+
+export const removeFavorite = async (restaurantId) => {
+  const { error } = await supabase.from('favorites').delete().eq('restaurant_id', restaurantId);
+
+  if (error) {
+    throw error;
+  }
+};
+
+// Lists with the ids they contain, for "save to list" checkmarks
+export const fetchLists = async () => {
+  const { data, error } = await supabase
+    .from('lists')
+    .select('id, name, list_items (restaurant_id)')
+    .order('created_at');
+
+  if (error) {
+    throw error;
+  }
+
+  return data.map(list => ({
+    id: list.id,
+    name: list.name,
+    restaurantIds: list.list_items.map(item => item.restaurant_id)
+  }));
+};
+
+// Lists with their restaurants, newest additions first
+export const fetchListsWithRestaurants = async () => {
+  const { data, error } = await supabase
+    .from('lists')
+    .select(`id, name, list_items (added_at, restaurant:restaurants (${SAVED_RESTAURANT_COLUMNS}))`)
+    .order('created_at')
+    .order('added_at', { referencedTable: 'list_items', ascending: false });
+
+  if (error) {
+    throw error;
+  }
+
+  return data.map(list => ({
+    id: list.id,
+    name: list.name,
+    restaurants: list.list_items.map(item => item.restaurant).filter(Boolean)
+  }));
+};
+
+export const createList = async (name) => {
+  const { data, error } = await supabase
+    .from('lists')
+    .insert({ name: name.trim() })
+    .select('id, name')
+    .single();
+
+  if (error) {
+    if (error.code === UNIQUE_VIOLATION) {
+      throw new Error(`You already have a list called "${name.trim()}".`);
+    }
+    throw error;
+  }
+
+  return { ...data, restaurantIds: [] };
+};
+
+export const deleteList = async (listId) => {
+  const { error } = await supabase.from('lists').delete().eq('id', listId);
+
+  if (error) {
+    throw error;
+  }
+};
+
+export const addToList = async (listId, restaurantId) => {
+  const { error } = await supabase
+    .from('list_items')
+    .insert({ list_id: listId, restaurant_id: restaurantId });
+
+  if (error && error.code !== UNIQUE_VIOLATION) {
+    throw error;
+  }
+};
+
+export const removeFromList = async (listId, restaurantId) => {
+  const { error } = await supabase
+    .from('list_items')
+    .delete()
+    .eq('list_id', listId)
+    .eq('restaurant_id', restaurantId);
+
+  if (error) {
+    throw error;
+  }
+};
@@ -0,0 +1,139 @@
+import * as Location from 'expo-location';
+import { supabase } from './supabase';
+import { distanceKm } from './geo';
+
+export { distanceKm };
+
+// Radius choices offered next to "Near me", in km
+export const RADIUS_OPTIONS_KM = [2, 5, 10, 25];
+export const DEFAULT_RADIUS_KM = 5;
+
+export const SORT_MODES = ['relevance', 'distance', 'blend'];
+export const SORT_MODE_LABELS = {
+  relevance: 'Best match',
+  distance: 'Nearest',
+  blend: 'Match + distance'
+};
+
+// In blend mode a restaurant this far away keeps half of its match score
+const DISTANCE_HALF_SCORE_KM = 5;
+
+// Current device position; throws when permission is denied
+export const getDeviceLocation = async () => {
+  const { status } = await Location.requestForegroundPermissionsAsync();
+  if (status !== 'granted') {
+    throw new Error('Location permission was denied');
+  }
+
+  const position = await Location.getCurrentPositionAsync({
+    accuracy: Location.Accuracy.Balanced
+  });
+
+  return {
+    lat: position.coords.latitude,
+    lng: position.coords.longitude,
+    label: 'Current location'
+  };
+};
+
+// Manual fallback: centre on the restaurants we have in that city.
+// Needs no location permission or geocoding service.
+export const locateCity = async (city) => {
+  const { data, error } = await supabase
+    .from('restaurants')
+    .select('latitude, longitude')
+    .ilike('city', city.trim())
+    .not('latitude', 'is', null)
+    .not('longitude', 'is', null)
+    .limit(500);
+
+  if (error) {
+    throw error;
+  }
+
+  if (!data || data.length === 0) {
+    throw new Error(`No restaurants found in "${city}"`);
+  }
+
+  const sum = data.reduce(
+    (acc, row) => ({ lat: acc.lat + parseFloat(row.latitude), lng: acc.lng + parseFloat(row.longitude) }),
+    { lat: 0, lng: 0 }
+  );
+
+  return { lat: sum.lat / data.length, lng: sum.lng / data.length, label: city.trim() };
+};
+
+// Search RPC filter for a location, or nothing when no location is set
+export const toNearFilter = (origin, radiusKm) => (
+  origin ? { near: { lat: origin.lat, lng: origin.lng, radius_km: radiusKm } } : {}
+);
+
+// Fill in distance_km for rows from RPCs that don't compute it and drop rows
+// outside the radius, so every search path behaves the same
+export const withDistances = (restaurants, origin, radiusKm) => {
+  if (!origin) {
+    return restaurants;
+  }
+
+  return restaurants
+    .map(restaurant => {
+      if (restaurant.distance_km != null || !restaurant.latitude || !restaurant.longitude) {
+        return restaurant;
+      }
+      return {
+        ...restaurant,
+        distance_km: distanceKm(origin, {
+          lat: parseFloat(restaurant.latitude),
+          lng: parseFloat(restaurant.longitude)
+        })
+      };
+    })
+    .filter(restaurant => restaurant.distance_km == null || restaurant.distance_km <= radiusKm);
+};
+
+const blendedScore = (restaurant) => {
+  const similarity = restaurant.similarity ?? 0;
+  if (restaurant.distance_km == null) {
+    return similarity / 2;
+  }
+  return similarity / (1 + restaurant.distance_km / DISTANCE_HALF_SCORE_KM);
+};
+
+// Reorder results; rows without a distance sort last in distance mode
+export const sortResults = (restaurants, sortMode) => {
+  if (sortMode === 'distance') {
+    return [...restaurants].sort(
+      (a, b) => (a.distance_km ?? Infinity) - (b.distance_km ?? Infinity)
+    );
+  }
+  if (sortMode === 'blend') {
+    return [...restaurants].sort((a, b) => blendedScore(b) - blendedScore(a));
+  }
+  return restaurants;
+};
+
+export const formatDistance = (km) => (
+  km < 1 ? `${Math.round(km * 1000)} m away` : `${km.toFixed(1)} km away`
+);
+
+// Visible map region -> `bounds` search filter
+export const regionToBounds = (region) => ({
+  min_lat: region.latitude - region.latitudeDelta / 2,
+  max_lat: region.latitude + region.latitudeDelta / 2,
+  min_lng: region.longitude - region.longitudeDelta / 2,
+  max_lng: region.longitude + region.longitudeDelta / 2
+});
+
+// Client-side twin of the bounds filter for RPCs that don't apply it
+export const withinBounds = (restaurants, bounds) => {
+  if (!bounds) {
+    return restaurants;
+  }
+
+  return restaurants.filter(restaurant => {
+    const lat = parseFloat(restaurant.latitude);
+    const lng = parseFloat(restaurant.longitude);
+    return lat >= bounds.min_lat && lat <= bounds.max_lat &&
+      lng >= bounds.min_lng && lng <= bounds.max_lng;
+  });
+};
@@ -0,0 +1,42 @@
+import { supabase } from './supabase';
+import { EMBEDDING_MODEL } from './vectors';
+
+// One page of results
+const DEFAULT_MATCH_COUNT = 20;
+// No similarity floor by default so the top results always come back ranked
+const DEFAULT_MATCH_THRESHOLD = 0;
+
+// Rank restaurants against a query embedding with the match_restaurants RPC
+// (see supabase/migrations). Similarity comes back as a 0-100 percentage.
+// Only restaurant vectors made by `model` are compared; rows whose vector
+// predates their latest edit come back with `embedding_stale`.
+// `client` swaps in another Supabase client, e.g. a stand-in under test.
+export const matchRestaurants = async (
+  queryEmbedding,
+  {
+    matchThreshold = DEFAULT_MATCH_THRESHOLD,
+    matchCount = DEFAULT_MATCH_COUNT,
+    matchOffset = 0,
+    filters = {},
+    model = EMBEDDING_MODEL,
+    client = supabase
+  } = {}
+) => {
+  const { data, error } = await client.rpc('match_restaurants', {
+    query_embedding: queryEmbedding,
+    match_threshold: matchThreshold,
+    match_count: matchCount,
+    match_offset: matchOffset,
+    filters,
+    model_name: model
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return (data || []).map(restaurant => ({
+    ...restaurant,
+    similarity: Math.round(restaurant.similarity * 100)
+  }));
+};
@@ -0,0 +1,398 @@
+import * as SQLite from 'expo-sqlite';
+import { supabase } from './supabase';
+import { RESTAURANT_COLUMNS } from './restaurants';
+import {
+  EMBEDDING_MODEL,
+  cosineSimilarity,
+  parseEmbedding,
+  quantizeEmbedding,
+  dequantizeEmbedding
+} from './vectors';
+
+// On-device copy of the restaurants table so search keeps working without a
+// network. Embeddings are stored int8-quantized; set
+// EXPO_PUBLIC_OFFLINE_EMBEDDINGS=false to sync the text columns only.
+
+export const OFFLINE_EMBEDDINGS = process.env.EXPO_PUBLIC_OFFLINE_EMBEDDINGS !== 'false';
+
+const DATABASE_NAME = 'offline-index.db';
+// Rows per sync request; each embedding is ~20 KB of JSON on the wire
+const SYNC_PAGE_SIZE = OFFLINE_EMBEDDINGS ? 200 : 1000;
+const ID_PAGE_SIZE = 1000;
+const MAX_CACHED_EMBEDDINGS = 500;
+
+let databasePromise = null;
+
+// Columns added after the first release. Indexes created before them get the
+// columns and are synced again from the start, since their rows lack the values.
+const ADDED_COLUMNS = {
+  cuisines: 'TEXT',
+  price_level: 'INTEGER',
+  rating: 'REAL',
+  rating_count: 'INTEGER',
+  opening_hours: 'TEXT',
+  timezone: 'TEXT',
+  photo_urls: 'TEXT',
+  review_rating: 'REAL',
+  review_count: 'INTEGER'
+};
+
+// Arrays and objects are kept as JSON text
+const JSON_COLUMNS = ['cuisines', 'opening_hours', 'photo_urls'];
+
+const addMissingColumns = async (db) => {
+  const existing = new Set((await db.getAllAsync('PRAGMA table_info(restaurants)')).map(column => column.name));
+  const missing = Object.keys(ADDED_COLUMNS).filter(column => !existing.has(column));
+
+  if (missing.length === 0) {
+    return;
+  }
+
+  for (const column of missing) {
+    await db.execAsync(`ALTER TABLE restaurants ADD COLUMN ${column} ${ADDED_COLUMNS[column]}`);
+  }
+  await db.runAsync("DELETE FROM sync_state WHERE key = 'cursor'");
+};
+
+const fromStoredRow = (row) => ({
+  ...row,
+  ...Object.fromEntries(JSON_COLUMNS.map(column => [column, row[column] == null ? null : JSON.parse(row[column])]))
+});
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = SQLite.openDatabaseAsync(DATABASE_NAME).then(async (db) => {
+      await db.execAsync(`
+        PRAGMA journal_mode = WAL;
+        CREATE TABLE IF NOT EXISTS restaurants (
+          id INTEGER PRIMARY KEY NOT NULL,
+          name TEXT,
+          address TEXT,
+          phone_number TEXT,
+          latitude REAL,
+          longitude REAL,
+          city TEXT,
+          state TEXT,
+          url TEXT,
+          cuisines TEXT,
+          price_level INTEGER,
+          rating REAL,
+          rating_count INTEGER,
+          opening_hours TEXT,
+          timezone TEXT,
+          photo_urls TEXT,
+          review_rating REAL,
+          review_count INTEGER,
+          created_at TEXT,
+          updated_at TEXT,
+          embedding BLOB
+        );
+        CREATE TABLE IF NOT EXISTS sync_state (
+          key TEXT PRIMARY KEY NOT NULL,
+          value TEXT
+        );
+        -- Earlier query cache, superseded by embedding_cache
+        DROP TABLE IF EXISTS query_embeddings;
+        CREATE TABLE IF NOT EXISTS embedding_cache (
+          key TEXT PRIMARY KEY NOT NULL,
+          embedding BLOB NOT NULL,
+          used_at INTEGER NOT NULL
+        );
+      `);
+      await addMissingColumns(db);
+      return db;
+    });
+  }
+  return databasePromise;
+};
+
+const getSyncState = async (db, key) => {
+  const row = await db.getFirstAsync('SELECT value FROM sync_state WHERE key = ?', key);
+  return row ? JSON.parse(row.value) : null;
+};
+
+const setSyncState = (db, key, value) => db.runAsync(
+  'INSERT OR REPLACE INTO sync_state (key, value) VALUES (?, ?)',
+  key,
+  JSON.stringify(value)
+);
+
+// Every restaurant id on the server, paged past PostgREST's row limit
+const fetchRemoteIds = async () => {
+  const ids = new Set();
+
+  for (let offset = 0; ; offset += ID_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('restaurants')
+      .select('id')
+      .order('id')
+      .range(offset, offset + ID_PAGE_SIZE - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    data.forEach(row => ids.add(row.id));
+
+    if (data.length < ID_PAGE_SIZE) {
+      return ids;
+    }
+  }
+};
+
+// Copies rows changed since the last sync, keyed on (updated_at, id) so rows
+// sharing a timestamp are never skipped between pages, then drops rows that
+// were deleted on the server. Returns the number of rows written.
+export const syncOfflineIndex = async () => {
+  const db = await openDatabase();
+
+  // Switching embeddings on later needs every row again
+  const syncedWithEmbeddings = await getSyncState(db, 'embeddings');
+  let cursor = syncedWithEmbeddings === OFFLINE_EMBEDDINGS ? await getSyncState(db, 'cursor') : null;
+  let written = 0;
+
+  const columns = OFFLINE_EMBEDDINGS ? `${RESTAURANT_COLUMNS}, embedding, embedding_model` : RESTAURANT_COLUMNS;
+
+  while (true) {
+    let query = supabase
+      .from('restaurants')
+      .select(columns)
+      .order('updated_at')
+      .order('id')
+      .limit(SYNC_PAGE_SIZE);
+
+    if (cursor) {
+      query = query.or(
+        `updated_at.gt."${cursor.updatedAt}",and(updated_at.eq."${cursor.updatedAt}",id.gt.${cursor.id})`
+      );
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    if (data.length === 0) {
+      break;
+    }
+
+    await db.withTransactionAsync(async () => {
+      for (const row of data) {
+        // A vector from another model can't be compared with query vectors, so the row is kept text-only
+        const embedding = OFFLINE_EMBEDDINGS && row.embedding_model === EMBEDDING_MODEL
+          ? parseEmbedding(row.embedding)
+          : null;
+        await db.runAsync(
+          `INSERT OR REPLACE INTO restaurants
+            (id, name, address, phone_number, latitude, longitude, city, state, url,
+             cuisines, price_level, rating, rating_count, opening_hours, timezone, photo_urls,
+             review_rating, review_count, created_at, updated_at, embedding)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          row.id,
+          row.name,
+          row.address,
+          row.phone_number,
+          row.latitude,
+          row.longitude,
+          row.city,
+          row.state,
+          row.url,
+          JSON.stringify(row.cuisines ?? []),
+          row.price_level,
+          row.rating,
+          row.rating_count,
+          row.opening_hours == null ? null : JSON.stringify(row.opening_hours),
+          row.timezone,
+          JSON.stringify(row.photo_urls ?? []),
+          row.review_rating,
+          row.review_count,
+          row.created_at,
+          row.updated_at,
+          embedding ? quantizeEmbedding(embedding) : null
+        );
+      }
+    });
+
+    const last = data[data.length - 1];
+    cursor = { updatedAt: last.updated_at, id: last.id };
+    await setSyncState(db, 'cursor', cursor);
+    written += data.length;
+
+    if (data.length < SYNC_PAGE_SIZE) {
+      break;
+    }
+  }
+
+  const remoteIds = await fetchRemoteIds();
+  const localIds = await db.getAllAsync('SELECT id FROM restaurants');
+  const deleted = localIds.map(row => row.id).filter(id => !remoteIds.has(id));
+  for (const id of deleted) {
+    await db.runAsync('DELETE FROM restaurants WHERE id = ?', id);
+  }
+
+  await setSyncState(db, 'embeddings', OFFLINE_EMBEDDINGS);
+  await setSyncState(db, 'syncedAt', new Date().toISOString());
+
+  console.log(`📦 Offline index synced: ${written} updated, ${deleted.length} removed`);
+  return written;
+};
+
+// When the index was last synced and how many restaurants it holds
+export const getOfflineIndexStatus = async () => {
+  const db = await openDatabase();
+  const row = await db.getFirstAsync('SELECT count(*) AS count FROM restaurants');
+  return {
+    count: row?.count ?? 0,
+    syncedAt: await getSyncState(db, 'syncedAt')
+  };
+};
+
+const filterClauses = (filters) => {
+  const clauses = [];
+  const params = [];
+
+  if (filters.state) {
+    clauses.push('state = ? COLLATE NOCASE');
+    params.push(filters.state);
+  }
+  if (filters.city) {
+    clauses.push('city = ? COLLATE NOCASE');
+    params.push(filters.city);
+  }
+  if (filters.hasPhone) {
+    clauses.push("coalesce(phone_number, '') <> ''");
+  }
+  if (filters.hasWebsite) {
+    clauses.push("coalesce(url, '') <> ''");
+  }
+  if (filters.cuisine) {
+    clauses.push('EXISTS (SELECT 1 FROM json_each(cuisines) WHERE value = ?)');
+    params.push(filters.cuisine.toLowerCase());
+  }
+  if (filters.maxPrice) {
+    clauses.push('price_level <= ?');
+    params.push(filters.maxPrice);
+  }
+  if (filters.minRating > 0) {
+    clauses.push('rating >= ?');
+    params.push(filters.minRating);
+  }
+
+  return { clauses, params };
+};
+
+const selectRestaurants = async (db, filters, { withEmbedding = false } = {}) => {
+  const { clauses, params } = filterClauses(filters);
+  if (withEmbedding) {
+    clauses.push('embedding IS NOT NULL');
+  }
+
+  const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+  const columns = withEmbedding ? `${RESTAURANT_COLUMNS}, embedding` : RESTAURANT_COLUMNS;
+  const rows = await db.getAllAsync(`SELECT ${columns} FROM restaurants ${where}`, params);
+  return rows.map(fromStoredRow);
+};
+
+// Keyword score: name matches count most, then city and cuisine, then state and address
+const textScore = (restaurant, terms) => terms.reduce((score, term) => {
+  const matches = (value) => (value || '').toLowerCase().includes(term);
+  return score
+    + (matches(restaurant.name) ? 3 : 0)
+    + (matches(restaurant.city) ? 2 : 0)
+    + ((restaurant.cuisines || []).some(matches) ? 2 : 0)
+    + (matches(restaurant.state) || matches(restaurant.address) ? 1 : 0);
+}, 0);
+
+// Searches the local index. With a query embedding, rows are ranked by cosine
+// similarity (as a 0-100 percentage like the server); without one, by keyword
+// matches. Returns every match in ranked order; callers page through it.
+export const searchOfflineIndex = async (query, { queryEmbedding = null, filters = {} } = {}) => {
+  const db = await openDatabase();
+
+  if (queryEmbedding) {
+    const rows = await selectRestaurants(db, filters, { withEmbedding: true });
+    return rows
+      .map(({ embedding, ...restaurant }) => ({
+        ...restaurant,
+        similarity: Math.round(cosineSimilarity(queryEmbedding, dequantizeEmbedding(embedding)) * 100)
+      }))
+      .sort((a, b) => b.similarity - a.similarity || a.id - b.id);
+  }
+
+  const terms = query.toLowerCase().split(/\s+/).filter(term => term.length >= 2);
+  const rows = await selectRestaurants(db, filters);
+
+  if (terms.length === 0) {
+    return rows.sort((a, b) => (a.name || '').localeCompare(b.name || '') || a.id - b.id);
+  }
+
+  return rows
+    .map(restaurant => ({ restaurant, score: textScore(restaurant, terms) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.restaurant.id - b.restaurant.id)
+    .map(({ restaurant }) => restaurant);
+};
+
+// States, cities and cuisines from the local index, same shape as fetchFilterOptions
+export const fetchOfflineFilterOptions = async () => {
+  const db = await openDatabase();
+  const cuisines = await db.getAllAsync(
+    `SELECT value AS cuisine, count(*) AS restaurant_count
+     FROM restaurants, json_each(restaurants.cuisines)
+     GROUP BY value
+     ORDER BY restaurant_count DESC, value`
+  );
+  const rows = await db.getAllAsync(
+    `SELECT DISTINCT state, city FROM restaurants
+     WHERE state IS NOT NULL AND city IS NOT NULL
+     ORDER BY state, city`
+  );
+
+  const citiesByState = {};
+  rows.forEach(({ state, city }) => {
+    if (!citiesByState[state]) {
+      citiesByState[state] = [];
+    }
+    citiesByState[state].push(city);
+  });
+
+  return {
+    states: Object.keys(citiesByState),
+    citiesByState,
+    cuisines: cuisines.map(({ cuisine }) => cuisine)
+  };
+};
+
+// Disk tier of the query embedding cache (lib/embeddings.js). Full-precision
+// float32 so cached and fresh embeddings rank identically; least recently
+// used entries are dropped past the cap.
+export const writeCachedEmbedding = async (key, embedding) => {
+  const db = await openDatabase();
+  await db.runAsync(
+    'INSERT OR REPLACE INTO embedding_cache (key, embedding, used_at) VALUES (?, ?, ?)',
+    key,
+    new Uint8Array(Float32Array.from(embedding).buffer),
+    Date.now()
+  );
+  await db.runAsync(
+    `DELETE FROM embedding_cache WHERE key NOT IN (
+       SELECT key FROM embedding_cache ORDER BY used_at DESC LIMIT ?
+     )`,
+    MAX_CACHED_EMBEDDINGS
+  );
+};
+
+export const readCachedEmbedding = async (key) => {
+  const db = await openDatabase();
+  const row = await db.getFirstAsync('SELECT embedding FROM embedding_cache WHERE key = ?', key);
+
+  if (!row) {
+    return null;
+  }
+
+  await db.runAsync('UPDATE embedding_cache SET used_at = ? WHERE key = ?', Date.now(), key);
+  // Copy the bytes so the float view starts on an aligned offset
+  const { buffer, byteOffset, byteLength } = row.embedding;
+  return Array.from(new Float32Array(buffer.slice(byteOffset, byteOffset + byteLength)));
+};
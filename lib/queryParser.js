@@ -0,0 +1,201 @@
+// Deterministic query understanding: pulls location, distance and attribute
+// constraints out of free text so they can be applied as filters, leaving
+// only the descriptive remainder to embed.
+//
+// "romantic dinner in Austin TX with a website"
+//   -> semanticQuery: 'romantic dinner'
+//      constraints:   { city: 'Austin', state: 'TX', hasWebsite: true }
+//
+// Cuisine words ("vegan", "thai") stay in the query: they are part of the
+// embedding text, and the cuisine filter is one tag while queries name several.
+
+import { US_STATES } from './usStates';
+
+const KM_PER_MILE = 1.609344;
+
+const NEAR_ME_PATTERN = /\b(?:near|around|close to) me\b|\bnearby\b/i;
+const DISTANCE_PATTERN = /\b(?:within|under|less than)\s+(\d+(?:\.\d+)?)\s*(miles?|mi|km|kilometers?|kilometres?)\b/i;
+const WEBSITE_PATTERN = /\b(?:with|has|have|having)\s+(?:a\s+)?(?:web\s?site|url)\b/i;
+const PHONE_PATTERN = /\b(?:with|has|have|having)\s+(?:a\s+)?(?:phone(?:\s+number)?|number)\b/i;
+const OPEN_NOW_PATTERN = /\b(?:(?:that's|that is|which is|currently)\s+)?open\s+(?:right\s+)?now\b/i;
+const CHEAP_PATTERN = /\b(?:cheap|inexpensive|budget)\b/i;
+const TOP_RATED_PATTERN = /\b(?:top|highly|best|well)[\s-]rated\b/i;
+
+// "cheap" is the $ tier; "top rated" is 4 stars and up
+const CHEAP_MAX_PRICE = 1;
+const TOP_RATED_MIN_RATING = 4;
+
+// Connector words left dangling once a constraint is cut out
+const DANGLING_WORDS = /^(?:in|at|with|and|near|around|that|which|has|have|for)\b\s*|\s*\b(?:in|at|with|and|near|around|that|which|has|have|for)$/i;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const cleanRemainder = (text) => {
+  let cleaned = text.replace(/[,;]+/g, ' ').replace(/\s+/g, ' ').trim();
+  let previous;
+  do {
+    previous = cleaned;
+    cleaned = cleaned.replace(DANGLING_WORDS, '').trim();
+  } while (cleaned !== previous);
+  return cleaned;
+};
+
+// What may sit between "in" and a state's full name: nothing, or the
+// capitalized words of a city we don't know ("in El Paso Texas")
+const BEFORE_STATE_NAME = /\b[Ii]n\s+((?:[A-Z][\w.'-]*,?\s+)*)$/;
+
+// Finds a state by abbreviation or full name. Abbreviations must be upper
+// case ("in OR" is Oregon, "pizza or pasta" is not). Full names only count
+// after "in", so "texas roadhouse" and "maine lobster" stay in the query.
+const matchState = (text) => {
+  const names = Object.entries(US_STATES).sort((a, b) => b[1].length - a[1].length);
+  for (const [code, name] of names) {
+    for (const byName of text.matchAll(new RegExp(`\\b${escapeRegExp(name)}\\b`, 'gi'))) {
+      const before = BEFORE_STATE_NAME.exec(text.slice(0, byName.index));
+      if (before) {
+        // The "in" goes with the state unless an unknown city holds on to it
+        const start = before[1] ? byName.index : before.index;
+        return { state: code, match: text.slice(start, byName.index + byName[0].length) };
+      }
+    }
+  }
+
+  const byCode = /\b(?:in\s+)?([A-Z]{2})\b/.exec(text);
+  if (byCode && US_STATES[byCode[1]]) {
+    return { state: byCode[1], match: byCode[0] };
+  }
+
+  return null;
+};
+
+// Finds a known city, optionally followed by its state: "in Austin, TX"
+const matchCity = (text, citiesByState) => {
+  const candidates = Object.entries(citiesByState)
+    .flatMap(([state, cities]) => cities.map(city => ({ city, state })))
+    .sort((a, b) => b.city.length - a.city.length);
+
+  // Same-named cities in different states: a match that includes the state wins
+  for (const stateRequired of [true, false]) {
+    for (const { city, state } of candidates) {
+      const statePart = `(?:,?\\s+(?:${escapeRegExp(state)}|${escapeRegExp(US_STATES[state] || state)}))${stateRequired ? '' : '?'}`;
+      const pattern = new RegExp(`\\b(?:in\\s+)?${escapeRegExp(city)}${statePart}\\b`, 'i');
+      const found = pattern.exec(text);
+      if (found) {
+        return { city, state, match: found[0] };
+      }
+    }
+  }
+
+  return null;
+};
+
+// `options` is the filter options object ({ states, citiesByState }) so cities
+// are matched against the restaurants we actually have. Keys listed in
+// `ignore` are left in the text, which is how a removed chip stays removed.
+export const parseQuery = (query, options = { citiesByState: {} }, ignore = []) => {
+  let remainder = ` ${query} `;
+  const constraints = {};
+  const chips = [];
+
+  const take = (match) => {
+    remainder = remainder.replace(match, ' ');
+  };
+
+  if (!ignore.includes('nearMe')) {
+    const nearMe = NEAR_ME_PATTERN.exec(remainder);
+    if (nearMe) {
+      constraints.nearMe = true;
+      chips.push({ key: 'nearMe', label: '📍 Near me' });
+      take(nearMe[0]);
+    }
+  }
+
+  if (!ignore.includes('radiusKm')) {
+    const distance = DISTANCE_PATTERN.exec(remainder);
+    if (distance) {
+      const amount = parseFloat(distance[1]);
+      const isKm = /^k/i.test(distance[2]);
+      constraints.radiusKm = isKm ? amount : amount * KM_PER_MILE;
+      chips.push({ key: 'radiusKm', label: `📏 Within ${distance[1]} ${isKm ? 'km' : 'mi'}` });
+      take(distance[0]);
+    }
+  }
+
+  if (!ignore.includes('location')) {
+    const city = matchCity(remainder, options.citiesByState || {});
+    const state = city ? null : matchState(remainder);
+    if (city) {
+      constraints.city = city.city;
+      constraints.state = city.state;
+      chips.push({ key: 'location', label: `🏙️ ${city.city}, ${city.state}` });
+      take(city.match);
+    } else if (state) {
+      constraints.state = state.state;
+      chips.push({ key: 'location', label: `🏙️ ${US_STATES[state.state]}` });
+      take(state.match);
+    }
+  }
+
+  if (!ignore.includes('hasWebsite')) {
+    const website = WEBSITE_PATTERN.exec(remainder);
+    if (website) {
+      constraints.hasWebsite = true;
+      chips.push({ key: 'hasWebsite', label: '🌐 Has website' });
+      take(website[0]);
+    }
+  }
+
+  if (!ignore.includes('hasPhone')) {
+    const phone = PHONE_PATTERN.exec(remainder);
+    if (phone) {
+      constraints.hasPhone = true;
+      chips.push({ key: 'hasPhone', label: '📞 Has phone' });
+      take(phone[0]);
+    }
+  }
+
+  if (!ignore.includes('openNow')) {
+    const openNow = OPEN_NOW_PATTERN.exec(remainder);
+    if (openNow) {
+      constraints.openNow = true;
+      chips.push({ key: 'openNow', label: '🕒 Open now' });
+      take(openNow[0]);
+    }
+  }
+
+  if (!ignore.includes('maxPrice')) {
+    const cheap = CHEAP_PATTERN.exec(remainder);
+    if (cheap) {
+      constraints.maxPrice = CHEAP_MAX_PRICE;
+      chips.push({ key: 'maxPrice', label: '💲 Cheap' });
+      take(cheap[0]);
+    }
+  }
+
+  if (!ignore.includes('minRating')) {
+    const topRated = TOP_RATED_PATTERN.exec(remainder);
+    if (topRated) {
+      constraints.minRating = TOP_RATED_MIN_RATING;
+      chips.push({ key: 'minRating', label: `★ ${TOP_RATED_MIN_RATING}+` });
+      take(topRated[0]);
+    }
+  }
+
+  return {
+    semanticQuery: cleanRemainder(remainder),
+    constraints,
+    chips
+  };
+};
+
+// The parsed constraints that map onto search filters (lib/filters.js);
+// nearMe and radiusKm are handled as location instead
+export const constraintFilters = (constraints) => ({
+  ...(constraints.state && { state: constraints.state }),
+  ...(constraints.city && { city: constraints.city }),
+  ...(constraints.hasPhone && { hasPhone: true }),
+  ...(constraints.hasWebsite && { hasWebsite: true }),
+  ...(constraints.openNow && { openNow: true }),
+  ...(constraints.maxPrice && { maxPrice: constraints.maxPrice }),
+  ...(constraints.minRating && { minRating: constraints.minRating })
+});
@@ -0,0 +1,120 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { supabase } from './supabase';
+import { normalizeQuery } from './embeddings';
+
+// Optional second ranking stage: the rerank Edge Function reorders the top
+// vector hits for the query and gives each a one-line reason, shown on the
+// result cards. It is best-effort: on a timeout or error the results keep
+// their vector order and nothing is shown to the user.
+
+export const RERANK_TOP_K = 10;
+export const RERANK_TIMEOUT_MS = 4000;
+
+// Only these strategies rank by meaning; text and keyword hits are left alone
+const RERANKABLE_STRATEGIES = ['vector', 'hybrid', 'semantic', 'clientVector'];
+
+// Rankings kept in memory for this session; the function caches them for everyone
+const MEMORY_CACHE_SIZE = 50;
+const memoryCache = new Map();
+
+const STORAGE_KEY = 'search-rerank';
+
+export const loadRerankEnabled = async () => {
+  try {
+    return (await AsyncStorage.getItem(STORAGE_KEY)) === 'true';
+  } catch (error) {
+    console.log('⚠️ Could not load rerank setting:', error.message);
+    return false;
+  }
+};
+
+export const saveRerankEnabled = async (enabled) => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, String(enabled));
+  } catch (error) {
+    console.log('⚠️ Could not save rerank setting:', error.message);
+  }
+};
+
+export const canRerank = (strategy, restaurants) => (
+  RERANKABLE_STRATEGIES.includes(strategy) && restaurants.length > 1
+);
+
+// The same results in any order share a ranking, like the function's cache
+const cacheKey = (query, ids) => `${normalizeQuery(query)}|${[...ids].sort((a, b) => a - b).join(',')}`;
+
+// Puts the ranked restaurants first, in the ranking's order and with their
+// `rerank_reason`; the rest keep their places after them
+export const applyRanking = (restaurants, ranking) => {
+  const byId = new Map(restaurants.map(restaurant => [restaurant.id, restaurant]));
+  const ranked = ranking
+    .filter(({ id }) => byId.has(id))
+    .map(({ id, reason }) => ({ ...byId.get(id), ...(reason && { rerank_reason: reason }) }));
+  const rankedIds = new Set(ranked.map(restaurant => restaurant.id));
+
+  return [...ranked, ...restaurants.filter(restaurant => !rankedIds.has(restaurant.id))];
+};
+
+const invokeRerank = async (body, signal) => {
+  const { data, error } = await supabase.functions.invoke('rerank', { body, signal });
+  if (error) {
+    throw error;
+  }
+  return data.ranking;
+};
+
+// Reranks the top `topK` restaurants for `query`. Always resolves:
+//   { data, attempt }
+// `data` is the reranked list, or `restaurants` unchanged if the stage timed
+// out or failed. `attempt` has the same shape as a search trail entry, so the
+// debug panel can show the stage next to the strategies. `invoke` swaps out
+// the Edge Function call, e.g. under test.
+export const rerankResults = async (
+  query,
+  restaurants,
+  { topK = RERANK_TOP_K, timeoutMs = RERANK_TIMEOUT_MS, invoke = invokeRerank } = {}
+) => {
+  const startedAt = Date.now();
+  const ids = restaurants.slice(0, topK).map(restaurant => restaurant.id);
+  const key = cacheKey(query, ids);
+  const attempt = (outcome, extra = {}) => ({
+    strategy: 'rerank',
+    searchType: 'llm_rerank',
+    outcome,
+    rows: ids.length,
+    ms: Date.now() - startedAt,
+    ...extra
+  });
+
+  if (memoryCache.has(key)) {
+    return { data: applyRanking(restaurants, memoryCache.get(key)), attempt: attempt('ok', { reason: 'cached' }) };
+  }
+
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(Object.assign(new Error(`No ranking within ${timeoutMs} ms`), { timedOut: true }));
+    }, timeoutMs);
+  });
+
+  try {
+    const ranking = await Promise.race([invoke({ query, restaurant_ids: ids }, controller.signal), timeout]);
+
+    memoryCache.set(key, ranking);
+    if (memoryCache.size > MEMORY_CACHE_SIZE) {
+      memoryCache.delete(memoryCache.keys().next().value);
+    }
+
+    return { data: applyRanking(restaurants, ranking), attempt: attempt('ok') };
+  } catch (error) {
+    console.log(`⚠️ Rerank skipped, keeping vector order: ${error.message}`);
+    return {
+      data: restaurants,
+      attempt: attempt(error.timedOut ? 'timeout' : 'error', { reason: error.message })
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+};
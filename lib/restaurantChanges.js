@@ -0,0 +1,57 @@
+import { supabase } from './supabase';
+import { RESTAURANT_COLUMNS } from './restaurants';
+
+// Inserts, edits and deletes on the restaurants table as they happen, through
+// Supabase Realtime. Realtime sends whole rows, embedding included, so rows
+// are cut down to the columns screens show before anyone sees them.
+
+const SHOWN_COLUMNS = RESTAURANT_COLUMNS.split(',').map(column => column.trim());
+
+const CHANNEL_NAME = 'restaurant-changes';
+
+const pickShownColumns = (row) => Object.fromEntries(
+  SHOWN_COLUMNS.filter(column => column in row).map(column => [column, row[column]])
+);
+
+// Calls onInsert(row), onUpdate(row) or onDelete(id) for every change.
+// Returns a function that unsubscribes.
+export const subscribeToRestaurantChanges = ({ onInsert, onUpdate, onDelete }) => {
+  const channel = supabase
+    .channel(CHANNEL_NAME)
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'restaurants' }, (payload) => {
+      if (payload.eventType === 'INSERT') {
+        onInsert(pickShownColumns(payload.new));
+      } else if (payload.eventType === 'UPDATE') {
+        onUpdate(pickShownColumns(payload.new));
+      } else if (payload.eventType === 'DELETE') {
+        // Deletes only carry the primary key
+        onDelete(payload.old.id);
+      }
+    })
+    .subscribe((status, error) => {
+      if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+        console.log('⚠️ Live restaurant updates unavailable:', error?.message || status);
+      }
+    });
+
+  return () => {
+    supabase.removeChannel(channel);
+  };
+};
+
+// Edited row merged into the results it appears in. Search-only fields
+// (similarity, distance_km, rerank_reason) are kept. Returns `results`
+// itself when the row isn't among them, so React skips the re-render.
+export const applyRestaurantUpdate = (results, row) => {
+  if (!results.some(restaurant => restaurant.id === row.id)) {
+    return results;
+  }
+  return results.map(restaurant => (restaurant.id === row.id ? { ...restaurant, ...row } : restaurant));
+};
+
+export const removeRestaurant = (results, id) => {
+  if (!results.some(restaurant => restaurant.id === id)) {
+    return results;
+  }
+  return results.filter(restaurant => restaurant.id !== id);
+};
@@ -0,0 +1,99 @@
+// Cuisine, price, opening hours, rating and review helpers. Used by the screens, the
+// embedding text and the import script, so nothing here needs Expo.
+
+// Keys of the opening_hours column, in Date#getDay order
+export const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const WEEK = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+// One range of local times, e.g. "11:00-22:00"; same rule as is_valid_opening_hours in SQL
+export const HOURS_RANGE_PATTERN = /^([01]\d|2[0-3]):[0-5]\d-(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+export const PRICE_LEVELS = [1, 2, 3, 4];
+
+export const formatPriceLevel = (level) => (level ? '$'.repeat(level) : null);
+
+// Tags are stored lowercase: 'thai' -> 'Thai', 'tex-mex' -> 'Tex-Mex'
+export const formatCuisine = (cuisine) => cuisine.replace(/(^|[\s-])\w/g, letter => letter.toUpperCase());
+
+export const formatRating = (rating, count) => {
+  if (rating == null) {
+    return null;
+  }
+  return `★ ${Number(rating).toFixed(1)}${count ? ` (${count})` : ''}`;
+};
+
+// Average of our users' reviews, e.g. '💬 4.5 · 3 reviews'; kept apart from the listing rating
+export const formatReviewSummary = (rating, count) => {
+  if (!count) {
+    return null;
+  }
+  return `💬 ${Number(rating).toFixed(1)} · ${count} ${count === 1 ? 'review' : 'reviews'}`;
+};
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const clockMinutes = (clock) => {
+  const [hours, minutes] = clock.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Weekday (0 = Sunday) and minutes since midnight on the wall clock of `timeZone`
+const localTime = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  );
+
+  return {
+    day: DAYS.indexOf(parts.weekday.toLowerCase()),
+    // Some engines still print midnight as 24
+    minutes: (Number(parts.hour) % 24) * 60 + Number(parts.minute)
+  };
+};
+
+// Whether the restaurant is open at `date`, read on its own clock: true,
+// false, or null when its hours or timezone aren't known. A range ending at
+// or before its start runs past midnight, so Friday's "17:00-02:00" is open
+// at 1am on Saturday. Mirrors restaurant_open_at in SQL.
+export const isOpenAt = (restaurant, date = new Date()) => {
+  const { opening_hours: hours, timezone } = restaurant;
+  if (!hours || !timezone || !isValidTimeZone(timezone)) {
+    return null;
+  }
+
+  const now = localTime(date, timezone);
+  return [0, 1].some(daysBack => (hours[DAYS[(now.day - daysBack + 7) % 7]] || []).some(range => {
+    const [opens, closes] = range.split('-').map(clockMinutes);
+    const minute = now.minutes + daysBack * 24 * 60;
+    return minute >= opens && minute < (closes <= opens ? closes + 24 * 60 : closes);
+  }));
+};
+
+// Monday-first list of { day: 'Mon', hours: '11:00–14:30, 17:00–22:00' },
+// with 'Closed' for days without ranges
+export const formatOpeningHours = (hours) => {
+  if (!hours) {
+    return [];
+  }
+
+  return WEEK.map(day => ({
+    day: day[0].toUpperCase() + day.slice(1),
+    hours: (hours[day] || []).length > 0
+      ? hours[day].map(range => range.replace('-', '–')).join(', ')
+      : 'Closed'
+  }));
+};
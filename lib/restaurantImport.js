@@ -0,0 +1,567 @@
+import { distanceKm } from './geo.js';
+import { DAYS, HOURS_RANGE_PATTERN, PRICE_LEVELS, isValidTimeZone } from './restaurantDetails.js';
+import { US_STATES } from './usStates.js';
+
+// Parsing, validation and de-duplication for `npm run restaurants:import`.
+// No I/O here: the script reads the file and talks to Supabase.
+
+// Two rows with the same name this close together are the same restaurant
+export const DUPLICATE_DISTANCE_M = 50;
+
+const STATE_CODES_BY_NAME = Object.fromEntries(
+  Object.entries(US_STATES).map(([code, name]) => [name.toLowerCase(), code])
+);
+
+// Other spellings of the restaurants columns seen in exported datasets
+const COLUMN_ALIASES = {
+  name: 'name',
+  restaurant: 'name',
+  restaurant_name: 'name',
+  address: 'address',
+  street: 'address',
+  street_address: 'address',
+  phone: 'phone_number',
+  phone_number: 'phone_number',
+  telephone: 'phone_number',
+  tel: 'phone_number',
+  latitude: 'latitude',
+  lat: 'latitude',
+  longitude: 'longitude',
+  lng: 'longitude',
+  lon: 'longitude',
+  long: 'longitude',
+  city: 'city',
+  state: 'state',
+  url: 'url',
+  website: 'url',
+  web: 'url',
+  cuisine: 'cuisines',
+  cuisines: 'cuisines',
+  categories: 'cuisines',
+  price: 'price_level',
+  price_level: 'price_level',
+  price_range: 'price_level',
+  rating: 'rating',
+  stars: 'rating',
+  rating_count: 'rating_count',
+  review_count: 'rating_count',
+  hours: 'opening_hours',
+  opening_hours: 'opening_hours',
+  timezone: 'timezone',
+  time_zone: 'timezone',
+  tz: 'timezone',
+  photos: 'photo_urls',
+  photo_urls: 'photo_urls',
+  images: 'photo_urls'
+};
+
+export const IMPORT_COLUMNS = [
+  'name',
+  'address',
+  'phone_number',
+  'latitude',
+  'longitude',
+  'city',
+  'state',
+  'url',
+  'cuisines',
+  'price_level',
+  'rating',
+  'rating_count',
+  'opening_hours',
+  'timezone',
+  'photo_urls'
+];
+
+// Not-null columns a new row gets when the file leaves them blank
+const INSERT_DEFAULTS = {
+  cuisines: [],
+  rating_count: 0,
+  photo_urls: []
+};
+
+// RFC 4180 CSV: quoted fields may hold commas, newlines and "" escapes.
+// Returns one object per record keyed by the header row, each with the
+// file line it started on as `line`.
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    // Blank lines are skipped rather than read as a record with one empty field
+    if (record.length > 1 || record[0] !== '') {
+      records.push({ values: record, line: recordLine });
+    }
+    record = [];
+  };
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+  if (field !== '' || record.length > 0) {
+    endRecord();
+  }
+
+  const [header, ...rows] = records;
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.values.map(column => column.trim());
+  return rows.map(({ values, line: rowLine }) => ({
+    line: rowLine,
+    ...Object.fromEntries(columns.map((column, index) => [column, values[index] ?? '']))
+  }));
+};
+
+// JSON imports are an array of objects, or { restaurants: [...] }
+export const parseJson = (text) => {
+  const parsed = JSON.parse(text);
+  const items = Array.isArray(parsed) ? parsed : parsed?.restaurants;
+
+  if (!Array.isArray(items)) {
+    throw new Error('Expected a JSON array of restaurants or { "restaurants": [...] }');
+  }
+
+  return items.map((item, index) => ({ ...item, line: index + 1 }));
+};
+
+// Maps source columns onto restaurants columns; unknown columns are returned
+// so the script can warn about them once
+export const mapColumns = (record) => {
+  const mapped = {};
+  const unknown = [];
+
+  Object.entries(record).forEach(([column, value]) => {
+    if (column === 'line') {
+      return;
+    }
+    const key = COLUMN_ALIASES[column.trim().toLowerCase().replace(/[\s-]+/g, '_')];
+    if (key) {
+      mapped[key] = value;
+    } else {
+      unknown.push(column);
+    }
+  });
+
+  return { mapped, unknown };
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const cleanText = (value) => (isBlank(value) ? null : String(value).trim().replace(/\s+/g, ' '));
+
+// US numbers as 512-555-0101; a leading country code 1 is dropped
+export const normalizePhone = (value) => {
+  if (isBlank(value)) {
+    return { value: null };
+  }
+
+  let digits = String(value).replace(/\D/g, '');
+  if (digits.length === 11 && digits.startsWith('1')) {
+    digits = digits.slice(1);
+  }
+  if (digits.length !== 10) {
+    return { error: `phone "${value}" is not a 10-digit US number` };
+  }
+
+  return { value: `${digits.slice(0, 3)}-${digits.slice(3, 6)}-${digits.slice(6)}` };
+};
+
+// Adds https:// when the scheme is missing; only http(s) URLs with a real host are accepted
+export const normalizeUrl = (value) => {
+  if (isBlank(value)) {
+    return { value: null };
+  }
+
+  const text = String(value).trim();
+  const withScheme = /^[a-z][a-z\d+.-]*:/i.test(text) ? text : `https://${text}`;
+
+  try {
+    const url = new URL(withScheme);
+    if (!['http:', 'https:'].includes(url.protocol) || !url.hostname.includes('.')) {
+      return { error: `url "${value}" is not a website address` };
+    }
+    // The text as given (plus scheme), so re-imports compare equal to what was stored
+    return { value: withScheme };
+  } catch {
+    return { error: `url "${value}" is not a valid URL` };
+  }
+};
+
+// Two-letter code, from either the code or the full name
+export const normalizeState = (value) => {
+  if (isBlank(value)) {
+    return { value: null };
+  }
+
+  const text = cleanText(value);
+  const code = US_STATES[text.toUpperCase()] ? text.toUpperCase() : STATE_CODES_BY_NAME[text.toLowerCase()];
+
+  return code ? { value: code } : { error: `state "${value}" is not a US state` };
+};
+
+// Both or neither; (0, 0) is almost always a geocoding failure, not a restaurant
+export const normalizeCoordinates = (latitudeValue, longitudeValue) => {
+  if (isBlank(latitudeValue) && isBlank(longitudeValue)) {
+    return { value: { latitude: null, longitude: null } };
+  }
+  if (isBlank(latitudeValue) || isBlank(longitudeValue)) {
+    return { error: 'latitude and longitude must be given together' };
+  }
+
+  const latitude = Number(latitudeValue);
+  const longitude = Number(longitudeValue);
+
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+    return { error: `latitude "${latitudeValue}" is not between -90 and 90` };
+  }
+  if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+    return { error: `longitude "${longitudeValue}" is not between -180 and 180` };
+  }
+  if (latitude === 0 && longitude === 0) {
+    return { error: 'coordinates are 0, 0' };
+  }
+
+  return { value: { latitude, longitude } };
+};
+
+// Lists are arrays in JSON files and "a; b; c" in CSV cells
+const splitList = (value, separator) => (Array.isArray(value) ? value : String(value).split(separator))
+  .map(cleanText)
+  .filter(Boolean);
+
+// Lowercase tags without repeats: "Thai; Noodles" -> ['thai', 'noodles']
+export const normalizeCuisines = (value) => {
+  const tags = isBlank(value) ? [] : splitList(value, /[;|,]/).map(tag => tag.toLowerCase());
+  return { value: tags.length > 0 ? [...new Set(tags)] : null };
+};
+
+// 1-4 or $ to $$$$
+export const normalizePriceLevel = (value) => {
+  if (isBlank(value)) {
+    return { value: null };
+  }
+
+  const text = String(value).trim();
+  const level = /^\$+$/.test(text) ? text.length : Number(text);
+  return PRICE_LEVELS.includes(level)
+    ? { value: level }
+    : { error: `price "${value}" is not 1-4 or $ to $$$$` };
+};
+
+// 0-5 stars, kept to one decimal like the column
+export const normalizeRating = (value) => {
+  if (isBlank(value)) {
+    return { value: null };
+  }
+
+  const rating = Number(value);
+  return Number.isFinite(rating) && rating >= 0 && rating <= 5
+    ? { value: Math.round(rating * 10) / 10 }
+    : { error: `rating "${value}" is not between 0 and 5` };
+};
+
+export const normalizeRatingCount = (value) => {
+  if (isBlank(value)) {
+    return { value: null };
+  }
+
+  const count = Number(value);
+  return Number.isInteger(count) && count >= 0
+    ? { value: count }
+    : { error: `rating count "${value}" is not a whole number` };
+};
+
+// "9:00 - 17:00" -> "09:00-17:00"
+const cleanRange = (range) => range
+  .trim()
+  .replace(/\s*[-–]\s*/, '-')
+  .replace(/(^|-)(\d):/g, (match, start, hour) => `${start}0${hour}:`);
+
+// An object keyed by weekday ("mon" or "Monday"), each holding ranges as an
+// array or "11:00-14:00, 17:00-22:00"; CSV cells hold the object as JSON.
+// "closed" or an empty list closes the day.
+export const normalizeOpeningHours = (value) => {
+  if (isBlank(value)) {
+    return { value: null };
+  }
+
+  let hours = value;
+  if (typeof value === 'string') {
+    try {
+      hours = JSON.parse(value);
+    } catch {
+      return { error: `hours "${value}" is not JSON like {"mon": ["11:00-22:00"]}` };
+    }
+  }
+  if (!hours || typeof hours !== 'object' || Array.isArray(hours)) {
+    return { error: 'hours must be an object keyed by weekday' };
+  }
+
+  const normalized = {};
+  for (const [key, ranges] of Object.entries(hours)) {
+    const day = DAYS.find(name => key.trim().toLowerCase().startsWith(name));
+    if (!day) {
+      return { error: `hours day "${key}" is not a weekday` };
+    }
+
+    const cleaned = splitList(ranges, ',')
+      .filter(range => range.toLowerCase() !== 'closed')
+      .map(cleanRange);
+    const invalid = cleaned.find(range => !HOURS_RANGE_PATTERN.test(range));
+    if (invalid) {
+      return { error: `hours "${invalid}" on ${day} is not a range like 11:00-22:00` };
+    }
+
+    normalized[day] = [...(normalized[day] || []), ...cleaned];
+  }
+
+  return { value: normalized };
+};
+
+// IANA names such as America/Chicago
+export const normalizeTimeZone = (value) => {
+  if (isBlank(value)) {
+    return { value: null };
+  }
+
+  const zone = String(value).trim();
+  return isValidTimeZone(zone) ? { value: zone } : { error: `timezone "${value}" is not a known time zone` };
+};
+
+// Separated by whitespace, ";" or "|"; commas can appear inside URLs
+export const normalizePhotoUrls = (value) => {
+  const urls = [];
+  const errors = [];
+
+  (isBlank(value) ? [] : splitList(value, /[\s;|]+/)).forEach(url => {
+    const result = normalizeUrl(url);
+    if (result.error) {
+      errors.push(result.error.replace(/^url/, 'photo'));
+    } else {
+      urls.push(result.value);
+    }
+  });
+
+  return errors.length > 0 ? { error: errors.join('; ') } : { value: urls.length > 0 ? urls : null };
+};
+
+// Returns { restaurant, errors }: the cleaned row, or every problem found with it
+export const normalizeRecord = (record) => {
+  const { mapped } = mapColumns(record);
+  const errors = [];
+
+  const take = ({ value, error }) => {
+    if (error) {
+      errors.push(error);
+    }
+    return value ?? null;
+  };
+
+  const name = cleanText(mapped.name);
+  if (!name) {
+    errors.push('name is missing');
+  }
+
+  const coordinates = take(normalizeCoordinates(mapped.latitude, mapped.longitude)) || {};
+  const restaurant = {
+    name,
+    address: cleanText(mapped.address),
+    phone_number: take(normalizePhone(mapped.phone_number)),
+    latitude: coordinates.latitude ?? null,
+    longitude: coordinates.longitude ?? null,
+    city: cleanText(mapped.city),
+    state: take(normalizeState(mapped.state)),
+    url: take(normalizeUrl(mapped.url)),
+    cuisines: take(normalizeCuisines(mapped.cuisines)),
+    price_level: take(normalizePriceLevel(mapped.price_level)),
+    rating: take(normalizeRating(mapped.rating)),
+    rating_count: take(normalizeRatingCount(mapped.rating_count)),
+    opening_hours: take(normalizeOpeningHours(mapped.opening_hours)),
+    timezone: take(normalizeTimeZone(mapped.timezone)),
+    photo_urls: take(normalizePhotoUrls(mapped.photo_urls))
+  };
+
+  // Hours are local times, so they mean nothing without the zone
+  if (restaurant.opening_hours && isBlank(mapped.timezone)) {
+    errors.push('hours need a timezone');
+  }
+
+  return { restaurant: errors.length === 0 ? restaurant : null, errors };
+};
+
+const STREET_SUFFIXES = {
+  street: 'st',
+  avenue: 'ave',
+  boulevard: 'blvd',
+  road: 'rd',
+  drive: 'dr',
+  lane: 'ln',
+  place: 'pl',
+  court: 'ct',
+  highway: 'hwy',
+  suite: 'ste',
+  north: 'n',
+  south: 's',
+  east: 'e',
+  west: 'w'
+};
+
+// Lowercase words without punctuation, so "Joe's Pizza" matches "JOES PIZZA"
+const comparable = (text) => (text || '')
+  .toLowerCase()
+  .replace(/['’]/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const comparableAddress = (address) => comparable(address)
+  .split(' ')
+  .map(word => STREET_SUFFIXES[word] || word)
+  .join(' ');
+
+const hasCoordinates = (restaurant) => restaurant.latitude != null && restaurant.longitude != null;
+
+// Same name, and either the same address or coordinates within DUPLICATE_DISTANCE_M
+export const isSameRestaurant = (a, b) => {
+  if (comparable(a.name) !== comparable(b.name)) {
+    return false;
+  }
+  if (a.address && b.address && comparableAddress(a.address) === comparableAddress(b.address)) {
+    return true;
+  }
+  if (hasCoordinates(a) && hasCoordinates(b)) {
+    const meters = distanceKm(
+      { lat: Number(a.latitude), lng: Number(a.longitude) },
+      { lat: Number(b.latitude), lng: Number(b.longitude) }
+    ) * 1000;
+    return meters <= DUPLICATE_DISTANCE_M;
+  }
+  return false;
+};
+
+// Indexes rows by comparable name so duplicate checks only compare namesakes
+const createNameIndex = (rows) => {
+  const index = new Map();
+  const add = (row) => {
+    const key = comparable(row.name);
+    index.set(key, [...(index.get(key) || []), row]);
+  };
+  rows.forEach(add);
+  return {
+    add,
+    find: (restaurant) => (index.get(comparable(restaurant.name)) || []).find(row => isSameRestaurant(row, restaurant))
+  };
+};
+
+// How each column is compared; names and addresses only count as changed
+// when they differ by more than spelling ("Ave" vs "Avenue", case, punctuation).
+// Lists and hours compare by content, since jsonb doesn't keep key order.
+const COMPARE_AS = {
+  name: comparable,
+  address: comparableAddress,
+  latitude: Number,
+  longitude: Number,
+  rating: Number,
+  cuisines: tags => [...tags].sort().join(','),
+  photo_urls: urls => urls.join(' '),
+  opening_hours: hours => JSON.stringify(DAYS.map(day => hours[day] || []))
+};
+
+// A validated row as inserted: blank not-null columns take their defaults
+export const toInsertRow = (restaurant) => ({
+  ...restaurant,
+  ...Object.fromEntries(
+    Object.entries(INSERT_DEFAULTS).map(([column, value]) => [column, restaurant[column] ?? value])
+  )
+});
+
+// Fields from the import that differ from the stored row. Blank import values
+// never erase stored data.
+export const changedFields = (existing, restaurant) => Object.fromEntries(
+  IMPORT_COLUMNS
+    .filter(column => restaurant[column] != null)
+    .filter(column => {
+      const compareAs = COMPARE_AS[column] || (value => value);
+      return existing[column] == null || compareAs(existing[column]) !== compareAs(restaurant[column]);
+    })
+    .map(column => [column, restaurant[column]])
+);
+
+// Sorts validated rows against each other and the rows already stored.
+// `records` are { line, restaurant } and `existing` are restaurants rows with ids.
+// Returns { inserts, updates, unchanged, duplicates }:
+// - inserts: new restaurants
+// - updates: { id, line, changes } for stored restaurants the import changes
+// - unchanged: { id, line } for stored restaurants it matches exactly
+// - duplicates: { line, duplicateOf } for rows repeating an earlier row in the file
+export const planImport = (records, existing) => {
+  const stored = createNameIndex(existing);
+  const seen = createNameIndex([]);
+  const plan = { inserts: [], updates: [], unchanged: [], duplicates: [] };
+
+  records.forEach(({ line, restaurant }) => {
+    const earlier = seen.find(restaurant);
+    if (earlier) {
+      plan.duplicates.push({ line, duplicateOf: earlier.line });
+      return;
+    }
+    seen.add({ ...restaurant, line });
+
+    const match = stored.find(restaurant);
+    if (!match) {
+      plan.inserts.push({ line, restaurant });
+      return;
+    }
+
+    const changes = changedFields(match, restaurant);
+    if (Object.keys(changes).length === 0) {
+      plan.unchanged.push({ id: match.id, line });
+    } else {
+      plan.updates.push({ id: match.id, line, changes });
+    }
+  });
+
+  return plan;
+};
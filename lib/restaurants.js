@@ -0,0 +1,77 @@
+import { Linking, Platform, Share } from 'react-native';
+import * as ExpoLinking from 'expo-linking';
+import { supabase } from './supabase';
+
+// Everything a screen shows about a restaurant; leaves out the large vector columns
+export const RESTAURANT_COLUMNS =
+  'id, name, address, phone_number, latitude, longitude, city, state, url, ' +
+  'cuisines, price_level, rating, rating_count, opening_hours, timezone, photo_urls, ' +
+  'review_rating, review_count, created_at, updated_at';
+
+export const fetchRestaurant = async (id) => {
+  const { data, error } = await supabase
+    .from('restaurants')
+    .select(RESTAURANT_COLUMNS)
+    .eq('id', id)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+// Nearest neighbours of a restaurant by its own embedding (similar_restaurants RPC)
+export const fetchSimilarRestaurants = async (id, matchCount = 5) => {
+  const { data, error } = await supabase.rpc('similar_restaurants', {
+    restaurant_id: id,
+    match_count: matchCount
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return (data || []).map(restaurant => ({
+    ...restaurant,
+    similarity: Math.round(restaurant.similarity * 100)
+  }));
+};
+
+// Link that opens this restaurant in the app, e.g. testingsupabase://restaurant/123
+export const restaurantLink = (id) => ExpoLinking.createURL(`restaurant/${id}`);
+
+export const callRestaurant = (phoneNumber) => (
+  Linking.openURL(`tel:${phoneNumber.replace(/[^\d+]/g, '')}`)
+);
+
+export const openRestaurantWebsite = (url) => (
+  Linking.openURL(/^https?:\/\//i.test(url) ? url : `https://${url}`)
+);
+
+// Directions in the platform maps app; falls back to the address when there are no coordinates
+export const openRestaurantInMaps = (restaurant) => {
+  const label = encodeURIComponent(restaurant.name || 'Restaurant');
+  const hasCoordinates = restaurant.latitude && restaurant.longitude;
+  const address = encodeURIComponent(
+    [restaurant.address, restaurant.city, restaurant.state].filter(Boolean).join(', ')
+  );
+
+  const url = Platform.select({
+    ios: hasCoordinates
+      ? `maps:0,0?q=${label}@${restaurant.latitude},${restaurant.longitude}`
+      : `maps:0,0?q=${address}`,
+    default: hasCoordinates
+      ? `geo:0,0?q=${restaurant.latitude},${restaurant.longitude}(${label})`
+      : `geo:0,0?q=${address}`
+  });
+
+  return Linking.openURL(url);
+};
+
+export const shareRestaurant = (restaurant) => (
+  Share.share({
+    message: `${restaurant.name || 'Restaurant'} ${restaurantLink(restaurant.id)}`
+  })
+);
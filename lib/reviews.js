@@ -0,0 +1,86 @@
+import { supabase } from './supabase';
+
+// Star ratings and written reviews. Anyone can read them; row-level security
+// lets signed-in users write only their own, one per restaurant. The
+// restaurant's review_rating and review_count follow by trigger.
+
+export const MAX_REVIEW_LENGTH = 2000;
+
+const REVIEW_COLUMNS = 'id, restaurant_id, user_id, rating, body, created_at, updated_at';
+
+// Trims the text and checks the rating; returns the fields to write or throws
+// a message fit to show the user
+export const validateReview = ({ rating, body }) => {
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    throw new Error('Pick a rating from 1 to 5 stars.');
+  }
+
+  const text = (body || '').trim();
+  if (text.length > MAX_REVIEW_LENGTH) {
+    throw new Error(`Reviews can be up to ${MAX_REVIEW_LENGTH} characters (this one is ${text.length}).`);
+  }
+
+  return { rating, body: text || null };
+};
+
+// Newest first
+export const fetchReviews = async (restaurantId, limit = 20) => {
+  const { data, error } = await supabase
+    .from('reviews')
+    .select(REVIEW_COLUMNS)
+    .eq('restaurant_id', restaurantId)
+    .order('updated_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+// The user's own review of a restaurant, or null
+export const fetchMyReview = async (restaurantId, userId) => {
+  const { data, error } = await supabase
+    .from('reviews')
+    .select(REVIEW_COLUMNS)
+    .eq('restaurant_id', restaurantId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+// Adds the signed-in user's review, or replaces it if they already wrote one
+export const saveReview = async (restaurantId, review) => {
+  const row = { restaurant_id: restaurantId, ...validateReview(review) };
+  const { data, error } = await supabase
+    .from('reviews')
+    .upsert(row, { onConflict: 'restaurant_id,user_id' })
+    .select(REVIEW_COLUMNS)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+// Keyed on the user as well as the restaurant, like the upsert, so it can
+// never reach other people's reviews whatever the policies allow
+export const deleteReview = async (restaurantId, userId) => {
+  const { error } = await supabase
+    .from('reviews')
+    .delete()
+    .eq('restaurant_id', restaurantId)
+    .eq('user_id', userId);
+
+  if (error) {
+    throw error;
+  }
+};
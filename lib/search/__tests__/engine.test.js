@@ -0,0 +1,486 @@
+import {
+  createSearchEngine,
+  normalizeRequest,
+  planSearch,
+  isNetworkError,
+  DEFAULT_CHAINS
+} from '../engine';
+import { createSupabaseStandIn, networkError } from './helpers/supabaseStandIn';
+
+// The real client needs env vars and native storage; these tests only use stand-ins
+jest.mock('../../supabase', () => ({ supabase: null }));
+
+const RESTAURANTS = [
+  { id: 1, name: 'Joe\'s Pizza', city: 'Austin', state: 'TX', address: '1 Main St', url: 'https://joes.example', phone_number: '555-0001' },
+  { id: 2, name: 'Taco Palace', city: 'Austin', state: 'TX', address: '2 Oak Ave', url: null, phone_number: '555-0002' },
+  { id: 3, name: 'Pizza Napoli', city: 'Portland', state: 'OR', address: '3 Pine Rd', url: 'https://napoli.example', phone_number: null }
+];
+
+const EMBEDDING = [0.1, 0.2, 0.3];
+
+const silentLogger = { log: () => {} };
+
+const setup = ({ rpcs = {}, tables = { restaurants: RESTAURANTS }, embed, cachedEmbed, offlineIndex, pageSize = 20 } = {}) => {
+  const supabase = createSupabaseStandIn({ tables, rpcs });
+  const embedQuery = embed || jest.fn(async () => EMBEDDING);
+  const engine = createSearchEngine({
+    supabase,
+    embed: embedQuery,
+    cachedEmbed,
+    offlineIndex,
+    pageSize,
+    logger: silentLogger
+  });
+  return { supabase, embed: embedQuery, engine };
+};
+
+const rpcNames = (supabase) => supabase.calls.filter(call => call.type === 'rpc').map(call => call.name);
+
+describe('normalizeRequest', () => {
+  it('trims the query and builds RPC filters from filters, location and bounds', () => {
+    const request = normalizeRequest({
+      query: '  pizza ',
+      filters: {
+        state: 'TX',
+        city: 'Austin',
+        hasPhone: true,
+        hasWebsite: false,
+        cuisine: 'vegan',
+        maxPrice: 2,
+        minRating: 0,
+        openNow: true
+      },
+      origin: { lat: 30.27, lng: -97.74 },
+      radiusKm: 5,
+      bounds: { min_lat: 30, max_lat: 31, min_lng: -98, max_lng: -97 }
+    });
+
+    expect(request.query).toBe('pizza');
+    expect(request.mode).toBe('auto');
+    expect(request.rpcFilters).toEqual({
+      state: 'TX',
+      city: 'Austin',
+      has_phone: true,
+      cuisine: 'vegan',
+      max_price: 2,
+      open_now: true,
+      near: { lat: 30.27, lng: -97.74, radius_km: 5 },
+      bounds: { min_lat: 30, max_lat: 31, min_lng: -98, max_lng: -97 }
+    });
+  });
+});
+
+describe('planSearch', () => {
+  it('lists filtered restaurants when there are no search words', () => {
+    expect(planSearch(normalizeRequest({ query: '' }))).toBe(DEFAULT_CHAINS.list);
+  });
+
+  it('looks nearby when there is a location but no search words', () => {
+    expect(planSearch(normalizeRequest({ query: '', origin: { lat: 1, lng: 2 } }))).toBe(DEFAULT_CHAINS.nearby);
+  });
+
+  it('uses the chain for the search mode', () => {
+    expect(planSearch(normalizeRequest({ query: 'pizza', mode: 'vector' }))).toBe(DEFAULT_CHAINS.vector);
+    expect(planSearch(normalizeRequest({ query: 'pizza', mode: 'fulltext' }))).toBe(DEFAULT_CHAINS.fulltext);
+  });
+
+  it('goes straight to the offline index when offline', () => {
+    expect(planSearch(normalizeRequest({ query: 'pizza', offline: true }))).toBe(DEFAULT_CHAINS.offline);
+  });
+
+  it('rejects unknown modes', () => {
+    expect(() => planSearch(normalizeRequest({ query: 'pizza', mode: 'psychic' }))).toThrow('Unknown search mode');
+  });
+});
+
+describe('isNetworkError', () => {
+  it('recognizes failed fetches but not server errors', () => {
+    expect(isNetworkError(networkError())).toBe(true);
+    expect(isNetworkError({ name: 'FunctionsFetchError', message: 'Failed to send a request to the Edge Function' })).toBe(true);
+    expect(isNetworkError({ message: 'permission denied for table restaurants', code: '42501' })).toBe(false);
+    expect(isNetworkError(undefined)).toBe(false);
+  });
+});
+
+describe('search', () => {
+  it('returns hybrid results with relevance as a percentage', async () => {
+    const { engine, embed, supabase } = setup({
+      rpcs: {
+        hybrid_search_restaurants: () => [{ ...RESTAURANTS[0], relevance: 0.876 }]
+      }
+    });
+
+    const result = await engine.search({ mode: 'hybrid', query: 'pizza' });
+
+    expect(result.searchType).toBe('hybrid');
+    expect(result.data).toEqual([expect.objectContaining({ id: 1, similarity: 88 })]);
+    expect(result.hasMore).toBe(false);
+    expect(embed).toHaveBeenCalledWith('pizza');
+    expect(rpcNames(supabase)).toEqual(['hybrid_search_restaurants']);
+  });
+
+  it('falls back to text search when the hybrid RPC returns an error', async () => {
+    const { engine, supabase } = setup({
+      rpcs: {
+        hybrid_search_restaurants: () => ({ error: { message: 'function does not exist', code: '42883' } }),
+        search_restaurants_text: () => [RESTAURANTS[2]]
+      }
+    });
+
+    const result = await engine.search({ mode: 'hybrid', query: 'pizza' });
+
+    expect(result.searchType).toBe('text_fallback');
+    expect(result.data.map(row => row.id)).toEqual([3]);
+    expect(rpcNames(supabase)).toEqual(['hybrid_search_restaurants', 'search_restaurants_text']);
+  });
+
+  it('falls back to the semantic RPC with the device\'s embedding when the query cannot be embedded', async () => {
+    const semantic = jest.fn(() => [{ ...RESTAURANTS[0], similarity: 0.834 }]);
+    const { engine, supabase } = setup({
+      embed: jest.fn(async () => {
+        throw new Error('Too many searches in a short time');
+      }),
+      cachedEmbed: async () => EMBEDDING,
+      rpcs: { search_restaurants_semantic: semantic }
+    });
+
+    const result = await engine.search({ mode: 'vector', query: 'pizza' });
+
+    expect(result.searchType).toBe('semantic_fallback');
+    expect(result.data[0].similarity).toBe(83);
+    expect(rpcNames(supabase)).toEqual(['search_restaurants_semantic']);
+    expect(semantic).toHaveBeenCalledWith(expect.objectContaining({ query_embedding: EMBEDDING }));
+  });
+
+  it('skips the semantic RPC for a query the device never embedded', async () => {
+    const { engine, supabase } = setup({
+      embed: jest.fn(async () => {
+        throw new Error('embed function unavailable');
+      }),
+      rpcs: { search_restaurants_text: () => [RESTAURANTS[1]] }
+    });
+
+    const result = await engine.search({ mode: 'vector', query: 'tacos' });
+
+    expect(result.trail.map(attempt => [attempt.strategy, attempt.outcome])).toEqual([
+      ['vector', 'error'],
+      ['semantic', 'empty'],
+      ['text', 'ok']
+    ]);
+    expect(rpcNames(supabase)).toEqual(['search_restaurants_text']);
+  });
+
+  it('walks the whole vector chain down to text search', async () => {
+    const { engine, supabase } = setup({
+      cachedEmbed: async () => EMBEDDING,
+      rpcs: {
+        match_restaurants: () => ({ error: { message: 'vector dimension mismatch' } }),
+        search_restaurants_text: () => [RESTAURANTS[1]]
+      }
+    });
+
+    const result = await engine.search({ mode: 'vector', query: 'tacos' });
+
+    expect(result.searchType).toBe('text_fallback');
+    expect(rpcNames(supabase)).toEqual(['match_restaurants', 'search_restaurants_semantic', 'search_restaurants_text']);
+  });
+
+  it('tries every strategy in auto mode and reports the one that answered', async () => {
+    const { engine, supabase } = setup({
+      rpcs: {
+        hybrid_search_restaurants: () => ({ error: { message: 'Could not find the function', code: 'PGRST202' } }),
+        match_restaurants: () => [],
+        search_restaurants_text: () => ({ error: { message: 'Could not find the function', code: 'PGRST202' } })
+      }
+    });
+
+    const result = await engine.search({ query: 'taco' });
+
+    expect(result).toEqual(expect.objectContaining({ searchType: 'basic_fallback', strategy: 'ilike', fallback: true }));
+    expect(rpcNames(supabase)).toEqual(['hybrid_search_restaurants', 'match_restaurants', 'search_restaurants_text']);
+    expect(result.trail.map(attempt => [attempt.strategy, attempt.outcome, attempt.code ?? null])).toEqual([
+      ['hybrid', 'error', 'PGRST202'],
+      ['vector', 'empty', null],
+      ['text', 'error', 'PGRST202'],
+      ['ilike', 'ok', null]
+    ]);
+  });
+
+  it('only matches keywords in keyword mode', async () => {
+    const { engine, supabase, embed } = setup();
+
+    const result = await engine.search({ mode: 'keyword', query: 'palace' });
+
+    expect(result).toEqual(expect.objectContaining({ searchType: 'keyword', strategy: 'ilike', fallback: false }));
+    expect(result.data.map(row => row.id)).toEqual([2]);
+    expect(rpcNames(supabase)).toEqual([]);
+    expect(embed).not.toHaveBeenCalled();
+  });
+
+  it('passes the minimum match percentage to the vector RPC as a threshold, with the query model', async () => {
+    const { engine, supabase } = setup({
+      rpcs: { match_restaurants: () => [{ ...RESTAURANTS[0], similarity: 0.91 }] }
+    });
+
+    const result = await engine.search({ mode: 'vector', query: 'pizza', filters: { minSimilarity: 70 } });
+
+    expect(result.data[0].similarity).toBe(91);
+    expect(supabase.calls[0].args).toEqual(expect.objectContaining({
+      query_embedding: EMBEDDING,
+      match_threshold: 0.7,
+      match_offset: 0,
+      model_name: 'text-embedding-3-small'
+    }));
+  });
+
+  it('uses the ilike fallback with filters when the text RPC is missing', async () => {
+    const { engine } = setup();
+
+    const result = await engine.search({ mode: 'fulltext', query: 'pizza', filters: { hasWebsite: true, state: 'tx' } });
+
+    expect(result.searchType).toBe('basic_fallback');
+    expect(result.data.map(row => row.id)).toEqual([1]);
+  });
+
+  it('throws the last error when every strategy fails', async () => {
+    const { engine } = setup({
+      tables: {},
+      rpcs: { search_restaurants_text: () => ({ error: { message: 'statement timeout' } }) }
+    });
+
+    await expect(engine.search({ mode: 'fulltext', query: 'pizza' })).rejects.toEqual(
+      expect.objectContaining({
+        message: 'relation "public.restaurants" does not exist',
+        cause: expect.objectContaining({ code: '42P01' }),
+        trail: [
+          expect.objectContaining({ strategy: 'text', outcome: 'error', reason: 'statement timeout' }),
+          expect.objectContaining({ strategy: 'ilike', outcome: 'error' })
+        ]
+      })
+    );
+  });
+
+  it('falls back when a strategy finds nothing', async () => {
+    const { engine, supabase } = setup({
+      rpcs: { search_restaurants_text: () => [] }
+    });
+
+    const result = await engine.search({ mode: 'fulltext', query: 'pizza' });
+
+    expect(result.searchType).toBe('basic_fallback');
+    expect(result.data.map(row => row.id)).toEqual([1, 3]);
+    expect(rpcNames(supabase)).toEqual(['search_restaurants_text']);
+    expect(result.trail.map(attempt => [attempt.strategy, attempt.outcome, attempt.rows])).toEqual([
+      ['text', 'empty', 0],
+      ['ilike', 'ok', 2]
+    ]);
+  });
+
+  it('returns the first empty answer when nothing matches anywhere', async () => {
+    const { engine, supabase } = setup({
+      tables: { restaurants: [] },
+      rpcs: {
+        hybrid_search_restaurants: () => [],
+        search_restaurants_text: () => ({ error: { message: 'function does not exist' } })
+      }
+    });
+
+    const result = await engine.search({ mode: 'hybrid', query: 'pizza' });
+
+    expect(result).toEqual(expect.objectContaining({ data: [], searchType: 'hybrid', hasMore: false }));
+    expect(rpcNames(supabase)).toEqual(['hybrid_search_restaurants', 'search_restaurants_text']);
+    expect(result.trail.map(attempt => attempt.outcome)).toEqual(['empty', 'error']);
+  });
+
+  it('moves on when a strategy takes too long', async () => {
+    const logger = { log: jest.fn() };
+    const engine = createSearchEngine({
+      supabase: null,
+      embed: null,
+      logger,
+      stepTimeoutMs: 20,
+      strategies: {
+        stuck: { name: 'stuck', fetchPage: () => new Promise(() => {}) },
+        quick: { name: 'quick', fetchPage: async () => [{ id: 7 }] }
+      },
+      chains: { ...DEFAULT_CHAINS, fulltext: [{ strategy: 'stuck', searchType: 'slow' }, { strategy: 'quick', searchType: 'fast' }] }
+    });
+
+    const result = await engine.search({ mode: 'fulltext', query: 'pizza' });
+
+    expect(result.searchType).toBe('fast');
+    expect(result.trail[0]).toEqual(expect.objectContaining({
+      strategy: 'stuck',
+      outcome: 'timeout',
+      reason: 'slow search took longer than 20 ms'
+    }));
+    expect(result.trail[0].ms).toBeGreaterThanOrEqual(15);
+    expect(logger.log).toHaveBeenCalledWith('🔄 slow search failed:', 'slow search took longer than 20 ms');
+  });
+
+  it('lets a step set its own timeout', async () => {
+    const engine = createSearchEngine({
+      supabase: null,
+      embed: null,
+      logger: silentLogger,
+      stepTimeoutMs: 10,
+      strategies: {
+        patient: {
+          name: 'patient',
+          fetchPage: () => new Promise(resolve => setTimeout(() => resolve([{ id: 1 }]), 30))
+        }
+      },
+      chains: { ...DEFAULT_CHAINS, fulltext: [{ strategy: 'patient', searchType: 'patient', timeoutMs: 1000 }] }
+    });
+
+    const result = await engine.search({ mode: 'fulltext', query: 'pizza' });
+
+    expect(result.trail).toEqual([expect.objectContaining({ outcome: 'ok', rows: 1 })]);
+  });
+
+  it('lists restaurants matching the filters when there are no search words', async () => {
+    const { engine, embed } = setup();
+
+    const result = await engine.search({ query: '', filters: { city: 'austin' } });
+
+    expect(result.searchType).toBe('filtered_list');
+    expect(result.data.map(row => row.name)).toEqual(['Joe\'s Pizza', 'Taco Palace']);
+    expect(embed).not.toHaveBeenCalled();
+  });
+
+  it('asks nearby_restaurants when there is only a location', async () => {
+    const nearby = jest.fn(() => [RESTAURANTS[1]]);
+    const { engine } = setup({ rpcs: { nearby_restaurants: nearby } });
+
+    const result = await engine.search({ query: '', origin: { lat: 30.2, lng: -97.7 }, radiusKm: 5 });
+
+    expect(result.searchType).toBe('nearby');
+    expect(nearby).toHaveBeenCalledWith({
+      lat: 30.2,
+      lng: -97.7,
+      radius_km: 5,
+      match_count: 20,
+      match_offset: 0,
+      filters: { near: { lat: 30.2, lng: -97.7, radius_km: 5 } }
+    });
+  });
+
+  it('fetches later pages from the strategy that served the first', async () => {
+    const hybrid = jest.fn(({ match_offset: offset }) => (
+      offset === 0 ? [{ ...RESTAURANTS[0], relevance: 0.9 }, { ...RESTAURANTS[1], relevance: 0.8 }] : [{ ...RESTAURANTS[2], relevance: 0.7 }]
+    ));
+    const { engine } = setup({ pageSize: 2, rpcs: { hybrid_search_restaurants: hybrid } });
+
+    const result = await engine.search({ mode: 'hybrid', query: 'food' });
+    expect(result.hasMore).toBe(true);
+
+    const nextPage = await result.fetchPage(2);
+    expect(nextPage.map(row => row.id)).toEqual([3]);
+    expect(hybrid).toHaveBeenLastCalledWith(expect.objectContaining({ match_offset: 2, match_count: 2 }));
+  });
+
+  it('pages the full-text RPC in SQL, passing filters and offset', async () => {
+    const rows = Array.from({ length: 5 }, (_, index) => ({ id: index + 1, name: `Diner ${index + 1}` }));
+    const text = jest.fn(({ match_count: count, match_offset: offset }) => rows.slice(offset, offset + count));
+    const { engine } = setup({ pageSize: 2, rpcs: { search_restaurants_text: text } });
+
+    const result = await engine.search({ mode: 'fulltext', query: 'diner', filters: { cuisine: 'diner' } });
+    const secondPage = await result.fetchPage(2);
+
+    expect(result.data.map(row => row.id)).toEqual([1, 2]);
+    expect(result.hasMore).toBe(true);
+    expect(secondPage.map(row => row.id)).toEqual([3, 4]);
+    expect(text).toHaveBeenLastCalledWith({
+      search_query: 'diner',
+      match_count: 2,
+      filters: { cuisine: 'diner' },
+      match_offset: 2
+    });
+  });
+
+  describe('offline', () => {
+    const offlineRows = [{ id: 9, name: 'Cached Cafe', similarity: 80 }];
+
+    it('switches to the offline index after a network failure', async () => {
+      const offlineIndex = { isAvailable: jest.fn(async () => true), search: jest.fn(async () => offlineRows) };
+      const { engine } = setup({
+        offlineIndex,
+        embed: jest.fn(async () => {
+          throw networkError();
+        }),
+        rpcs: { search_restaurants_text: () => ({ error: networkError() }) }
+      });
+
+      const result = await engine.search({ mode: 'hybrid', query: 'coffee' });
+
+      expect(result.searchType).toBe('offline');
+      expect(result.data).toEqual(offlineRows);
+      expect(result.trail.map(attempt => [attempt.strategy, attempt.outcome])).toEqual([
+        ['hybrid', 'error'],
+        ['text', 'error'],
+        ['offline', 'ok']
+      ]);
+      expect(offlineIndex.search).toHaveBeenCalledWith(expect.objectContaining({ query: 'coffee', offline: true }));
+    });
+
+    it('rethrows network failures when the offline index is empty', async () => {
+      const offlineIndex = { isAvailable: async () => false, search: jest.fn() };
+      const { engine } = setup({
+        offlineIndex,
+        rpcs: {
+          hybrid_search_restaurants: () => ({ error: networkError() }),
+          search_restaurants_text: () => ({ error: networkError() })
+        }
+      });
+
+      await expect(engine.search({ mode: 'hybrid', query: 'coffee' })).rejects.toEqual(
+        expect.objectContaining({ cause: networkError() })
+      );
+      expect(offlineIndex.search).not.toHaveBeenCalled();
+    });
+
+    it('does not hide server errors behind offline results', async () => {
+      const offlineIndex = { isAvailable: async () => true, search: jest.fn() };
+      const { engine } = setup({
+        offlineIndex,
+        rpcs: {
+          hybrid_search_restaurants: () => ({ error: { message: 'permission denied' } }),
+          search_restaurants_text: () => ({ error: { message: 'permission denied' } })
+        }
+      });
+
+      await expect(engine.search({ mode: 'hybrid', query: 'coffee' })).rejects.toEqual(
+        expect.objectContaining({ message: 'permission denied', cause: { message: 'permission denied' } })
+      );
+      expect(offlineIndex.search).not.toHaveBeenCalled();
+    });
+
+    it('skips the network entirely when already offline', async () => {
+      const offlineIndex = { isAvailable: async () => true, search: jest.fn(async () => offlineRows) };
+      const { engine, supabase, embed } = setup({ offlineIndex });
+
+      const result = await engine.search({ mode: 'vector', query: 'coffee', offline: true });
+
+      expect(result.searchType).toBe('offline');
+      expect(supabase.calls).toEqual([]);
+      expect(embed).not.toHaveBeenCalled();
+    });
+  });
+
+  it('accepts custom strategies and chains', async () => {
+    const engine = createSearchEngine({
+      supabase: null,
+      embed: null,
+      logger: silentLogger,
+      strategies: {
+        broken: { name: 'broken', fetchPage: async () => { throw new Error('nope'); } },
+        fixed: { name: 'fixed', fetchPage: async () => [{ id: 42 }] }
+      },
+      chains: { ...DEFAULT_CHAINS, hybrid: [{ strategy: 'broken', searchType: 'a' }, { strategy: 'fixed', searchType: 'b' }] }
+    });
+
+    const result = await engine.search({ mode: 'hybrid', query: 'anything' });
+
+    expect(result).toEqual(expect.objectContaining({ searchType: 'b', data: [{ id: 42 }] }));
+  });
+});
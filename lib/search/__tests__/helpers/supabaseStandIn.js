@@ -0,0 +1,212 @@
+// In-memory stand-in for the parts of supabase-js the search strategies use:
+// from(), rpc() and the chained filters. Builders resolve to { data, error }
+// like the real client, and every call is recorded in `calls`. Tables and
+// RPCs that weren't provided fail the way a database without them would.
+//
+//   const supabase = createSupabaseStandIn({
+//     tables: { restaurants: [...] },
+//     rpcs: { search_restaurants_text: (args) => rows | { error } }
+//   });
+
+// LIKE pattern -> RegExp; `\` makes the next character literal, as in Postgres
+const likeToRegExp = (pattern) => {
+  let source = '';
+  for (let i = 0; i < pattern.length; i += 1) {
+    const char = pattern[i];
+    if (char === '\\' && i + 1 < pattern.length) {
+      i += 1;
+      source += pattern[i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (char === '%') {
+      source += '.*';
+    } else if (char === '_') {
+      source += '.';
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 'is');
+};
+
+const isBlank = (value) => value === null || value === undefined;
+
+// Splits an or() expression on commas outside double quotes, and unquotes
+// values the way PostgREST does ("a\"b" -> a"b)
+const splitOr = (expression) => {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < expression.length; i += 1) {
+    const char = expression[i];
+    if (quoted && char === '\\') {
+      i += 1;
+      current += expression[i];
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (quoted) {
+    throw new Error(`Unterminated quote in or(${expression})`);
+  }
+  return [...parts, current];
+};
+
+// 'name.ilike."%x%",city.eq.Austin' -> row predicate
+const parseOr = (expression) => {
+  const conditions = splitOr(expression).map(part => {
+    const [column, operator, ...rest] = part.split('.');
+    const value = rest.join('.');
+    if (operator === 'ilike') {
+      return row => likeToRegExp(value).test(row[column] ?? '');
+    }
+    if (operator === 'eq') {
+      return row => String(row[column]) === value;
+    }
+    throw new Error(`Stand-in does not support "${operator}" inside or()`);
+  });
+
+  return row => conditions.some(condition => condition(row));
+};
+
+class QueryBuilder {
+  constructor(source) {
+    // source() resolves to { data, error } before any filters run
+    this.source = source;
+    this.predicates = [];
+    this.orders = [];
+    this.window = null;
+  }
+
+  where(predicate) {
+    this.predicates.push(predicate);
+    return this;
+  }
+
+  select() {
+    return this;
+  }
+
+  eq(column, value) {
+    return this.where(row => row[column] === value);
+  }
+
+  neq(column, value) {
+    return this.where(row => row[column] !== value);
+  }
+
+  lte(column, value) {
+    return this.where(row => !isBlank(row[column]) && row[column] <= value);
+  }
+
+  gte(column, value) {
+    return this.where(row => !isBlank(row[column]) && row[column] >= value);
+  }
+
+  contains(column, values) {
+    return this.where(row => values.every(value => (row[column] || []).includes(value)));
+  }
+
+  ilike(column, pattern) {
+    return this.where(row => likeToRegExp(pattern).test(row[column] ?? ''));
+  }
+
+  not(column, operator, value) {
+    if (operator !== 'is' || value !== null) {
+      throw new Error(`Stand-in only supports not(column, 'is', null), got ${operator}`);
+    }
+    return this.where(row => !isBlank(row[column]));
+  }
+
+  or(expression) {
+    return this.where(parseOr(expression));
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  range(from, to) {
+    this.window = { from, to: to + 1 };
+    return this;
+  }
+
+  limit(count) {
+    this.window = { from: this.window?.from ?? 0, to: (this.window?.from ?? 0) + count };
+    return this;
+  }
+
+  async execute() {
+    const { data, error } = await this.source();
+    if (error) {
+      return { data: null, error };
+    }
+
+    let rows = data.filter(row => this.predicates.every(predicate => predicate(row)));
+
+    if (this.orders.length > 0) {
+      rows = [...rows].sort((a, b) => {
+        for (const { column, ascending } of this.orders) {
+          if (a[column] < b[column]) return ascending ? -1 : 1;
+          if (a[column] > b[column]) return ascending ? 1 : -1;
+        }
+        return 0;
+      });
+    }
+
+    if (this.window) {
+      rows = rows.slice(this.window.from, this.window.to);
+    }
+
+    return { data: rows, error: null };
+  }
+
+  then(resolve, reject) {
+    return this.execute().then(resolve, reject);
+  }
+}
+
+// What supabase-js reports when fetch itself fails
+export const networkError = () => ({
+  message: 'TypeError: Network request failed',
+  details: '',
+  hint: '',
+  code: ''
+});
+
+export const createSupabaseStandIn = ({ tables = {}, rpcs = {} } = {}) => {
+  const calls = [];
+
+  return {
+    calls,
+
+    from(table) {
+      calls.push({ type: 'from', name: table });
+      return new QueryBuilder(async () => (
+        tables[table]
+          ? { data: tables[table], error: null }
+          : { data: null, error: { message: `relation "public.${table}" does not exist`, code: '42P01' } }
+      ));
+    },
+
+    rpc(name, args) {
+      calls.push({ type: 'rpc', name, args });
+      return new QueryBuilder(async () => {
+        const handler = rpcs[name];
+        if (!handler) {
+          return {
+            data: null,
+            error: { message: `Could not find the function public.${name} in the schema cache`, code: 'PGRST202' }
+          };
+        }
+
+        const result = await handler(args);
+        return Array.isArray(result) ? { data: result, error: null } : { data: null, ...result };
+      });
+    }
+  };
+};
@@ -0,0 +1,178 @@
+import { createClient } from '@supabase/supabase-js';
+import { createSearchEngine } from '../engine';
+import { parseStoredEmbedding } from '../strategies';
+import { buildEmbeddingText } from '../../embeddingText';
+import { cosineSimilarity, EMBEDDING_MODEL } from '../../vectors';
+import { fakeEmbedding } from '../../../scripts/fakeEmbedding';
+
+jest.mock('../../supabase', () => ({ supabase: null }));
+
+// The real migrations, RPCs and RLS policies, against the local stack seeded by
+// `npm run db:seed -- --reset`. Skipped unless the script's env lines are set:
+//   SUPABASE_LOCAL_URL=... SUPABASE_LOCAL_ANON_KEY=... npm test
+const { SUPABASE_LOCAL_URL: url, SUPABASE_LOCAL_ANON_KEY: anonKey } = process.env;
+const describeLocal = url && anonKey ? describe : describe.skip;
+
+describeLocal('search against the local stack', () => {
+  let supabase;
+  let engine;
+
+  const names = (result) => result.data.map(row => row.name);
+
+  beforeAll(() => {
+    supabase = createClient(url, anonKey, {
+      auth: { persistSession: false, autoRefreshToken: false }
+    });
+    // Same stub vectors the seed script stored, so a restaurant's own text is a perfect match
+    engine = createSearchEngine({
+      supabase,
+      embed: async (query) => fakeEmbedding(query),
+      logger: { log: () => {} }
+    });
+  });
+
+  it('ranks full-text matches with search_restaurants_text', async () => {
+    const result = await engine.search({ mode: 'fulltext', query: 'pizza' });
+
+    expect(result.strategy).toBe('text');
+    expect(names(result)).toEqual(expect.arrayContaining(['Joe\'s Pizza', 'Pizza Napoli']));
+  });
+
+  it('filters full-text matches in SQL, location included', async () => {
+    const inPortland = await engine.search({ mode: 'fulltext', query: 'pizza', filters: { city: 'Portland' } });
+    const nearAustin = await engine.search({
+      mode: 'fulltext',
+      query: 'pizza',
+      origin: { lat: 30.2672, lng: -97.7431 },
+      radiusKm: 5
+    });
+
+    expect(names(inPortland)).toContain('Pizza Napoli');
+    expect(names(inPortland)).not.toContain('Joe\'s Pizza');
+    expect(names(nearAustin)).toContain('Joe\'s Pizza');
+    expect(names(nearAustin)).not.toContain('Pizza Napoli');
+    nearAustin.data.forEach(row => expect(row.distance_km).toBeLessThan(5));
+  });
+
+  it('matches substrings in keyword mode', async () => {
+    const result = await engine.search({ mode: 'keyword', query: 'sushi' });
+
+    expect(names(result)).toEqual(['Sakura Sushi Bar']);
+  });
+
+  it('sends keyword queries with commas and parentheses as plain text', async () => {
+    const result = await engine.search({ mode: 'keyword', query: 'sushi, (bar).' });
+
+    expect(result.trail).toEqual([expect.objectContaining({ strategy: 'ilike', outcome: 'empty' })]);
+  });
+
+  it('finds a restaurant by its own embedding text in vector and hybrid modes', async () => {
+    const { data: restaurant, error } = await supabase
+      .from('restaurants')
+      .select('*')
+      .eq('name', 'Candlelight Bistro')
+      .single();
+    expect(error).toBeNull();
+    const query = buildEmbeddingText(restaurant);
+
+    const vector = await engine.search({ mode: 'vector', query });
+    const hybrid = await engine.search({ mode: 'hybrid', query });
+
+    expect(vector.strategy).toBe('vector');
+    expect(vector.data[0]).toEqual(expect.objectContaining({ name: 'Candlelight Bistro', similarity: 100 }));
+    expect(hybrid.strategy).toBe('hybrid');
+    expect(hybrid.data[0].name).toBe('Candlelight Bistro');
+  });
+
+  it('pages filtered vector results to the end without losing rows to the index', async () => {
+    const { data: rows, error } = await supabase
+      .from('restaurants')
+      .select('id, name, state, embedding_text')
+      .eq('embedding_model', EMBEDDING_MODEL)
+      .not('embedding_text', 'is', null);
+    expect(error).toBeNull();
+    const query = buildEmbeddingText(rows.find(row => row.state === 'TX'));
+    const queryEmbedding = fakeEmbedding(query);
+
+    // Every Texas row at or above the default threshold of 0, ranked here
+    const expected = rows
+      .filter(row => row.state === 'TX')
+      .map(row => ({ id: row.id, similarity: cosineSimilarity(queryEmbedding, parseStoredEmbedding(row.embedding_text)) }))
+      .filter(row => row.similarity >= 0)
+      .sort((a, b) => b.similarity - a.similarity || a.id - b.id)
+      .map(row => row.id);
+
+    // Two rows a page, so paging runs well past what one index list holds
+    const pagedEngine = createSearchEngine({
+      supabase,
+      embed: async (text) => fakeEmbedding(text),
+      pageSize: 2,
+      logger: { log: () => {} }
+    });
+    const result = await pagedEngine.search({ mode: 'vector', query, filters: { state: 'TX' } });
+    const ids = result.data.map(row => row.id);
+    for (let page = result.data; page.length === 2;) {
+      page = await result.fetchPage(ids.length);
+      ids.push(...page.map(row => row.id));
+    }
+
+    expect(result.strategy).toBe('vector');
+    expect(expected.length).toBeGreaterThan(2);
+    expect(ids).toEqual(expected);
+  });
+
+  it('falls through an uncached semantic search to full-text when embedding fails', async () => {
+    const offlineEngine = createSearchEngine({
+      supabase,
+      embed: async () => {
+        throw new Error('embed function unavailable');
+      },
+      logger: { log: () => {} }
+    });
+
+    const result = await offlineEngine.search({ mode: 'vector', query: 'tex-mex cantina' });
+
+    expect(result.trail.map(attempt => [attempt.strategy, attempt.outcome])).toEqual([
+      ['vector', 'error'],
+      ['semantic', 'empty'],
+      ['text', 'ok']
+    ]);
+    expect(names(result)).toEqual(['Alamo Tex-Mex Cantina']);
+  });
+
+  it('ranks by a caller-supplied embedding in the semantic RPC', async () => {
+    const { data: restaurant } = await supabase
+      .from('restaurants')
+      .select('*')
+      .eq('name', 'Green Bowl Vegan Kitchen')
+      .single();
+    const cachedEngine = createSearchEngine({
+      supabase,
+      embed: async () => {
+        throw new Error('embed function unavailable');
+      },
+      cachedEmbed: async (query) => fakeEmbedding(query),
+      logger: { log: () => {} }
+    });
+
+    const result = await cachedEngine.search({ mode: 'vector', query: buildEmbeddingText(restaurant) });
+
+    expect(result.strategy).toBe('semantic');
+    expect(result.data[0]).toEqual(expect.objectContaining({ name: 'Green Bowl Vegan Kitchen', similarity: 100 }));
+  });
+
+  it('lists by filters and searches around a location', async () => {
+    const list = await engine.search({ query: '', filters: { state: 'OR', city: 'Portland' } });
+    const nearby = await engine.search({ query: '', origin: { lat: 30.2672, lng: -97.7431 }, radiusKm: 3 });
+
+    expect(names(list)).toEqual(['Family Table Diner', 'Pizza Napoli', 'Stumptown Coffee Bar', 'Thai Orchid Curry House']);
+    expect(names(nearby)).toContain('Smokehouse on Sixth');
+    expect(names(nearby)).not.toContain('Bayou Crawfish Shack');
+  });
+
+  it('lets anyone read restaurants but not write them', async () => {
+    const { error } = await supabase.from('restaurants').insert({ name: 'Sneaky Snacks' });
+
+    expect(error).toEqual(expect.objectContaining({ code: '42501' }));
+  });
+});
@@ -0,0 +1,241 @@
+import {
+  EMBEDDING_DIMENSIONS,
+  parseStoredEmbedding,
+  createClientVectorStrategy,
+  createOfflineStrategy,
+  createFilteredListStrategy,
+  createSemanticRpcStrategy,
+  createNearbyStrategy,
+  createIlikeStrategy,
+  toContainsPattern
+} from '../strategies';
+import { normalizeRequest } from '../engine';
+import { EMBEDDING_MODEL } from '../../vectors';
+import { createSupabaseStandIn } from './helpers/supabaseStandIn';
+
+jest.mock('../../supabase', () => ({ supabase: null }));
+
+// Unit vector along one axis, so cosine similarity between two of them is 1 or 0
+const axis = (index) => Array.from({ length: EMBEDDING_DIMENSIONS }, (_, i) => (i === index ? 1 : 0));
+
+// Mostly along `index`, a little along the next axis
+const nearAxis = (index) => axis(index).map((value, i) => (i === index + 1 ? 0.5 : value));
+
+describe('parseStoredEmbedding', () => {
+  it('parses a full-length numeric array', () => {
+    expect(parseStoredEmbedding(JSON.stringify(axis(0)))).toEqual(axis(0));
+  });
+
+  it.each([
+    ['null', null],
+    ['an empty string', ''],
+    ['an empty array', '[]'],
+    ['text that is not JSON', '[0.1, 0.2,'],
+    ['a JSON object', '{"0": 0.1}'],
+    ['the wrong length', '[0.1, 0.2, 0.3]'],
+    ['non-numeric values', JSON.stringify(axis(0).map((value, i) => (i === 5 ? 'x' : value)))],
+    ['a non-string', 42]
+  ])('rejects %s', (_, value) => {
+    expect(parseStoredEmbedding(value)).toBeNull();
+  });
+});
+
+describe('client-side vector strategy', () => {
+  const restaurants = [
+    { id: 1, name: 'Exact', state: 'TX', embedding_text: JSON.stringify(axis(0)) },
+    { id: 2, name: 'Close', state: 'TX', embedding_text: JSON.stringify(nearAxis(0)) },
+    { id: 3, name: 'Unrelated', state: 'TX', embedding_text: JSON.stringify(axis(7)) },
+    { id: 4, name: 'Truncated', state: 'TX', embedding_text: '[0.1, 0.2' },
+    { id: 5, name: 'Short', state: 'TX', embedding_text: '[1, 0, 0]' },
+    { id: 6, name: 'Elsewhere', state: 'OR', embedding_text: JSON.stringify(axis(0)) },
+    { id: 7, name: 'Missing', state: 'TX', embedding_text: null },
+    { id: 8, name: 'Other model', state: 'TX', embedding_text: JSON.stringify(axis(0)), embedding_model: 'text-embedding-3-large' }
+  ].map(row => ({ embedding_model: EMBEDDING_MODEL, ...row }));
+
+  const createStrategy = (rows, pageSize = 20) => createClientVectorStrategy({
+    supabase: createSupabaseStandIn({ tables: { restaurants: rows } }),
+    embed: async () => axis(0),
+    pageSize
+  });
+
+  it('ranks valid embeddings and skips malformed ones and other models', async () => {
+    const strategy = createStrategy(restaurants);
+
+    const page = await strategy.fetchPage(normalizeRequest({ query: 'x', filters: { state: 'TX' } }), 0);
+
+    expect(page.map(row => [row.name, row.similarity])).toEqual([['Exact', 100], ['Close', 89]]);
+    expect(page[0]).not.toHaveProperty('embedding_text');
+  });
+
+  it('embeds and ranks once per request, then pages', async () => {
+    const embed = jest.fn(async () => axis(0));
+    const strategy = createClientVectorStrategy({
+      supabase: createSupabaseStandIn({ tables: { restaurants } }),
+      embed,
+      pageSize: 1
+    });
+    const request = normalizeRequest({ query: 'x' });
+
+    const first = await strategy.fetchPage(request, 0);
+    const second = await strategy.fetchPage(request, 1);
+
+    expect(first.map(row => row.id)).toEqual([1]);
+    expect(second.map(row => row.id)).toEqual([6]);
+    expect(embed).toHaveBeenCalledTimes(1);
+  });
+
+  it('explains an empty table instead of returning nothing', async () => {
+    const strategy = createStrategy([]);
+
+    await expect(strategy.fetchPage(normalizeRequest({ query: 'x' }), 0)).rejects.toThrow('No restaurants have embeddings yet');
+  });
+
+  it('propagates query errors', async () => {
+    const strategy = createClientVectorStrategy({
+      supabase: createSupabaseStandIn({ tables: {} }),
+      embed: async () => axis(0),
+      pageSize: 20
+    });
+
+    await expect(strategy.fetchPage(normalizeRequest({ query: 'x' }), 0)).rejects.toEqual(
+      expect.objectContaining({ code: '42P01' })
+    );
+  });
+});
+
+describe('offline strategy', () => {
+  it('searches the index once per request and pages through the result', async () => {
+    const offlineIndex = { search: jest.fn(async () => [{ id: 1 }, { id: 2 }, { id: 3 }]) };
+    const strategy = createOfflineStrategy({ offlineIndex, pageSize: 2 });
+    const request = normalizeRequest({ query: 'coffee', offline: true });
+
+    expect(await strategy.fetchPage(request, 0)).toEqual([{ id: 1 }, { id: 2 }]);
+    expect(await strategy.fetchPage(request, 2)).toEqual([{ id: 3 }]);
+    expect(offlineIndex.search).toHaveBeenCalledTimes(1);
+  });
+
+  it('fails clearly without an index', async () => {
+    const strategy = createOfflineStrategy({ offlineIndex: null, pageSize: 20 });
+
+    await expect(strategy.fetchPage(normalizeRequest({ query: 'coffee' }), 0)).rejects.toThrow('No offline index');
+  });
+});
+
+describe('filtered list strategy', () => {
+  it('orders by name and applies contact filters', async () => {
+    const strategy = createFilteredListStrategy({
+      supabase: createSupabaseStandIn({
+        tables: {
+          restaurants: [
+            { id: 1, name: 'Zed\'s', phone_number: '555-0001' },
+            { id: 2, name: 'Alpha', phone_number: '' },
+            { id: 3, name: 'Bravo', phone_number: '555-0003' }
+          ]
+        }
+      }),
+      pageSize: 20
+    });
+
+    const page = await strategy.fetchPage(normalizeRequest({ query: '', filters: { hasPhone: true } }), 0);
+
+    expect(page.map(row => row.name)).toEqual(['Bravo', 'Zed\'s']);
+  });
+
+  it('filters by cuisine tag, price and rating, leaving out unknown values', async () => {
+    const strategy = createFilteredListStrategy({
+      supabase: createSupabaseStandIn({
+        tables: {
+          restaurants: [
+            { id: 1, name: 'Green Bowl', cuisines: ['vegan', 'brunch'], price_level: 1, rating: 4.6 },
+            { id: 2, name: 'Fancy Greens', cuisines: ['vegan'], price_level: 4, rating: 4.8 },
+            { id: 3, name: 'Mystery Vegan', cuisines: ['vegan'], price_level: null, rating: null },
+            { id: 4, name: 'Cheap Tacos', cuisines: ['mexican'], price_level: 1, rating: 4.2 },
+            { id: 5, name: 'So-So Sprouts', cuisines: ['vegan'], price_level: 2, rating: 3.1 }
+          ]
+        }
+      }),
+      pageSize: 20
+    });
+
+    const page = await strategy.fetchPage(
+      normalizeRequest({ query: '', filters: { cuisine: 'Vegan', maxPrice: 2, minRating: 4 } }),
+      0
+    );
+
+    expect(page.map(row => row.name)).toEqual(['Green Bowl']);
+  });
+});
+
+describe('RPC strategies', () => {
+  const bounds = { min_lat: 30, max_lat: 31, min_lng: -98, max_lng: -97 };
+
+  it('hands the semantic RPC the filters and the page, so SQL filters before it pages', async () => {
+    const semantic = jest.fn(() => [{ id: 1, similarity: 0.812 }]);
+    const strategy = createSemanticRpcStrategy({
+      supabase: createSupabaseStandIn({ rpcs: { search_restaurants_semantic: semantic } }),
+      cachedEmbed: async () => axis(0),
+      pageSize: 10
+    });
+
+    const page = await strategy.fetchPage(
+      normalizeRequest({ query: 'ramen', filters: { maxPrice: 2, openNow: true }, bounds }),
+      10
+    );
+
+    expect(page).toEqual([{ id: 1, similarity: 81 }]);
+    expect(semantic).toHaveBeenCalledWith(expect.objectContaining({
+      query_embedding: axis(0),
+      match_count: 10,
+      match_offset: 10,
+      filters: { max_price: 2, open_now: true, bounds }
+    }));
+  });
+
+  it('passes the filters and map bounds to nearby_restaurants', async () => {
+    const nearby = jest.fn(() => []);
+    const strategy = createNearbyStrategy({
+      supabase: createSupabaseStandIn({ rpcs: { nearby_restaurants: nearby } }),
+      pageSize: 20
+    });
+
+    await strategy.fetchPage(
+      normalizeRequest({ filters: { cuisine: 'thai' }, origin: { lat: 30.2, lng: -97.7 }, radiusKm: 3, bounds }),
+      0
+    );
+
+    expect(nearby).toHaveBeenCalledWith(expect.objectContaining({
+      radius_km: 3,
+      filters: { cuisine: 'thai', near: { lat: 30.2, lng: -97.7, radius_km: 3 }, bounds }
+    }));
+  });
+});
+
+describe('ilike strategy', () => {
+  const restaurants = [
+    { id: 1, name: 'Joe\'s Pizza, Pasta & More', city: 'Austin', state: 'TX', address: '1 Main St' },
+    { id: 2, name: 'Joe\'s Pizza', city: 'Austin', state: 'TX', address: '2 Oak Ave' },
+    { id: 3, name: 'Cafe (Downtown)', city: 'Portland', state: 'OR', address: '3 Pine Rd.' },
+    { id: 4, name: '100% Vegan', city: 'Portland', state: 'OR', address: '4 Elm St' },
+    { id: 5, name: '1000 Vegan Dishes', city: 'Portland', state: 'OR', address: '5 Ash St' }
+  ];
+
+  const search = (query) => createIlikeStrategy({
+    supabase: createSupabaseStandIn({ tables: { restaurants } }),
+    pageSize: 20
+  }).fetchPage(normalizeRequest({ mode: 'keyword', query }), 0);
+
+  it('quotes the pattern and escapes LIKE wildcards', () => {
+    expect(toContainsPattern('50% off_now')).toBe('"%50\\\\% off\\\\_now%"');
+    expect(toContainsPattern('say "hi", (ok)')).toBe('"%say \\"hi\\", (ok)%"');
+  });
+
+  it.each([
+    ['a comma', 'Pizza, Pasta', [1]],
+    ['parentheses', '(Downtown)', [3]],
+    ['a dot', 'Pine Rd.', [3]],
+    ['a percent sign', '100%', [4]],
+    ['an underscore', 'Joe_s', []]
+  ])('matches a query with %s literally', async (_, query, ids) => {
+    expect((await search(query)).map(row => row.id)).toEqual(ids);
+  });
+});
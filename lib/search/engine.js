@@ -0,0 +1,220 @@
+import { toRpcFilters } from '../filters';
+import { toNearFilter } from '../location';
+import { createStrategies } from './strategies';
+
+export const SEARCH_PAGE_SIZE = 20;
+
+// Fallback chains: the strategies tried in order for each search mode.
+// `searchType` names which step produced the results (shown in logs and alerts).
+export const DEFAULT_CHAINS = {
+  // Best available: everything the app knows, strongest first
+  auto: [
+    { strategy: 'hybrid', searchType: 'hybrid' },
+    { strategy: 'vector', searchType: 'vector_fallback' },
+    { strategy: 'text', searchType: 'text_fallback' },
+    { strategy: 'ilike', searchType: 'basic_fallback' }
+  ],
+  vector: [
+    { strategy: 'vector', searchType: 'openai_direct' },
+    { strategy: 'semantic', searchType: 'semantic_fallback' },
+    { strategy: 'text', searchType: 'text_fallback' }
+  ],
+  hybrid: [
+    { strategy: 'hybrid', searchType: 'hybrid' },
+    { strategy: 'text', searchType: 'text_fallback' }
+  ],
+  fulltext: [
+    { strategy: 'text', searchType: 'text_search' },
+    { strategy: 'ilike', searchType: 'basic_fallback' }
+  ],
+  keyword: [{ strategy: 'ilike', searchType: 'keyword' }],
+  // Searches without words: only constraints, or only a location
+  list: [{ strategy: 'filteredList', searchType: 'filtered_list' }],
+  nearby: [{ strategy: 'nearby', searchType: 'nearby' }],
+  offline: [{ strategy: 'offline', searchType: 'offline' }]
+};
+
+// Failed fetches, as opposed to errors the server sent back
+export const isNetworkError = (error) => (
+  error?.name === 'FunctionsFetchError' ||
+  /network request failed|failed to fetch|network error|fetch failed/i.test(error?.message || '')
+);
+
+// Fills in defaults and the RPC form of the filters once, so strategies don't each rebuild them
+export const normalizeRequest = ({
+  mode = 'auto',
+  query = '',
+  filters = {},
+  origin = null,
+  radiusKm = null,
+  bounds = null,
+  offline = false
+}) => ({
+  mode,
+  query: query.trim(),
+  filters,
+  origin,
+  radiusKm,
+  bounds,
+  offline,
+  rpcFilters: {
+    ...toRpcFilters(filters),
+    ...toNearFilter(origin, radiusKm),
+    ...(bounds && { bounds })
+  }
+});
+
+// Which chain a request runs
+export const planSearch = (request, chains = DEFAULT_CHAINS) => {
+  if (request.offline) {
+    return chains.offline;
+  }
+  if (!request.query) {
+    return request.origin ? chains.nearby : chains.list;
+  }
+  if (!chains[request.mode]) {
+    throw new Error(`Unknown search mode "${request.mode}"`);
+  }
+  return chains[request.mode];
+};
+
+// How long one step may take before the next one is tried. A step can set
+// its own `timeoutMs`; the vector steps also wait on the embed function.
+export const STEP_TIMEOUT_MS = 8000;
+
+// Resolves like `promise`, or rejects once `ms` have passed. The slow request
+// isn't cancelled, its answer is just no longer waited for.
+const withTimeout = (promise, ms, searchType) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${searchType} search took longer than ${ms} ms`);
+      error.name = 'SearchTimeoutError';
+      reject(error);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Runs searches through the fallback chains.
+//
+// Fallback rules:
+// 1. A step that throws, whose RPC returns an error, that finds nothing or
+//    that runs past its timeout hands over to the next step.
+// 2. If no step finds anything but at least one answered, the first empty
+//    answer is returned, so "no matches" is not reported as a failure.
+// 3. If every step fails, an error carrying the last step's message is thrown
+//    (the original error is its `cause`).
+// 4. If that error is a network failure and the offline index has data, the
+//    offline chain runs instead.
+//
+// Every attempt is recorded in `trail` as { strategy, searchType, outcome,
+// reason, rows, ms }, where outcome is 'ok', 'empty', 'error' or 'timeout';
+// errors also keep their Postgres/PostgREST `code`.
+// Results and thrown errors both carry the trail.
+//
+// Dependencies are passed in so tests can supply stand-ins:
+// - supabase: a Supabase client (from/rpc)
+// - embed(query): resolves to a query embedding
+// - cachedEmbed(query): optional, resolves to an embedding of the query already
+//   on the device without calling anything, or null
+// - offlineIndex: optional { isAvailable(), search(request) } for the on-device copy
+// - strategies: optional map replacing the built-in strategies
+export const createSearchEngine = ({
+  supabase,
+  embed,
+  cachedEmbed = async () => null,
+  offlineIndex = null,
+  pageSize = SEARCH_PAGE_SIZE,
+  chains = DEFAULT_CHAINS,
+  strategies = null,
+  stepTimeoutMs = STEP_TIMEOUT_MS,
+  logger = console
+}) => {
+  const available = strategies || createStrategies({ supabase, embed, cachedEmbed, offlineIndex, pageSize });
+
+  // `fallback` says whether earlier attempts were passed over to get here
+  const toResult = (request, { step, strategy, fallback }, data, trail) => ({
+    data,
+    searchType: step.searchType,
+    strategy: step.strategy,
+    fallback,
+    hasMore: data.length === pageSize,
+    trail,
+    // Later pages come from the same strategy so rankings don't mix
+    fetchPage: (offset) => strategy.fetchPage(request, offset)
+  });
+
+  const runChain = async (request, chain, trail = []) => {
+    let firstEmpty = null;
+    let lastError = null;
+
+    for (const step of chain) {
+      const strategy = available[step.strategy];
+      if (!strategy) {
+        throw new Error(`No "${step.strategy}" search strategy`);
+      }
+
+      const attempt = { strategy: step.strategy, searchType: step.searchType };
+      const served = { step, strategy, fallback: trail.length > 0 };
+      const startedAt = Date.now();
+
+      try {
+        const data = await withTimeout(
+          strategy.fetchPage(request, 0),
+          step.timeoutMs ?? stepTimeoutMs,
+          step.searchType
+        );
+        const ms = Date.now() - startedAt;
+
+        if (data.length > 0) {
+          trail.push({ ...attempt, outcome: 'ok', reason: null, rows: data.length, ms });
+          return toResult(request, served, data, trail);
+        }
+
+        trail.push({ ...attempt, outcome: 'empty', reason: 'No matches', rows: 0, ms });
+        logger.log(`🔄 ${step.searchType} search found nothing`);
+        firstEmpty = firstEmpty || served;
+      } catch (error) {
+        const outcome = error.name === 'SearchTimeoutError' ? 'timeout' : 'error';
+        trail.push({
+          ...attempt,
+          outcome,
+          reason: error.message,
+          code: error.code ?? null,
+          rows: 0,
+          ms: Date.now() - startedAt
+        });
+        logger.log(`🔄 ${step.searchType} search failed:`, error.message);
+        lastError = error;
+      }
+    }
+
+    if (firstEmpty) {
+      return toResult(request, firstEmpty, [], trail);
+    }
+
+    const error = new Error(lastError.message);
+    error.cause = lastError;
+    error.trail = trail;
+    throw error;
+  };
+
+  // Resolves to { data, searchType, strategy, fallback, hasMore, trail, fetchPage(offset) }
+  const search = async (rawRequest) => {
+    const request = normalizeRequest(rawRequest);
+
+    try {
+      return await runChain(request, planSearch(request, chains));
+    } catch (error) {
+      if (request.offline || !offlineIndex || !isNetworkError(error.cause) || !(await offlineIndex.isAvailable())) {
+        throw error;
+      }
+
+      logger.log('📴 Network unavailable, searching the offline index:', error.message);
+      return runChain({ ...request, offline: true }, chains.offline, error.trail);
+    }
+  };
+
+  return { search, pageSize };
+};
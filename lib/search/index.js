@@ -0,0 +1,39 @@
+import { supabase } from '../supabase';
+import { embedQuery, getCachedEmbedding } from '../embeddings';
+import { withDistances } from '../location';
+import { getOfflineIndexStatus, searchOfflineIndex } from '../offlineIndex';
+import { createSearchEngine } from './engine';
+
+export {
+  createSearchEngine,
+  DEFAULT_CHAINS,
+  SEARCH_PAGE_SIZE,
+  isNetworkError,
+  normalizeRequest,
+  planSearch
+} from './engine';
+export * from './strategies';
+export * from './modes';
+
+// The on-device index as the engine sees it. Repeated queries reuse their cached
+// embedding; new ones fall back to keyword ranking. The radius is applied
+// before paging so every page is full.
+const offlineIndex = {
+  isAvailable: async () => (await getOfflineIndexStatus()).count > 0,
+  search: async ({ query, filters, origin, radiusKm }) => {
+    const queryEmbedding = query ? await getCachedEmbedding(query) : null;
+    return withDistances(
+      await searchOfflineIndex(query, { queryEmbedding, filters }),
+      origin,
+      radiusKm
+    );
+  }
+};
+
+// The app's search engine, wired to the real Supabase client and embedding service
+export const searchEngine = createSearchEngine({
+  supabase,
+  embed: embedQuery,
+  cachedEmbed: getCachedEmbedding,
+  offlineIndex
+});
@@ -0,0 +1,77 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// The search modes offered in the app, in selector order. Each key names a
+// chain in engine.js's DEFAULT_CHAINS.
+export const SEARCH_MODES = [
+  {
+    key: 'auto',
+    label: '✨ Auto',
+    description: 'Best available: hybrid, then vector, full-text and keyword',
+    placeholder: "Try: 'romantic dinner in Austin TX', 'quiet coffee near me'..."
+  },
+  {
+    key: 'vector',
+    label: '🤖 Vector',
+    description: 'Meaning only, from OpenAI embeddings',
+    placeholder: "Try: 'traditional food', 'romantic dinner', 'spicy food'..."
+  },
+  {
+    key: 'hybrid',
+    label: '⚡ Hybrid',
+    description: 'Meaning and exact words ranked together',
+    placeholder: "Try: 'thai curry in Portland', 'family pizza place'..."
+  },
+  {
+    key: 'fulltext',
+    label: '📝 Full-text',
+    description: 'Postgres full-text search on names and places',
+    placeholder: 'Search by restaurant name, city, or location...'
+  },
+  {
+    key: 'keyword',
+    label: '🔤 Keyword',
+    description: 'Plain substring match, works without any setup',
+    placeholder: 'Type part of a name, city, or address...'
+  }
+];
+
+export const DEFAULT_SEARCH_MODE = 'auto';
+
+export const getSearchMode = (key) => (
+  SEARCH_MODES.find(mode => mode.key === key) ||
+  SEARCH_MODES.find(mode => mode.key === DEFAULT_SEARCH_MODE)
+);
+
+// What actually produced a page of results, by strategy name
+export const STRATEGY_LABELS = {
+  vector: '🤖 Vector',
+  hybrid: '⚡ Hybrid',
+  semantic: '🧠 Semantic',
+  text: '📝 Full-text',
+  ilike: '🔤 Keyword',
+  filteredList: '📋 Filtered list',
+  nearby: '📍 Nearby',
+  clientVector: '🤖 On-device vector',
+  offline: '📴 Offline'
+};
+
+const STORAGE_KEY = 'search-mode';
+
+export const loadSearchMode = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEY);
+    // A mode removed since it was saved falls back to the default
+    return getSearchMode(stored).key;
+  } catch (error) {
+    console.log('⚠️ Could not load search mode:', error.message);
+    return DEFAULT_SEARCH_MODE;
+  }
+};
+
+export const saveSearchMode = async (key) => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, key);
+  } catch (error) {
+    console.log('⚠️ Could not save search mode:', error.message);
+  }
+};
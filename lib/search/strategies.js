@@ -0,0 +1,236 @@
+import { matchRestaurants } from '../matchRestaurants';
+import { hybridSearchRestaurants } from '../hybridSearch';
+import { applyFilters } from '../filters';
+import { RESTAURANT_COLUMNS } from '../restaurants';
+import { cosineSimilarity, EMBEDDING_MODEL } from '../vectors';
+
+// Search strategies. Each one is { name, fetchPage(request, offset) } and
+// resolves to one page of restaurant rows, or throws; the engine decides what
+// to try next. `request` is the normalized request from engine.js.
+
+export const EMBEDDING_DIMENSIONS = 1536;
+
+// Supabase builders resolve to { data, error } instead of throwing
+const rowsOf = async (builder) => {
+  const { data, error } = await builder;
+
+  if (error) {
+    throw error;
+  }
+
+  return data || [];
+};
+
+// Embed the query, rank with the match_restaurants RPC
+export const createVectorStrategy = ({ supabase, embed, pageSize }) => ({
+  name: 'vector',
+  fetchPage: async (request, offset) => {
+    const queryEmbedding = await embed(request.query);
+    return matchRestaurants(queryEmbedding, {
+      filters: request.rpcFilters,
+      matchThreshold: (request.filters.minSimilarity || 0) / 100,
+      matchCount: pageSize,
+      matchOffset: offset,
+      client: supabase
+    });
+  }
+});
+
+// Full-text and vector ranks fused by the hybrid_search_restaurants RPC
+export const createHybridStrategy = ({ supabase, embed, pageSize }) => ({
+  name: 'hybrid',
+  fetchPage: async (request, offset) => {
+    const queryEmbedding = await embed(request.query);
+    return hybridSearchRestaurants(request.query, queryEmbedding, {
+      filters: request.rpcFilters,
+      matchCount: pageSize,
+      matchOffset: offset,
+      client: supabase
+    });
+  }
+});
+
+// Ranks by an embedding of the query already on this device, so a repeated
+// search still works while the embed function doesn't. Finds nothing for a
+// query this device never embedded. Similarity comes back as 0-1 like
+// match_restaurants.
+export const createSemanticRpcStrategy = ({ supabase, cachedEmbed, pageSize }) => ({
+  name: 'semantic',
+  fetchPage: async (request, offset) => {
+    const queryEmbedding = await cachedEmbed(request.query);
+    if (!queryEmbedding) {
+      return [];
+    }
+
+    const rows = await rowsOf(
+      supabase.rpc('search_restaurants_semantic', {
+        query_embedding: queryEmbedding,
+        match_threshold: 0.6,
+        match_count: pageSize,
+        filters: request.rpcFilters,
+        match_offset: offset,
+        model_name: EMBEDDING_MODEL
+      })
+    );
+    return rows.map(row => ({ ...row, similarity: Math.round(row.similarity * 100) }));
+  }
+});
+
+export const createTextRpcStrategy = ({ supabase, pageSize }) => ({
+  name: 'text',
+  fetchPage: (request, offset) => rowsOf(
+    supabase.rpc('search_restaurants_text', {
+      search_query: request.query,
+      match_count: pageSize,
+      filters: request.rpcFilters,
+      match_offset: offset
+    })
+  )
+});
+
+// "50% off, (new)" as an or() value matching rows that contain it: LIKE
+// wildcards and backslashes are escaped so they match literally, then the
+// pattern is double-quoted so commas, dots and parentheses don't end it
+export const toContainsPattern = (text) => {
+  const pattern = `%${text.replace(/[\\%_]/g, '\\$&')}%`;
+  return `"${pattern.replace(/["\\]/g, '\\$&')}"`;
+};
+
+const ILIKE_COLUMNS = ['name', 'city', 'address', 'state'];
+
+// Last resort: case-insensitive substring match on the table itself
+export const createIlikeStrategy = ({ supabase, pageSize }) => ({
+  name: 'ilike',
+  fetchPage: (request, offset) => {
+    const pattern = toContainsPattern(request.query);
+    return rowsOf(
+      applyFilters(
+        supabase
+          .from('restaurants')
+          .select(RESTAURANT_COLUMNS)
+          .or(ILIKE_COLUMNS.map(column => `${column}.ilike.${pattern}`).join(',')),
+        request.filters
+      )
+        .order('id')
+        .range(offset, offset + pageSize - 1)
+    );
+  }
+});
+
+// No search words, only constraints: "restaurants in Austin TX"
+export const createFilteredListStrategy = ({ supabase, pageSize }) => ({
+  name: 'filteredList',
+  fetchPage: (request, offset) => rowsOf(
+    applyFilters(supabase.from('restaurants').select(RESTAURANT_COLUMNS), request.filters)
+      .order('name')
+      .order('id')
+      .range(offset, offset + pageSize - 1)
+  )
+});
+
+// No search words, only a location: what's around
+export const createNearbyStrategy = ({ supabase, pageSize }) => ({
+  name: 'nearby',
+  fetchPage: (request, offset) => rowsOf(
+    supabase.rpc('nearby_restaurants', {
+      lat: request.origin.lat,
+      lng: request.origin.lng,
+      radius_km: request.radiusKm,
+      match_count: pageSize,
+      match_offset: offset,
+      filters: request.rpcFilters
+    })
+  )
+});
+
+// Stored embeddings are JSON text; anything that isn't a full-length numeric array is skipped
+export const parseStoredEmbedding = (text) => {
+  if (typeof text !== 'string' || !text.startsWith('[') || !text.endsWith(']')) {
+    return null;
+  }
+
+  try {
+    const embedding = JSON.parse(text);
+    const valid = Array.isArray(embedding) &&
+      embedding.length === EMBEDDING_DIMENSIONS &&
+      embedding.every(value => typeof value === 'number' && Number.isFinite(value));
+    return valid ? embedding : null;
+  } catch {
+    return null;
+  }
+};
+
+// Ranks every row in the app from embedding_text. Downloads the whole table,
+// so it is for small datasets and debugging; the default chains don't use it.
+// Like the RPCs, it only compares vectors made by the query's model.
+export const createClientVectorStrategy = ({ supabase, embed, pageSize, minSimilarity = 0.5 }) => {
+  const ranked = new WeakMap();
+
+  const rank = async (request) => {
+    const queryEmbedding = await embed(request.query);
+    const restaurants = await rowsOf(
+      applyFilters(
+        supabase
+          .from('restaurants')
+          .select(`${RESTAURANT_COLUMNS}, embedding_text`)
+          .not('embedding_text', 'is', null)
+          .eq('embedding_model', EMBEDDING_MODEL),
+        request.filters
+      )
+    );
+
+    if (restaurants.length === 0) {
+      throw new Error('No restaurants have embeddings yet. Please generate embeddings first.');
+    }
+
+    return restaurants
+      .map(({ embedding_text: embeddingText, ...restaurant }) => {
+        const embedding = parseStoredEmbedding(embeddingText);
+        return embedding && { ...restaurant, score: cosineSimilarity(queryEmbedding, embedding) };
+      })
+      .filter(restaurant => restaurant && restaurant.score > minSimilarity)
+      .sort((a, b) => b.score - a.score || a.id - b.id)
+      .map(({ score, ...restaurant }) => ({ ...restaurant, similarity: Math.round(score * 100) }));
+  };
+
+  return {
+    name: 'clientVector',
+    fetchPage: async (request, offset) => {
+      if (!ranked.has(request)) {
+        ranked.set(request, rank(request));
+      }
+      return (await ranked.get(request)).slice(offset, offset + pageSize);
+    }
+  };
+};
+
+// The on-device index. It ranks everything at once, so results are kept per request and paged here.
+export const createOfflineStrategy = ({ offlineIndex, pageSize }) => {
+  const ranked = new WeakMap();
+
+  return {
+    name: 'offline',
+    fetchPage: async (request, offset) => {
+      if (!offlineIndex) {
+        throw new Error('No offline index is available');
+      }
+      if (!ranked.has(request)) {
+        ranked.set(request, offlineIndex.search(request));
+      }
+      return (await ranked.get(request)).slice(offset, offset + pageSize);
+    }
+  };
+};
+
+// Every built-in strategy, keyed by the names the engine's chains refer to
+export const createStrategies = (deps) => ({
+  vector: createVectorStrategy(deps),
+  hybrid: createHybridStrategy(deps),
+  semantic: createSemanticRpcStrategy(deps),
+  text: createTextRpcStrategy(deps),
+  ilike: createIlikeStrategy(deps),
+  filteredList: createFilteredListStrategy(deps),
+  nearby: createNearbyStrategy(deps),
+  clientVector: createClientVectorStrategy(deps),
+  offline: createOfflineStrategy(deps)
+});
@@ -0,0 +1,138 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { supabase } from './supabase';
+
+// Recent searches, newest first. Kept on the device for everyone and mirrored
+// to the search_history table for signed-in users so they follow the account.
+
+export const MAX_RECENT_QUERIES = 20;
+
+const STORAGE_KEY = 'search-history';
+
+const sameQuery = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Newest entry per query, newest first, capped
+const mergeEntries = (entries) => {
+  const merged = [];
+
+  [...entries]
+    .sort((a, b) => b.searchedAt.localeCompare(a.searchedAt))
+    .forEach(entry => {
+      if (!merged.some(existing => sameQuery(existing.query, entry.query))) {
+        merged.push(entry);
+      }
+    });
+
+  return merged.slice(0, MAX_RECENT_QUERIES);
+};
+
+const saveLocal = async (entries) => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch (error) {
+    console.log('⚠️ Could not save search history:', error.message);
+  }
+};
+
+// Entries are { query, searchedAt } with searchedAt as an ISO string
+export const loadRecentQueries = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.log('⚠️ Could not read search history:', error.message);
+    return [];
+  }
+};
+
+// Adds a query to the front of the history; returns the updated list
+export const recordQuery = async (entries, query, userId) => {
+  const entry = { query: query.trim(), searchedAt: new Date().toISOString() };
+  const updated = mergeEntries([entry, ...entries]);
+  await saveLocal(updated);
+
+  if (userId) {
+    const { error } = await supabase
+      .from('search_history')
+      .upsert(
+        { user_id: userId, query: entry.query, searched_at: entry.searchedAt },
+        { onConflict: 'user_id,query' }
+      );
+
+    if (error) {
+      console.log('⚠️ Could not sync search history:', error.message);
+    }
+  }
+
+  return updated;
+};
+
+// On sign-in: uploads searches made while signed out and pulls in the account's history
+export const syncRecentQueries = async (entries, userId) => {
+  if (entries.length > 0) {
+    const { error } = await supabase
+      .from('search_history')
+      .upsert(
+        entries.map(entry => ({ user_id: userId, query: entry.query, searched_at: entry.searchedAt })),
+        { onConflict: 'user_id,query' }
+      );
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  const { data, error } = await supabase
+    .from('search_history')
+    .select('query, searched_at')
+    .order('searched_at', { ascending: false })
+    .limit(MAX_RECENT_QUERIES);
+
+  if (error) {
+    throw error;
+  }
+
+  const merged = mergeEntries([
+    ...entries,
+    ...data.map(row => ({ query: row.query, searchedAt: row.searched_at }))
+  ]);
+  await saveLocal(merged);
+  return merged;
+};
+
+export const clearRecentQueries = async (userId) => {
+  await AsyncStorage.removeItem(STORAGE_KEY);
+
+  if (userId) {
+    const { error } = await supabase.from('search_history').delete().eq('user_id', userId);
+
+    if (error) {
+      throw error;
+    }
+  }
+};
+
+// Typeahead for the search box: the user's own matching searches first, then
+// restaurant names, cities and popular queries from the search_suggestions RPC.
+// `signal` cancels the request when the user keeps typing or submits.
+export const fetchSuggestions = async (prefix, { entries = [], signal, matchCount = 8 } = {}) => {
+  const text = prefix.trim().toLowerCase();
+
+  const recent = entries
+    .filter(entry => entry.query.toLowerCase().startsWith(text) && !sameQuery(entry.query, text))
+    .slice(0, 3)
+    .map(entry => ({ suggestion: entry.query, kind: 'recent' }));
+
+  let request = supabase.rpc('search_suggestions', { prefix: text, match_count: matchCount });
+  if (signal) {
+    request = request.abortSignal(signal);
+  }
+
+  const { data, error } = await request;
+
+  if (error) {
+    throw error;
+  }
+
+  const remote = (data || []).filter(item => !recent.some(entry => sameQuery(entry.suggestion, item.suggestion)));
+  return [...recent, ...remote].slice(0, matchCount);
+};
@@ -0,0 +1,40 @@
+// Vector helpers shared by the on-device search paths
+
+// The model every restaurant and query vector is made with. Stored vectors
+// record their model, and search only compares vectors from the same one.
+export const EMBEDDING_MODEL = 'text-embedding-3-small';
+
+// Calculate cosine similarity between two vectors
+export const cosineSimilarity = (vecA, vecB) => {
+  if (!vecA || !vecB || vecA.length !== vecB.length) return 0;
+
+  let dotProduct = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < vecA.length; i++) {
+    dotProduct += vecA[i] * vecB[i];
+    normA += vecA[i] * vecA[i];
+    normB += vecB[i] * vecB[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+
+  return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+// pgvector columns come back from PostgREST as '[0.1,0.2,...]' strings
+export const parseEmbedding = (value) => {
+  if (!value) return null;
+  return Array.isArray(value) ? value : JSON.parse(value);
+};
+
+// Scales a vector into int8 (-127..127) so 1536 dimensions take 1.5 KB instead of 6 KB.
+// Cosine similarity ignores overall scale, so the quantized vector can be compared directly.
+export const quantizeEmbedding = (embedding) => {
+  const max = embedding.reduce((largest, value) => Math.max(largest, Math.abs(value)), 0) || 1;
+  return new Uint8Array(Int8Array.from(embedding, value => Math.round((value / max) * 127)).buffer);
+};
+
+// SQLite hands BLOBs back as Uint8Array; view the same bytes as signed values
+export const dequantizeEmbedding = (blob) => new Int8Array(blob.buffer, blob.byteOffset, blob.byteLength);
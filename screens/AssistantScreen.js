@@ -0,0 +1,391 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  TextInput,
+  TouchableOpacity,
+  FlatList,
+  KeyboardAvoidingView,
+  Platform
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { searchEngine } from '../lib/search';
+import { retrieveContextIds, splitCitations, streamAssistantAnswer } from '../lib/assistant';
+
+const SUGGESTED_QUESTIONS = [
+  'Which of these are open late?',
+  'Pick two for a group of 8',
+  'Which ones have a website I can check?'
+];
+
+// Chat about the current search results. Opened from the results header with
+// the query, filters and result ids; answers cite restaurants, and tapping a
+// citation goes back to its result card (or its detail page if it came from
+// the assistant's own search).
+export default function AssistantScreen({ navigation, route }) {
+  const { query = '', restaurantIds = [], filters = {} } = route.params || {};
+  const [messages, setMessages] = useState([]);
+  const [input, setInput] = useState('');
+  const [isStreaming, setIsStreaming] = useState(false);
+  const abortRef = useRef(null);
+  const listRef = useRef(null);
+
+  // Stop streaming when the screen closes
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const updateMessage = (id, update) => {
+    setMessages(current => current.map(message => (
+      message.id === id ? { ...message, ...update(message) } : message
+    )));
+  };
+
+  const ask = async (text) => {
+    const question = text.trim();
+    if (!question || isStreaming) {
+      return;
+    }
+
+    const userMessage = { id: `${Date.now()}-user`, role: 'user', content: question };
+    const answerId = `${Date.now()}-assistant`;
+    const history = [...messages.filter(message => message.status !== 'error'), userMessage];
+
+    setMessages([
+      ...messages,
+      userMessage,
+      { id: answerId, role: 'assistant', content: '', sources: [], cited: [], unknown: [], status: 'streaming' }
+    ]);
+    setInput('');
+    setIsStreaming(true);
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    try {
+      const ids = await retrieveContextIds({
+        question,
+        restaurantIds,
+        filters,
+        search: request => searchEngine.search(request)
+      });
+
+      await streamAssistantAnswer({
+        messages: history,
+        restaurantIds: ids,
+        signal: controller.signal,
+        onEvent: event => {
+          if (event.type === 'sources') {
+            updateMessage(answerId, () => ({ sources: event.restaurants }));
+          } else if (event.type === 'delta') {
+            updateMessage(answerId, message => ({ content: message.content + event.text }));
+          } else if (event.type === 'done') {
+            updateMessage(answerId, () => ({ cited: event.cited, unknown: event.unknown, status: 'done' }));
+          }
+        }
+      });
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        console.log('❌ Assistant error:', error.message);
+        updateMessage(answerId, () => ({ status: 'error', error: error.message }));
+      }
+    } finally {
+      setIsStreaming(false);
+    }
+  };
+
+  const openRestaurant = (restaurant) => {
+    if (restaurantIds.includes(restaurant.id)) {
+      navigation.navigate('Search', { showRestaurantId: restaurant.id });
+    } else {
+      navigation.navigate('RestaurantDetail', { id: restaurant.id, name: restaurant.name });
+    }
+  };
+
+  const renderAnswer = (message) => {
+    const sourcesById = new Map(message.sources.map(restaurant => [restaurant.id, restaurant]));
+    // Citations are numbered in the order they first appear
+    const numbers = new Map();
+    const numberFor = (id) => {
+      if (!numbers.has(id)) {
+        numbers.set(id, numbers.size + 1);
+      }
+      return numbers.get(id);
+    };
+
+    const parts = splitCitations(message.content).map((part, index) => {
+      if (part.text !== undefined) {
+        return <Text key={index}>{part.text}</Text>;
+      }
+      const restaurant = sourcesById.get(part.citation);
+      if (!restaurant) {
+        return <Text key={index} style={styles.unknownCitation}>[?]</Text>;
+      }
+      return (
+        <Text key={index} style={styles.citation} onPress={() => openRestaurant(restaurant)}>
+          [{numberFor(restaurant.id)}]
+        </Text>
+      );
+    });
+
+    const cited = [...numbers.keys()].map(id => sourcesById.get(id));
+
+    return (
+      <View style={[styles.bubble, styles.answerBubble]}>
+        <Text style={styles.answerText}>
+          {parts}
+          {message.status === 'streaming' && <Text style={styles.cursor}> ▍</Text>}
+        </Text>
+
+        {message.status === 'error' && <Text style={styles.errorText}>⚠️ {message.error}</Text>}
+
+        {message.unknown.length > 0 && (
+          <Text style={styles.warningText}>
+            ⚠️ [?] marks a restaurant that isn't in the database. Ignore that part of the answer.
+          </Text>
+        )}
+
+        {cited.length > 0 && (
+          <View style={styles.sources}>
+            {cited.map(restaurant => (
+              <TouchableOpacity
+                key={restaurant.id}
+                style={styles.source}
+                onPress={() => openRestaurant(restaurant)}
+              >
+                <Text style={styles.sourceNumber}>{numbers.get(restaurant.id)}</Text>
+                <View style={styles.sourceText}>
+                  <Text style={styles.sourceName}>{restaurant.name}</Text>
+                  <Text style={styles.sourceLocation}>
+                    {[restaurant.city, restaurant.state].filter(Boolean).join(', ')}
+                    {restaurantIds.includes(restaurant.id) ? ' · in your results' : ''}
+                  </Text>
+                </View>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  const renderMessage = ({ item }) => (
+    item.role === 'user' ? (
+      <View style={[styles.bubble, styles.questionBubble]}>
+        <Text style={styles.questionText}>{item.content}</Text>
+      </View>
+    ) : renderAnswer(item)
+  );
+
+  return (
+    <SafeAreaView style={styles.container} edges={['bottom']}>
+      <KeyboardAvoidingView
+        style={styles.container}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+        keyboardVerticalOffset={Platform.OS === 'ios' ? 100 : 0}
+      >
+        <FlatList
+          ref={listRef}
+          data={messages}
+          renderItem={renderMessage}
+          keyExtractor={item => item.id}
+          contentContainerStyle={styles.messages}
+          onContentSizeChange={() => listRef.current?.scrollToEnd({ animated: true })}
+          ListHeaderComponent={
+            <View style={styles.intro}>
+              <Text style={styles.introTitle}>💬 Ask about your results</Text>
+              <Text style={styles.introText}>
+                {restaurantIds.length > 0
+                  ? `Answers use the ${restaurantIds.length} results${query ? ` for "${query}"` : ''} and a search for your question. Only restaurants in the database are recommended.`
+                  : 'Answers use a search for your question. Only restaurants in the database are recommended.'}
+              </Text>
+              {messages.length === 0 && (
+                <View style={styles.suggestions}>
+                  {SUGGESTED_QUESTIONS.map(question => (
+                    <TouchableOpacity key={question} style={styles.suggestion} onPress={() => ask(question)}>
+                      <Text style={styles.suggestionText}>{question}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              )}
+            </View>
+          }
+        />
+
+        <View style={styles.inputRow}>
+          <TextInput
+            style={styles.input}
+            placeholder="Ask a follow-up question..."
+            placeholderTextColor="#666"
+            value={input}
+            onChangeText={setInput}
+            onSubmitEditing={() => ask(input)}
+            returnKeyType="send"
+            editable={!isStreaming}
+          />
+          <TouchableOpacity
+            style={[styles.sendButton, (isStreaming || !input.trim()) && styles.disabledButton]}
+            onPress={() => ask(input)}
+            disabled={isStreaming || !input.trim()}
+          >
+            <Text style={styles.sendButtonText}>Send</Text>
+          </TouchableOpacity>
+        </View>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  messages: {
+    padding: 16,
+    paddingBottom: 24,
+  },
+  intro: {
+    marginBottom: 16,
+  },
+  introTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#212529',
+    marginBottom: 4,
+  },
+  introText: {
+    fontSize: 14,
+    color: '#6c757d',
+  },
+  suggestions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 12,
+  },
+  suggestion: {
+    backgroundColor: '#e7f1ff',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  suggestionText: {
+    fontSize: 14,
+    color: '#007bff',
+  },
+  bubble: {
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 12,
+    maxWidth: '90%',
+  },
+  questionBubble: {
+    alignSelf: 'flex-end',
+    backgroundColor: '#007bff',
+  },
+  questionText: {
+    fontSize: 16,
+    color: '#fff',
+  },
+  answerBubble: {
+    alignSelf: 'flex-start',
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#e9ecef',
+  },
+  answerText: {
+    fontSize: 16,
+    lineHeight: 22,
+    color: '#212529',
+  },
+  cursor: {
+    color: '#007bff',
+  },
+  citation: {
+    color: '#007bff',
+    fontWeight: '600',
+  },
+  unknownCitation: {
+    color: '#dc3545',
+    fontWeight: '600',
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#721c24',
+    marginTop: 8,
+  },
+  warningText: {
+    fontSize: 13,
+    color: '#856404',
+    marginTop: 8,
+  },
+  sources: {
+    borderTopWidth: 1,
+    borderTopColor: '#e9ecef',
+    marginTop: 10,
+    paddingTop: 6,
+  },
+  source: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  sourceNumber: {
+    width: 22,
+    height: 22,
+    borderRadius: 11,
+    backgroundColor: '#e7f1ff',
+    color: '#007bff',
+    fontSize: 12,
+    fontWeight: '600',
+    textAlign: 'center',
+    lineHeight: 22,
+    marginRight: 10,
+  },
+  sourceText: {
+    flex: 1,
+  },
+  sourceName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#007bff',
+  },
+  sourceLocation: {
+    fontSize: 13,
+    color: '#6c757d',
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    borderTopWidth: 1,
+    borderTopColor: '#e9ecef',
+    backgroundColor: '#fff',
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ced4da',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    backgroundColor: '#fff',
+    marginRight: 8,
+  },
+  sendButton: {
+    backgroundColor: '#007bff',
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  sendButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,220 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  ScrollView,
+  RefreshControl,
+  ActivityIndicator
+} from 'react-native';
+import { fetchDiagnostics } from '../lib/diagnostics';
+
+const SECTION_TITLES = {
+  extensions: '🧩 Extensions',
+  functions: '⚙️ Functions',
+  columns: '🗂️ Restaurant Columns',
+  indexes: '⚡ Indexes'
+};
+
+// Which database functions, columns and indexes search needs, and whether they exist
+export default function DiagnosticsScreen() {
+  const [report, setReport] = useState(null);
+  const [errorMessage, setErrorMessage] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const loadReport = async () => {
+    setIsLoading(true);
+    try {
+      setReport(await fetchDiagnostics());
+      setErrorMessage(null);
+    } catch (error) {
+      console.log('❌ Could not load diagnostics:', error.message);
+      setErrorMessage(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadReport();
+  }, []);
+
+  if (isLoading && !report && !errorMessage) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color="#007bff" />
+      </View>
+    );
+  }
+
+  const missingCount = report
+    ? report.sections.reduce((count, section) => count + section.items.filter(item => !item.present).length, 0)
+    : 0;
+
+  return (
+    <ScrollView
+      style={styles.container}
+      contentContainerStyle={styles.content}
+      refreshControl={<RefreshControl refreshing={isLoading} onRefresh={loadReport} />}
+    >
+      {errorMessage && (
+        <View style={styles.errorBox}>
+          <Text style={styles.errorTitle}>Diagnostics unavailable</Text>
+          <Text style={styles.errorText}>{errorMessage}</Text>
+        </View>
+      )}
+
+      {report && (
+        <>
+          <View style={styles.summary}>
+            <Text style={styles.summaryTitle}>
+              {missingCount === 0 ? '✅ Search is fully set up' : `⚠️ ${missingCount} missing`}
+            </Text>
+            <Text style={styles.summaryText}>
+              {report.restaurants.with_embedding} of {report.restaurants.total} restaurants have embeddings
+            </Text>
+            {report.restaurants.dirty > 0 && (
+              <Text style={styles.summaryText}>
+                ⏳ {report.restaurants.dirty} new or edited, waiting to be (re-)embedded
+              </Text>
+            )}
+            {report.restaurants.other_model > 0 && (
+              <Text style={styles.summaryText}>
+                ⚠️ {report.restaurants.other_model} embedded by another model and skipped by vector search
+              </Text>
+            )}
+          </View>
+
+          {report.sections.map(section => (
+            <View key={section.kind} style={styles.section}>
+              <Text style={styles.sectionTitle}>{SECTION_TITLES[section.kind]}</Text>
+              {section.items.map(item => (
+                <View key={item.name} style={styles.item}>
+                  <Text style={styles.itemStatus}>{item.present ? '✅' : '❌'}</Text>
+                  <View style={styles.itemText}>
+                    <Text style={styles.itemName}>{item.name}</Text>
+                    <Text style={styles.itemUsedBy}>{item.usedBy}</Text>
+                  </View>
+                </View>
+              ))}
+            </View>
+          ))}
+
+          {report.others.functions.length + report.others.indexes.length > 0 && (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>📦 Also Installed</Text>
+              {report.others.functions.map(item => (
+                <Text key={`fn-${item.name}-${item.arguments}`} style={styles.otherItem}>
+                  {item.name}({item.arguments})
+                </Text>
+              ))}
+              {report.others.indexes.map(item => (
+                <Text key={`idx-${item.name}`} style={styles.otherItem}>{item.name}</Text>
+              ))}
+            </View>
+          )}
+        </>
+      )}
+
+      {missingCount > 0 && (
+        <Text style={styles.hint}>
+          Apply the files in supabase/migrations/ (or run `npx supabase db push`), then pull down to refresh.
+        </Text>
+      )}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  centered: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#f8f9fa',
+  },
+  errorBox: {
+    backgroundColor: '#f8d7da',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 16,
+  },
+  errorTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#721c24',
+    marginBottom: 4,
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#721c24',
+  },
+  summary: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 8,
+  },
+  summaryTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#212529',
+    marginBottom: 4,
+  },
+  summaryText: {
+    fontSize: 14,
+    color: '#6c757d',
+  },
+  section: {
+    marginTop: 16,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#212529',
+    marginBottom: 8,
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    marginBottom: 6,
+    borderRadius: 8,
+  },
+  itemStatus: {
+    fontSize: 16,
+    marginRight: 10,
+  },
+  itemText: {
+    flex: 1,
+  },
+  itemName: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#212529',
+  },
+  itemUsedBy: {
+    fontSize: 12,
+    color: '#6c757d',
+    marginTop: 2,
+  },
+  otherItem: {
+    fontSize: 12,
+    color: '#495057',
+    marginBottom: 4,
+  },
+  hint: {
+    fontSize: 13,
+    color: '#6c757d',
+    marginTop: 20,
+  },
+});
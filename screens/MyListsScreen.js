@@ -0,0 +1,353 @@
+import React, { useState, useCallback, useLayoutEffect } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  TextInput,
+  TouchableOpacity,
+  SectionList,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { useSession, signOut } from '../lib/auth';
+import {
+  fetchFavorites,
+  fetchListsWithRestaurants,
+  removeFavorite,
+  createList,
+  deleteList,
+  removeFromList
+} from '../lib/lists';
+
+// Section key for favorites; named lists use their numeric id
+const FAVORITES = 'favorites';
+
+export default function MyListsScreen({ navigation }) {
+  const session = useSession();
+  const [favorites, setFavorites] = useState([]);
+  const [lists, setLists] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [newListName, setNewListName] = useState('');
+
+  useLayoutEffect(() => {
+    navigation.setOptions({
+      headerRight: () => session ? (
+        <TouchableOpacity onPress={handleSignOut}>
+          <Text style={styles.headerButton}>Sign Out</Text>
+        </TouchableOpacity>
+      ) : null
+    });
+  }, [navigation, session]);
+
+  const loadLists = async () => {
+    setIsLoading(true);
+    try {
+      const [favoriteRows, listRows] = await Promise.all([
+        fetchFavorites(),
+        fetchListsWithRestaurants()
+      ]);
+      setFavorites(favoriteRows);
+      setLists(listRows);
+    } catch (error) {
+      console.log('❌ Could not load lists:', error.message);
+      Alert.alert('Lists Unavailable', error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Reload whenever the screen comes back into view, since cards elsewhere can change these
+  useFocusEffect(
+    useCallback(() => {
+      if (session) {
+        loadLists();
+      }
+    }, [session])
+  );
+
+  const handleSignOut = async () => {
+    try {
+      await signOut();
+      setFavorites([]);
+      setLists([]);
+    } catch (error) {
+      Alert.alert('Sign Out Failed', error.message);
+    }
+  };
+
+  const handleCreateList = async () => {
+    if (!newListName.trim()) {
+      return;
+    }
+
+    try {
+      const list = await createList(newListName);
+      setLists(current => [...current, { id: list.id, name: list.name, restaurants: [] }]);
+      setNewListName('');
+    } catch (error) {
+      Alert.alert('Could Not Create List', error.message);
+    }
+  };
+
+  const confirmDeleteList = (list) => {
+    Alert.alert(
+      'Delete List',
+      `Delete "${list.name}"? The restaurants in it stay in your favorites if you saved them there.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteList(list.id);
+              setLists(current => current.filter(item => item.id !== list.id));
+            } catch (error) {
+              Alert.alert('Could Not Delete List', error.message);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const handleRemove = async (sectionKey, restaurant) => {
+    try {
+      if (sectionKey === FAVORITES) {
+        await removeFavorite(restaurant.id);
+        setFavorites(current => current.filter(item => item.id !== restaurant.id));
+      } else {
+        await removeFromList(sectionKey, restaurant.id);
+        setLists(current => current.map(list => (
+          list.id === sectionKey
+            ? { ...list, restaurants: list.restaurants.filter(item => item.id !== restaurant.id) }
+            : list
+        )));
+      }
+    } catch (error) {
+      Alert.alert('Could Not Remove', error.message);
+    }
+  };
+
+  if (session === undefined) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color="#007bff" />
+      </View>
+    );
+  }
+
+  if (!session) {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.emptyTitle}>Save the places you love</Text>
+        <Text style={styles.emptySubtext}>Sign in to keep favorites and build your own lists.</Text>
+        <TouchableOpacity style={styles.signInButton} onPress={() => navigation.navigate('SignIn')}>
+          <Text style={styles.signInButtonText}>Sign In</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  const sections = [
+    { key: FAVORITES, title: '❤️ Favorites', data: favorites },
+    ...lists.map(list => ({ key: list.id, title: `📋 ${list.name}`, list, data: list.restaurants }))
+  ];
+
+  return (
+    <SectionList
+      style={styles.container}
+      contentContainerStyle={styles.content}
+      sections={sections}
+      keyExtractor={(item, index) => `${item.id}-${index}`}
+      refreshing={isLoading}
+      onRefresh={loadLists}
+      stickySectionHeadersEnabled={false}
+      ListHeaderComponent={
+        <View style={styles.newListRow}>
+          <TextInput
+            style={styles.newListInput}
+            placeholder="New list, e.g. Date night"
+            value={newListName}
+            onChangeText={setNewListName}
+            onSubmitEditing={handleCreateList}
+            returnKeyType="done"
+            maxLength={80}
+          />
+          <TouchableOpacity
+            style={[styles.createButton, !newListName.trim() && styles.createButtonDisabled]}
+            onPress={handleCreateList}
+            disabled={!newListName.trim()}
+          >
+            <Text style={styles.createButtonText}>Create</Text>
+          </TouchableOpacity>
+        </View>
+      }
+      renderSectionHeader={({ section }) => (
+        <View style={styles.sectionHeader}>
+          <Text style={styles.sectionTitle}>{section.title}</Text>
+          {section.list && (
+            <TouchableOpacity onPress={() => confirmDeleteList(section.list)}>
+              <Text style={styles.deleteText}>Delete</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+      renderSectionFooter={({ section }) => section.data.length === 0 ? (
+        <Text style={styles.emptySection}>
+          {section.key === FAVORITES
+            ? 'Tap ♡ on a search result to favorite it.'
+            : 'Tap + List on a search result to add it here.'}
+        </Text>
+      ) : null}
+      renderItem={({ item, section }) => (
+        <TouchableOpacity
+          style={styles.item}
+          onPress={() => navigation.navigate('RestaurantDetail', { id: item.id, name: item.name })}
+        >
+          <View style={styles.itemText}>
+            <Text style={styles.itemName}>{item.name || 'Restaurant Name Not Available'}</Text>
+            {item.city && item.state && (
+              <Text style={styles.itemLocation}>{item.city}, {item.state}</Text>
+            )}
+          </View>
+          <TouchableOpacity
+            style={styles.removeButton}
+            onPress={() => handleRemove(section.key, item)}
+          >
+            <Text style={styles.removeText}>✕</Text>
+          </TouchableOpacity>
+        </TouchableOpacity>
+      )}
+    />
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  centered: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 24,
+    backgroundColor: '#f8f9fa',
+  },
+  headerButton: {
+    fontSize: 16,
+    color: '#007bff',
+  },
+  emptyTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#212529',
+    marginBottom: 8,
+  },
+  emptySubtext: {
+    fontSize: 14,
+    color: '#6c757d',
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  signInButton: {
+    backgroundColor: '#007bff',
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+    borderRadius: 8,
+  },
+  signInButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  newListRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  newListInput: {
+    flex: 1,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#ced4da',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+    marginRight: 8,
+  },
+  createButton: {
+    backgroundColor: '#007bff',
+    paddingHorizontal: 14,
+    paddingVertical: 11,
+    borderRadius: 8,
+  },
+  createButtonDisabled: {
+    backgroundColor: '#adb5bd',
+  },
+  createButtonText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 20,
+    marginBottom: 8,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#212529',
+  },
+  deleteText: {
+    fontSize: 14,
+    color: '#dc3545',
+  },
+  emptySection: {
+    fontSize: 14,
+    color: '#adb5bd',
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    padding: 16,
+    marginBottom: 8,
+    borderRadius: 8,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  itemText: {
+    flex: 1,
+  },
+  itemName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#212529',
+  },
+  itemLocation: {
+    fontSize: 13,
+    color: '#6c757d',
+    marginTop: 2,
+  },
+  removeButton: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+  },
+  removeText: {
+    fontSize: 16,
+    color: '#adb5bd',
+  },
+});
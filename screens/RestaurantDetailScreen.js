@@ -0,0 +1,408 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Image
+} from 'react-native';
+import {
+  fetchRestaurant,
+  fetchSimilarRestaurants,
+  callRestaurant,
+  openRestaurantWebsite,
+  openRestaurantInMaps,
+  shareRestaurant
+} from '../lib/restaurants';
+import { formatOpeningHours } from '../lib/restaurantDetails';
+import { useSession } from '../lib/auth';
+import RestaurantFacts from '../components/RestaurantFacts';
+import RestaurantReviews from '../components/RestaurantReviews';
+
+export default function RestaurantDetailScreen({ route, navigation }) {
+  const { id } = route.params;
+  const [restaurant, setRestaurant] = useState(null);
+  const [similarRestaurants, setSimilarRestaurants] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const session = useSession();
+
+  useEffect(() => {
+    loadRestaurant();
+  }, [id]);
+
+  const loadRestaurant = async () => {
+    setIsLoading(true);
+    setLoadError(null);
+
+    try {
+      const data = await fetchRestaurant(id);
+      setRestaurant(data);
+      // Deep links only carry the id, so fill in the title once the row is here
+      navigation.setOptions({ title: data.name || 'Restaurant' });
+    } catch (error) {
+      console.log('❌ Could not load restaurant:', id, error.message);
+      setLoadError(error.message);
+      setIsLoading(false);
+      return;
+    }
+
+    setIsLoading(false);
+
+    // Similar restaurants are a nice-to-have; the screen works without them
+    try {
+      setSimilarRestaurants(await fetchSimilarRestaurants(id));
+    } catch (error) {
+      console.log('⚠️ Could not load similar restaurants:', error.message);
+      setSimilarRestaurants([]);
+    }
+  };
+
+  // The trigger has updated the review average by the time a review is saved
+  const refreshReviewSummary = async () => {
+    try {
+      setRestaurant(await fetchRestaurant(id));
+    } catch (error) {
+      console.log('⚠️ Could not refresh restaurant:', error.message);
+    }
+  };
+
+  const runAction = async (action) => {
+    try {
+      await action();
+    } catch (error) {
+      Alert.alert('Unable to Open', error.message);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color="#007bff" />
+      </View>
+    );
+  }
+
+  if (loadError || !restaurant) {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.errorText}>Restaurant not found</Text>
+        <Text style={styles.errorSubtext}>{loadError || `No restaurant with id ${id}`}</Text>
+        <TouchableOpacity style={styles.retryButton} onPress={loadRestaurant}>
+          <Text style={styles.retryButtonText}>Try Again</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      {restaurant.photo_urls?.length > 0 && (
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.photos}>
+          {restaurant.photo_urls.map(url => (
+            <Image key={url} source={{ uri: url }} style={styles.photo} />
+          ))}
+        </ScrollView>
+      )}
+
+      <View style={styles.card}>
+        <Text style={styles.title}>{restaurant.name || 'Restaurant Name Not Available'}</Text>
+
+        <RestaurantFacts restaurant={restaurant} style={styles.facts} />
+
+        {restaurant.address && (
+          <View style={styles.row}>
+            <Text style={styles.icon}>📍</Text>
+            <Text style={styles.text}>{restaurant.address}</Text>
+          </View>
+        )}
+
+        {restaurant.city && restaurant.state && (
+          <View style={styles.row}>
+            <Text style={styles.icon}>🏙️</Text>
+            <Text style={styles.text}>{restaurant.city}, {restaurant.state}</Text>
+          </View>
+        )}
+
+        {restaurant.phone_number && (
+          <View style={styles.row}>
+            <Text style={styles.icon}>📞</Text>
+            <Text style={styles.text}>{restaurant.phone_number}</Text>
+          </View>
+        )}
+
+        {restaurant.url && (
+          <View style={styles.row}>
+            <Text style={styles.icon}>🌐</Text>
+            <Text style={styles.text} numberOfLines={1}>{restaurant.url}</Text>
+          </View>
+        )}
+
+        {restaurant.opening_hours && (
+          <View style={styles.hours}>
+            {formatOpeningHours(restaurant.opening_hours).map(({ day, hours }) => (
+              <View key={day} style={styles.hoursRow}>
+                <Text style={styles.hoursDay}>{day}</Text>
+                <Text style={styles.hoursText}>{hours}</Text>
+              </View>
+            ))}
+            {restaurant.timezone && (
+              <Text style={styles.hoursNote}>Local time ({restaurant.timezone})</Text>
+            )}
+          </View>
+        )}
+      </View>
+
+      <View style={styles.actions}>
+        {restaurant.phone_number && (
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => runAction(() => callRestaurant(restaurant.phone_number))}
+          >
+            <Text style={styles.actionIcon}>📞</Text>
+            <Text style={styles.actionText}>Call</Text>
+          </TouchableOpacity>
+        )}
+        {restaurant.url && (
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => runAction(() => openRestaurantWebsite(restaurant.url))}
+          >
+            <Text style={styles.actionIcon}>🌐</Text>
+            <Text style={styles.actionText}>Website</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={() => runAction(() => openRestaurantInMaps(restaurant))}
+        >
+          <Text style={styles.actionIcon}>🗺️</Text>
+          <Text style={styles.actionText}>Directions</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={() => runAction(() => shareRestaurant(restaurant))}
+        >
+          <Text style={styles.actionIcon}>📤</Text>
+          <Text style={styles.actionText}>Share</Text>
+        </TouchableOpacity>
+      </View>
+
+      <RestaurantReviews
+        restaurantId={id}
+        session={session}
+        onSignIn={() => navigation.navigate('SignIn')}
+        onChanged={refreshReviewSummary}
+      />
+
+      <Text style={styles.sectionTitle}>Similar Restaurants</Text>
+      {similarRestaurants.length === 0 ? (
+        <Text style={styles.emptyText}>No similar restaurants found yet</Text>
+      ) : (
+        similarRestaurants.map(similar => (
+          <TouchableOpacity
+            key={similar.id}
+            style={styles.similarItem}
+            onPress={() => navigation.push('RestaurantDetail', { id: similar.id, name: similar.name })}
+          >
+            <View style={styles.similarText}>
+              <Text style={styles.similarName}>{similar.name || 'Restaurant Name Not Available'}</Text>
+              {similar.city && similar.state && (
+                <Text style={styles.similarLocation}>{similar.city}, {similar.state}</Text>
+              )}
+            </View>
+            <Text style={styles.similarityBadge}>{similar.similarity}% match</Text>
+          </TouchableOpacity>
+        ))
+      )}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  centered: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 20,
+    backgroundColor: '#f8f9fa',
+  },
+  card: {
+    backgroundColor: '#fff',
+    padding: 20,
+    borderRadius: 12,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#212529',
+    marginBottom: 12,
+  },
+  photos: {
+    marginBottom: 16,
+  },
+  photo: {
+    width: 240,
+    height: 160,
+    borderRadius: 12,
+    marginRight: 8,
+    backgroundColor: '#e9ecef',
+  },
+  facts: {
+    marginBottom: 12,
+  },
+  hours: {
+    marginTop: 8,
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: '#e9ecef',
+  },
+  hoursRow: {
+    flexDirection: 'row',
+    marginBottom: 4,
+  },
+  hoursDay: {
+    width: 48,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#495057',
+  },
+  hoursText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#495057',
+  },
+  hoursNote: {
+    fontSize: 12,
+    color: '#adb5bd',
+    marginTop: 4,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    marginBottom: 8,
+  },
+  icon: {
+    fontSize: 16,
+    marginRight: 8,
+    marginTop: 1,
+    width: 20,
+  },
+  text: {
+    fontSize: 15,
+    color: '#495057',
+    flex: 1,
+    lineHeight: 20,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 24,
+  },
+  actionButton: {
+    flex: 1,
+    backgroundColor: '#fff',
+    alignItems: 'center',
+    paddingVertical: 12,
+    marginHorizontal: 4,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#e9ecef',
+  },
+  actionIcon: {
+    fontSize: 20,
+    marginBottom: 4,
+  },
+  actionText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#007bff',
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#212529',
+    marginBottom: 12,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#adb5bd',
+  },
+  similarItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    padding: 16,
+    marginBottom: 8,
+    borderRadius: 8,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  similarText: {
+    flex: 1,
+  },
+  similarName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#212529',
+  },
+  similarLocation: {
+    fontSize: 13,
+    color: '#6c757d',
+    marginTop: 2,
+  },
+  similarityBadge: {
+    backgroundColor: '#28a745',
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: '600',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 12,
+    marginLeft: 8,
+    overflow: 'hidden',
+  },
+  errorText: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#6c757d',
+    marginBottom: 8,
+  },
+  errorSubtext: {
+    fontSize: 14,
+    color: '#adb5bd',
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  retryButton: {
+    backgroundColor: '#007bff',
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+    borderRadius: 8,
+  },
+  retryButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
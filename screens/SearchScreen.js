@@ -0,0 +1,1233 @@
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  TextInput,
+  TouchableOpacity,
+  FlatList,
+  Alert,
+  ActivityIndicator,
+  Image,
+  Keyboard
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useFocusEffect } from '@react-navigation/native';
+import NetInfo from '@react-native-community/netinfo';
+import { supabase } from '../lib/supabase';
+import {
+  searchEngine,
+  SEARCH_PAGE_SIZE,
+  DEFAULT_SEARCH_MODE,
+  STRATEGY_LABELS,
+  getSearchMode,
+  loadSearchMode,
+  saveSearchMode
+} from '../lib/search';
+import { needsSetup } from '../lib/diagnostics';
+import { canRerank, rerankResults, loadRerankEnabled, saveRerankEnabled } from '../lib/rerank';
+import {
+  DEFAULT_RADIUS_KM,
+  getDeviceLocation,
+  locateCity,
+  withDistances,
+  withinBounds,
+  regionToBounds,
+  sortResults,
+  formatDistance
+} from '../lib/location';
+import {
+  EMPTY_FILTERS,
+  applyMinSimilarity,
+  applyOpenNow,
+  matchesFilters,
+  fetchFilterOptions
+} from '../lib/filters';
+import {
+  subscribeToRestaurantChanges,
+  applyRestaurantUpdate,
+  removeRestaurant
+} from '../lib/restaurantChanges';
+import { parseQuery, constraintFilters } from '../lib/queryParser';
+import {
+  syncOfflineIndex,
+  getOfflineIndexStatus,
+  fetchOfflineFilterOptions
+} from '../lib/offlineIndex';
+import { useSession } from '../lib/auth';
+import { fetchFavoriteIds, addFavorite, removeFavorite } from '../lib/lists';
+import {
+  loadRecentQueries,
+  recordQuery,
+  syncRecentQueries,
+  clearRecentQueries,
+  fetchSuggestions
+} from '../lib/searchHistory';
+import LocationControls from '../components/LocationControls';
+import QueryChips from '../components/QueryChips';
+import FilterPanel from '../components/FilterPanel';
+import ResultsMap from '../components/ResultsMap';
+import SaveToListModal from '../components/SaveToListModal';
+import SearchSuggestions from '../components/SearchSuggestions';
+import SearchDebugPanel from '../components/SearchDebugPanel';
+import SearchModeSelector from '../components/SearchModeSelector';
+import RestaurantFacts from '../components/RestaurantFacts';
+
+// Typeahead waits for a pause in typing before asking the server
+const SUGGESTION_DEBOUNCE_MS = 250;
+const MIN_SUGGESTION_CHARS = 2;
+
+// "5 min ago" style age of the offline index
+const formatSyncedAt = (syncedAt) => {
+  const minutes = Math.round((Date.now() - new Date(syncedAt).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 60 * 24) return `${Math.round(minutes / 60)} h ago`;
+  return `${Math.round(minutes / (60 * 24))} d ago`;
+};
+
+
+export default function SearchScreen({ navigation, route }) {
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isConnected, setIsConnected] = useState(false);
+  const [searchMode, setSearchMode] = useState(DEFAULT_SEARCH_MODE);
+  // Second ranking stage with a reason per result (lib/rerank.js)
+  const [rerankEnabled, setRerankEnabled] = useState(false);
+  const [searchType, setSearchType] = useState('');
+  // The strategy that produced the current results, and whether it was a fallback
+  const [resultSource, setResultSource] = useState(null);
+  const [searchTrail, setSearchTrail] = useState([]);
+  const [origin, setOrigin] = useState(null);
+  const [radiusKm, setRadiusKm] = useState(DEFAULT_RADIUS_KM);
+  const [sortMode, setSortMode] = useState('relevance');
+  const [isLocating, setIsLocating] = useState(false);
+  const [resultsView, setResultsView] = useState('list');
+  const [searchBounds, setSearchBounds] = useState(null);
+  const [highlightedId, setHighlightedId] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [filterOptions, setFilterOptions] = useState({ states: [], citiesByState: {}, cuisines: [] });
+  // Chips the user removed; those parts of the query are embedded as plain text
+  const [ignoredConstraints, setIgnoredConstraints] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [favoriteIds, setFavoriteIds] = useState([]);
+  // Restaurant the "save to list" sheet is open for
+  const [saveTarget, setSaveTarget] = useState(null);
+  const [recentQueries, setRecentQueries] = useState([]);
+  const [suggestions, setSuggestions] = useState([]);
+  const [isInputFocused, setIsInputFocused] = useState(false);
+  const [isOffline, setIsOffline] = useState(false);
+  const [offlineStatus, setOfflineStatus] = useState({ count: 0, syncedAt: null });
+  // Restaurants added since the search ran that would pass its filters
+  const [newMatchIds, setNewMatchIds] = useState([]);
+  const session = useSession();
+  const resultsListRef = useRef(null);
+  // In-flight typeahead request, cancelled when a search starts
+  const suggestionsRequestRef = useRef(null);
+  // How to fetch the next page of the current search
+  const pageRef = useRef(null);
+  // The search on screen: its filters, for telling whether an added restaurant
+  // belongs in it, and the request itself, for the refresh banner to re-run
+  const liveSearchRef = useRef(null);
+
+  const parsedQuery = useMemo(
+    () => parseQuery(searchQuery, filterOptions, ignoredConstraints),
+    [searchQuery, filterOptions, ignoredConstraints]
+  );
+
+  // Check Supabase connection and load filter choices on app start
+  useEffect(() => {
+    checkConnection();
+    loadFilterOptions();
+  }, []);
+
+  useEffect(() => {
+    loadRecentQueries().then(setRecentQueries);
+    loadSearchMode().then(setSearchMode);
+    loadRerankEnabled().then(setRerankEnabled);
+  }, []);
+
+  // Track connectivity; coming back online refreshes the connection status and the offline index
+  useEffect(() => {
+    getOfflineIndexStatus()
+      .then(setOfflineStatus)
+      .catch(error => console.log('⚠️ Offline index unavailable:', error.message));
+
+    // NetInfo repeats the same state on minor changes, so only act when it flips
+    let wasOffline = null;
+    return NetInfo.addEventListener(state => {
+      const offline = state.isConnected === false || state.isInternetReachable === false;
+      setIsOffline(offline);
+
+      if (!offline && wasOffline !== false) {
+        if (wasOffline) {
+          checkConnection();
+        }
+        syncOfflineCopy();
+      }
+      wasOffline = offline;
+    });
+  }, []);
+
+  // Edits and deletes show up in the results as they happen. Added restaurants
+  // only count towards the refresh banner: their match score needs a search.
+  useEffect(() => subscribeToRestaurantChanges({
+    onInsert: (restaurant) => {
+      const search = liveSearchRef.current;
+      if (search && matchesFilters(restaurant, search.filters) && search.processPage([restaurant]).length > 0) {
+        setNewMatchIds(current => (current.includes(restaurant.id) ? current : [...current, restaurant.id]));
+      }
+    },
+    onUpdate: (restaurant) => {
+      setSearchResults(current => applyRestaurantUpdate(current, restaurant));
+    },
+    onDelete: (id) => {
+      setSearchResults(current => removeRestaurant(current, id));
+      setNewMatchIds(current => current.filter(newId => newId !== id));
+    }
+  }), []);
+
+  // Signing in merges this device's history with the account's
+  useEffect(() => {
+    if (!session) {
+      return;
+    }
+
+    loadRecentQueries()
+      .then(entries => syncRecentQueries(entries, session.user.id))
+      .then(setRecentQueries)
+      .catch(error => console.log('⚠️ Could not sync search history:', error.message));
+  }, [session?.user.id]);
+
+  // Debounced typeahead; each keystroke cancels the previous timer and request
+  useEffect(() => {
+    const prefix = searchQuery.trim();
+    if (!isInputFocused || prefix.length < MIN_SUGGESTION_CHARS) {
+      setSuggestions([]);
+      return;
+    }
+
+    const controller = new AbortController();
+    suggestionsRequestRef.current = controller;
+
+    const timer = setTimeout(() => {
+      fetchSuggestions(prefix, { entries: recentQueries, signal: controller.signal })
+        .then(results => {
+          if (!controller.signal.aborted) {
+            setSuggestions(results);
+          }
+        })
+        .catch(error => {
+          if (!controller.signal.aborted) {
+            console.log('⚠️ Suggestions unavailable:', error.message);
+          }
+        });
+    }, SUGGESTION_DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [searchQuery, isInputFocused]);
+
+  // Favorites can change on My Lists, so refresh them whenever this screen is shown again
+  useFocusEffect(
+    useCallback(() => {
+      if (!session) {
+        setFavoriteIds([]);
+        return;
+      }
+
+      fetchFavoriteIds()
+        .then(setFavoriteIds)
+        .catch(error => console.log('⚠️ Could not load favorites:', error.message));
+    }, [session])
+  );
+
+  const loadFilterOptions = async () => {
+    try {
+      setFilterOptions(await fetchFilterOptions());
+    } catch (error) {
+      console.log('⚠️ Could not load filter options:', error.message);
+      // Offline: use the synced copy. Otherwise pickers stay empty; toggles and the slider still work
+      try {
+        setFilterOptions(await fetchOfflineFilterOptions());
+      } catch (offlineError) {
+        console.log('⚠️ No offline filter options either:', offlineError.message);
+      }
+    }
+  };
+
+  // Incremental: only rows whose updated_at moved since the last sync are downloaded
+  const syncOfflineCopy = async () => {
+    try {
+      await syncOfflineIndex();
+      setOfflineStatus(await getOfflineIndexStatus());
+    } catch (error) {
+      console.log('⚠️ Offline index sync failed:', error.message);
+    }
+  };
+
+  const checkConnection = async () => {
+    try {
+      // Try to make a simple query to test connection with restaurants table
+      const { data, error } = await supabase.from('restaurants').select('count').limit(1);
+      if (error) {
+        console.log('Connection check error:', error.message);
+        setIsConnected(false);
+      } else {
+        setIsConnected(true);
+      }
+    } catch (err) {
+      console.log('Connection check failed:', err);
+      setIsConnected(false);
+    }
+  };
+
+  // Resolve the device location; returns null (after telling the user) when unavailable
+  const locateDevice = async () => {
+    setIsLocating(true);
+    try {
+      const location = await getDeviceLocation();
+      setOrigin(location);
+      setSortMode('blend');
+      return location;
+    } catch (error) {
+      console.log('📍 Device location unavailable:', error.message);
+      Alert.alert('Location Unavailable', `${error.message}. You can enter a city instead.`);
+      return null;
+    } finally {
+      setIsLocating(false);
+    }
+  };
+
+  const locateByCity = async (city) => {
+    setIsLocating(true);
+    try {
+      const location = await locateCity(city);
+      setOrigin(location);
+      setSortMode('blend');
+    } catch (error) {
+      console.log('📍 City lookup failed:', error.message);
+      Alert.alert('City Not Found', error.message);
+    } finally {
+      setIsLocating(false);
+    }
+  };
+
+  const clearLocation = () => {
+    setOrigin(null);
+    setSortMode('relevance');
+  };
+
+  // `bounds` limits the search to the visible map area after a pan.
+  // `queryText` searches that text instead of the input, for picks from the suggestions list.
+  // `replay` is a request an earlier search stored, run again as it was whatever the
+  // input, mode, filters and location say now.
+  const runSearch = async ({ bounds: regionBounds = null, queryText, replay } = {}) => {
+    const request = replay || {
+      rawQuery: queryText ?? searchQuery,
+      // Constraints parsed out of the query become filters; only the rest is embedded
+      parsed: queryText === undefined ? parsedQuery : parseQuery(queryText, filterOptions),
+      mode: searchMode,
+      filters,
+      origin,
+      radiusKm,
+      bounds: regionBounds
+    };
+    const { rawQuery, bounds } = request;
+    const { semanticQuery: query, constraints } = request.parsed;
+    const nearMe = Boolean(constraints.nearMe || constraints.radiusKm);
+    const hasConstraints = Object.keys(constraints).length > 0;
+    const isRegionSearch = Boolean(bounds);
+
+    if (!query && !hasConstraints && !request.origin) {
+      if (!isRegionSearch) {
+        Alert.alert('Search Query Required', 'Please enter a search term.');
+      }
+      return;
+    }
+
+    setIsLoading(true);
+    setSearchBounds(bounds);
+    setHighlightedId(null);
+    pageRef.current = null;
+    liveSearchRef.current = null;
+    setNewMatchIds([]);
+    setHasMore(false);
+    Keyboard.dismiss();
+
+    // A late suggestion response must not reopen the dropdown over the results
+    suggestionsRequestRef.current?.abort();
+    setSuggestions([]);
+    setIsInputFocused(false);
+
+    if (!replay && !isRegionSearch && rawQuery.trim()) {
+      recordQuery(recentQueries, rawQuery, session?.user.id).then(setRecentQueries);
+    }
+
+    try {
+      const searchRadiusKm = constraints.radiusKm || request.radiusKm;
+      let searchFilters = { ...request.filters, ...constraintFilters(constraints) };
+
+      let searchOrigin = request.origin;
+      if (constraints.radiusKm && constraints.city && !searchOrigin) {
+        // "within 5 miles of Austin": centre the radius on the city instead of matching it exactly
+        searchOrigin = await locateCity(constraints.city);
+        searchFilters = { ...searchFilters, city: null };
+      } else if (nearMe && !searchOrigin) {
+        searchOrigin = await locateDevice();
+        if (!searchOrigin) {
+          return;
+        }
+      }
+
+      // Strategy choice and fallbacks live in lib/search
+      const result = await searchEngine.search({
+        mode: request.mode,
+        query,
+        filters: searchFilters,
+        origin: searchOrigin,
+        radiusKm: searchRadiusKm,
+        bounds,
+        offline: isOffline
+      });
+      let data = result.data;
+      const searchTypeUsed = result.searchType;
+      setSearchType(searchTypeUsed);
+      setResultSource({ strategy: result.strategy, fallback: result.fallback });
+      setSearchTrail(result.trail);
+
+      // Table queries (keyword and filtered list) don't know about location or opening hours,
+      // so distances, radius, map bounds and "open now" are applied here too.
+      const effectiveSortMode = nearMe && sortMode === 'relevance' ? 'blend' : sortMode;
+      const processPage = (rows) => applyOpenNow(
+        applyMinSimilarity(
+          withinBounds(withDistances(rows || [], searchOrigin, searchRadiusKm), bounds),
+          searchFilters.minSimilarity
+        ),
+        searchFilters.openNow
+      );
+
+      // Everything "load more" needs to fetch the next page of this same search
+      pageRef.current = {
+        fetchPage: result.fetchPage,
+        processPage,
+        sortMode: effectiveSortMode,
+        nextOffset: SEARCH_PAGE_SIZE
+      };
+      setHasMore(result.hasMore);
+      liveSearchRef.current = { filters: searchFilters, processPage, request };
+
+      data = sortResults(processPage(data), effectiveSortMode);
+
+      // A distance sort would undo the new order, so only relevance-sorted results are reranked
+      if (rerankEnabled && query && !isOffline && effectiveSortMode === 'relevance' && canRerank(result.strategy, data)) {
+        const reranked = await rerankResults(query, data);
+        data = reranked.data;
+        setSearchTrail([...result.trail, reranked.attempt]);
+        setResultSource({ strategy: result.strategy, fallback: result.fallback, reranked: reranked.attempt.outcome === 'ok' });
+      }
+      setSearchResults(data);
+      
+      // Panning the map shouldn't pop up an alert for every empty area
+      if (data.length === 0 && !isRegionSearch) {
+        Alert.alert('No Results', `No restaurants found matching "${rawQuery}". Search used: ${searchTypeUsed}`);
+      } else if (data.length > 0) {
+        console.log(`✅ Found ${data.length} results using ${searchTypeUsed} search`);
+      }
+    } catch (error) {
+      console.error('❌ Search error:', error);
+      setResultSource(null);
+      setSearchTrail(error.trail || []);
+      Alert.alert(
+        'Search Error',
+        `Unable to perform search: ${error.message}. Please check your configuration.`
+      );
+      setSearchResults([]);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // FlatList reached the end: fetch the next page with the strategy that served the first one
+  const loadMore = async () => {
+    const page = pageRef.current;
+    if (!page || !hasMore || isLoading || isLoadingMore) {
+      return;
+    }
+
+    setIsLoadingMore(true);
+    try {
+      const data = await page.fetchPage(page.nextOffset);
+
+      // The search may have been replaced while this page was loading
+      if (pageRef.current !== page) {
+        return;
+      }
+
+      page.nextOffset += SEARCH_PAGE_SIZE;
+      setHasMore(data.length === SEARCH_PAGE_SIZE);
+
+      const rows = page.processPage(data);
+      setSearchResults(current => {
+        const seen = new Set(current.map(restaurant => restaurant.id));
+        const fresh = rows.filter(restaurant => !seen.has(restaurant.id));
+        return sortResults([...current, ...fresh], page.sortMode);
+      });
+    } catch (error) {
+      console.log('⚠️ Could not load more results:', error.message);
+      setHasMore(false);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
+  const handleSearch = () => runSearch();
+
+  // Banner tapped: the same search again, now including the restaurants added since
+  const refreshLiveSearch = () => {
+    if (liveSearchRef.current) {
+      runSearch({ replay: liveSearchRef.current.request });
+    }
+  };
+
+  const selectSuggestion = (text) => {
+    setSearchQuery(text);
+    setIgnoredConstraints([]);
+    runSearch({ queryText: text });
+  };
+
+  const handleClearHistory = async () => {
+    setRecentQueries([]);
+    try {
+      await clearRecentQueries(session?.user.id);
+    } catch (error) {
+      console.log('⚠️ Could not clear search history:', error.message);
+    }
+  };
+
+  const handleRegionSearch = (region) => {
+    runSearch({ bounds: regionToBounds(region) });
+  };
+
+  // Map callout tapped: switch to the list and scroll to that restaurant
+  const showInList = (restaurantId) => {
+    const index = searchResults.findIndex(restaurant => restaurant.id === restaurantId);
+    setResultsView('list');
+    setHighlightedId(restaurantId);
+
+    if (index >= 0) {
+      // Wait a frame so the list is visible before scrolling
+      requestAnimationFrame(() => {
+        resultsListRef.current?.scrollToIndex({ index, viewPosition: 0 });
+      });
+    }
+  };
+
+  // Assistant citations come back here with the restaurant to show
+  useEffect(() => {
+    const restaurantId = route.params?.showRestaurantId;
+    if (restaurantId != null) {
+      showInList(restaurantId);
+      navigation.setParams({ showRestaurantId: undefined });
+    }
+  }, [route.params?.showRestaurantId]);
+
+  const openAssistant = () => {
+    navigation.navigate('Assistant', {
+      query: searchQuery.trim(),
+      restaurantIds: searchResults.map(restaurant => restaurant.id),
+      filters
+    });
+  };
+
+  // Rows have variable height, so jump near the item first and then retry
+  const handleScrollToIndexFailed = ({ index, averageItemLength }) => {
+    resultsListRef.current?.scrollToOffset({ offset: index * averageItemLength, animated: false });
+    setTimeout(() => {
+      resultsListRef.current?.scrollToIndex({ index, viewPosition: 0 });
+    }, 100);
+  };
+
+  const changeSearchMode = (mode) => {
+    setSearchMode(mode);
+    saveSearchMode(mode);
+  };
+
+  const changeRerankEnabled = (enabled) => {
+    setRerankEnabled(enabled);
+    saveRerankEnabled(enabled);
+  };
+
+  const clearSearch = () => {
+    setSearchQuery('');
+    setIgnoredConstraints([]);
+    pageRef.current = null;
+    liveSearchRef.current = null;
+    setNewMatchIds([]);
+    setHasMore(false);
+    setSearchResults([]);
+    setResultSource(null);
+    setSearchTrail([]);
+  };
+
+  // Saving needs an account; send signed-out users to sign in first
+  const requireSession = () => {
+    if (!session) {
+      navigation.navigate('SignIn');
+      return false;
+    }
+    return true;
+  };
+
+  // Optimistic toggle; rolls back if the write fails
+  const toggleFavorite = async (restaurant) => {
+    if (!requireSession()) {
+      return;
+    }
+
+    const isFavorite = favoriteIds.includes(restaurant.id);
+    setFavoriteIds(current => (
+      isFavorite ? current.filter(id => id !== restaurant.id) : [...current, restaurant.id]
+    ));
+
+    try {
+      if (isFavorite) {
+        await removeFavorite(restaurant.id);
+      } else {
+        await addFavorite(restaurant.id);
+      }
+    } catch (error) {
+      setFavoriteIds(current => (
+        isFavorite ? [...current, restaurant.id] : current.filter(id => id !== restaurant.id)
+      ));
+      Alert.alert('Could Not Update Favorites', error.message);
+    }
+  };
+
+  const openSaveToList = (restaurant) => {
+    if (requireSession()) {
+      setSaveTarget(restaurant);
+    }
+  };
+
+  const renderSearchResult = ({ item }) => (
+    <TouchableOpacity
+      style={[styles.resultItem, item.id === highlightedId && styles.resultItemHighlighted]}
+      onPress={() => navigation.navigate('RestaurantDetail', { id: item.id, name: item.name })}
+      activeOpacity={0.7}
+    >
+      {item.photo_urls?.length > 0 && (
+        <Image source={{ uri: item.photo_urls[0] }} style={styles.resultPhoto} />
+      )}
+
+      <View style={styles.resultHeader}>
+        <Text style={styles.resultTitle}>{item.name || 'Restaurant Name Not Available'}</Text>
+        {item.similarity != null && (
+          <Text style={styles.similarityBadge}>{item.similarity}% match</Text>
+        )}
+      </View>
+
+      <RestaurantFacts restaurant={item} />
+
+      {item.rerank_reason && (
+        <View style={styles.resultRow}>
+          <Text style={styles.resultIcon}>💡</Text>
+          <Text style={styles.reasonText}>{item.rerank_reason}</Text>
+        </View>
+      )}
+
+      {item.embedding_stale && (
+        <View style={styles.resultRow}>
+          <Text style={styles.resultIcon}>⏳</Text>
+          <Text style={styles.staleNote}>Match based on details from before its last edit</Text>
+        </View>
+      )}
+      
+      {item.address && (
+        <View style={styles.resultRow}>
+          <Text style={styles.resultIcon}>📍</Text>
+          <Text style={styles.resultDescription}>{item.address}</Text>
+        </View>
+      )}
+      
+      {item.city && item.state && (
+        <View style={styles.resultRow}>
+          <Text style={styles.resultIcon}>🏙️</Text>
+          <Text style={styles.resultLocation}>{item.city}, {item.state}</Text>
+        </View>
+      )}
+      
+      {item.phone_number && (
+        <View style={styles.resultRow}>
+          <Text style={styles.resultIcon}>📞</Text>
+          <Text style={styles.resultPhone}>{item.phone_number}</Text>
+        </View>
+      )}
+      
+      {item.distance_km != null && (
+        <View style={styles.resultRow}>
+          <Text style={styles.resultIcon}>📏</Text>
+          <Text style={styles.resultDistance}>{formatDistance(item.distance_km)}</Text>
+        </View>
+      )}
+      
+      {item.latitude && item.longitude && (
+        <View style={styles.resultRow}>
+          <Text style={styles.resultIcon}>🗺️</Text>
+          <Text style={styles.resultCoords}>
+            {parseFloat(item.latitude).toFixed(4)}, {parseFloat(item.longitude).toFixed(4)}
+          </Text>
+        </View>
+      )}
+      
+      {item.url && (
+        <View style={styles.resultRow}>
+          <Text style={styles.resultIcon}>🌐</Text>
+          <Text style={styles.resultUrl} numberOfLines={1}>{item.url}</Text>
+        </View>
+      )}
+
+      <View style={styles.resultActions}>
+        <TouchableOpacity style={styles.resultAction} onPress={() => toggleFavorite(item)}>
+          <Text style={styles.resultActionText}>
+            {favoriteIds.includes(item.id) ? '♥ Favorited' : '♡ Favorite'}
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.resultAction} onPress={() => openSaveToList(item)}>
+          <Text style={styles.resultActionText}>+ List</Text>
+        </TouchableOpacity>
+      </View>
+    </TouchableOpacity>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <View style={styles.headerRow}>
+          <Text style={styles.headerTitle}>🍽️ Restaurant Finder</Text>
+          <TouchableOpacity
+            style={styles.searchModeToggle}
+            onPress={() => navigation.navigate(session ? 'MyLists' : 'SignIn')}
+          >
+            <Text style={styles.searchModeText}>{session ? '⭐ My Lists' : '👤 Sign In'}</Text>
+          </TouchableOpacity>
+        </View>
+        <View style={styles.headerRow}>
+          <Text style={styles.headerSubtitle}>
+            Status: {isOffline ? '🟠 Offline' : isConnected ? '🟢 Connected' : '🔴 Not Connected'}
+            {needsSetup(searchTrail) ? ' | ⚙️ Setup Required' : ''}
+          </Text>
+          <TouchableOpacity
+            style={styles.searchModeToggle}
+            onPress={() => navigation.navigate('Diagnostics')}
+          >
+            <Text style={styles.searchModeText}>🩺 Diagnostics</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      {/* Search Input Section */}
+      <View style={styles.searchSection}>
+        <SearchModeSelector
+          mode={searchMode}
+          onChange={changeSearchMode}
+          rerank={rerankEnabled}
+          onRerankChange={changeRerankEnabled}
+          disabled={isLoading}
+        />
+
+        <TextInput
+          style={styles.searchInput}
+          placeholder={getSearchMode(searchMode).placeholder}
+          placeholderTextColor="#666"
+          value={searchQuery}
+          onChangeText={setSearchQuery}
+          onSubmitEditing={handleSearch}
+          onFocus={() => setIsInputFocused(true)}
+          onBlur={() => setIsInputFocused(false)}
+          returnKeyType="search"
+          editable={!isLoading}
+        />
+
+        {isInputFocused && (
+          <SearchSuggestions
+            query={searchQuery}
+            recentQueries={recentQueries}
+            suggestions={suggestions}
+            onSelect={selectSuggestion}
+            onClearHistory={handleClearHistory}
+          />
+        )}
+
+        <QueryChips
+          chips={parsedQuery.chips}
+          onRemove={key => setIgnoredConstraints([...ignoredConstraints, key])}
+        />
+
+        <FilterPanel
+          filters={filters}
+          options={filterOptions}
+          onChange={setFilters}
+        />
+
+        <LocationControls
+          origin={origin}
+          isLocating={isLocating}
+          radiusKm={radiusKm}
+          sortMode={sortMode}
+          onUseDeviceLocation={locateDevice}
+          onUseCity={locateByCity}
+          onClearLocation={clearLocation}
+          onRadiusChange={setRadiusKm}
+          onSortModeChange={setSortMode}
+        />
+        
+        <View style={styles.buttonRow}>
+          <TouchableOpacity
+            style={[styles.searchButton, isLoading && styles.disabledButton]}
+            onPress={handleSearch}
+            disabled={isLoading}
+          >
+            {isLoading ? (
+              <ActivityIndicator color="#fff" size="small" />
+            ) : (
+              <Text style={styles.searchButtonText}>Search</Text>
+            )}
+          </TouchableOpacity>
+          
+          <TouchableOpacity
+            style={styles.clearButton}
+            onPress={clearSearch}
+            disabled={isLoading}
+          >
+            <Text style={styles.clearButtonText}>Clear</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      {/* Results Section */}
+      <View style={styles.resultsSection}>
+        <SearchDebugPanel trail={searchTrail} />
+        {searchType === 'offline' && searchResults.length > 0 && (
+          <Text style={styles.offlineBanner}>
+            📴 Showing offline results
+            {offlineStatus.syncedAt ? ` · synced ${formatSyncedAt(offlineStatus.syncedAt)}` : ''}
+          </Text>
+        )}
+        {newMatchIds.length > 0 && !isLoading && (
+          <TouchableOpacity style={styles.newMatchesBanner} onPress={refreshLiveSearch}>
+            <Text style={styles.newMatchesText}>
+              🆕 {newMatchIds.length} new match{newMatchIds.length !== 1 ? 'es' : ''} — refresh
+            </Text>
+          </TouchableOpacity>
+        )}
+        {(searchResults.length > 0 || resultsView === 'map') && (
+          <View style={styles.resultsHeaderContainer}>
+            <Text style={styles.resultsHeader}>
+              Found {searchResults.length}{hasMore ? '+' : ''} result{searchResults.length !== 1 ? 's' : ''}
+              {searchBounds ? ' in this area' : ''}
+            </Text>
+            <View style={styles.resultsHeaderActions}>
+              {resultSource && (
+                <Text style={[styles.searchTypeIndicator, resultSource.fallback && styles.fallbackIndicator]}>
+                  {STRATEGY_LABELS[resultSource.strategy]}{resultSource.fallback ? ' · fallback' : ''}
+                  {resultSource.reranked ? ' · ✨ reranked' : ''}
+                </Text>
+              )}
+              {searchResults.length > 0 && !isOffline && (
+                <TouchableOpacity style={styles.viewToggle} onPress={openAssistant}>
+                  <Text style={styles.viewToggleText}>💬 Ask</Text>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity
+                style={styles.viewToggle}
+                onPress={() => setResultsView(resultsView === 'list' ? 'map' : 'list')}
+              >
+                <Text style={styles.viewToggleText}>
+                  {resultsView === 'list' ? '🗺️ Map' : '📋 List'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+
+        {resultsView === 'map' && (
+          <ResultsMap
+            results={searchResults}
+            fitToResults={!searchBounds}
+            onRegionSearch={handleRegionSearch}
+            onSelectRestaurant={showInList}
+          />
+        )}
+        
+        {/* Hidden rather than unmounted in map view so the ref can still scroll it */}
+        <FlatList
+          ref={resultsListRef}
+          style={resultsView === 'map' && styles.hidden}
+          onScrollToIndexFailed={handleScrollToIndexFailed}
+          data={searchResults}
+          renderItem={renderSearchResult}
+          onEndReached={loadMore}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={
+            isLoadingMore ? (
+              <ActivityIndicator style={styles.loadMoreIndicator} color="#007bff" />
+            ) : null
+          }
+          keyExtractor={(item, index) => item.id?.toString() || index.toString()}
+          contentContainerStyle={styles.resultsList}
+          showsVerticalScrollIndicator={false}
+          ListEmptyComponent={
+            !isLoading && searchQuery ? (
+              <View style={styles.emptyState}>
+                <Text style={styles.emptyStateText}>No results found</Text>
+                <Text style={styles.emptyStateSubtext}>Try a different search term</Text>
+              </View>
+            ) : (
+              <View style={styles.emptyState}>
+                <Text style={styles.emptyStateText}>Ready to search</Text>
+                <Text style={styles.emptyStateSubtext}>
+                  {isConnected 
+                    ? 'Enter a search term above to get started' 
+                    : 'Please configure your Supabase connection first'}
+                </Text>
+              </View>
+            )
+          }
+        />
+      </View>
+
+      <SaveToListModal restaurant={saveTarget} onClose={() => setSaveTarget(null)} />
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    backgroundColor: '#fff',
+    paddingHorizontal: 20,
+    paddingVertical: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e9ecef',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#212529',
+    marginBottom: 4,
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#6c757d',
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  searchModeToggle: {
+    backgroundColor: '#f8f9fa',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e9ecef',
+  },
+  searchModeText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#495057',
+  },
+  searchSection: {
+    backgroundColor: '#fff',
+    margin: 16,
+    padding: 20,
+    borderRadius: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  searchInput: {
+    borderWidth: 2,
+    borderColor: '#e9ecef',
+    borderRadius: 8,
+    padding: 16,
+    fontSize: 16,
+    backgroundColor: '#f8f9fa',
+    marginBottom: 16,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  searchButton: {
+    backgroundColor: '#007bff',
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+    borderRadius: 8,
+    flex: 0.7,
+    alignItems: 'center',
+    marginRight: 8,
+  },
+  disabledButton: {
+    backgroundColor: '#6c757d',
+  },
+  searchButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  clearButton: {
+    backgroundColor: '#6c757d',
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+    borderRadius: 8,
+    flex: 0.25,
+    alignItems: 'center',
+  },
+  clearButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  resultsSection: {
+    flex: 1,
+    paddingHorizontal: 16,
+  },
+  offlineBanner: {
+    backgroundColor: '#fff3cd',
+    color: '#856404',
+    fontSize: 13,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 8,
+    marginBottom: 12,
+    overflow: 'hidden',
+  },
+  newMatchesBanner: {
+    backgroundColor: '#cce5ff',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 8,
+    marginBottom: 12,
+  },
+  newMatchesText: {
+    color: '#004085',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  resultsHeaderContainer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  resultsHeader: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#495057',
+  },
+  resultsHeaderActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  viewToggle: {
+    backgroundColor: '#f8f9fa',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#e9ecef',
+    marginLeft: 8,
+  },
+  viewToggleText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#495057',
+  },
+  hidden: {
+    display: 'none',
+  },
+  searchTypeIndicator: {
+    fontSize: 12,
+    fontWeight: '500',
+    color: '#28a745',
+    backgroundColor: '#f8f9fa',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#e9ecef',
+  },
+  fallbackIndicator: {
+    color: '#856404',
+    backgroundColor: '#fff3cd',
+    borderColor: '#ffeeba',
+  },
+  loadMoreIndicator: {
+    paddingVertical: 16,
+  },
+  resultsList: {
+    paddingBottom: 20,
+  },
+  resultItem: {
+    backgroundColor: '#fff',
+    padding: 16,
+    marginBottom: 12,
+    borderRadius: 8,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  resultItemHighlighted: {
+    borderWidth: 2,
+    borderColor: '#007bff',
+  },
+  resultPhoto: {
+    height: 140,
+    borderRadius: 6,
+    marginBottom: 12,
+    backgroundColor: '#e9ecef',
+  },
+  resultHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  resultTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#212529',
+    flex: 1,
+  },
+  similarityBadge: {
+    backgroundColor: '#28a745',
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: '600',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 12,
+    marginLeft: 8,
+  },
+  reasonText: {
+    fontSize: 14,
+    color: '#495057',
+    flex: 1,
+  },
+  staleNote: {
+    fontSize: 13,
+    fontStyle: 'italic',
+    color: '#856404',
+    flex: 1,
+  },
+  resultActions: {
+    flexDirection: 'row',
+    borderTopWidth: 1,
+    borderTopColor: '#e9ecef',
+    marginTop: 8,
+    paddingTop: 8,
+  },
+  resultAction: {
+    paddingVertical: 4,
+    paddingRight: 20,
+  },
+  resultActionText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#007bff',
+  },
+  resultDescription: {
+    fontSize: 14,
+    color: '#6c757d',
+    marginBottom: 8,
+    lineHeight: 20,
+  },
+  resultContent: {
+    fontSize: 14,
+    color: '#495057',
+    lineHeight: 20,
+    marginBottom: 8,
+  },
+  resultMeta: {
+    fontSize: 12,
+    color: '#adb5bd',
+    fontStyle: 'italic',
+  },
+  resultRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    marginBottom: 6,
+  },
+  resultIcon: {
+    fontSize: 16,
+    marginRight: 8,
+    marginTop: 1,
+    width: 20,
+  },
+  resultLocation: {
+    fontSize: 14,
+    color: '#495057',
+    fontWeight: '500',
+    flex: 1,
+  },
+  resultPhone: {
+    fontSize: 14,
+    color: '#007bff',
+    fontWeight: '500',
+    flex: 1,
+  },
+  resultDistance: {
+    fontSize: 14,
+    color: '#495057',
+    fontWeight: '500',
+    flex: 1,
+  },
+  resultCoords: {
+    fontSize: 12,
+    color: '#6c757d',
+    fontFamily: 'monospace',
+    flex: 1,
+  },
+  resultUrl: {
+    fontSize: 12,
+    color: '#28a745',
+    flex: 1,
+  },
+  emptyState: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 60,
+  },
+  emptyStateText: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#6c757d',
+    marginBottom: 8,
+  },
+  emptyStateSubtext: {
+    fontSize: 14,
+    color: '#adb5bd',
+    textAlign: 'center',
+    lineHeight: 20,
+  },
+});
\ No newline at end of file
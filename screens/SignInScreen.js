@@ -0,0 +1,207 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Keyboard
+} from 'react-native';
+import { signInWithEmail, signInWithProvider, useSession, OAUTH_PROVIDERS } from '../lib/auth';
+
+export default function SignInScreen({ navigation }) {
+  const session = useSession();
+  const [email, setEmail] = useState('');
+  const [isSending, setIsSending] = useState(false);
+  const [linkSentTo, setLinkSentTo] = useState(null);
+  const [activeProvider, setActiveProvider] = useState(null);
+
+  // The magic link can be opened while this screen is still showing; leave once a session arrives
+  useEffect(() => {
+    if (session) {
+      navigation.goBack();
+    }
+  }, [session]);
+
+  const handleSendLink = async () => {
+    if (!/^\S+@\S+\.\S+$/.test(email.trim())) {
+      Alert.alert('Email Required', 'Please enter a valid email address.');
+      return;
+    }
+
+    setIsSending(true);
+    Keyboard.dismiss();
+    try {
+      await signInWithEmail(email);
+      setLinkSentTo(email.trim());
+    } catch (error) {
+      console.log('❌ Magic link failed:', error.message);
+      Alert.alert('Could Not Send Link', error.message);
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const handleProvider = async (provider) => {
+    setActiveProvider(provider);
+    try {
+      await signInWithProvider(provider);
+    } catch (error) {
+      console.log(`❌ ${provider} sign-in failed:`, error.message);
+      Alert.alert('Sign-In Failed', error.message);
+    } finally {
+      setActiveProvider(null);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Sign in to save restaurants</Text>
+      <Text style={styles.subtitle}>
+        Favorites and lists are kept in your account and follow you across devices.
+      </Text>
+
+      {linkSentTo ? (
+        <View style={styles.sentBox}>
+          <Text style={styles.sentTitle}>📬 Check your email</Text>
+          <Text style={styles.sentText}>
+            We sent a sign-in link to {linkSentTo}. Open it on this device to finish signing in.
+          </Text>
+          <TouchableOpacity onPress={() => setLinkSentTo(null)}>
+            <Text style={styles.linkText}>Use a different email</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <>
+          <TextInput
+            style={styles.input}
+            placeholder="you@example.com"
+            value={email}
+            onChangeText={setEmail}
+            onSubmitEditing={handleSendLink}
+            keyboardType="email-address"
+            autoCapitalize="none"
+            autoComplete="email"
+            autoCorrect={false}
+            returnKeyType="send"
+          />
+          <TouchableOpacity
+            style={[styles.primaryButton, isSending && styles.buttonDisabled]}
+            onPress={handleSendLink}
+            disabled={isSending}
+          >
+            {isSending ? (
+              <ActivityIndicator color="#fff" size="small" />
+            ) : (
+              <Text style={styles.primaryButtonText}>✉️ Email Me a Sign-In Link</Text>
+            )}
+          </TouchableOpacity>
+        </>
+      )}
+
+      <Text style={styles.divider}>or</Text>
+
+      {OAUTH_PROVIDERS.map(provider => (
+        <TouchableOpacity
+          key={provider.id}
+          style={[styles.providerButton, activeProvider && styles.buttonDisabled]}
+          onPress={() => handleProvider(provider.id)}
+          disabled={Boolean(activeProvider)}
+        >
+          {activeProvider === provider.id ? (
+            <ActivityIndicator color="#212529" size="small" />
+          ) : (
+            <Text style={styles.providerButtonText}>{provider.label}</Text>
+          )}
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+    padding: 24,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#212529',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#6c757d',
+    marginBottom: 24,
+    lineHeight: 20,
+  },
+  input: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#ced4da',
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+    marginBottom: 12,
+  },
+  primaryButton: {
+    backgroundColor: '#007bff',
+    paddingVertical: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+  sentBox: {
+    backgroundColor: '#e7f1ff',
+    padding: 16,
+    borderRadius: 8,
+  },
+  sentTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#0056b3',
+    marginBottom: 6,
+  },
+  sentText: {
+    fontSize: 14,
+    color: '#495057',
+    lineHeight: 20,
+    marginBottom: 10,
+  },
+  linkText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#007bff',
+  },
+  divider: {
+    textAlign: 'center',
+    color: '#adb5bd',
+    marginVertical: 20,
+  },
+  providerButton: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#ced4da',
+    paddingVertical: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  providerButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#212529',
+  },
+});
@@ -0,0 +1,219 @@
+// Backfill restaurant embeddings: npm run embeddings:backfill -- [options]
+// Keep them current as rows change:  npm run embeddings:worker
+//
+// Finds rows that are dirty (an embedded field was edited), have no vector or
+// were embedded by another model, embeds them in batches with
+// text-embedding-3-small and writes `embedding`, `embedding_text`, the model
+// and a hash of the embedded text. Rows whose text hashes the same as their
+// current vector are marked clean without calling OpenAI.
+// Set EMBED_REVIEWS=false in .env to leave review text out of the embeddings.
+//
+// Options:
+//   --dry-run          List what would be embedded without calling OpenAI or writing
+//   --resume           Continue after the last row recorded in the checkpoint file
+//   --batch-size <n>   Rows per OpenAI request (default 100)
+//   --limit <n>        Stop after this many rows
+//   --watch            Keep running: a pass over dirty rows, then a pause, forever
+//   --interval <s>     Seconds between --watch passes (default 30)
+import 'dotenv/config';
+import fs from 'node:fs';
+import { parseArgs } from 'node:util';
+import { createClient } from '@supabase/supabase-js';
+import OpenAI from 'openai';
+import { EMBEDDING_MODEL } from '../lib/vectors.js';
+import {
+  fetchRestaurantsNeedingEmbeddings,
+  planEmbeddings,
+  saveEmbeddings
+} from './embeddingStore.js';
+
+const CHECKPOINT_FILE = '.embeddings-backfill.json';
+const MAX_RETRIES = 5;
+const BASE_RETRY_DELAY_MS = 1000;
+
+const { values: options } = parseArgs({
+  options: {
+    'dry-run': { type: 'boolean', default: false },
+    resume: { type: 'boolean', default: false },
+    'batch-size': { type: 'string', default: '100' },
+    limit: { type: 'string' },
+    watch: { type: 'boolean', default: false },
+    interval: { type: 'string', default: '30' }
+  }
+});
+
+const dryRun = options['dry-run'];
+const batchSize = Number(options['batch-size']);
+const limit = options.limit ? Number(options.limit) : Infinity;
+const intervalMs = Number(options.interval) * 1000;
+
+if (options.watch && (dryRun || options.resume || options.limit)) {
+  throw new Error('--watch can\'t be combined with --dry-run, --resume or --limit.');
+}
+
+const supabaseUrl = process.env.EXPO_PUBLIC_SUPABASE_URL;
+// Writing embeddings bypasses RLS, so this needs the service role key
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !supabaseServiceKey) {
+  throw new Error('Missing EXPO_PUBLIC_SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY. Please check your .env file.');
+}
+
+if (!dryRun && !process.env.OPENAI_API_KEY) {
+  throw new Error('Missing OPENAI_API_KEY. Please check your .env file.');
+}
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey, {
+  auth: { persistSession: false }
+});
+
+// Retries are handled below so backoff applies to the whole batch
+const openai = dryRun ? null : new OpenAI({
+  apiKey: process.env.OPENAI_API_KEY,
+  baseURL: process.env.OPENAI_BASE_URL,
+  maxRetries: 0
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Rate limits and server errors are worth retrying; bad requests are not
+const isRetryable = (error) => !error.status || error.status === 429 || error.status >= 500;
+
+const withRetry = async (label, fn) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= MAX_RETRIES || !isRetryable(error)) {
+        throw error;
+      }
+      // Exponential backoff with jitter: ~1s, 2s, 4s, 8s
+      const delay = BASE_RETRY_DELAY_MS * 2 ** (attempt - 1) + Math.random() * 250;
+      console.log(`⚠️ ${label} failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+};
+
+const readCheckpoint = () => {
+  if (!fs.existsSync(CHECKPOINT_FILE)) {
+    return 0;
+  }
+  return JSON.parse(fs.readFileSync(CHECKPOINT_FILE, 'utf8')).lastId || 0;
+};
+
+const writeCheckpoint = (lastId) => {
+  fs.writeFileSync(CHECKPOINT_FILE, JSON.stringify({ lastId, updatedAt: new Date().toISOString() }, null, 2));
+};
+
+const embedBatch = async (texts) => {
+  const response = await withRetry('Embedding request', () =>
+    openai.embeddings.create({ model: EMBEDDING_MODEL, input: texts })
+  );
+  // The API returns one entry per input; sort by index to be safe
+  return response.data
+    .sort((a, b) => a.index - b.index)
+    .map(item => item.embedding);
+};
+
+const writeBatch = (items, embeddings) => withRetry('Supabase update', () =>
+  saveEmbeddings(supabase, { items, embeddings, model: EMBEDDING_MODEL })
+);
+
+// One sweep over every row that needs work, in id order. Resolves to counts
+// of rows embedded, marked clean unchanged, and skipped because they were
+// edited mid-batch (those stay dirty for the next pass).
+const runPass = async ({ startAfter = 0, checkpoint = false } = {}) => {
+  let lastId = startAfter;
+  const counts = { processed: 0, embedded: 0, unchanged: 0, skipped: 0 };
+
+  while (counts.processed < limit) {
+    const restaurants = await fetchRestaurantsNeedingEmbeddings(supabase, {
+      afterId: lastId,
+      batchSize: Math.min(batchSize, limit - counts.processed),
+      model: EMBEDDING_MODEL
+    });
+    if (restaurants.length === 0) {
+      break;
+    }
+
+    const { toEmbed, unchanged } = planEmbeddings(restaurants, EMBEDDING_MODEL);
+
+    if (dryRun) {
+      toEmbed.forEach(({ restaurant, text }) => {
+        console.log(`  #${restaurant.id}: ${text}`);
+      });
+      unchanged.forEach(({ restaurant }) => {
+        console.log(`  #${restaurant.id}: unchanged text, would be marked clean`);
+      });
+      counts.embedded += toEmbed.length;
+      counts.unchanged += unchanged.length;
+    } else {
+      const embeddings = toEmbed.length > 0 ? await embedBatch(toEmbed.map(item => item.text)) : [];
+      const embedded = await writeBatch(toEmbed, embeddings);
+      const cleaned = await writeBatch(unchanged);
+      counts.embedded += embedded;
+      counts.unchanged += cleaned;
+      counts.skipped += restaurants.length - embedded - cleaned;
+    }
+
+    lastId = restaurants[restaurants.length - 1].id;
+    counts.processed += restaurants.length;
+
+    if (checkpoint && !dryRun) {
+      writeCheckpoint(lastId);
+    }
+    console.log(`✅ ${counts.processed} restaurants ${dryRun ? 'need work' : 'processed'} (through id ${lastId})`);
+  }
+
+  return counts;
+};
+
+const summarize = ({ embedded, unchanged, skipped }) => [
+  `${embedded} ${dryRun ? 'to embed' : 'embedded'}`,
+  `${unchanged} unchanged`,
+  ...(skipped > 0 ? [`${skipped} edited mid-run and left for the next pass`] : [])
+].join(', ');
+
+// Passes never overlap: the next one starts `interval` after the last ends.
+// A failed pass is logged and retried on the next tick instead of exiting.
+const watch = async () => {
+  console.log(`👀 Watching for restaurants to re-embed every ${options.interval}s (Ctrl+C to stop)`);
+
+  while (true) {
+    try {
+      const counts = await runPass();
+      if (counts.processed > 0) {
+        console.log(`🔁 Pass done: ${summarize(counts)}`);
+      }
+    } catch (error) {
+      console.error('⚠️ Pass failed, retrying next interval:', error.message);
+    }
+    await sleep(intervalMs);
+  }
+};
+
+const run = async () => {
+  if (options.watch) {
+    await watch();
+    return;
+  }
+
+  const startAfter = options.resume ? readCheckpoint() : 0;
+  console.log(`🚀 Backfilling embeddings${dryRun ? ' (dry run)' : ''} starting after id ${startAfter}`);
+
+  const counts = await runPass({ startAfter, checkpoint: true });
+
+  // A finished run needs no checkpoint; a --limit run keeps it for --resume
+  if (!dryRun && counts.processed < limit && fs.existsSync(CHECKPOINT_FILE)) {
+    fs.unlinkSync(CHECKPOINT_FILE);
+  }
+
+  console.log(`🏁 Done: ${summarize(counts)}`);
+};
+
+run().catch(error => {
+  console.error('❌ Backfill failed:', error.message);
+  console.error('   Re-run with --resume to continue after the last completed batch.');
+  process.exit(1);
+});
@@ -0,0 +1,66 @@
+// Reading and writing restaurant embeddings for the scripts that make them
+// (backfill-embeddings.js and seed-local.js). Each stored vector records the
+// model that made it and a hash of the text it was made from.
+import { createHash } from 'node:crypto';
+import { buildEmbeddingText } from '../lib/embeddingText.js';
+
+// Review text is part of the embedding unless EMBED_REVIEWS=false
+const INCLUDE_REVIEWS = process.env.EMBED_REVIEWS !== 'false';
+
+export const contentHash = (text) => createHash('sha256').update(text).digest('hex');
+
+// Dirty rows, rows without a vector and rows embedded by another model, by id
+export const fetchRestaurantsNeedingEmbeddings = async (supabase, { afterId, batchSize, model }) => {
+  const { data, error } = await supabase.rpc('restaurants_needing_embeddings', {
+    after_id: afterId,
+    batch_size: batchSize,
+    model_name: model
+  });
+  if (error) {
+    throw error;
+  }
+  return data || [];
+};
+
+// Splits a batch into rows to embed and rows whose text is exactly what their
+// current vector was made from (an edit that was undone, or an import that
+// rewrote the same values), which only need marking clean
+export const planEmbeddings = (restaurants, model) => {
+  const toEmbed = [];
+  const unchanged = [];
+
+  restaurants.forEach(restaurant => {
+    const text = buildEmbeddingText(restaurant, { includeReviews: INCLUDE_REVIEWS });
+    const hash = contentHash(text);
+    const current = restaurant.embedding != null &&
+      restaurant.embedding_model === model &&
+      restaurant.embedding_content_hash === hash;
+
+    (current ? unchanged : toEmbed).push({ restaurant, text, hash });
+  });
+
+  return { toEmbed, unchanged };
+};
+
+// Rows edited since they were read are skipped by the RPC and stay dirty.
+// `embeddings` lines up with `items`; leave it out to only mark rows clean.
+// Resolves to the number of rows written.
+export const saveEmbeddings = async (supabase, { items, embeddings = [], model }) => {
+  if (items.length === 0) {
+    return 0;
+  }
+
+  const rows = items.map(({ restaurant, hash }, i) => ({
+    id: restaurant.id,
+    updated_at: restaurant.updated_at,
+    embedding: embeddings[i] ? JSON.stringify(embeddings[i]) : null,
+    model,
+    content_hash: hash
+  }));
+
+  const { data, error } = await supabase.rpc('save_restaurant_embeddings', { embeddings: rows });
+  if (error) {
+    throw error;
+  }
+  return data;
+};
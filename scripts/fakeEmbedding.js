@@ -0,0 +1,23 @@
+// Deterministic 1536-dim unit vectors standing in for OpenAI embeddings.
+// Shared by the stub OpenAI server, the local seed script and the local-stack
+// tests, so the same text always gets the same vector everywhere.
+export const DIMENSIONS = 1536;
+
+// Seeded from the input text so the same query always gets the same vector
+export const fakeEmbedding = (text) => {
+  let seed = 0;
+  for (let i = 0; i < text.length; i++) {
+    seed = (seed * 31 + text.charCodeAt(i)) >>> 0;
+  }
+
+  const vector = [];
+  let norm = 0;
+  for (let i = 0; i < DIMENSIONS; i++) {
+    seed = (seed * 1664525 + 1013904223) >>> 0;
+    const value = seed / 0xffffffff - 0.5;
+    vector.push(value);
+    norm += value * value;
+  }
+
+  return vector.map(value => value / Math.sqrt(norm));
+};
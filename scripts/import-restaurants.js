@@ -0,0 +1,190 @@
+// Import restaurants from CSV or JSON: npm run restaurants:import -- <file> [options]
+//
+// Every row is normalized and validated (phone, URL, coordinates, state,
+// cuisines, price, rating, hours, timezone, photo URLs) and bad rows are
+// reported with their line number and skipped. A row with the same name as a
+// stored restaurant and either the same address or coordinates within 50 m
+// updates that restaurant; other rows are inserted.
+//
+// Options:
+//   --dry-run          Report what would change without writing anything
+//   --format <type>    csv or json; defaults to the file extension
+//   --strict           Import nothing if any row is invalid
+//   --report <file>    Also write the full report as JSON
+//   --embed            Embed new and changed restaurants afterwards (runs the backfill)
+import 'dotenv/config';
+import fs from 'node:fs';
+import path from 'node:path';
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { createClient } from '@supabase/supabase-js';
+import {
+  IMPORT_COLUMNS,
+  parseCsv,
+  parseJson,
+  mapColumns,
+  normalizeRecord,
+  planImport,
+  toInsertRow
+} from '../lib/restaurantImport.js';
+
+const PAGE_SIZE = 1000;
+const INSERT_BATCH_SIZE = 500;
+// Bad rows listed in the console; --report has all of them
+const MAX_LISTED_ERRORS = 20;
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    'dry-run': { type: 'boolean', default: false },
+    format: { type: 'string' },
+    strict: { type: 'boolean', default: false },
+    report: { type: 'string' },
+    embed: { type: 'boolean', default: false }
+  }
+});
+
+const [file] = positionals;
+if (!file) {
+  throw new Error('Usage: npm run restaurants:import -- <file.csv|file.json> [--dry-run] [--strict] [--embed]');
+}
+
+const dryRun = options['dry-run'];
+const format = (options.format || path.extname(file).slice(1)).toLowerCase();
+if (!['csv', 'json'].includes(format)) {
+  throw new Error(`Unknown format "${format}". Use --format csv or --format json.`);
+}
+
+const supabaseUrl = process.env.EXPO_PUBLIC_SUPABASE_URL;
+// Restaurants are read-only for app users, so writes need the service role key
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !supabaseServiceKey) {
+  throw new Error('Missing EXPO_PUBLIC_SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY. Please check your .env file.');
+}
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey, {
+  auth: { persistSession: false }
+});
+
+const fetchExisting = async () => {
+  const rows = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('restaurants')
+      .select(`id, ${IMPORT_COLUMNS.join(', ')}`)
+      .order('id')
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    rows.push(...data);
+
+    if (data.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+};
+
+const insertAll = async (inserts) => {
+  for (let i = 0; i < inserts.length; i += INSERT_BATCH_SIZE) {
+    const batch = inserts.slice(i, i + INSERT_BATCH_SIZE).map(({ restaurant }) => toInsertRow(restaurant));
+    const { error } = await supabase.from('restaurants').insert(batch);
+    if (error) {
+      throw error;
+    }
+    console.log(`➕ Inserted ${Math.min(i + INSERT_BATCH_SIZE, inserts.length)} of ${inserts.length}`);
+  }
+};
+
+// One request per row: each update only touches the fields that changed
+const updateAll = async (updates) => {
+  for (const [index, { id, changes }] of updates.entries()) {
+    const { error } = await supabase.from('restaurants').update(changes).eq('id', id);
+    if (error) {
+      throw error;
+    }
+    if ((index + 1) % 100 === 0 || index + 1 === updates.length) {
+      console.log(`✏️ Updated ${index + 1} of ${updates.length}`);
+    }
+  }
+};
+
+// New rows have no embedding and the database marks updated rows dirty, so
+// the backfill picks both up without being told which ids changed
+const runBackfill = () => {
+  const backfill = path.join(path.dirname(fileURLToPath(import.meta.url)), 'backfill-embeddings.js');
+  execFileSync(process.execPath, [backfill], { stdio: 'inherit' });
+};
+
+const run = async () => {
+  const text = fs.readFileSync(file, 'utf8');
+  const records = format === 'csv' ? parseCsv(text) : parseJson(text);
+  const lineLabel = format === 'csv' ? 'line' : 'item';
+
+  const unknownColumns = new Set(records.flatMap(record => mapColumns(record).unknown));
+  if (unknownColumns.size > 0) {
+    console.log(`⚠️ Ignoring columns: ${[...unknownColumns].join(', ')}`);
+  }
+
+  const valid = [];
+  const invalid = [];
+  records.forEach(record => {
+    const { restaurant, errors } = normalizeRecord(record);
+    if (restaurant) {
+      valid.push({ line: record.line, restaurant });
+    } else {
+      invalid.push({ line: record.line, errors });
+    }
+  });
+
+  console.log(`📄 Read ${records.length} rows from ${file}: ${valid.length} valid, ${invalid.length} invalid`);
+  invalid.slice(0, MAX_LISTED_ERRORS).forEach(({ line, errors }) => {
+    console.log(`  ❌ ${lineLabel} ${line}: ${errors.join('; ')}`);
+  });
+  if (invalid.length > MAX_LISTED_ERRORS) {
+    console.log(`  … and ${invalid.length - MAX_LISTED_ERRORS} more${options.report ? '' : ' (use --report for all of them)'}`);
+  }
+
+  const plan = planImport(valid, await fetchExisting());
+
+  plan.duplicates.forEach(({ line, duplicateOf }) => {
+    console.log(`  🔁 ${lineLabel} ${line} repeats ${lineLabel} ${duplicateOf}, skipped`);
+  });
+  console.log(
+    `📋 ${plan.inserts.length} new, ${plan.updates.length} changed, ` +
+    `${plan.unchanged.length} unchanged, ${plan.duplicates.length} duplicates in the file`
+  );
+
+  if (options.report) {
+    fs.writeFileSync(options.report, JSON.stringify({ file, invalid, ...plan }, null, 2));
+    console.log(`🗒️ Report written to ${options.report}`);
+  }
+
+  if (options.strict && invalid.length > 0) {
+    throw new Error(`${invalid.length} invalid rows and --strict is set; nothing was imported`);
+  }
+
+  if (dryRun) {
+    console.log('🏁 Dry run: nothing was written');
+    return;
+  }
+
+  await insertAll(plan.inserts);
+  await updateAll(plan.updates);
+  console.log(`🏁 Done: ${plan.inserts.length} inserted, ${plan.updates.length} updated`);
+
+  if (options.embed && plan.inserts.length + plan.updates.length > 0) {
+    console.log('🧠 Embedding new and changed restaurants');
+    runBackfill();
+  }
+};
+
+run().catch(error => {
+  console.error('❌ Import failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,107 @@
+// Seed the local Supabase stack: npm run db:seed -- [--reset]
+//
+// Run `npx supabase start` first. Then this script:
+// 1. with --reset, rebuilds the database (`supabase db reset`): every
+//    migration, then the sample rows in supabase/seed.sql
+// 2. embeds every restaurant that has no embedding yet with deterministic
+//    stub vectors (scripts/fakeEmbedding.js), so no OpenAI key is needed.
+//    They are recorded as the app's model so the search RPCs use them.
+// 3. prints the env lines that point the app and the local-stack tests at it
+//
+// For real embeddings, run `npm run embeddings:backfill` against the local URL
+// and service role key instead of step 2.
+import { execFileSync } from 'node:child_process';
+import { parseArgs } from 'node:util';
+import { createClient } from '@supabase/supabase-js';
+import { EMBEDDING_MODEL } from '../lib/vectors.js';
+import { fakeEmbedding } from './fakeEmbedding.js';
+import {
+  fetchRestaurantsNeedingEmbeddings,
+  planEmbeddings,
+  saveEmbeddings
+} from './embeddingStore.js';
+
+const BATCH_SIZE = 100;
+
+const { values: options } = parseArgs({
+  options: {
+    reset: { type: 'boolean', default: false }
+  }
+});
+
+const supabaseCli = (args, { quiet = false } = {}) => execFileSync('npx', ['supabase', ...args], {
+  encoding: 'utf8',
+  stdio: quiet ? ['ignore', 'pipe', 'pipe'] : 'inherit'
+});
+
+// URL and keys of the running local stack
+const readLocalStack = () => {
+  let status;
+  try {
+    status = JSON.parse(supabaseCli(['status', '--output', 'json'], { quiet: true }));
+  } catch {
+    throw new Error('The local Supabase stack is not running. Start it with `npx supabase start`.');
+  }
+
+  if (!status.API_URL || !status.ANON_KEY || !status.SERVICE_ROLE_KEY) {
+    throw new Error('`supabase status` did not report an API URL and keys. Is the stack fully started?');
+  }
+
+  return { url: status.API_URL, anonKey: status.ANON_KEY, serviceRoleKey: status.SERVICE_ROLE_KEY };
+};
+
+const embedMissing = async (supabase) => {
+  let afterId = 0;
+  let embedded = 0;
+
+  while (true) {
+    const restaurants = await fetchRestaurantsNeedingEmbeddings(supabase, {
+      afterId,
+      batchSize: BATCH_SIZE,
+      model: EMBEDDING_MODEL
+    });
+    if (restaurants.length === 0) {
+      return embedded;
+    }
+
+    const { toEmbed, unchanged } = planEmbeddings(restaurants, EMBEDDING_MODEL);
+    embedded += await saveEmbeddings(supabase, {
+      items: toEmbed,
+      embeddings: toEmbed.map(({ text }) => fakeEmbedding(text)),
+      model: EMBEDDING_MODEL
+    });
+    await saveEmbeddings(supabase, { items: unchanged, model: EMBEDDING_MODEL });
+
+    afterId = restaurants[restaurants.length - 1].id;
+  }
+};
+
+const run = async () => {
+  if (options.reset) {
+    console.log('🧹 Resetting the local database (migrations + supabase/seed.sql)');
+    supabaseCli(['db', 'reset']);
+  }
+
+  const stack = readLocalStack();
+  const supabase = createClient(stack.url, stack.serviceRoleKey, {
+    auth: { persistSession: false }
+  });
+
+  const embedded = await embedMissing(supabase);
+  const { count, error } = await supabase.from('restaurants').select('id', { count: 'exact', head: true });
+  if (error) {
+    throw error;
+  }
+
+  console.log(`✅ ${count} restaurants, ${embedded} newly embedded with stub vectors`);
+  console.log('\nPoint the app at the local stack in .env.local (use your computer\'s LAN IP instead of 127.0.0.1 on a phone):');
+  console.log(`EXPO_PUBLIC_SUPABASE_URL=${stack.url}`);
+  console.log(`EXPO_PUBLIC_SUPABASE_ANON_KEY=${stack.anonKey}`);
+  console.log('\nRun the local-stack tests with:');
+  console.log(`SUPABASE_LOCAL_URL=${stack.url} SUPABASE_LOCAL_ANON_KEY=${stack.anonKey} npm test`);
+};
+
+run().catch(error => {
+  console.error('❌ Seeding failed:', error.message);
+  process.exit(1);
+});
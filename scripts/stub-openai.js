@@ -0,0 +1,94 @@
+// Local stand-in for the OpenAI embeddings and chat endpoints.
+// Returns deterministic 1536-dim vectors so the embed Edge Function can be
+// exercised without an API key, a canned streamed answer for the assistant
+// function and a pass-through ranking for the rerank function.
+// Run `npm run stub:openai` and set
+// OPENAI_BASE_URL=http://host.docker.internal:8787/v1 in supabase/functions/.env
+import http from 'node:http';
+import { fakeEmbedding } from './fakeEmbedding.js';
+
+const PORT = Number(process.env.STUB_OPENAI_PORT || 8787);
+
+const readJson = (req) => new Promise(resolve => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => resolve(JSON.parse(body || '{}')));
+});
+
+const embeddings = async (req, res) => {
+  const { model, input } = await readJson(req);
+  const inputs = Array.isArray(input) ? input : [input];
+
+  console.log(`🧪 Stub embedding for ${inputs.length} input(s)`);
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    object: 'list',
+    model,
+    data: inputs.map((text, index) => ({
+      object: 'embedding',
+      index,
+      embedding: fakeEmbedding(String(text))
+    })),
+    usage: { prompt_tokens: 0, total_tokens: 0 }
+  }));
+};
+
+// The rerank function's candidates (one JSON object per line) in the order
+// given, each with a reason naming the query
+const rerankCompletion = (res, { model, messages }) => {
+  const prompt = messages[messages.length - 1].content;
+  const query = prompt.match(/^Query: (.*)$/m)?.[1] || '';
+  const results = prompt.split('\n')
+    .filter(line => line.startsWith('{'))
+    .map(line => JSON.parse(line))
+    .map(({ id, name }) => ({ id, reason: `Stub reason: ${name} for "${query}"` }));
+
+  console.log(`🧪 Stub rerank of ${results.length} restaurant(s)`);
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    object: 'chat.completion',
+    model,
+    choices: [{ index: 0, message: { role: 'assistant', content: JSON.stringify({ results }) } }]
+  }));
+};
+
+// Recommends the first two restaurants in the assistant's system prompt
+// (lines like "[#12] Joe's Pizza · at ...") and streams it word by word
+const chatCompletions = async (req, res) => {
+  const body = await readJson(req);
+  if (body.response_format?.type === 'json_object') {
+    rerankCompletion(res, body);
+    return;
+  }
+
+  const { model, messages } = body;
+  const restaurants = [...(messages[0]?.content || '').matchAll(/^\[#(\d+)\] ([^·\n]+)/gm)]
+    .slice(0, 2)
+    .map(([, id, name]) => `${name.trim()} [#${id}]`);
+  const answer = restaurants.length > 0
+    ? `From these results, try ${restaurants.join(' or ')}. Call ahead to check they can seat you.`
+    : 'None of the restaurants in the database match that.';
+
+  console.log(`🧪 Stub chat answer from ${restaurants.length} restaurant(s)`);
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  const send = (delta) => {
+    res.write(`data: ${JSON.stringify({ object: 'chat.completion.chunk', model, choices: [{ index: 0, delta }] })}\n\n`);
+  };
+  answer.split(/(?<= )/).forEach(word => send({ content: word }));
+  res.end('data: [DONE]\n\n');
+};
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'POST' && req.url.endsWith('/embeddings')) {
+    embeddings(req, res);
+  } else if (req.method === 'POST' && req.url.endsWith('/chat/completions')) {
+    chatCompletions(req, res);
+  } else {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: { message: 'Not found' } }));
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`🧪 Stub OpenAI listening on http://localhost:${PORT}/v1`);
+});
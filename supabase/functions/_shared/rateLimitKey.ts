@@ -0,0 +1,26 @@
+// Who a request counts against for the Edge Functions' rate limits.
+// Signed-in users are limited per account, anonymous callers per IP.
+import type { SupabaseClient } from 'jsr:@supabase/supabase-js@2';
+
+// The platform's proxy appends the address it received the request from to
+// X-Forwarded-For. Anything before that came from the client and can be made
+// up, so only the last entry is trusted.
+export const getClientIp = (req: Request) => {
+  const hops = req.headers.get('x-forwarded-for')?.split(',') ?? [];
+  return hops[hops.length - 1]?.trim() || null;
+};
+
+// `scope` keeps each function's counts apart, e.g. "assistant:user:<id>"
+export const getRateLimitKey = async (admin: SupabaseClient, req: Request, scope?: string) => {
+  const prefix = scope ? `${scope}:` : '';
+
+  const token = req.headers.get('Authorization')?.replace('Bearer ', '');
+  if (token) {
+    const { data } = await admin.auth.getUser(token);
+    if (data?.user) {
+      return `${prefix}user:${data.user.id}`;
+    }
+  }
+
+  return `${prefix}ip:${getClientIp(req) ?? 'unknown'}`;
+};
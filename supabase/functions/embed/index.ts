@@ -0,0 +1,152 @@
+// Embedding proxy for the app's search queries.
+// Keeps the OpenAI key on the server and returns text-embedding-3-small vectors,
+// with per-caller rate limiting, request-size limits and a shared cache of
+// query embeddings (query_embeddings table).
+import { createClient } from 'jsr:@supabase/supabase-js@2';
+import { getRateLimitKey } from '../_shared/rateLimitKey.ts';
+
+const EMBEDDING_MODEL = 'text-embedding-3-small';
+
+// Search queries are short; anything bigger than this is not a search
+const MAX_BODY_BYTES = 4096;
+const MAX_INPUT_CHARS = 1000;
+
+const RATE_LIMIT_REQUESTS = Number(Deno.env.get('EMBED_RATE_LIMIT') ?? 30);
+const RATE_LIMIT_WINDOW_SECONDS = Number(Deno.env.get('EMBED_RATE_LIMIT_WINDOW_SECONDS') ?? 60);
+
+const OPENAI_API_KEY = Deno.env.get('OPENAI_API_KEY');
+// Point this at scripts/stub-openai.js to run without a real OpenAI account
+const OPENAI_BASE_URL = Deno.env.get('OPENAI_BASE_URL') ?? 'https://api.openai.com/v1';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+};
+
+// Service-role client for the rate limit bookkeeping and the embedding cache
+const admin = createClient(
+  Deno.env.get('SUPABASE_URL')!,
+  Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+);
+
+const json = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+
+// Same normalization as the app's cache key, so "Pizza  Austin" and "pizza austin" share an entry
+const normalizeQuery = (input: string) => input.trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Cache failures only cost an OpenAI call, so they are logged and otherwise ignored
+const readCachedEmbedding = async (key: string) => {
+  const { data, error } = await admin.rpc('get_query_embedding', {
+    model_name: EMBEDDING_MODEL,
+    key,
+  });
+
+  if (error) {
+    console.error('Embedding cache read failed:', error.message);
+    return null;
+  }
+
+  return (data as number[] | null) ?? null;
+};
+
+const writeCachedEmbedding = async (key: string, embedding: number[]) => {
+  const { error } = await admin.rpc('put_query_embedding', {
+    model_name: EMBEDDING_MODEL,
+    key,
+    query_embedding: JSON.stringify(embedding),
+  });
+
+  if (error) {
+    console.error('Embedding cache write failed:', error.message);
+  }
+};
+
+const createEmbedding = async (input: string) => {
+  const response = await fetch(`${OPENAI_BASE_URL}/embeddings`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${OPENAI_API_KEY}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ model: EMBEDDING_MODEL, input }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`OpenAI embeddings request failed with ${response.status}`);
+  }
+
+  const result = await response.json();
+  return result.data[0].embedding as number[];
+};
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return json({ error: 'Method not allowed' }, 405);
+  }
+
+  const declaredLength = Number(req.headers.get('content-length') ?? 0);
+  if (declaredLength > MAX_BODY_BYTES) {
+    return json({ error: 'Request body too large' }, 413);
+  }
+
+  // Content-Length can be missing or wrong, so check the actual body as well
+  const rawBody = await req.text();
+  if (new TextEncoder().encode(rawBody).length > MAX_BODY_BYTES) {
+    return json({ error: 'Request body too large' }, 413);
+  }
+
+  let input: unknown;
+  try {
+    input = JSON.parse(rawBody).input;
+  } catch {
+    return json({ error: 'Body must be JSON' }, 400);
+  }
+
+  if (typeof input !== 'string' || !input.trim()) {
+    return json({ error: '`input` must be a non-empty string' }, 400);
+  }
+
+  if (input.length > MAX_INPUT_CHARS) {
+    return json({ error: `\`input\` must be at most ${MAX_INPUT_CHARS} characters` }, 413);
+  }
+
+  const rateKey = await getRateLimitKey(admin, req);
+  const { data: allowed, error: rateError } = await admin.rpc('check_embedding_rate_limit', {
+    rate_key: rateKey,
+    max_requests: RATE_LIMIT_REQUESTS,
+    window_seconds: RATE_LIMIT_WINDOW_SECONDS,
+  });
+
+  if (rateError) {
+    console.error('Rate limit check failed:', rateError.message);
+    return json({ error: 'Rate limit check failed' }, 500);
+  }
+
+  if (!allowed) {
+    return json({ error: 'Too many requests' }, 429);
+  }
+
+  const queryKey = normalizeQuery(input);
+
+  const cached = await readCachedEmbedding(queryKey);
+  if (cached) {
+    return json({ embedding: cached, model: EMBEDDING_MODEL, cached: true });
+  }
+
+  try {
+    const embedding = await createEmbedding(queryKey);
+    await writeCachedEmbedding(queryKey, embedding);
+    return json({ embedding, model: EMBEDDING_MODEL, cached: false });
+  } catch (error) {
+    console.error('Embedding failed:', (error as Error).message);
+    return json({ error: 'Embedding failed' }, 502);
+  }
+});
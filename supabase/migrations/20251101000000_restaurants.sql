@@ -0,0 +1,37 @@
+-- The restaurants table every other migration builds on. Projects set up
+-- before migrations were versioned created it by hand from the README, so
+-- everything here is `if not exists` and leaves an existing table untouched.
+--
+-- The timestamp is earlier than every other migration on purpose, so a new
+-- project creates the table first. Projects that applied later migrations
+-- before this file was added must push once with `supabase db push
+-- --include-all` (see the README, 3.3); without it the CLI refuses to apply it.
+
+create extension if not exists vector;
+
+create table if not exists restaurants (
+  id bigserial primary key,
+  name text,
+  address text,
+  phone_number text,
+  latitude decimal,
+  longitude decimal,
+  city text,
+  state text,
+  url text,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now(),
+  embedding vector(1536)
+);
+
+-- Anyone may read restaurants; only the service role (scripts, the dashboard)
+-- writes, since it bypasses RLS and no write policy exists
+alter table restaurants enable row level security;
+
+drop policy if exists "Restaurants are readable by everyone" on restaurants;
+create policy "Restaurants are readable by everyone"
+  on restaurants for select
+  to anon, authenticated
+  using (true);
+
+grant select on restaurants to anon, authenticated;
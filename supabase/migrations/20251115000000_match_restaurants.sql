@@ -0,0 +1,52 @@
+-- Server-side vector ranking for the AI search.
+-- Returns only the top-N restaurants closest to the query embedding so the app
+-- no longer has to download every 1536-dim vector and rank them on the device.
+
+create extension if not exists vector;
+
+-- The README creates this index by hand; keep it here so fresh projects get it too.
+create index if not exists restaurants_embedding_idx
+  on restaurants using ivfflat (embedding vector_cosine_ops) with (lists = 100);
+
+create or replace function match_restaurants(
+  query_embedding vector(1536),
+  match_threshold float default 0,
+  match_count int default 20,
+  filters jsonb default '{}'::jsonb
+)
+returns table (
+  id bigint,
+  name text,
+  address text,
+  phone_number text,
+  latitude decimal,
+  longitude decimal,
+  city text,
+  state text,
+  url text,
+  similarity float
+)
+language sql stable
+as $$
+  select
+    r.id,
+    r.name,
+    r.address,
+    r.phone_number,
+    r.latitude,
+    r.longitude,
+    r.city,
+    r.state,
+    r.url,
+    1 - (r.embedding <=> query_embedding) as similarity
+  from restaurants r
+  where r.embedding is not null
+    and 1 - (r.embedding <=> query_embedding) >= match_threshold
+    and (filters->>'state' is null or r.state ilike filters->>'state')
+    and (filters->>'city' is null or r.city ilike filters->>'city')
+  -- Ordering by the distance operator itself lets Postgres use the ivfflat index
+  order by r.embedding <=> query_embedding
+  limit match_count;
+$$;
+
+grant execute on function match_restaurants(vector, float, int, jsonb) to anon, authenticated;
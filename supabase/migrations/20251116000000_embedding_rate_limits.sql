@@ -0,0 +1,44 @@
+-- Per-caller rate limiting for the embed Edge Function.
+-- Only the function (service role) touches this table, so RLS is on with no policies.
+
+create table if not exists embedding_rate_limits (
+  key text primary key,
+  window_start timestamptz not null default now(),
+  request_count int not null default 0
+);
+
+alter table embedding_rate_limits enable row level security;
+
+-- Fixed-window counter: bumps the caller's count and reports whether they are
+-- still within max_requests for the current window.
+create or replace function check_embedding_rate_limit(
+  rate_key text,
+  max_requests int,
+  window_seconds int
+)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  current_count int;
+begin
+  insert into embedding_rate_limits as l (key, window_start, request_count)
+  values (rate_key, now(), 1)
+  on conflict (key) do update set
+    window_start = case
+      when l.window_start < now() - make_interval(secs => window_seconds) then now()
+      else l.window_start
+    end,
+    request_count = case
+      when l.window_start < now() - make_interval(secs => window_seconds) then 1
+      else l.request_count + 1
+    end
+  returning request_count into current_count;
+
+  return current_count <= max_requests;
+end;
+$$;
+
+revoke execute on function check_embedding_rate_limit(text, int, int) from public, anon, authenticated;
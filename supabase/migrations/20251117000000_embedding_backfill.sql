@@ -0,0 +1,51 @@
+-- Bookkeeping for the embeddings backfill (npm run embeddings:backfill).
+-- A row needs (re-)embedding when it has no vectors yet or was edited after
+-- its vectors were written.
+
+alter table restaurants add column if not exists embedding_text text;
+alter table restaurants add column if not exists embedding_updated_at timestamptz;
+
+-- Keep updated_at honest and stamp embedding_updated_at whenever a new vector
+-- is written. Both use the transaction time, so writing content and vector in
+-- one update leaves the row fresh.
+create or replace function restaurants_touch()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+  if new.embedding is distinct from old.embedding then
+    new.embedding_updated_at := now();
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists restaurants_touch on restaurants;
+create trigger restaurants_touch
+  before update on restaurants
+  for each row execute function restaurants_touch();
+
+-- Keyset-paginated list of rows with missing or stale embeddings
+create or replace function restaurants_needing_embeddings(
+  after_id bigint default 0,
+  batch_size int default 100
+)
+returns setof restaurants
+language sql stable
+as $$
+  select *
+  from restaurants
+  where id > after_id
+    and (
+      embedding is null
+      or embedding_text is null
+      or embedding_updated_at is null
+      or updated_at > embedding_updated_at
+    )
+  order by id
+  limit batch_size;
+$$;
+
+revoke execute on function restaurants_needing_embeddings(bigint, int) from public, anon, authenticated;
+grant execute on function restaurants_needing_embeddings(bigint, int) to service_role;
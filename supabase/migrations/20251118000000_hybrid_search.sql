@@ -0,0 +1,93 @@
+-- Hybrid search: full-text and vector similarity ranked together.
+-- Each signal ranks its own candidates, then reciprocal rank fusion (RRF)
+-- merges the two lists so exact-name hits are not drowned out by vague
+-- semantic matches (and vice versa).
+
+alter table restaurants
+  add column if not exists fts tsvector
+  generated always as (
+    setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(city, '') || ' ' || coalesce(state, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(address, '')), 'C')
+  ) stored;
+
+create index if not exists restaurants_fts_idx on restaurants using gin (fts);
+
+create or replace function hybrid_search_restaurants(
+  query_text text,
+  query_embedding vector(1536),
+  match_count int default 20,
+  full_text_weight float default 1,
+  semantic_weight float default 1,
+  rrf_k int default 50,
+  filters jsonb default '{}'::jsonb
+)
+returns table (
+  id bigint,
+  name text,
+  address text,
+  phone_number text,
+  latitude decimal,
+  longitude decimal,
+  city text,
+  state text,
+  url text,
+  similarity float,
+  text_rank float,
+  relevance float
+)
+language sql stable
+as $$
+  with filtered as (
+    select *
+    from restaurants r
+    where (filters->>'state' is null or r.state ilike filters->>'state')
+      and (filters->>'city' is null or r.city ilike filters->>'city')
+  ),
+  full_text as (
+    select
+      f.id,
+      ts_rank_cd(f.fts, websearch_to_tsquery('english', query_text)) as text_rank,
+      row_number() over (
+        order by ts_rank_cd(f.fts, websearch_to_tsquery('english', query_text)) desc
+      ) as rank_ix
+    from filtered f
+    where f.fts @@ websearch_to_tsquery('english', query_text)
+    order by rank_ix
+    limit match_count * 2
+  ),
+  semantic as (
+    select
+      f.id,
+      1 - (f.embedding <=> query_embedding) as similarity,
+      row_number() over (order by f.embedding <=> query_embedding) as rank_ix
+    from filtered f
+    where f.embedding is not null
+    order by rank_ix
+    limit match_count * 2
+  )
+  select
+    r.id,
+    r.name,
+    r.address,
+    r.phone_number,
+    r.latitude,
+    r.longitude,
+    r.city,
+    r.state,
+    r.url,
+    semantic.similarity,
+    full_text.text_rank,
+    -- Normalised to 0-1: a row ranked first by both signals scores 1
+    (
+      coalesce(full_text_weight / (rrf_k + full_text.rank_ix), 0) +
+      coalesce(semantic_weight / (rrf_k + semantic.rank_ix), 0)
+    ) / ((full_text_weight + semantic_weight) / (rrf_k + 1)) as relevance
+  from full_text
+  full outer join semantic on full_text.id = semantic.id
+  join restaurants r on r.id = coalesce(full_text.id, semantic.id)
+  order by relevance desc
+  limit match_count;
+$$;
+
+grant execute on function hybrid_search_restaurants(text, vector, int, float, float, int, jsonb) to anon, authenticated;
@@ -0,0 +1,22 @@
+-- Map view: search filters can carry the visible map area as `bounds`:
+-- {"min_lat": .., "max_lat": .., "min_lng": .., "max_lng": ..}
+
+create or replace function restaurant_matches_filters(r restaurants, filters jsonb)
+returns boolean
+language sql stable
+as $$
+  select
+    (filters->>'state' is null or r.state ilike filters->>'state')
+    and (filters->>'city' is null or r.city ilike filters->>'city')
+    and (
+      filters->'near'->>'radius_km' is null
+      or restaurant_distance_km(r, filters) <= (filters->'near'->>'radius_km')::float8
+    )
+    and (
+      filters->'bounds' is null
+      or (
+        r.latitude between (filters->'bounds'->>'min_lat')::decimal and (filters->'bounds'->>'max_lat')::decimal
+        and r.longitude between (filters->'bounds'->>'min_lng')::decimal and (filters->'bounds'->>'max_lng')::decimal
+      )
+    );
+$$;
@@ -0,0 +1,33 @@
+-- "Similar restaurants" on the detail screen, ranked by the row's own embedding.
+
+create or replace function similar_restaurants(
+  restaurant_id bigint,
+  match_count int default 5
+)
+returns table (
+  id bigint,
+  name text,
+  address text,
+  city text,
+  state text,
+  similarity float
+)
+language sql stable
+as $$
+  select
+    r.id,
+    r.name,
+    r.address,
+    r.city,
+    r.state,
+    1 - (r.embedding <=> (select s.embedding from restaurants s where s.id = restaurant_id)) as similarity
+  from restaurants r
+  where r.id <> restaurant_id
+    and r.embedding is not null
+    and exists (select 1 from restaurants s where s.id = restaurant_id and s.embedding is not null)
+  -- The source vector is a scalar subquery, so it acts as a constant and the ivfflat index applies
+  order by r.embedding <=> (select s.embedding from restaurants s where s.id = restaurant_id)
+  limit match_count;
+$$;
+
+grant execute on function similar_restaurants(bigint, int) to anon, authenticated;
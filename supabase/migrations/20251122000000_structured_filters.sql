@@ -0,0 +1,43 @@
+-- Structured search filters: has_phone / has_website toggles, plus the
+-- distinct state and city values the filter pickers are filled from.
+
+create or replace function restaurant_matches_filters(r restaurants, filters jsonb)
+returns boolean
+language sql stable
+as $$
+  select
+    (filters->>'state' is null or r.state ilike filters->>'state')
+    and (filters->>'city' is null or r.city ilike filters->>'city')
+    and (
+      coalesce((filters->>'has_phone')::boolean, false) = false
+      or coalesce(r.phone_number, '') <> ''
+    )
+    and (
+      coalesce((filters->>'has_website')::boolean, false) = false
+      or coalesce(r.url, '') <> ''
+    )
+    and (
+      filters->'near'->>'radius_km' is null
+      or restaurant_distance_km(r, filters) <= (filters->'near'->>'radius_km')::float8
+    )
+    and (
+      filters->'bounds' is null
+      or (
+        r.latitude between (filters->'bounds'->>'min_lat')::decimal and (filters->'bounds'->>'max_lat')::decimal
+        and r.longitude between (filters->'bounds'->>'min_lng')::decimal and (filters->'bounds'->>'max_lng')::decimal
+      )
+    );
+$$;
+
+create or replace function restaurant_locations()
+returns table (state text, city text, restaurant_count bigint)
+language sql stable
+as $$
+  select r.state, r.city, count(*) as restaurant_count
+  from restaurants r
+  where coalesce(r.state, '') <> '' and coalesce(r.city, '') <> ''
+  group by r.state, r.city
+  order by r.state, r.city;
+$$;
+
+grant execute on function restaurant_locations() to anon, authenticated;
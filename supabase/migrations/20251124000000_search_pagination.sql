@@ -0,0 +1,180 @@
+-- Offset pagination for the search RPCs.
+-- Every function takes match_offset and breaks ties on id, so paging through
+-- a result set never repeats or skips a row and scores don't change per page.
+
+drop function if exists match_restaurants(vector, float, int, jsonb);
+drop function if exists hybrid_search_restaurants(text, vector, int, float, float, int, jsonb);
+drop function if exists nearby_restaurants(float, float, float, int);
+
+create function match_restaurants(
+  query_embedding vector(1536),
+  match_threshold float default 0,
+  match_count int default 20,
+  filters jsonb default '{}'::jsonb,
+  match_offset int default 0
+)
+returns table (
+  id bigint,
+  name text,
+  address text,
+  phone_number text,
+  latitude decimal,
+  longitude decimal,
+  city text,
+  state text,
+  url text,
+  similarity float,
+  distance_km float
+)
+language sql stable
+as $$
+  select
+    r.id,
+    r.name,
+    r.address,
+    r.phone_number,
+    r.latitude,
+    r.longitude,
+    r.city,
+    r.state,
+    r.url,
+    1 - (r.embedding <=> query_embedding) as similarity,
+    restaurant_distance_km(r, filters) as distance_km
+  from restaurants r
+  where r.embedding is not null
+    and 1 - (r.embedding <=> query_embedding) >= match_threshold
+    and restaurant_matches_filters(r, filters)
+  -- Ordering by the distance operator itself lets Postgres use the ivfflat index
+  order by r.embedding <=> query_embedding, r.id
+  limit match_count
+  offset match_offset;
+$$;
+
+create function hybrid_search_restaurants(
+  query_text text,
+  query_embedding vector(1536),
+  match_count int default 20,
+  full_text_weight float default 1,
+  semantic_weight float default 1,
+  rrf_k int default 50,
+  filters jsonb default '{}'::jsonb,
+  match_offset int default 0
+)
+returns table (
+  id bigint,
+  name text,
+  address text,
+  phone_number text,
+  latitude decimal,
+  longitude decimal,
+  city text,
+  state text,
+  url text,
+  similarity float,
+  text_rank float,
+  relevance float,
+  distance_km float
+)
+language sql stable
+as $$
+  with filtered as (
+    select *
+    from restaurants r
+    where restaurant_matches_filters(r, filters)
+  ),
+  -- Candidate pools are a fixed size rather than scaled by the page, so a
+  -- row's fused score is the same whichever page it lands on
+  full_text as (
+    select
+      f.id,
+      ts_rank_cd(f.fts, websearch_to_tsquery('english', query_text)) as text_rank,
+      row_number() over (
+        order by ts_rank_cd(f.fts, websearch_to_tsquery('english', query_text)) desc, f.id
+      ) as rank_ix
+    from filtered f
+    where f.fts @@ websearch_to_tsquery('english', query_text)
+    order by rank_ix
+    limit 200
+  ),
+  semantic as (
+    select
+      f.id,
+      1 - (f.embedding <=> query_embedding) as similarity,
+      row_number() over (order by f.embedding <=> query_embedding, f.id) as rank_ix
+    from filtered f
+    where f.embedding is not null
+    order by rank_ix
+    limit 200
+  )
+  select
+    r.id,
+    r.name,
+    r.address,
+    r.phone_number,
+    r.latitude,
+    r.longitude,
+    r.city,
+    r.state,
+    r.url,
+    semantic.similarity,
+    full_text.text_rank,
+    -- Normalised to 0-1: a row ranked first by both signals scores 1
+    (
+      coalesce(full_text_weight / (rrf_k + full_text.rank_ix), 0) +
+      coalesce(semantic_weight / (rrf_k + semantic.rank_ix), 0)
+    ) / ((full_text_weight + semantic_weight) / (rrf_k + 1)) as relevance,
+    restaurant_distance_km(r, filters) as distance_km
+  from full_text
+  full outer join semantic on full_text.id = semantic.id
+  join restaurants r on r.id = coalesce(full_text.id, semantic.id)
+  order by relevance desc, r.id
+  limit match_count
+  offset match_offset;
+$$;
+
+create function nearby_restaurants(
+  lat float,
+  lng float,
+  radius_km float default 5,
+  match_count int default 20,
+  match_offset int default 0
+)
+returns table (
+  id bigint,
+  name text,
+  address text,
+  phone_number text,
+  latitude decimal,
+  longitude decimal,
+  city text,
+  state text,
+  url text,
+  distance_km float
+)
+language sql stable
+as $$
+  select
+    r.id,
+    r.name,
+    r.address,
+    r.phone_number,
+    r.latitude,
+    r.longitude,
+    r.city,
+    r.state,
+    r.url,
+    earth_distance(ll_to_earth(lat, lng), ll_to_earth(r.latitude::float8, r.longitude::float8)) / 1000 as distance_km
+  from restaurants r
+  where r.latitude is not null
+    and r.longitude is not null
+    -- Cheap bounding-box check first so the gist index is used
+    and earth_box(ll_to_earth(lat, lng), radius_km * 1000) @> ll_to_earth(r.latitude::float8, r.longitude::float8)
+    and earth_distance(ll_to_earth(lat, lng), ll_to_earth(r.latitude::float8, r.longitude::float8)) <= radius_km * 1000
+  order by distance_km, r.id
+  limit match_count
+  offset match_offset;
+$$;
+
+grant execute on function match_restaurants(vector, float, int, jsonb, int) to anon, authenticated;
+grant execute on function hybrid_search_restaurants(text, vector, int, float, float, int, jsonb, int) to anon, authenticated;
+grant execute on function nearby_restaurants(float, float, float, int, int) to anon, authenticated;
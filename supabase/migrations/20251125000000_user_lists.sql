@@ -0,0 +1,59 @@
+-- Favorites and named lists for signed-in users.
+-- Rows belong to auth.users and row-level security keeps each user to their own.
+
+create table if not exists favorites (
+  user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  restaurant_id bigint not null references restaurants (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (user_id, restaurant_id)
+);
+
+create table if not exists lists (
+  id bigint generated always as identity primary key,
+  user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  name text not null check (char_length(trim(name)) between 1 and 80),
+  created_at timestamptz not null default now(),
+  unique (user_id, name)
+);
+
+create table if not exists list_items (
+  list_id bigint not null references lists (id) on delete cascade,
+  restaurant_id bigint not null references restaurants (id) on delete cascade,
+  added_at timestamptz not null default now(),
+  primary key (list_id, restaurant_id)
+);
+
+create index if not exists lists_user_id_idx on lists (user_id);
+create index if not exists list_items_restaurant_id_idx on list_items (restaurant_id);
+
+alter table favorites enable row level security;
+alter table lists enable row level security;
+alter table list_items enable row level security;
+
+-- (select auth.uid()) is evaluated once per statement instead of once per row
+create policy "Users manage their own favorites"
+  on favorites for all
+  to authenticated
+  using ((select auth.uid()) = user_id)
+  with check ((select auth.uid()) = user_id);
+
+create policy "Users manage their own lists"
+  on lists for all
+  to authenticated
+  using ((select auth.uid()) = user_id)
+  with check ((select auth.uid()) = user_id);
+
+-- List items have no user_id of their own; ownership comes from the parent list
+create policy "Users manage items in their own lists"
+  on list_items for all
+  to authenticated
+  using (exists (
+    select 1 from lists l where l.id = list_items.list_id and l.user_id = (select auth.uid())
+  ))
+  with check (exists (
+    select 1 from lists l where l.id = list_items.list_id and l.user_id = (select auth.uid())
+  ));
+
+grant select, insert, delete on favorites to authenticated;
+grant select, insert, update, delete on lists to authenticated;
+grant select, insert, delete on list_items to authenticated;
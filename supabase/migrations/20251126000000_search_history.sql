@@ -0,0 +1,98 @@
+-- Search history synced for signed-in users, and typeahead suggestions drawn from
+-- restaurant names, cities and queries other people search for.
+
+create extension if not exists pg_trgm;
+
+create table if not exists search_history (
+  id bigint generated always as identity primary key,
+  user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  query text not null check (char_length(trim(query)) between 1 and 200),
+  searched_at timestamptz not null default now(),
+  unique (user_id, query)
+);
+
+create index if not exists search_history_user_searched_idx on search_history (user_id, searched_at desc);
+
+alter table search_history enable row level security;
+
+drop policy if exists "Users manage their own search history" on search_history;
+create policy "Users manage their own search history"
+  on search_history for all
+  to authenticated
+  using ((select auth.uid()) = user_id)
+  with check ((select auth.uid()) = user_id);
+
+grant select, insert, update, delete on search_history to authenticated;
+
+-- Trigram indexes serve both the prefix (like 'abc%') and fuzzy (%) matches below
+create index if not exists restaurants_name_trgm_idx on restaurants using gin (lower(name) gin_trgm_ops);
+create index if not exists restaurants_city_trgm_idx on restaurants using gin (lower(city) gin_trgm_ops);
+
+-- Prefix matches score 1; typos fall back to trigram similarity.
+-- Popular queries only count once at least three different people have searched them,
+-- so one person's history never shows up for anyone else.
+create or replace function search_suggestions(
+  prefix text,
+  match_count int default 8
+)
+returns table (
+  suggestion text,
+  kind text
+)
+language sql stable
+security definer
+set search_path = public
+as $$
+  -- Shorter prefixes match too much to be useful, so they return nothing
+  with input as (
+    select lower(trim(prefix)) as p
+    where char_length(trim(prefix)) >= 2
+  ),
+  names as (
+    select
+      r.name as suggestion,
+      'restaurant'::text as kind,
+      case when lower(r.name) like i.p || '%' then 1.0 else similarity(lower(r.name), i.p) end as score
+    from restaurants r, input i
+    where r.name is not null
+      and (lower(r.name) like i.p || '%' or lower(r.name) % i.p)
+  ),
+  cities as (
+    select distinct
+      r.city || ', ' || r.state as suggestion,
+      'city'::text as kind,
+      case when lower(r.city) like i.p || '%' then 1.0 else similarity(lower(r.city), i.p) end as score
+    from restaurants r, input i
+    where r.city is not null
+      and r.state is not null
+      and (lower(r.city) like i.p || '%' or lower(r.city) % i.p)
+  ),
+  popular as (
+    select
+      min(h.query) as suggestion,
+      'popular'::text as kind,
+      (case when lower(min(h.query)) like i.p || '%' then 1.0 else similarity(lower(min(h.query)), i.p) end)
+        + least(count(distinct h.user_id), 50) / 100.0 as score
+    from search_history h, input i
+    where lower(h.query) like i.p || '%' or lower(h.query) % i.p
+    group by lower(h.query), i.p
+    having count(distinct h.user_id) >= 3
+  ),
+  ranked as (
+    select distinct on (lower(s.suggestion)) s.suggestion, s.kind, s.score
+    from (
+      select * from popular
+      union all
+      select * from cities
+      union all
+      select * from names
+    ) s
+    order by lower(s.suggestion), s.score desc
+  )
+  select ranked.suggestion, ranked.kind
+  from ranked
+  order by ranked.score desc, ranked.suggestion
+  limit least(match_count, 20);
+$$;
+
+grant execute on function search_suggestions(text, int) to anon, authenticated;
@@ -0,0 +1,64 @@
+-- Shared cache of search-query embeddings for the embed Edge Function, so a
+-- query anyone has searched before is answered without calling OpenAI.
+-- Only the function (service role) touches this table, so RLS is on with no policies.
+
+create table if not exists query_embeddings (
+  model text not null,
+  -- Normalized query: trimmed, lowercased, single spaces
+  query_key text not null,
+  embedding vector(1536) not null,
+  hit_count int not null default 0,
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz not null default now(),
+  primary key (model, query_key)
+);
+
+create index if not exists query_embeddings_last_used_idx on query_embeddings (last_used_at);
+
+alter table query_embeddings enable row level security;
+
+-- Returns the cached embedding (as a plain float array) and records the hit
+create or replace function get_query_embedding(model_name text, key text)
+returns real[]
+language sql
+security definer
+set search_path = public
+as $$
+  update query_embeddings
+  set hit_count = hit_count + 1,
+      last_used_at = now()
+  where model = model_name
+    and query_key = key
+  returning embedding::real[];
+$$;
+
+create or replace function put_query_embedding(model_name text, key text, query_embedding vector(1536))
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  insert into query_embeddings (model, query_key, embedding)
+  values (model_name, key, query_embedding)
+  on conflict (model, query_key) do nothing;
+$$;
+
+-- Drops entries nobody has searched for in max_age; run periodically
+-- (e.g. select prune_query_embeddings('30 days') from a scheduled job)
+create or replace function prune_query_embeddings(max_age interval default '30 days')
+returns int
+language sql
+security definer
+set search_path = public
+as $$
+  with deleted as (
+    delete from query_embeddings
+    where last_used_at < now() - max_age
+    returning 1
+  )
+  select count(*)::int from deleted;
+$$;
+
+revoke execute on function get_query_embedding(text, text) from public, anon, authenticated;
+revoke execute on function put_query_embedding(text, text, vector) from public, anon, authenticated;
+revoke execute on function prune_query_embeddings(interval) from public, anon, authenticated;
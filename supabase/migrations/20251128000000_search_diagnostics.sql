@@ -0,0 +1,58 @@
+-- What the search setup looks like from the database side, for the app's
+-- diagnostics screen: public functions, restaurants columns and indexes,
+-- installed extensions and how many rows have embeddings.
+-- Everything here comes from the system catalogs, which every role can read,
+-- so the function runs with the caller's rights.
+
+create or replace function search_diagnostics()
+returns jsonb
+language sql stable
+set search_path = public
+as $$
+  select jsonb_build_object(
+    'functions', (
+      select coalesce(jsonb_agg(
+        jsonb_build_object('name', p.proname, 'arguments', pg_get_function_identity_arguments(p.oid))
+        order by p.proname
+      ), '[]'::jsonb)
+      from pg_proc p
+      join pg_namespace n on n.oid = p.pronamespace
+      where n.nspname = 'public'
+    ),
+    'columns', (
+      select coalesce(jsonb_agg(
+        jsonb_build_object('name', a.attname, 'type', format_type(a.atttypid, a.atttypmod))
+        order by a.attnum
+      ), '[]'::jsonb)
+      from pg_attribute a
+      where a.attrelid = 'public.restaurants'::regclass
+        and a.attnum > 0
+        and not a.attisdropped
+    ),
+    'indexes', (
+      select coalesce(jsonb_agg(
+        jsonb_build_object('name', i.indexname, 'definition', i.indexdef)
+        order by i.indexname
+      ), '[]'::jsonb)
+      from pg_indexes i
+      where i.schemaname = 'public'
+        and i.tablename = 'restaurants'
+    ),
+    'extensions', (
+      select coalesce(jsonb_agg(
+        jsonb_build_object('name', e.extname, 'version', e.extversion)
+        order by e.extname
+      ), '[]'::jsonb)
+      from pg_extension e
+    ),
+    'restaurants', (
+      select jsonb_build_object(
+        'total', count(*),
+        'with_embedding', count(embedding)
+      )
+      from restaurants
+    )
+  );
+$$;
+
+grant execute on function search_diagnostics() to anon, authenticated;
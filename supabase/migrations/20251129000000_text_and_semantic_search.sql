@@ -0,0 +1,94 @@
+-- The two RPCs the fallback chains call without a query embedding.
+-- Both take the raw query text; the app applies filters and paging to the
+-- returned rows, so they only rank and cap.
+
+-- Full-text search over the `fts` column (name, city/state, address)
+create or replace function search_restaurants_text(
+  search_query text,
+  match_count int default 20
+)
+returns table (
+  id bigint,
+  name text,
+  address text,
+  phone_number text,
+  latitude decimal,
+  longitude decimal,
+  city text,
+  state text,
+  url text,
+  text_rank float
+)
+language sql stable
+as $$
+  select
+    r.id,
+    r.name,
+    r.address,
+    r.phone_number,
+    r.latitude,
+    r.longitude,
+    r.city,
+    r.state,
+    r.url,
+    ts_rank_cd(r.fts, q.query)::float as text_rank
+  from restaurants r,
+    websearch_to_tsquery('english', search_query) as q(query)
+  where r.fts @@ q.query
+  order by text_rank desc, r.id
+  limit match_count;
+$$;
+
+-- Vector search for when the app can't embed the query itself (the embed
+-- function is down or rate limited). Uses the shared query_embeddings cache,
+-- so it answers any query someone has searched before and returns no rows
+-- otherwise. The key is normalized like normalizeQuery in lib/embeddings.js.
+-- Security definer because query_embeddings is closed to clients.
+create or replace function search_restaurants_semantic(
+  search_query text,
+  match_threshold float default 0.6,
+  match_count int default 20,
+  model_name text default 'text-embedding-3-small'
+)
+returns table (
+  id bigint,
+  name text,
+  address text,
+  phone_number text,
+  latitude decimal,
+  longitude decimal,
+  city text,
+  state text,
+  url text,
+  similarity float
+)
+language sql stable
+security definer
+set search_path = public
+as $$
+  with cached as (
+    select q.embedding
+    from query_embeddings q
+    where q.model = model_name
+      and q.query_key = regexp_replace(lower(trim(search_query)), '\s+', ' ', 'g')
+  )
+  select
+    r.id,
+    r.name,
+    r.address,
+    r.phone_number,
+    r.latitude,
+    r.longitude,
+    r.city,
+    r.state,
+    r.url,
+    1 - (r.embedding <=> c.embedding) as similarity
+  from restaurants r, cached c
+  where r.embedding is not null
+    and 1 - (r.embedding <=> c.embedding) >= match_threshold
+  order by r.embedding <=> c.embedding, r.id
+  limit match_count;
+$$;
+
+grant execute on function search_restaurants_text(text, int) to anon, authenticated;
+grant execute on function search_restaurants_semantic(text, float, int, text) to anon, authenticated;
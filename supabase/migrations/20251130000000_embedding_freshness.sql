@@ -0,0 +1,406 @@
+-- Keeps restaurant embeddings in step with the rows they describe.
+-- Editing a field the embedding text is built from marks the row dirty; the
+-- embeddings worker (npm run embeddings:worker) re-embeds dirty rows and
+-- records which model made each vector and a hash of the text it embedded.
+-- Vector search only compares vectors made by the query's model.
+
+alter table restaurants add column if not exists embedding_model text;
+alter table restaurants add column if not exists embedding_content_hash text;
+alter table restaurants add column if not exists embedding_dirty boolean not null default true;
+
+-- Every vector so far came from the backfill, which has only ever used this model
+update restaurants
+set embedding_model = 'text-embedding-3-small'
+where embedding is not null
+  and embedding_model is null;
+
+-- Carry over the old staleness rule once; from here on the trigger owns the flag
+update restaurants
+set embedding_dirty = (
+  embedding is null
+  or embedding_text is null
+  or embedding_updated_at is null
+  or updated_at > embedding_updated_at
+);
+
+create index if not exists restaurants_embedding_dirty_idx
+  on restaurants (id)
+  where embedding_dirty;
+
+-- The fields lib/embeddingText.js builds the embedding text from. Add a field
+-- here when it starts feeding the text, so edits to it mark the row dirty.
+create or replace function restaurant_embedding_source(r restaurants)
+returns jsonb
+language sql immutable
+as $$
+  select jsonb_build_object(
+    'name', r.name,
+    'address', r.address,
+    'city', r.city,
+    'state', r.state,
+    'url', r.url
+  );
+$$;
+
+create or replace function restaurants_touch()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+  if new.embedding is distinct from old.embedding then
+    new.embedding_updated_at := now();
+  end if;
+  if restaurant_embedding_source(new) is distinct from restaurant_embedding_source(old) then
+    new.embedding_dirty := true;
+  end if;
+  return new;
+end;
+$$;
+
+-- Now also picks up rows embedded by another model, so switching models is a
+-- matter of changing the worker's model and letting it run
+drop function if exists restaurants_needing_embeddings(bigint, int);
+
+create function restaurants_needing_embeddings(
+  after_id bigint default 0,
+  batch_size int default 100,
+  model_name text default 'text-embedding-3-small'
+)
+returns setof restaurants
+language sql stable
+as $$
+  select *
+  from restaurants
+  where id > after_id
+    and (
+      embedding_dirty
+      or embedding is null
+      or embedding_model is distinct from model_name
+    )
+  order by id
+  limit batch_size;
+$$;
+
+-- Writes the worker's results: [{ id, updated_at, embedding, model, content_hash }].
+-- A row edited after the worker read it (updated_at moved on) is left dirty
+-- for the next pass instead of getting a vector of its old text. Without an
+-- embedding the stored vector is kept and only the bookkeeping is updated,
+-- for rows whose text turned out not to have changed.
+-- Returns how many rows were written.
+create or replace function save_restaurant_embeddings(embeddings jsonb)
+returns int
+language sql
+as $$
+  with saved as (
+    update restaurants r
+    set
+      embedding = coalesce(e.embedding::vector(1536), r.embedding),
+      embedding_text = coalesce(e.embedding, r.embedding_text),
+      embedding_model = e.model,
+      embedding_content_hash = e.content_hash,
+      embedding_dirty = false
+    from jsonb_to_recordset(embeddings) as e(
+      id bigint,
+      updated_at timestamptz,
+      embedding text,
+      model text,
+      content_hash text
+    )
+    where r.id = e.id
+      and r.updated_at = e.updated_at
+    returning 1
+  )
+  select count(*)::int from saved;
+$$;
+
+revoke execute on function restaurants_needing_embeddings(bigint, int, text) from public, anon, authenticated;
+grant execute on function restaurants_needing_embeddings(bigint, int, text) to service_role;
+revoke execute on function save_restaurant_embeddings(jsonb) from public, anon, authenticated;
+grant execute on function save_restaurant_embeddings(jsonb) to service_role;
+
+-- The vector RPCs take the query's model and skip vectors made by any other,
+-- and report embedding_stale for rows whose vector predates their latest edit
+
+drop function if exists match_restaurants(vector, float, int, jsonb, int);
+drop function if exists hybrid_search_restaurants(text, vector, int, float, float, int, jsonb, int);
+
+create function match_restaurants(
+  query_embedding vector(1536),
+  match_threshold float default 0,
+  match_count int default 20,
+  filters jsonb default '{}'::jsonb,
+  match_offset int default 0,
+  model_name text default 'text-embedding-3-small'
+)
+returns table (
+  id bigint,
+  name text,
+  address text,
+  phone_number text,
+  latitude decimal,
+  longitude decimal,
+  city text,
+  state text,
+  url text,
+  similarity float,
+  distance_km float,
+  embedding_stale boolean
+)
+language sql stable
+as $$
+  select
+    r.id,
+    r.name,
+    r.address,
+    r.phone_number,
+    r.latitude,
+    r.longitude,
+    r.city,
+    r.state,
+    r.url,
+    1 - (r.embedding <=> query_embedding) as similarity,
+    restaurant_distance_km(r, filters) as distance_km,
+    r.embedding_dirty as embedding_stale
+  from restaurants r
+  where r.embedding is not null
+    and r.embedding_model = model_name
+    and 1 - (r.embedding <=> query_embedding) >= match_threshold
+    and restaurant_matches_filters(r, filters)
+  -- Ordering by the distance operator itself lets Postgres use the ivfflat index
+  order by r.embedding <=> query_embedding, r.id
+  limit match_count
+  offset match_offset;
+$$;
+
+create function hybrid_search_restaurants(
+  query_text text,
+  query_embedding vector(1536),
+  match_count int default 20,
+  full_text_weight float default 1,
+  semantic_weight float default 1,
+  rrf_k int default 50,
+  filters jsonb default '{}'::jsonb,
+  match_offset int default 0,
+  model_name text default 'text-embedding-3-small'
+)
+returns table (
+  id bigint,
+  name text,
+  address text,
+  phone_number text,
+  latitude decimal,
+  longitude decimal,
+  city text,
+  state text,
+  url text,
+  similarity float,
+  text_rank float,
+  relevance float,
+  distance_km float,
+  embedding_stale boolean
+)
+language sql stable
+as $$
+  with filtered as (
+    select *
+    from restaurants r
+    where restaurant_matches_filters(r, filters)
+  ),
+  -- Candidate pools are a fixed size rather than scaled by the page, so a
+  -- row's fused score is the same whichever page it lands on
+  full_text as (
+    select
+      f.id,
+      ts_rank_cd(f.fts, websearch_to_tsquery('english', query_text)) as text_rank,
+      row_number() over (
+        order by ts_rank_cd(f.fts, websearch_to_tsquery('english', query_text)) desc, f.id
+      ) as rank_ix
+    from filtered f
+    where f.fts @@ websearch_to_tsquery('english', query_text)
+    order by rank_ix
+    limit 200
+  ),
+  semantic as (
+    select
+      f.id,
+      1 - (f.embedding <=> query_embedding) as similarity,
+      row_number() over (order by f.embedding <=> query_embedding, f.id) as rank_ix
+    from filtered f
+    where f.embedding is not null
+      and f.embedding_model = model_name
+    order by rank_ix
+    limit 200
+  )
+  select
+    r.id,
+    r.name,
+    r.address,
+    r.phone_number,
+    r.latitude,
+    r.longitude,
+    r.city,
+    r.state,
+    r.url,
+    semantic.similarity,
+    full_text.text_rank,
+    -- Normalised to 0-1: a row ranked first by both signals scores 1
+    (
+      coalesce(full_text_weight / (rrf_k + full_text.rank_ix), 0) +
+      coalesce(semantic_weight / (rrf_k + semantic.rank_ix), 0)
+    ) / ((full_text_weight + semantic_weight) / (rrf_k + 1)) as relevance,
+    restaurant_distance_km(r, filters) as distance_km,
+    -- Only the vector side can be out of date; text matches use the live row
+    semantic.id is not null and r.embedding_dirty as embedding_stale
+  from full_text
+  full outer join semantic on full_text.id = semantic.id
+  join restaurants r on r.id = coalesce(full_text.id, semantic.id)
+  order by relevance desc, r.id
+  limit match_count
+  offset match_offset;
+$$;
+
+grant execute on function match_restaurants(vector, float, int, jsonb, int, text) to anon, authenticated;
+grant execute on function hybrid_search_restaurants(text, vector, int, float, float, int, jsonb, int, text) to anon, authenticated;
+
+create or replace function search_restaurants_semantic(
+  search_query text,
+  match_threshold float default 0.6,
+  match_count int default 20,
+  model_name text default 'text-embedding-3-small'
+)
+returns table (
+  id bigint,
+  name text,
+  address text,
+  phone_number text,
+  latitude decimal,
+  longitude decimal,
+  city text,
+  state text,
+  url text,
+  similarity float
+)
+language sql stable
+security definer
+set search_path = public
+as $$
+  with cached as (
+    select q.embedding
+    from query_embeddings q
+    where q.model = model_name
+      and q.query_key = regexp_replace(lower(trim(search_query)), '\s+', ' ', 'g')
+  )
+  select
+    r.id,
+    r.name,
+    r.address,
+    r.phone_number,
+    r.latitude,
+    r.longitude,
+    r.city,
+    r.state,
+    r.url,
+    1 - (r.embedding <=> c.embedding) as similarity
+  from restaurants r, cached c
+  where r.embedding is not null
+    and r.embedding_model = model_name
+    and 1 - (r.embedding <=> c.embedding) >= match_threshold
+  order by r.embedding <=> c.embedding, r.id
+  limit match_count;
+$$;
+
+-- Neighbours are only meaningful within one model's vector space
+create or replace function similar_restaurants(
+  restaurant_id bigint,
+  match_count int default 5
+)
+returns table (
+  id bigint,
+  name text,
+  address text,
+  city text,
+  state text,
+  similarity float
+)
+language sql stable
+as $$
+  select
+    r.id,
+    r.name,
+    r.address,
+    r.city,
+    r.state,
+    1 - (r.embedding <=> (select s.embedding from restaurants s where s.id = restaurant_id)) as similarity
+  from restaurants r
+  where r.id <> restaurant_id
+    and r.embedding is not null
+    and r.embedding_model = (select s.embedding_model from restaurants s where s.id = restaurant_id)
+    and exists (select 1 from restaurants s where s.id = restaurant_id and s.embedding is not null)
+  -- The source vector is a scalar subquery, so it acts as a constant and the ivfflat index applies
+  order by r.embedding <=> (select s.embedding from restaurants s where s.id = restaurant_id)
+  limit match_count;
+$$;
+
+-- Diagnostics also count dirty rows and vectors per model
+create or replace function search_diagnostics()
+returns jsonb
+language sql stable
+set search_path = public
+as $$
+  select jsonb_build_object(
+    'functions', (
+      select coalesce(jsonb_agg(
+        jsonb_build_object('name', p.proname, 'arguments', pg_get_function_identity_arguments(p.oid))
+        order by p.proname
+      ), '[]'::jsonb)
+      from pg_proc p
+      join pg_namespace n on n.oid = p.pronamespace
+      where n.nspname = 'public'
+    ),
+    'columns', (
+      select coalesce(jsonb_agg(
+        jsonb_build_object('name', a.attname, 'type', format_type(a.atttypid, a.atttypmod))
+        order by a.attnum
+      ), '[]'::jsonb)
+      from pg_attribute a
+      where a.attrelid = 'public.restaurants'::regclass
+        and a.attnum > 0
+        and not a.attisdropped
+    ),
+    'indexes', (
+      select coalesce(jsonb_agg(
+        jsonb_build_object('name', i.indexname, 'definition', i.indexdef)
+        order by i.indexname
+      ), '[]'::jsonb)
+      from pg_indexes i
+      where i.schemaname = 'public'
+        and i.tablename = 'restaurants'
+    ),
+    'extensions', (
+      select coalesce(jsonb_agg(
+        jsonb_build_object('name', e.extname, 'version', e.extversion)
+        order by e.extname
+      ), '[]'::jsonb)
+      from pg_extension e
+    ),
+    'restaurants', (
+      select jsonb_build_object(
+        'total', count(*),
+        'with_embedding', count(embedding),
+        'dirty', count(*) filter (where embedding_dirty),
+        'models', (
+          select coalesce(jsonb_object_agg(m.embedding_model, m.rows), '{}'::jsonb)
+          from (
+            select embedding_model, count(*) as rows
+            from restaurants
+            where embedding is not null
+              and embedding_model is not null
+            group by embedding_model
+          ) m
+        )
+      )
+      from restaurants
+    )
+  );
+$$;
@@ -0,0 +1,39 @@
+-- Cache for the rerank Edge Function: one ranking (order plus a reason per
+-- restaurant) per chat model, normalized query and set of restaurant ids.
+-- Only the function (service role) touches this table, so RLS is on with no policies.
+
+create table if not exists rerank_cache (
+  model text not null,
+  -- Normalized query: trimmed, lowercased, single spaces
+  query_key text not null,
+  -- SHA-256 of the sorted restaurant ids, so the same results in another order share an entry
+  result_key text not null,
+  -- [{ "id": 12, "reason": "..." }, ...], best first
+  ranking jsonb not null,
+  hit_count int not null default 0,
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz not null default now(),
+  primary key (model, query_key, result_key)
+);
+
+create index if not exists rerank_cache_last_used_idx on rerank_cache (last_used_at);
+
+alter table rerank_cache enable row level security;
+
+-- Drops rankings nobody has asked for in max_age. Rankings go stale when a
+-- restaurant is edited, so keep this shorter than the embedding cache's.
+create or replace function prune_rerank_cache(max_age interval default '7 days')
+returns int
+language sql
+security definer
+set search_path = public
+as $$
+  with deleted as (
+    delete from rerank_cache
+    where last_used_at < now() - max_age
+    returning 1
+  )
+  select count(*)::int from deleted;
+$$;
+
+revoke execute on function prune_rerank_cache(interval) from public, anon, authenticated;
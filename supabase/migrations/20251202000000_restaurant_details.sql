@@ -0,0 +1,515 @@
+-- What a restaurant serves, what it costs, when it's open, how it's rated and
+-- what it looks like. Cuisines, price and hours feed the embedding text and
+-- the search filters; "open now" is worked out in the restaurant's own
+-- timezone, so a search from New York finds what's open in Portland.
+
+-- Accepts the names Postgres knows, e.g. 'America/Chicago'. Immutable so it
+-- can back a check constraint; the zone list only changes with Postgres itself.
+create or replace function is_valid_time_zone(zone text)
+returns boolean
+language plpgsql immutable
+as $$
+begin
+  perform now() at time zone zone;
+  return true;
+exception when others then
+  return false;
+end;
+$$;
+
+-- Opening hours are local times per weekday, several ranges a day allowed:
+--   { "mon": ["11:00-14:30", "17:00-22:00"], "fri": ["17:00-02:00"], ... }
+-- A missing day is closed. A range that ends at or before its start runs
+-- past midnight; "24:00" closes at midnight.
+create or replace function is_valid_opening_hours(hours jsonb)
+returns boolean
+language sql immutable
+as $$
+  select case
+    when jsonb_typeof(hours) <> 'object' then false
+    else not exists (
+      select 1
+      from jsonb_each(hours) as d(day, ranges)
+      where d.day not in ('mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun')
+        or case
+          when jsonb_typeof(d.ranges) <> 'array' then true
+          else exists (
+            select 1
+            from jsonb_array_elements(d.ranges) as h(range)
+            where jsonb_typeof(h.range) <> 'string'
+              or h.range #>> '{}' !~ '^([01]\d|2[0-3]):[0-5]\d-(([01]\d|2[0-3]):[0-5]\d|24:00)$'
+          )
+        end
+    )
+  end;
+$$;
+
+-- Cuisine tags are stored lowercase ('pizza', 'vegan', 'brunch') so filters
+-- can compare them exactly; price_level is 1-4 as in $ to $$$$
+alter table restaurants add column if not exists cuisines text[] not null default '{}';
+alter table restaurants add column if not exists price_level smallint
+  check (price_level between 1 and 4);
+alter table restaurants add column if not exists rating numeric(2, 1)
+  check (rating between 0 and 5);
+alter table restaurants add column if not exists rating_count int not null default 0
+  check (rating_count >= 0);
+alter table restaurants add column if not exists opening_hours jsonb
+  check (opening_hours is null or is_valid_opening_hours(opening_hours));
+-- IANA name the opening hours are in; without it "open now" is unknown
+alter table restaurants add column if not exists timezone text
+  check (timezone is null or is_valid_time_zone(timezone));
+alter table restaurants add column if not exists photo_urls text[] not null default '{}';
+
+create index if not exists restaurants_cuisines_idx on restaurants using gin (cuisines);
+
+-- 'HH:MM' as minutes since midnight; '24:00' is 1440
+create or replace function clock_minutes(clock text)
+returns int
+language sql immutable
+as $$
+  select split_part(clock, ':', 1)::int * 60 + split_part(clock, ':', 2)::int;
+$$;
+
+-- Whether the restaurant is open at `at_time`, read on its own wall clock.
+-- Null when its hours or timezone aren't known. Mirrors isOpenAt in
+-- lib/restaurantDetails.js.
+create or replace function restaurant_open_at(r restaurants, at_time timestamptz default now())
+returns boolean
+language sql stable
+as $$
+  select case
+    when r.opening_hours is null or r.timezone is null then null
+    else exists (
+      select 1
+      from (
+        select
+          extract(dow from local_time)::int as dow,
+          extract(hour from local_time)::int * 60 + extract(minute from local_time)::int as minute_of_day
+        from (select at_time at time zone r.timezone as local_time) t
+      ) l,
+        -- Today's ranges, and yesterday's for the ones running past midnight
+        (values (0), (1)) as back(days),
+        jsonb_array_elements_text(coalesce(
+          r.opening_hours -> (array['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'])[(l.dow - back.days + 7) % 7 + 1],
+          '[]'::jsonb
+        )) as h(hours),
+        lateral (
+          select
+            clock_minutes(split_part(h.hours, '-', 1)) as opens,
+            clock_minutes(split_part(h.hours, '-', 2)) as closes
+        ) m
+      where l.minute_of_day + back.days * 1440 >= m.opens
+        and l.minute_of_day + back.days * 1440 < case when m.closes <= m.opens then m.closes + 1440 else m.closes end
+    )
+  end;
+$$;
+
+-- Cuisines, price and hours now feed the embedding text (rating changes too
+-- often to be worth a re-embed, and photos say nothing a search can use)
+create or replace function restaurant_embedding_source(r restaurants)
+returns jsonb
+language sql immutable
+as $$
+  select jsonb_build_object(
+    'name', r.name,
+    'address', r.address,
+    'city', r.city,
+    'state', r.state,
+    'url', r.url,
+    'cuisines', r.cuisines,
+    'price_level', r.price_level,
+    'opening_hours', r.opening_hours
+  );
+$$;
+
+-- New filters: cuisine (one tag), max_price (1-4), min_rating (0-5) and
+-- open_now. Rows with an unknown price, rating or hours don't pass those.
+create or replace function restaurant_matches_filters(r restaurants, filters jsonb)
+returns boolean
+language sql stable
+as $$
+  select
+    (filters->>'state' is null or r.state ilike filters->>'state')
+    and (filters->>'city' is null or r.city ilike filters->>'city')
+    and (
+      coalesce((filters->>'has_phone')::boolean, false) = false
+      or coalesce(r.phone_number, '') <> ''
+    )
+    and (
+      coalesce((filters->>'has_website')::boolean, false) = false
+      or coalesce(r.url, '') <> ''
+    )
+    and (filters->>'cuisine' is null or lower(filters->>'cuisine') = any(r.cuisines))
+    and (filters->>'max_price' is null or r.price_level <= (filters->>'max_price')::int)
+    and (filters->>'min_rating' is null or r.rating >= (filters->>'min_rating')::numeric)
+    and (
+      coalesce((filters->>'open_now')::boolean, false) = false
+      or restaurant_open_at(r) is true
+    )
+    and (
+      filters->'near'->>'radius_km' is null
+      or restaurant_distance_km(r, filters) <= (filters->'near'->>'radius_km')::float8
+    )
+    and (
+      filters->'bounds' is null
+      or (
+        r.latitude between (filters->'bounds'->>'min_lat')::decimal and (filters->'bounds'->>'max_lat')::decimal
+        and r.longitude between (filters->'bounds'->>'min_lng')::decimal and (filters->'bounds'->>'max_lng')::decimal
+      )
+    );
+$$;
+
+-- Cuisine tags and how many restaurants have each, for the filter picker
+create or replace function restaurant_cuisines()
+returns table (cuisine text, restaurant_count bigint)
+language sql stable
+as $$
+  select c.cuisine, count(*) as restaurant_count
+  from restaurants r, unnest(r.cuisines) as c(cuisine)
+  group by c.cuisine
+  order by restaurant_count desc, c.cuisine;
+$$;
+
+grant execute on function restaurant_cuisines() to anon, authenticated;
+grant execute on function restaurant_open_at(restaurants, timestamptz) to anon, authenticated;
+
+-- Every search RPC returns the new columns so result cards can show them and
+-- the app can filter RPC results the same way as table rows. Return types
+-- change, so the functions are dropped and recreated.
+
+drop function if exists match_restaurants(vector, float, int, jsonb, int, text);
+drop function if exists hybrid_search_restaurants(text, vector, int, float, float, int, jsonb, int, text);
+drop function if exists search_restaurants_text(text, int);
+drop function if exists search_restaurants_semantic(text, float, int, text);
+drop function if exists nearby_restaurants(float, float, float, int, int);
+
+create function match_restaurants(
+  query_embedding vector(1536),
+  match_threshold float default 0,
+  match_count int default 20,
+  filters jsonb default '{}'::jsonb,
+  match_offset int default 0,
+  model_name text default 'text-embedding-3-small'
+)
+returns table (
+  id bigint,
+  name text,
+  address text,
+  phone_number text,
+  latitude decimal,
+  longitude decimal,
+  city text,
+  state text,
+  url text,
+  cuisines text[],
+  price_level smallint,
+  rating numeric,
+  rating_count int,
+  opening_hours jsonb,
+  timezone text,
+  photo_urls text[],
+  similarity float,
+  distance_km float,
+  embedding_stale boolean
+)
+language sql stable
+as $$
+  select
+    r.id,
+    r.name,
+    r.address,
+    r.phone_number,
+    r.latitude,
+    r.longitude,
+    r.city,
+    r.state,
+    r.url,
+    r.cuisines,
+    r.price_level,
+    r.rating,
+    r.rating_count,
+    r.opening_hours,
+    r.timezone,
+    r.photo_urls,
+    1 - (r.embedding <=> query_embedding) as similarity,
+    restaurant_distance_km(r, filters) as distance_km,
+    r.embedding_dirty as embedding_stale
+  from restaurants r
+  where r.embedding is not null
+    and r.embedding_model = model_name
+    and 1 - (r.embedding <=> query_embedding) >= match_threshold
+    and restaurant_matches_filters(r, filters)
+  order by r.embedding <=> query_embedding, r.id
+  limit match_count
+  offset match_offset;
+$$;
+
+create function hybrid_search_restaurants(
+  query_text text,
+  query_embedding vector(1536),
+  match_count int default 20,
+  full_text_weight float default 1,
+  semantic_weight float default 1,
+  rrf_k int default 50,
+  filters jsonb default '{}'::jsonb,
+  match_offset int default 0,
+  model_name text default 'text-embedding-3-small'
+)
+returns table (
+  id bigint,
+  name text,
+  address text,
+  phone_number text,
+  latitude decimal,
+  longitude decimal,
+  city text,
+  state text,
+  url text,
+  cuisines text[],
+  price_level smallint,
+  rating numeric,
+  rating_count int,
+  opening_hours jsonb,
+  timezone text,
+  photo_urls text[],
+  similarity float,
+  text_rank float,
+  relevance float,
+  distance_km float,
+  embedding_stale boolean
+)
+language sql stable
+as $$
+  with filtered as (
+    select *
+    from restaurants r
+    where restaurant_matches_filters(r, filters)
+  ),
+  full_text as (
+    select
+      f.id,
+      ts_rank_cd(f.fts, websearch_to_tsquery('english', query_text)) as text_rank,
+      row_number() over (
+        order by ts_rank_cd(f.fts, websearch_to_tsquery('english', query_text)) desc, f.id
+      ) as rank_ix
+    from filtered f
+    where f.fts @@ websearch_to_tsquery('english', query_text)
+    order by rank_ix
+    limit 200
+  ),
+  semantic as (
+    select
+      f.id,
+      1 - (f.embedding <=> query_embedding) as similarity,
+      row_number() over (order by f.embedding <=> query_embedding, f.id) as rank_ix
+    from filtered f
+    where f.embedding is not null
+      and f.embedding_model = model_name
+    order by rank_ix
+    limit 200
+  )
+  select
+    r.id,
+    r.name,
+    r.address,
+    r.phone_number,
+    r.latitude,
+    r.longitude,
+    r.city,
+    r.state,
+    r.url,
+    r.cuisines,
+    r.price_level,
+    r.rating,
+    r.rating_count,
+    r.opening_hours,
+    r.timezone,
+    r.photo_urls,
+    semantic.similarity,
+    full_text.text_rank,
+    (
+      coalesce(full_text_weight / (rrf_k + full_text.rank_ix), 0) +
+      coalesce(semantic_weight / (rrf_k + semantic.rank_ix), 0)
+    ) / ((full_text_weight + semantic_weight) / (rrf_k + 1)) as relevance,
+    restaurant_distance_km(r, filters) as distance_km,
+    semantic.id is not null and r.embedding_dirty as embedding_stale
+  from full_text
+  full outer join semantic on full_text.id = semantic.id
+  join restaurants r on r.id = coalesce(full_text.id, semantic.id)
+  order by relevance desc, r.id
+  limit match_count
+  offset match_offset;
+$$;
+
+create function search_restaurants_text(
+  search_query text,
+  match_count int default 20
+)
+returns table (
+  id bigint,
+  name text,
+  address text,
+  phone_number text,
+  latitude decimal,
+  longitude decimal,
+  city text,
+  state text,
+  url text,
+  cuisines text[],
+  price_level smallint,
+  rating numeric,
+  rating_count int,
+  opening_hours jsonb,
+  timezone text,
+  photo_urls text[],
+  text_rank float
+)
+language sql stable
+as $$
+  select
+    r.id,
+    r.name,
+    r.address,
+    r.phone_number,
+    r.latitude,
+    r.longitude,
+    r.city,
+    r.state,
+    r.url,
+    r.cuisines,
+    r.price_level,
+    r.rating,
+    r.rating_count,
+    r.opening_hours,
+    r.timezone,
+    r.photo_urls,
+    ts_rank_cd(r.fts, q.query)::float as text_rank
+  from restaurants r,
+    websearch_to_tsquery('english', search_query) as q(query)
+  where r.fts @@ q.query
+  order by text_rank desc, r.id
+  limit match_count;
+$$;
+
+create function search_restaurants_semantic(
+  search_query text,
+  match_threshold float default 0.6,
+  match_count int default 20,
+  model_name text default 'text-embedding-3-small'
+)
+returns table (
+  id bigint,
+  name text,
+  address text,
+  phone_number text,
+  latitude decimal,
+  longitude decimal,
+  city text,
+  state text,
+  url text,
+  cuisines text[],
+  price_level smallint,
+  rating numeric,
+  rating_count int,
+  opening_hours jsonb,
+  timezone text,
+  photo_urls text[],
+  similarity float
+)
+language sql stable
+security definer
+set search_path = public
+as $$
+  with cached as (
+    select q.embedding
+    from query_embeddings q
+    where q.model = model_name
+      and q.query_key = regexp_replace(lower(trim(search_query)), '\s+', ' ', 'g')
+  )
+  select
+    r.id,
+    r.name,
+    r.address,
+    r.phone_number,
+    r.latitude,
+    r.longitude,
+    r.city,
+    r.state,
+    r.url,
+    r.cuisines,
+    r.price_level,
+    r.rating,
+    r.rating_count,
+    r.opening_hours,
+    r.timezone,
+    r.photo_urls,
+    1 - (r.embedding <=> c.embedding) as similarity
+  from restaurants r, cached c
+  where r.embedding is not null
+    and r.embedding_model = model_name
+    and 1 - (r.embedding <=> c.embedding) >= match_threshold
+  order by r.embedding <=> c.embedding, r.id
+  limit match_count;
+$$;
+
+create function nearby_restaurants(
+  lat float,
+  lng float,
+  radius_km float default 5,
+  match_count int default 20,
+  match_offset int default 0
+)
+returns table (
+  id bigint,
+  name text,
+  address text,
+  phone_number text,
+  latitude decimal,
+  longitude decimal,
+  city text,
+  state text,
+  url text,
+  cuisines text[],
+  price_level smallint,
+  rating numeric,
+  rating_count int,
+  opening_hours jsonb,
+  timezone text,
+  photo_urls text[],
+  distance_km float
+)
+language sql stable
+as $$
+  select
+    r.id,
+    r.name,
+    r.address,
+    r.phone_number,
+    r.latitude,
+    r.longitude,
+    r.city,
+    r.state,
+    r.url,
+    r.cuisines,
+    r.price_level,
+    r.rating,
+    r.rating_count,
+    r.opening_hours,
+    r.timezone,
+    r.photo_urls,
+    earth_distance(ll_to_earth(lat, lng), ll_to_earth(r.latitude::float8, r.longitude::float8)) / 1000 as distance_km
+  from restaurants r
+  where r.latitude is not null
+    and r.longitude is not null
+    and earth_box(ll_to_earth(lat, lng), radius_km * 1000) @> ll_to_earth(r.latitude::float8, r.longitude::float8)
+    and earth_distance(ll_to_earth(lat, lng), ll_to_earth(r.latitude::float8, r.longitude::float8)) <= radius_km * 1000
+  order by distance_km, r.id
+  limit match_count
+  offset match_offset;
+$$;
+
+grant execute on function match_restaurants(vector, float, int, jsonb, int, text) to anon, authenticated;
+grant execute on function hybrid_search_restaurants(text, vector, int, float, float, int, jsonb, int, text) to anon, authenticated;
+grant execute on function search_restaurants_text(text, int) to anon, authenticated;
+grant execute on function search_restaurants_semantic(text, float, int, text) to anon, authenticated;
+grant execute on function nearby_restaurants(float, float, float, int, int) to anon, authenticated;
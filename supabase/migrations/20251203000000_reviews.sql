@@ -0,0 +1,513 @@
+-- Star ratings and written reviews from signed-in users. Everyone can read
+-- them; each user can write one review per restaurant and edit or delete only
+-- their own. A trigger keeps each restaurant's review average, count and
+-- newest review text on the restaurant row, so result cards and search RPCs
+-- read them without a join, and the review text can feed the embedding.
+
+create table if not exists reviews (
+  id bigint generated always as identity primary key,
+  restaurant_id bigint not null references restaurants (id) on delete cascade,
+  user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  rating smallint not null check (rating between 1 and 5),
+  body text check (char_length(body) <= 2000),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (restaurant_id, user_id)
+);
+
+create index if not exists reviews_restaurant_id_idx on reviews (restaurant_id, updated_at desc);
+create index if not exists reviews_user_id_idx on reviews (user_id);
+
+alter table reviews enable row level security;
+
+create policy "Reviews are readable by everyone"
+  on reviews for select
+  to anon, authenticated
+  using (true);
+
+-- (select auth.uid()) is evaluated once per statement instead of once per row
+create policy "Users add their own reviews"
+  on reviews for insert
+  to authenticated
+  with check ((select auth.uid()) = user_id);
+
+create policy "Users edit their own reviews"
+  on reviews for update
+  to authenticated
+  using ((select auth.uid()) = user_id)
+  with check ((select auth.uid()) = user_id);
+
+create policy "Users delete their own reviews"
+  on reviews for delete
+  to authenticated
+  using ((select auth.uid()) = user_id);
+
+grant select on reviews to anon, authenticated;
+grant insert, update, delete on reviews to authenticated;
+
+create or replace function reviews_touch()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists reviews_touch on reviews;
+create trigger reviews_touch
+  before update on reviews
+  for each row execute function reviews_touch();
+
+-- Kept apart from rating/rating_count, which come from the imported listing
+alter table restaurants add column if not exists review_rating numeric(2,1);
+alter table restaurants add column if not exists review_count int not null default 0;
+-- The newest review texts (up to 5, 300 characters each), newest first
+alter table restaurants add column if not exists review_snippets text[] not null default '{}';
+
+-- Recomputes one restaurant's review columns. Security definer because
+-- reviewers can't write to restaurants; rows whose values don't change are
+-- left alone so updated_at (and the offline sync) only moves when they do.
+create or replace function refresh_restaurant_reviews(target_id bigint)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  update restaurants r
+  set
+    review_rating = s.review_rating,
+    review_count = s.review_count,
+    review_snippets = s.review_snippets
+  from (
+    select
+      round(avg(v.rating), 1) as review_rating,
+      count(*)::int as review_count,
+      coalesce((
+        select array_agg(left(newest.body, 300) order by newest.updated_at desc, newest.id desc)
+        from (
+          select n.id, n.body, n.updated_at
+          from reviews n
+          where n.restaurant_id = target_id
+            and coalesce(trim(n.body), '') <> ''
+          order by n.updated_at desc, n.id desc
+          limit 5
+        ) newest
+      ), '{}') as review_snippets
+    from reviews v
+    where v.restaurant_id = target_id
+  ) s
+  where r.id = target_id
+    and (r.review_rating, r.review_count, r.review_snippets)
+      is distinct from (s.review_rating, s.review_count, s.review_snippets);
+$$;
+
+revoke execute on function refresh_restaurant_reviews(bigint) from public, anon, authenticated;
+
+create or replace function reviews_changed()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op <> 'INSERT' then
+    perform refresh_restaurant_reviews(old.restaurant_id);
+  end if;
+  if tg_op = 'INSERT' or (tg_op = 'UPDATE' and new.restaurant_id <> old.restaurant_id) then
+    perform refresh_restaurant_reviews(new.restaurant_id);
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists reviews_changed on reviews;
+create trigger reviews_changed
+  after insert or update or delete on reviews
+  for each row execute function reviews_changed();
+
+-- Reviews already in the table (none on a fresh install)
+select refresh_restaurant_reviews(restaurant_id)
+from (select distinct restaurant_id from reviews) reviewed;
+
+-- Review text now feeds the embedding text, so "great patio" in a review can
+-- match a search. The embeddings worker leaves it out when EMBED_REVIEWS=false;
+-- rows still turn dirty on a new review, but their text hashes the same and
+-- they're marked clean without calling OpenAI.
+create or replace function restaurant_embedding_source(r restaurants)
+returns jsonb
+language sql immutable
+as $$
+  select jsonb_build_object(
+    'name', r.name,
+    'address', r.address,
+    'city', r.city,
+    'state', r.state,
+    'url', r.url,
+    'cuisines', r.cuisines,
+    'price_level', r.price_level,
+    'opening_hours', r.opening_hours,
+    'review_snippets', r.review_snippets
+  );
+$$;
+
+-- The search RPCs return the review average and count for the result cards.
+-- Return types change, so the functions are dropped and recreated.
+
+drop function if exists match_restaurants(vector, float, int, jsonb, int, text);
+drop function if exists hybrid_search_restaurants(text, vector, int, float, float, int, jsonb, int, text);
+drop function if exists search_restaurants_text(text, int);
+drop function if exists search_restaurants_semantic(text, float, int, text);
+drop function if exists nearby_restaurants(float, float, float, int, int);
+
+create function match_restaurants(
+  query_embedding vector(1536),
+  match_threshold float default 0,
+  match_count int default 20,
+  filters jsonb default '{}'::jsonb,
+  match_offset int default 0,
+  model_name text default 'text-embedding-3-small'
+)
+returns table (
+  id bigint,
+  name text,
+  address text,
+  phone_number text,
+  latitude decimal,
+  longitude decimal,
+  city text,
+  state text,
+  url text,
+  cuisines text[],
+  price_level smallint,
+  rating numeric,
+  rating_count int,
+  opening_hours jsonb,
+  timezone text,
+  photo_urls text[],
+  review_rating numeric,
+  review_count int,
+  similarity float,
+  distance_km float,
+  embedding_stale boolean
+)
+language sql stable
+as $$
+  select
+    r.id,
+    r.name,
+    r.address,
+    r.phone_number,
+    r.latitude,
+    r.longitude,
+    r.city,
+    r.state,
+    r.url,
+    r.cuisines,
+    r.price_level,
+    r.rating,
+    r.rating_count,
+    r.opening_hours,
+    r.timezone,
+    r.photo_urls,
+    r.review_rating,
+    r.review_count,
+    1 - (r.embedding <=> query_embedding) as similarity,
+    restaurant_distance_km(r, filters) as distance_km,
+    r.embedding_dirty as embedding_stale
+  from restaurants r
+  where r.embedding is not null
+    and r.embedding_model = model_name
+    and 1 - (r.embedding <=> query_embedding) >= match_threshold
+    and restaurant_matches_filters(r, filters)
+  order by r.embedding <=> query_embedding, r.id
+  limit match_count
+  offset match_offset;
+$$;
+
+create function hybrid_search_restaurants(
+  query_text text,
+  query_embedding vector(1536),
+  match_count int default 20,
+  full_text_weight float default 1,
+  semantic_weight float default 1,
+  rrf_k int default 50,
+  filters jsonb default '{}'::jsonb,
+  match_offset int default 0,
+  model_name text default 'text-embedding-3-small'
+)
+returns table (
+  id bigint,
+  name text,
+  address text,
+  phone_number text,
+  latitude decimal,
+  longitude decimal,
+  city text,
+  state text,
+  url text,
+  cuisines text[],
+  price_level smallint,
+  rating numeric,
+  rating_count int,
+  opening_hours jsonb,
+  timezone text,
+  photo_urls text[],
+  review_rating numeric,
+  review_count int,
+  similarity float,
+  text_rank float,
+  relevance float,
+  distance_km float,
+  embedding_stale boolean
+)
+language sql stable
+as $$
+  with filtered as (
+    select *
+    from restaurants r
+    where restaurant_matches_filters(r, filters)
+  ),
+  full_text as (
+    select
+      f.id,
+      ts_rank_cd(f.fts, websearch_to_tsquery('english', query_text)) as text_rank,
+      row_number() over (
+        order by ts_rank_cd(f.fts, websearch_to_tsquery('english', query_text)) desc, f.id
+      ) as rank_ix
+    from filtered f
+    where f.fts @@ websearch_to_tsquery('english', query_text)
+    order by rank_ix
+    limit 200
+  ),
+  semantic as (
+    select
+      f.id,
+      1 - (f.embedding <=> query_embedding) as similarity,
+      row_number() over (order by f.embedding <=> query_embedding, f.id) as rank_ix
+    from filtered f
+    where f.embedding is not null
+      and f.embedding_model = model_name
+    order by rank_ix
+    limit 200
+  )
+  select
+    r.id,
+    r.name,
+    r.address,
+    r.phone_number,
+    r.latitude,
+    r.longitude,
+    r.city,
+    r.state,
+    r.url,
+    r.cuisines,
+    r.price_level,
+    r.rating,
+    r.rating_count,
+    r.opening_hours,
+    r.timezone,
+    r.photo_urls,
+    r.review_rating,
+    r.review_count,
+    semantic.similarity,
+    full_text.text_rank,
+    (
+      coalesce(full_text_weight / (rrf_k + full_text.rank_ix), 0) +
+      coalesce(semantic_weight / (rrf_k + semantic.rank_ix), 0)
+    ) / ((full_text_weight + semantic_weight) / (rrf_k + 1)) as relevance,
+    restaurant_distance_km(r, filters) as distance_km,
+    semantic.id is not null and r.embedding_dirty as embedding_stale
+  from full_text
+  full outer join semantic on full_text.id = semantic.id
+  join restaurants r on r.id = coalesce(full_text.id, semantic.id)
+  order by relevance desc, r.id
+  limit match_count
+  offset match_offset;
+$$;
+
+create function search_restaurants_text(
+  search_query text,
+  match_count int default 20
+)
+returns table (
+  id bigint,
+  name text,
+  address text,
+  phone_number text,
+  latitude decimal,
+  longitude decimal,
+  city text,
+  state text,
+  url text,
+  cuisines text[],
+  price_level smallint,
+  rating numeric,
+  rating_count int,
+  opening_hours jsonb,
+  timezone text,
+  photo_urls text[],
+  review_rating numeric,
+  review_count int,
+  text_rank float
+)
+language sql stable
+as $$
+  select
+    r.id,
+    r.name,
+    r.address,
+    r.phone_number,
+    r.latitude,
+    r.longitude,
+    r.city,
+    r.state,
+    r.url,
+    r.cuisines,
+    r.price_level,
+    r.rating,
+    r.rating_count,
+    r.opening_hours,
+    r.timezone,
+    r.photo_urls,
+    r.review_rating,
+    r.review_count,
+    ts_rank_cd(r.fts, q.query)::float as text_rank
+  from restaurants r,
+    websearch_to_tsquery('english', search_query) as q(query)
+  where r.fts @@ q.query
+  order by text_rank desc, r.id
+  limit match_count;
+$$;
+
+create function search_restaurants_semantic(
+  search_query text,
+  match_threshold float default 0.6,
+  match_count int default 20,
+  model_name text default 'text-embedding-3-small'
+)
+returns table (
+  id bigint,
+  name text,
+  address text,
+  phone_number text,
+  latitude decimal,
+  longitude decimal,
+  city text,
+  state text,
+  url text,
+  cuisines text[],
+  price_level smallint,
+  rating numeric,
+  rating_count int,
+  opening_hours jsonb,
+  timezone text,
+  photo_urls text[],
+  review_rating numeric,
+  review_count int,
+  similarity float
+)
+language sql stable
+security definer
+set search_path = public
+as $$
+  with cached as (
+    select q.embedding
+    from query_embeddings q
+    where q.model = model_name
+      and q.query_key = regexp_replace(lower(trim(search_query)), '\s+', ' ', 'g')
+  )
+  select
+    r.id,
+    r.name,
+    r.address,
+    r.phone_number,
+    r.latitude,
+    r.longitude,
+    r.city,
+    r.state,
+    r.url,
+    r.cuisines,
+    r.price_level,
+    r.rating,
+    r.rating_count,
+    r.opening_hours,
+    r.timezone,
+    r.photo_urls,
+    r.review_rating,
+    r.review_count,
+    1 - (r.embedding <=> c.embedding) as similarity
+  from restaurants r, cached c
+  where r.embedding is not null
+    and r.embedding_model = model_name
+    and 1 - (r.embedding <=> c.embedding) >= match_threshold
+  order by r.embedding <=> c.embedding, r.id
+  limit match_count;
+$$;
+
+create function nearby_restaurants(
+  lat float,
+  lng float,
+  radius_km float default 5,
+  match_count int default 20,
+  match_offset int default 0
+)
+returns table (
+  id bigint,
+  name text,
+  address text,
+  phone_number text,
+  latitude decimal,
+  longitude decimal,
+  city text,
+  state text,
+  url text,
+  cuisines text[],
+  price_level smallint,
+  rating numeric,
+  rating_count int,
+  opening_hours jsonb,
+  timezone text,
+  photo_urls text[],
+  review_rating numeric,
+  review_count int,
+  distance_km float
+)
+language sql stable
+as $$
+  select
+    r.id,
+    r.name,
+    r.address,
+    r.phone_number,
+    r.latitude,
+    r.longitude,
+    r.city,
+    r.state,
+    r.url,
+    r.cuisines,
+    r.price_level,
+    r.rating,
+    r.rating_count,
+    r.opening_hours,
+    r.timezone,
+    r.photo_urls,
+    r.review_rating,
+    r.review_count,
+    earth_distance(ll_to_earth(lat, lng), ll_to_earth(r.latitude::float8, r.longitude::float8)) / 1000 as distance_km
+  from restaurants r
+  where r.latitude is not null
+    and r.longitude is not null
+    and earth_box(ll_to_earth(lat, lng), radius_km * 1000) @> ll_to_earth(r.latitude::float8, r.longitude::float8)
+    and earth_distance(ll_to_earth(lat, lng), ll_to_earth(r.latitude::float8, r.longitude::float8)) <= radius_km * 1000
+  order by distance_km, r.id
+  limit match_count
+  offset match_offset;
+$$;
+
+grant execute on function match_restaurants(vector, float, int, jsonb, int, text) to anon, authenticated;
+grant execute on function hybrid_search_restaurants(text, vector, int, float, float, int, jsonb, int, text) to anon, authenticated;
+grant execute on function search_restaurants_text(text, int) to anon, authenticated;
+grant execute on function search_restaurants_semantic(text, float, int, text) to anon, authenticated;
+grant execute on function nearby_restaurants(float, float, float, int, int) to anon, authenticated;
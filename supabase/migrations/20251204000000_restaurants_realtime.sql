@@ -0,0 +1,17 @@
+-- Publishes inserts, edits and deletes on restaurants to Supabase Realtime,
+-- so the results screen can update rows in place and count new matches.
+-- The read policy on restaurants decides who receives them, same as for
+-- selects. Deletes carry only the id, which is all the app needs.
+do $$
+begin
+  if not exists (
+    select 1
+    from pg_publication_tables
+    where pubname = 'supabase_realtime'
+      and schemaname = 'public'
+      and tablename = 'restaurants'
+  ) then
+    alter publication supabase_realtime add table restaurants;
+  end if;
+end;
+$$;
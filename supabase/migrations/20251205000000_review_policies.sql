@@ -0,0 +1,30 @@
+-- The review policies again, each after a `drop policy if exists` like the
+-- other tables' policies, so this file can be re-run. 20251203 created them
+-- without one and fails when run twice. Same rules as before: everyone reads,
+-- signed-in users write only their own reviews.
+
+drop policy if exists "Reviews are readable by everyone" on reviews;
+create policy "Reviews are readable by everyone"
+  on reviews for select
+  to anon, authenticated
+  using (true);
+
+-- (select auth.uid()) is evaluated once per statement instead of once per row
+drop policy if exists "Users add their own reviews" on reviews;
+create policy "Users add their own reviews"
+  on reviews for insert
+  to authenticated
+  with check ((select auth.uid()) = user_id);
+
+drop policy if exists "Users edit their own reviews" on reviews;
+create policy "Users edit their own reviews"
+  on reviews for update
+  to authenticated
+  using ((select auth.uid()) = user_id)
+  with check ((select auth.uid()) = user_id);
+
+drop policy if exists "Users delete their own reviews" on reviews;
+create policy "Users delete their own reviews"
+  on reviews for delete
+  to authenticated
+  using ((select auth.uid()) = user_id);
@@ -0,0 +1,216 @@
+-- One row type for every search RPC. Each returns rows of search_result,
+-- made by to_search_result: the fields a result card shows plus every score
+-- a search can produce, left null where the RPC doesn't compute it. A new
+-- card field is added to the type and the function below, not to each RPC.
+-- Return types change, so the RPCs are dropped and recreated.
+-- search_restaurants_semantic moves over when it is next replaced.
+
+drop function if exists match_restaurants(vector, float, int, jsonb, int, text);
+drop function if exists hybrid_search_restaurants(text, vector, int, float, float, int, jsonb, int, text);
+drop function if exists search_restaurants_text(text, int);
+drop function if exists nearby_restaurants(float, float, float, int, int);
+
+drop function if exists to_search_result(restaurants, float, float, float, float, boolean);
+drop type if exists search_result;
+
+create type search_result as (
+  id bigint,
+  name text,
+  address text,
+  phone_number text,
+  latitude decimal,
+  longitude decimal,
+  city text,
+  state text,
+  url text,
+  cuisines text[],
+  price_level smallint,
+  rating numeric,
+  rating_count int,
+  opening_hours jsonb,
+  timezone text,
+  photo_urls text[],
+  review_rating numeric,
+  review_count int,
+  similarity float,
+  text_rank float,
+  relevance float,
+  distance_km float,
+  embedding_stale boolean
+);
+
+create function to_search_result(
+  r restaurants,
+  similarity float default null,
+  text_rank float default null,
+  relevance float default null,
+  distance_km float default null,
+  embedding_stale boolean default null
+)
+returns search_result
+language sql immutable
+as $$
+  select
+    r.id,
+    r.name,
+    r.address,
+    r.phone_number,
+    r.latitude,
+    r.longitude,
+    r.city,
+    r.state,
+    r.url,
+    r.cuisines,
+    r.price_level,
+    r.rating,
+    r.rating_count,
+    r.opening_hours,
+    r.timezone,
+    r.photo_urls,
+    r.review_rating,
+    r.review_count,
+    similarity,
+    text_rank,
+    relevance,
+    distance_km,
+    embedding_stale;
+$$;
+
+-- The RPCs call it through a lateral join, which evaluates it once per row
+-- (`(to_search_result(...)).*` in the select list would run it per column)
+
+create function match_restaurants(
+  query_embedding vector(1536),
+  match_threshold float default 0,
+  match_count int default 20,
+  filters jsonb default '{}'::jsonb,
+  match_offset int default 0,
+  model_name text default 'text-embedding-3-small'
+)
+returns setof search_result
+language sql stable
+as $$
+  select s.*
+  from restaurants r
+  cross join lateral to_search_result(
+    r,
+    similarity => 1 - (r.embedding <=> query_embedding),
+    distance_km => restaurant_distance_km(r, filters),
+    embedding_stale => r.embedding_dirty
+  ) s
+  where r.embedding is not null
+    and r.embedding_model = model_name
+    and 1 - (r.embedding <=> query_embedding) >= match_threshold
+    and restaurant_matches_filters(r, filters)
+  order by r.embedding <=> query_embedding, r.id
+  limit match_count
+  offset match_offset;
+$$;
+
+create function hybrid_search_restaurants(
+  query_text text,
+  query_embedding vector(1536),
+  match_count int default 20,
+  full_text_weight float default 1,
+  semantic_weight float default 1,
+  rrf_k int default 50,
+  filters jsonb default '{}'::jsonb,
+  match_offset int default 0,
+  model_name text default 'text-embedding-3-small'
+)
+returns setof search_result
+language sql stable
+as $$
+  with filtered as (
+    select *
+    from restaurants r
+    where restaurant_matches_filters(r, filters)
+  ),
+  full_text as (
+    select
+      f.id,
+      ts_rank_cd(f.fts, websearch_to_tsquery('english', query_text)) as text_rank,
+      row_number() over (
+        order by ts_rank_cd(f.fts, websearch_to_tsquery('english', query_text)) desc, f.id
+      ) as rank_ix
+    from filtered f
+    where f.fts @@ websearch_to_tsquery('english', query_text)
+    order by rank_ix
+    limit 200
+  ),
+  semantic as (
+    select
+      f.id,
+      1 - (f.embedding <=> query_embedding) as similarity,
+      row_number() over (order by f.embedding <=> query_embedding, f.id) as rank_ix
+    from filtered f
+    where f.embedding is not null
+      and f.embedding_model = model_name
+    order by rank_ix
+    limit 200
+  )
+  select s.*
+  from full_text
+  full outer join semantic on full_text.id = semantic.id
+  join restaurants r on r.id = coalesce(full_text.id, semantic.id)
+  cross join lateral to_search_result(
+    r,
+    similarity => semantic.similarity,
+    text_rank => full_text.text_rank,
+    relevance => (
+      coalesce(full_text_weight / (rrf_k + full_text.rank_ix), 0) +
+      coalesce(semantic_weight / (rrf_k + semantic.rank_ix), 0)
+    ) / ((full_text_weight + semantic_weight) / (rrf_k + 1)),
+    distance_km => restaurant_distance_km(r, filters),
+    embedding_stale => semantic.id is not null and r.embedding_dirty
+  ) s
+  order by s.relevance desc, s.id
+  limit match_count
+  offset match_offset;
+$$;
+
+create function search_restaurants_text(
+  search_query text,
+  match_count int default 20
+)
+returns setof search_result
+language sql stable
+as $$
+  select s.*
+  from restaurants r
+  cross join websearch_to_tsquery('english', search_query) as q(query)
+  cross join lateral to_search_result(r, text_rank => ts_rank_cd(r.fts, q.query)::float) s
+  where r.fts @@ q.query
+  order by s.text_rank desc, s.id
+  limit match_count;
+$$;
+
+create function nearby_restaurants(
+  lat float,
+  lng float,
+  radius_km float default 5,
+  match_count int default 20,
+  match_offset int default 0
+)
+returns setof search_result
+language sql stable
+as $$
+  select s.*
+  from restaurants r
+  cross join lateral to_search_result(
+    r,
+    distance_km => earth_distance(ll_to_earth(lat, lng), ll_to_earth(r.latitude::float8, r.longitude::float8)) / 1000
+  ) s
+  where r.latitude is not null
+    and r.longitude is not null
+    and earth_box(ll_to_earth(lat, lng), radius_km * 1000) @> ll_to_earth(r.latitude::float8, r.longitude::float8)
+    and earth_distance(ll_to_earth(lat, lng), ll_to_earth(r.latitude::float8, r.longitude::float8)) <= radius_km * 1000
+  order by s.distance_km, s.id
+  limit match_count
+  offset match_offset;
+$$;
+
+grant execute on function match_restaurants(vector, float, int, jsonb, int, text) to anon, authenticated;
+grant execute on function hybrid_search_restaurants(text, vector, int, float, float, int, jsonb, int, text) to anon, authenticated;
+grant execute on function search_restaurants_text(text, int) to anon, authenticated;
+grant execute on function nearby_restaurants(float, float, float, int, int) to anon, authenticated;
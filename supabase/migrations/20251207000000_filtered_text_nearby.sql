@@ -0,0 +1,65 @@
+-- Filters and paging for the full-text and nearby RPCs. They used to return
+-- a ranked prefix that the client filtered afterwards, so a filtered page
+-- came back short and ended paging early, and near/bounds never applied.
+-- Now they take the same filters jsonb and match_offset as match_restaurants
+-- and do both in SQL. search_restaurants_semantic gets the same arguments in
+-- 20251208, where it is replaced anyway.
+
+drop function if exists search_restaurants_text(text, int);
+drop function if exists nearby_restaurants(float, float, float, int, int);
+
+create function search_restaurants_text(
+  search_query text,
+  match_count int default 20,
+  filters jsonb default '{}'::jsonb,
+  match_offset int default 0
+)
+returns setof search_result
+language sql stable
+as $$
+  select s.*
+  from restaurants r
+  cross join websearch_to_tsquery('english', search_query) as q(query)
+  cross join lateral to_search_result(
+    r,
+    text_rank => ts_rank_cd(r.fts, q.query)::float,
+    distance_km => restaurant_distance_km(r, filters)
+  ) s
+  where r.fts @@ q.query
+    and restaurant_matches_filters(r, filters)
+  order by s.text_rank desc, s.id
+  limit match_count
+  offset match_offset;
+$$;
+
+-- lat/lng/radius_km stay separate arguments so the earth_box test can use
+-- restaurants_location_idx; filters adds everything else, bounds included
+create function nearby_restaurants(
+  lat float,
+  lng float,
+  radius_km float default 5,
+  match_count int default 20,
+  match_offset int default 0,
+  filters jsonb default '{}'::jsonb
+)
+returns setof search_result
+language sql stable
+as $$
+  select s.*
+  from restaurants r
+  cross join lateral to_search_result(
+    r,
+    distance_km => earth_distance(ll_to_earth(lat, lng), ll_to_earth(r.latitude::float8, r.longitude::float8)) / 1000
+  ) s
+  where r.latitude is not null
+    and r.longitude is not null
+    and earth_box(ll_to_earth(lat, lng), radius_km * 1000) @> ll_to_earth(r.latitude::float8, r.longitude::float8)
+    and earth_distance(ll_to_earth(lat, lng), ll_to_earth(r.latitude::float8, r.longitude::float8)) <= radius_km * 1000
+    and restaurant_matches_filters(r, filters)
+  order by s.distance_km, s.id
+  limit match_count
+  offset match_offset;
+$$;
+
+grant execute on function search_restaurants_text(text, int, jsonb, int) to anon, authenticated;
+grant execute on function nearby_restaurants(float, float, float, int, int, jsonb) to anon, authenticated;
@@ -0,0 +1,39 @@
+-- search_restaurants_semantic looked the query up in query_embeddings as
+-- security definer, so any caller could tell from a non-empty answer that
+-- someone else had searched that phrase. It now takes the embedding from the
+-- caller (the app passes one it already has on the device) and runs with the
+-- caller's rights; query_embeddings stays reachable only by the embed function.
+-- Like the other search RPCs it also takes filters and match_offset, filters
+-- and pages in SQL, and returns search_result rows.
+
+drop function if exists search_restaurants_semantic(text, float, int, text);
+
+create function search_restaurants_semantic(
+  query_embedding vector(1536),
+  match_threshold float default 0.6,
+  match_count int default 20,
+  filters jsonb default '{}'::jsonb,
+  match_offset int default 0,
+  model_name text default 'text-embedding-3-small'
+)
+returns setof search_result
+language sql stable
+security invoker
+as $$
+  select s.*
+  from restaurants r
+  cross join lateral to_search_result(
+    r,
+    similarity => 1 - (r.embedding <=> query_embedding),
+    distance_km => restaurant_distance_km(r, filters)
+  ) s
+  where r.embedding is not null
+    and r.embedding_model = model_name
+    and 1 - (r.embedding <=> query_embedding) >= match_threshold
+    and restaurant_matches_filters(r, filters)
+  order by r.embedding <=> query_embedding, r.id
+  limit match_count
+  offset match_offset;
+$$;
+
+grant execute on function search_restaurants_semantic(vector, float, int, jsonb, int, text) to anon, authenticated;
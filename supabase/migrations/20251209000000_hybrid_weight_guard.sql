@@ -0,0 +1,68 @@
+-- Weights that add up to 0 made hybrid_search_restaurants divide by zero
+-- when normalizing relevance. The app no longer sends them, but the RPC is
+-- public, so it now scores every row 0 instead of failing the search.
+
+create or replace function hybrid_search_restaurants(
+  query_text text,
+  query_embedding vector(1536),
+  match_count int default 20,
+  full_text_weight float default 1,
+  semantic_weight float default 1,
+  rrf_k int default 50,
+  filters jsonb default '{}'::jsonb,
+  match_offset int default 0,
+  model_name text default 'text-embedding-3-small'
+)
+returns setof search_result
+language sql stable
+as $$
+  with filtered as (
+    select *
+    from restaurants r
+    where restaurant_matches_filters(r, filters)
+  ),
+  full_text as (
+    select
+      f.id,
+      ts_rank_cd(f.fts, websearch_to_tsquery('english', query_text)) as text_rank,
+      row_number() over (
+        order by ts_rank_cd(f.fts, websearch_to_tsquery('english', query_text)) desc, f.id
+      ) as rank_ix
+    from filtered f
+    where f.fts @@ websearch_to_tsquery('english', query_text)
+    order by rank_ix
+    limit 200
+  ),
+  semantic as (
+    select
+      f.id,
+      1 - (f.embedding <=> query_embedding) as similarity,
+      row_number() over (order by f.embedding <=> query_embedding, f.id) as rank_ix
+    from filtered f
+    where f.embedding is not null
+      and f.embedding_model = model_name
+    order by rank_ix
+    limit 200
+  )
+  select s.*
+  from full_text
+  full outer join semantic on full_text.id = semantic.id
+  join restaurants r on r.id = coalesce(full_text.id, semantic.id)
+  cross join lateral to_search_result(
+    r,
+    similarity => semantic.similarity,
+    text_rank => full_text.text_rank,
+    relevance => coalesce(
+      (
+        coalesce(full_text_weight / (rrf_k + full_text.rank_ix), 0) +
+        coalesce(semantic_weight / (rrf_k + semantic.rank_ix), 0)
+      ) / nullif((full_text_weight + semantic_weight) / (rrf_k + 1), 0),
+      0
+    ),
+    distance_km => restaurant_distance_km(r, filters),
+    embedding_stale => semantic.id is not null and r.embedding_dirty
+  ) s
+  order by s.relevance desc, s.id
+  limit match_count
+  offset match_offset;
+$$;
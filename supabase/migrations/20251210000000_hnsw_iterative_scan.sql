@@ -0,0 +1,27 @@
+-- Paged vector searches came back short. The ivfflat index from
+-- 20251115_match_restaurants.sql was built on an empty table, so its 100
+-- lists never fitted the data, and with the default of 1 probe a query only
+-- read the rows in one list. Once the filters and OFFSET had taken their
+-- share, later pages were short or empty even though more rows matched.
+--
+-- HNSW needs no training data, so it can be built before the restaurants are
+-- loaded. With hnsw.iterative_scan on (pgvector 0.8.0 or later) the index
+-- keeps handing back neighbours until the filters and OFFSET are satisfied,
+-- and strict_order keeps them in exact distance order, so pages line up.
+--
+-- The setting is attached to the functions that order by distance. A later
+-- create or replace of one of them has to set it again.
+
+drop index if exists restaurants_embedding_idx;
+
+create index restaurants_embedding_idx
+  on restaurants using hnsw (embedding vector_cosine_ops);
+
+alter function match_restaurants(vector, float, int, jsonb, int, text)
+  set hnsw.iterative_scan = strict_order;
+
+alter function search_restaurants_semantic(vector, float, int, jsonb, int, text)
+  set hnsw.iterative_scan = strict_order;
+
+alter function similar_restaurants(bigint, int)
+  set hnsw.iterative_scan = strict_order;
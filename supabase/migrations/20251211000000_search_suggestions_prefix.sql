@@ -0,0 +1,72 @@
+-- search_suggestions used the typed prefix as a LIKE pattern as it was, so
+-- "50%" or "a_b" matched far more than text starting with them. The prefix
+-- is now escaped first; LIKE (rather than starts_with) keeps the trigram
+-- indexes in use.
+
+create or replace function search_suggestions(
+  prefix text,
+  match_count int default 8
+)
+returns table (
+  suggestion text,
+  kind text
+)
+language sql stable
+security definer
+set search_path = public
+as $$
+  -- Shorter prefixes match too much to be useful, so they return nothing
+  with input as (
+    select
+      lower(trim(prefix)) as p,
+      replace(replace(replace(lower(trim(prefix)), '\', '\\'), '%', '\%'), '_', '\_') || '%' as prefix_pattern
+    where char_length(trim(prefix)) >= 2
+  ),
+  names as (
+    select
+      r.name as suggestion,
+      'restaurant'::text as kind,
+      case when lower(r.name) like i.prefix_pattern then 1.0 else similarity(lower(r.name), i.p) end as score
+    from restaurants r, input i
+    where r.name is not null
+      and (lower(r.name) like i.prefix_pattern or lower(r.name) % i.p)
+  ),
+  cities as (
+    select distinct
+      r.city || ', ' || r.state as suggestion,
+      'city'::text as kind,
+      case when lower(r.city) like i.prefix_pattern then 1.0 else similarity(lower(r.city), i.p) end as score
+    from restaurants r, input i
+    where r.city is not null
+      and r.state is not null
+      and (lower(r.city) like i.prefix_pattern or lower(r.city) % i.p)
+  ),
+  popular as (
+    select
+      min(h.query) as suggestion,
+      'popular'::text as kind,
+      (case when lower(min(h.query)) like i.prefix_pattern then 1.0 else similarity(lower(min(h.query)), i.p) end)
+        + least(count(distinct h.user_id), 50) / 100.0 as score
+    from search_history h, input i
+    where lower(h.query) like i.prefix_pattern or lower(h.query) % i.p
+    group by lower(h.query), i.p, i.prefix_pattern
+    having count(distinct h.user_id) >= 3
+  ),
+  ranked as (
+    select distinct on (lower(s.suggestion)) s.suggestion, s.kind, s.score
+    from (
+      select * from popular
+      union all
+      select * from cities
+      union all
+      select * from names
+    ) s
+    order by lower(s.suggestion), s.score desc
+  )
+  select ranked.suggestion, ranked.kind
+  from ranked
+  order by ranked.score desc, ranked.suggestion
+  limit least(match_count, 20);
+$$;
+
+grant execute on function search_suggestions(text, int) to anon, authenticated;
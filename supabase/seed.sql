@@ -0,0 +1,82 @@
+-- Sample restaurants for the local stack. `npx supabase db reset` applies the
+-- migrations and then this file; `npm run db:seed` adds embeddings.
+-- A few cities per state so the filter pickers, radius search and the map all
+-- have something to show.
+
+insert into restaurants (name, address, phone_number, latitude, longitude, city, state, url) values
+  ('Joe''s Pizza', '1100 S Lamar Blvd', '512-555-0101', 30.2544, -97.7646, 'Austin', 'TX', 'https://joespizza.example.com'),
+  ('Taco Palace', '2300 E Cesar Chavez St', '512-555-0102', 30.2556, -97.7176, 'Austin', 'TX', null),
+  ('Smokehouse on Sixth', '515 E 6th St', '512-555-0103', 30.2672, -97.7384, 'Austin', 'TX', 'https://smokehouse.example.com'),
+  ('Green Bowl Vegan Kitchen', '4501 Duval St', null, 30.3126, -97.7278, 'Austin', 'TX', 'https://greenbowl.example.com'),
+  ('Candlelight Bistro', '800 W 6th St', '512-555-0105', 30.2700, -97.7517, 'Austin', 'TX', 'https://candlelight.example.com'),
+  ('Bayou Crawfish Shack', '7200 Westheimer Rd', '713-555-0106', 29.7371, -95.5070, 'Houston', 'TX', null),
+  ('Pho Saigon Noodle House', '9600 Bellaire Blvd', '713-555-0107', 29.7058, -95.5480, 'Houston', 'TX', 'https://phosaigon.example.com'),
+  ('Alamo Tex-Mex Cantina', '300 Alamo Plaza', '210-555-0108', 29.4260, -98.4861, 'San Antonio', 'TX', null),
+  ('Pizza Napoli', '3401 SE Belmont St', null, 45.5163, -122.6298, 'Portland', 'OR', 'https://napoli.example.com'),
+  ('Stumptown Coffee Bar', '128 SW 3rd Ave', '503-555-0110', 45.5222, -122.6738, 'Portland', 'OR', 'https://stumptown.example.com'),
+  ('Thai Orchid Curry House', '2231 W Burnside St', '503-555-0111', 45.5230, -122.6986, 'Portland', 'OR', null),
+  ('Family Table Diner', '1520 NE Broadway', '503-555-0112', 45.5351, -122.6489, 'Portland', 'OR', null),
+  ('Coastal Catch Seafood', '250 W Broadway', '541-555-0113', 44.0505, -123.0951, 'Eugene', 'OR', 'https://coastalcatch.example.com'),
+  ('Deep Dish Depot', '600 N Michigan Ave', '312-555-0114', 41.8930, -87.6245, 'Chicago', 'IL', 'https://deepdish.example.com'),
+  ('Sichuan Spice Garden', '2172 S Archer Ave', '312-555-0115', 41.8540, -87.6350, 'Chicago', 'IL', null),
+  ('Lakeview Steakhouse', '3300 N Broadway', '312-555-0116', 41.9423, -87.6440, 'Chicago', 'IL', 'https://lakeviewsteak.example.com'),
+  ('Little Italy Trattoria', '180 Mulberry St', '212-555-0117', 40.7193, -73.9973, 'New York', 'NY', 'https://trattoria.example.com'),
+  ('Midtown Bagel Co', '1000 6th Ave', '212-555-0118', 40.7530, -73.9847, 'New York', 'NY', null),
+  ('Sakura Sushi Bar', '140 W 51st St', null, 40.7607, -73.9818, 'New York', 'NY', 'https://sakura.example.com'),
+  ('Brooklyn Burger Joint', '215 Bedford Ave', '718-555-0120', 40.7171, -73.9574, 'Brooklyn', 'NY', null);
+
+-- Cuisines, price, rating, hours and photos. Hours are local to each city's
+-- timezone; a few places run past midnight or close on some days so "open
+-- now" has something to disagree about.
+update restaurants r
+set
+  cuisines = d.cuisines,
+  price_level = d.price_level,
+  rating = d.rating,
+  rating_count = d.rating_count,
+  timezone = d.timezone,
+  opening_hours = d.opening_hours::jsonb,
+  photo_urls = array['https://picsum.photos/seed/' || regexp_replace(lower(d.name), '[^a-z0-9]+', '-', 'g') || '/600/400']
+from (values
+  ('Joe''s Pizza', array['pizza', 'italian'], 1, 4.4, 212, 'America/Chicago',
+    '{"mon": ["11:00-23:00"], "tue": ["11:00-23:00"], "wed": ["11:00-23:00"], "thu": ["11:00-23:00"], "fri": ["11:00-03:00"], "sat": ["11:00-03:00"], "sun": ["12:00-22:00"]}'),
+  ('Taco Palace', array['mexican', 'tacos', 'breakfast'], 1, 4.2, 98, 'America/Chicago',
+    '{"mon": ["07:00-15:00"], "tue": ["07:00-15:00"], "wed": ["07:00-15:00"], "thu": ["07:00-15:00"], "fri": ["07:00-15:00"], "sat": ["08:00-16:00"], "sun": ["08:00-16:00"]}'),
+  ('Smokehouse on Sixth', array['bbq', 'american'], 2, 4.6, 540, 'America/Chicago',
+    '{"wed": ["11:00-21:00"], "thu": ["11:00-21:00"], "fri": ["11:00-22:00"], "sat": ["11:00-22:00"], "sun": ["11:00-20:00"]}'),
+  ('Green Bowl Vegan Kitchen', array['vegan', 'brunch', 'healthy'], 1, 4.7, 164, 'America/Chicago',
+    '{"tue": ["09:00-20:00"], "wed": ["09:00-20:00"], "thu": ["09:00-20:00"], "fri": ["09:00-20:00"], "sat": ["09:00-15:00"], "sun": ["09:00-15:00"]}'),
+  ('Candlelight Bistro', array['french', 'wine bar'], 4, 4.8, 87, 'America/Chicago',
+    '{"tue": ["17:30-22:00"], "wed": ["17:30-22:00"], "thu": ["17:30-22:00"], "fri": ["17:30-23:00"], "sat": ["17:30-23:00"]}'),
+  ('Bayou Crawfish Shack', array['cajun', 'seafood'], 2, 4.3, 301, 'America/Chicago',
+    '{"mon": ["11:00-21:00"], "tue": ["11:00-21:00"], "wed": ["11:00-21:00"], "thu": ["11:00-21:00"], "fri": ["11:00-22:00"], "sat": ["11:00-22:00"], "sun": ["11:00-21:00"]}'),
+  ('Pho Saigon Noodle House', array['vietnamese', 'noodles'], 1, 4.5, 412, 'America/Chicago',
+    '{"mon": ["10:00-22:00"], "tue": ["10:00-22:00"], "wed": ["10:00-22:00"], "thu": ["10:00-22:00"], "fri": ["10:00-02:00"], "sat": ["10:00-02:00"], "sun": ["10:00-22:00"]}'),
+  ('Alamo Tex-Mex Cantina', array['tex-mex', 'mexican', 'bar'], 2, 3.9, 655, 'America/Chicago',
+    '{"mon": ["11:00-22:00"], "tue": ["11:00-22:00"], "wed": ["11:00-22:00"], "thu": ["11:00-22:00"], "fri": ["11:00-24:00"], "sat": ["11:00-24:00"], "sun": ["11:00-22:00"]}'),
+  ('Pizza Napoli', array['pizza', 'italian'], 2, 4.6, 233, 'America/Los_Angeles',
+    '{"tue": ["16:00-22:00"], "wed": ["16:00-22:00"], "thu": ["16:00-22:00"], "fri": ["12:00-23:00"], "sat": ["12:00-23:00"], "sun": ["12:00-21:00"]}'),
+  ('Stumptown Coffee Bar', array['coffee', 'cafe', 'breakfast'], 1, 4.5, 389, 'America/Los_Angeles',
+    '{"mon": ["06:30-18:00"], "tue": ["06:30-18:00"], "wed": ["06:30-18:00"], "thu": ["06:30-18:00"], "fri": ["06:30-18:00"], "sat": ["07:00-18:00"], "sun": ["07:00-18:00"]}'),
+  ('Thai Orchid Curry House', array['thai', 'curry', 'vegetarian'], 2, 4.4, 176, 'America/Los_Angeles',
+    '{"mon": ["11:30-14:30", "17:00-21:30"], "tue": ["11:30-14:30", "17:00-21:30"], "wed": ["11:30-14:30", "17:00-21:30"], "thu": ["11:30-14:30", "17:00-21:30"], "fri": ["11:30-14:30", "17:00-22:00"], "sat": ["17:00-22:00"]}'),
+  ('Family Table Diner', array['diner', 'american', 'breakfast', 'brunch'], 1, 4.0, 145, 'America/Los_Angeles',
+    '{"mon": ["06:00-14:00"], "tue": ["06:00-14:00"], "wed": ["06:00-14:00"], "thu": ["06:00-14:00"], "fri": ["06:00-14:00"], "sat": ["07:00-15:00"], "sun": ["07:00-15:00"]}'),
+  ('Coastal Catch Seafood', array['seafood', 'american'], 3, 4.2, 92, 'America/Los_Angeles',
+    '{"wed": ["16:00-21:00"], "thu": ["16:00-21:00"], "fri": ["16:00-22:00"], "sat": ["16:00-22:00"], "sun": ["16:00-21:00"]}'),
+  ('Deep Dish Depot', array['pizza', 'american'], 2, 4.1, 820, 'America/Chicago',
+    '{"mon": ["11:00-22:00"], "tue": ["11:00-22:00"], "wed": ["11:00-22:00"], "thu": ["11:00-22:00"], "fri": ["11:00-23:00"], "sat": ["11:00-23:00"], "sun": ["11:00-22:00"]}'),
+  ('Sichuan Spice Garden', array['chinese', 'sichuan', 'spicy'], 2, 4.5, 267, 'America/Chicago',
+    '{"mon": ["11:00-22:00"], "wed": ["11:00-22:00"], "thu": ["11:00-22:00"], "fri": ["11:00-23:00"], "sat": ["11:00-23:00"], "sun": ["11:00-22:00"]}'),
+  ('Lakeview Steakhouse', array['steakhouse', 'american'], 4, 4.7, 198, 'America/Chicago',
+    '{"mon": ["17:00-22:00"], "tue": ["17:00-22:00"], "wed": ["17:00-22:00"], "thu": ["17:00-22:00"], "fri": ["17:00-23:00"], "sat": ["17:00-23:00"], "sun": ["16:00-21:00"]}'),
+  ('Little Italy Trattoria', array['italian', 'pasta'], 3, 4.3, 511, 'America/New_York',
+    '{"mon": ["12:00-22:00"], "tue": ["12:00-22:00"], "wed": ["12:00-22:00"], "thu": ["12:00-22:00"], "fri": ["12:00-23:30"], "sat": ["12:00-23:30"], "sun": ["12:00-21:30"]}'),
+  ('Midtown Bagel Co', array['bagels', 'breakfast', 'deli'], 1, 4.1, 340, 'America/New_York',
+    '{"mon": ["06:00-15:00"], "tue": ["06:00-15:00"], "wed": ["06:00-15:00"], "thu": ["06:00-15:00"], "fri": ["06:00-15:00"], "sat": ["07:00-14:00"], "sun": ["07:00-14:00"]}'),
+  ('Sakura Sushi Bar', array['japanese', 'sushi'], 3, 4.6, 289, 'America/New_York',
+    '{"tue": ["17:00-22:30"], "wed": ["17:00-22:30"], "thu": ["17:00-22:30"], "fri": ["17:00-23:30"], "sat": ["17:00-23:30"], "sun": ["17:00-21:30"]}'),
+  ('Brooklyn Burger Joint', array['burgers', 'american', 'bar'], 2, 4.2, 456, 'America/New_York',
+    '{"mon": ["11:30-23:00"], "tue": ["11:30-23:00"], "wed": ["11:30-23:00"], "thu": ["11:30-23:00"], "fri": ["11:30-02:00"], "sat": ["11:30-02:00"], "sun": ["11:30-22:00"]}')
+) as d(name, cuisines, price_level, rating, rating_count, timezone, opening_hours)
+where r.name = d.name;